@@ -1,16 +1,33 @@
 /**
  * @file Environment Variable Parser
  * @description Robustly parses and validates Cloudflare Worker environment variables.
- * @version 2.1.0 (Added Strict Domain Validation)
+ * @version 3.7.0 (Dashboard)
  */
 
+import { HOST_ENCODINGS } from '../url/host.mjs';
+import { compilePrivateUpstreams } from '../url/destination.mjs';
+import { MOD_REGISTRY } from '../mods/registry.mjs';
+import { BaseMod } from '../mods/templates/BaseMod.mjs';
+import { compilePolicy } from '../policy/rules.mjs';
+
 // --- TYPES ---
 
 /**
  * @typedef {Object} CacheConfig
  * @property {boolean} enabled - Master switch for the Edge Cache.
- * @property {number} ttl - Cache Time-To-Live in seconds.
+ * @property {number} ttl - Freshness lifetime in seconds of responses whose origin gives none (no s-maxage, max-age or Expires).
+ * @property {Array<{type: string, ttl: number}>} typeTtls - Freshness overrides by Content-Type (substring match, longest wins).
+ * @property {Array<{host: string, ttl: number}>} domainTtls - Freshness overrides by upstream host ('example.com' or '*.example.com'); beats typeTtls.
+ * @property {number} keepStale - Seconds a stale entry with validators (ETag/Last-Modified) is kept for conditional revalidation.
  * @property {string[]} cacheableTypes - List of MIME types allowed to be cached.
+ * @property {string[]} keyHeaders - Lower-cased request headers always part of the cache key (in addition to the upstream Vary).
+ * @property {string|null} purgeZoneId - Zone purged through the Cloudflare API from the dashboard (token: the CACHE_PURGE_TOKEN secret).
+ */
+
+/**
+ * @typedef {Object} RedirectConfig
+ * @property {boolean} follow - Follow same-site upstream redirects inside the Worker.
+ * @property {number} maxHops - Most redirects followed per request before the rest go to the client.
  */
 
 /**
@@ -23,15 +40,89 @@
  * @typedef {Object} CookieConfig
  * @property {RegExp|null} rootPassthrough - Regex for cookies allowed ONLY on the root domain.
  * @property {RegExp|null} proxyPassthrough - Regex for cookies allowed to be seen by the Worker but stripped from Upstream.
+ * @property {'browser'|'jar'} mode - Where upstream cookies live: rewritten into the browser, or in a server-side jar.
+ * @property {string|null} jarBinding - Durable Object namespace binding of the cookie jar (jar mode only).
+ * @property {number} jarTtl - Seconds a cookie jar session lives after its last use.
+ */
+
+/**
+ * @typedef {Object} RoutingConfig
+ * @property {string} hostEncoding - How upstream hostnames map onto proxy subdomains ('raw' or 'label').
+ * @property {string[]} upstreamSchemes - Upstream schemes that may be proxied ('http', 'https').
+ * @property {number[]} upstreamPorts - Non-default upstream ports that may be proxied.
+ * @property {import('../url/destination.mjs').PrivateUpstreams} privateUpstreams - Private hosts and ranges exempt from the SSRF guard.
+ */
+
+/**
+ * @typedef {Object} RewriteConfig
+ * @property {number} maxBytes - Body size (bytes) after which streaming rewriters pass the rest through untouched.
+ */
+
+/**
+ * @typedef {Object} PolicyConfig
+ * @property {boolean} enabled - True if a policy is configured (POLICY_RULES and/or POLICY_KV_BINDING).
+ * @property {import('../policy/rules.mjs').Policy|null} rules - The compiled POLICY_RULES (KV fallback).
+ * @property {string|null} kvBinding - KV namespace binding holding the policy document.
+ * @property {string} kvKey - KV key of the policy document.
+ * @property {number} refreshSeconds - How long a policy read from KV is reused.
+ * @property {number} blockStatus - HTTP status of the block page.
+ * @property {string|null} blockPage - Custom block page markup (null for the built-in page).
+ */
+
+/**
+ * @typedef {Object} TapConfig
+ * @property {'off'|'record'|'replay'} mode - Off, record proxied WebSocket frames, or replay recorded sessions instead of contacting the origin.
+ * @property {string|null} binding - Durable Object namespace binding of the tap store (null when off).
+ * @property {number} maxSessions - Most sessions kept; starting a new one evicts the oldest.
+ * @property {number} maxFrames - Most frames kept per session (later ones are only counted).
+ * @property {number} maxPayload - Bytes of each frame's payload kept.
+ */
+
+/**
+ * @typedef {Object} HarConfig
+ * @property {boolean} enabled - Capture proxied request/response pairs per browser session.
+ * @property {string|null} binding - Durable Object namespace binding of the capture store (null when off).
+ * @property {number} maxEntries - Most entries kept per session; the oldest are dropped first.
+ * @property {number} maxBody - Bytes of each request and response body captured (0 for none).
+ * @property {number} ttl - Seconds a capture session lives after its last entry.
+ */
+
+/**
+ * @typedef {Object} LeakConfig
+ * @property {boolean} enabled - Collect the interceptor's reports of requests that escaped the proxy.
+ * @property {string|null} binding - Durable Object namespace binding of the leak report store (null when off).
+ * @property {number} maxPatterns - Most URL patterns aggregated; reports of new patterns beyond it are only counted.
+ */
+
+/**
+ * @typedef {Object} TelemetryConfig
+ * @property {number} logSampleRate - Share of proxied requests written as structured JSON logs (0 to 1).
+ * @property {string|null} metricsBinding - Workers Analytics Engine dataset binding of the request counters (null: no-op stand-in).
+ */
+
+/**
+ * @typedef {Object} DashboardConfig
+ * @property {boolean} enabled - Serve the dashboard on the root domain.
+ * @property {string} cookie - Name of the cookie holding each browser's dashboard settings (kept only if COOKIE_ROOT_PASSTHROUGH matches it).
+ * @property {number} historySize - Targets remembered by the URL bar (0 for none).
  */
 
 /**
  * @typedef {Object} EnvConfig
  * @property {string} rootDomain - The base domain of the proxy (e.g. "proxy.example.com").
+ * @property {RoutingConfig} routing - Upstream hostname mapping rules.
  * @property {CacheConfig} cache - Caching strategy configuration.
+ * @property {RewriteConfig} rewrite - Content rewriting limits.
+ * @property {RedirectConfig} redirects - Upstream redirect handling.
  * @property {FeatureConfig} features - Core feature flags.
- * @property {Record<string, boolean>} mods - Map of enabled Mod flags.
+ * @property {PolicyConfig} policy - Target allow/deny policy.
+ * @property {Record<string, import('../mods/registry.mjs').ModSettings>} mods - Enabled mods, keyed by registry id.
  * @property {CookieConfig} cookies - Cookie security rules.
+ * @property {TapConfig} tap - WebSocket frame recording & replay.
+ * @property {HarConfig} har - HAR capture of proxied traffic.
+ * @property {TelemetryConfig} telemetry - Request logs and metrics.
+ * @property {LeakConfig} leaks - Client-side leak reports.
+ * @property {DashboardConfig} dashboard - The root domain dashboard.
  */
 
 
@@ -134,6 +225,36 @@ function getRootDomain(env) {
     return cleanDomain;
 }
 
+/**
+ * Extracts and validates the Routing Configuration.
+ * @param {Record<string, any>} env
+ * @returns {RoutingConfig}
+ * @throws {Error} If HOST_ENCODING, UPSTREAM_SCHEMES, UPSTREAM_PORTS or PRIVATE_UPSTREAMS are invalid.
+ */
+function getRoutingConfig(env) {
+    const hostEncoding = (env.HOST_ENCODING || 'raw').toString().toLowerCase().trim();
+
+    if (!HOST_ENCODINGS.includes(hostEncoding)) {
+        throw new Error(`Configuration Error: HOST_ENCODING '${hostEncoding}' is not supported. Use one of: ${HOST_ENCODINGS.join(', ')}.`);
+    }
+
+    const upstreamSchemes = parseJsonArray(env.UPSTREAM_SCHEMES, ['https']).map(s => String(s).toLowerCase().replace(/:$/, ''));
+    const badScheme = upstreamSchemes.find(s => s !== 'http' && s !== 'https');
+    if (badScheme !== undefined) {
+        throw new Error(`Configuration Error: UPSTREAM_SCHEMES entry '${badScheme}' is not supported. Use 'http' and/or 'https'.`);
+    }
+
+    const upstreamPorts = parseJsonArray(env.UPSTREAM_PORTS, []).map(Number);
+    const badPort = upstreamPorts.find(p => !Number.isInteger(p) || p < 1 || p > 65535);
+    if (badPort !== undefined) {
+        throw new Error(`Configuration Error: UPSTREAM_PORTS entry '${badPort}' is not a valid port number.`);
+    }
+
+    const privateUpstreams = compilePrivateUpstreams(parseJsonArray(env.PRIVATE_UPSTREAMS, []));
+
+    return { hostEncoding, upstreamSchemes, upstreamPorts, privateUpstreams };
+}
+
 /**
  * Extracts and validates the Cache Configuration.
  * @param {Record<string, any>} env
@@ -148,10 +269,133 @@ function getCacheConfig(env) {
         'image/x-icon', 'image/vnd.microsoft.icon'
     ];
 
+    const keepStale = env.CACHE_KEEP_STALE === undefined || env.CACHE_KEEP_STALE === '' ? 86400 : Number(env.CACHE_KEEP_STALE);
+    if (!Number.isInteger(keepStale) || keepStale < 0) {
+        throw new Error(`Configuration Error: CACHE_KEEP_STALE '${env.CACHE_KEEP_STALE}' must be a non-negative integer (seconds).`);
+    }
+
+    const typeTtls = parseTtlMap(env.CACHE_TYPE_TTLS, 'CACHE_TYPE_TTLS', (type) => type.length > 0)
+        .map(([type, ttl]) => ({ type, ttl }))
+        .sort((a, b) => b.type.length - a.type.length);
+
+    const domainTtls = parseTtlMap(env.CACHE_DOMAIN_TTLS, 'CACHE_DOMAIN_TTLS', (host) => DOMAIN_PATTERN.test(host))
+        .map(([host, ttl]) => ({ host, ttl }))
+        // Exact hosts first, then the most specific wildcard
+        .sort((a, b) => Number(a.host.startsWith('*.')) - Number(b.host.startsWith('*.')) || b.host.length - a.host.length);
+
+    // Dashboard purges go through the Cloudflare API: the Cache API only reaches this data center
+    const purgeZoneId = env.CACHE_PURGE_ZONE_ID ? String(env.CACHE_PURGE_ZONE_ID).trim().toLowerCase() : null;
+    if (purgeZoneId && !/^[0-9a-f]{32}$/.test(purgeZoneId)) {
+        throw new Error(`Configuration Error: CACHE_PURGE_ZONE_ID '${env.CACHE_PURGE_ZONE_ID}' is not a zone id.`);
+    }
+    if (purgeZoneId && !env.CACHE_PURGE_TOKEN) {
+        throw new Error('Configuration Error: CACHE_PURGE_ZONE_ID needs the CACHE_PURGE_TOKEN secret (an API token with Cache Purge permission).');
+    }
+
     return {
         enabled: parseBool(env.CACHE_ENABLED, true),
         ttl: parseInt(env.CACHE_TTL) || 3600,
-        cacheableTypes: parseJsonArray(env.CACHEABLE_TYPES, defaultCacheTypes)
+        typeTtls,
+        domainTtls,
+        keepStale,
+        cacheableTypes: parseJsonArray(env.CACHEABLE_TYPES, defaultCacheTypes),
+        keyHeaders: parseCacheKeyHeaders(env.CACHE_KEY_HEADERS),
+        purgeZoneId
+    };
+}
+
+/** Host or '*.'-wildcard host of CACHE_DOMAIN_TTLS. */
+const DOMAIN_PATTERN = /^(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*$/;
+
+/**
+ * Parses a JSON object of TTL overrides ({ "<key>": seconds }).
+ * @param {string|object|undefined} val
+ * @param {string} name - Variable name, for errors.
+ * @param {function(string): boolean} isValidKey - Validates a lower-cased key.
+ * @returns {Array<[string, number]>} Lower-cased keys and their TTLs.
+ * @throws {Error} If the value is not a JSON object of valid keys and non-negative integer TTLs.
+ */
+function parseTtlMap(val, name, isValidKey) {
+    if (val === undefined || val === null || val === '') return [];
+
+    let map = val;
+    if (typeof map === 'string') {
+        try {
+            map = JSON.parse(map);
+        } catch (e) {
+            throw new Error(`Configuration Error: ${name} is not valid JSON (${e.message}).`);
+        }
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        throw new Error(`Configuration Error: ${name} must be a JSON object of { "<key>": seconds }.`);
+    }
+
+    return Object.entries(map).map(([key, ttl]) => {
+        const lower = key.trim().toLowerCase();
+        if (!isValidKey(lower)) {
+            throw new Error(`Configuration Error: ${name} key '${key}' is not valid.`);
+        }
+        if (!Number.isInteger(ttl) || ttl < 0) {
+            throw new Error(`Configuration Error: ${name}['${key}'] must be a non-negative integer (seconds).`);
+        }
+        return [lower, ttl];
+    });
+}
+
+/** RFC 9110 field-name (token). */
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9a-z-]+$/;
+
+/**
+ * Validates the CACHE_KEY_HEADERS list.
+ * @param {string|undefined} val - JSON array of header names.
+ * @returns {string[]} Lower-cased, de-duplicated header names.
+ * @throws {Error} If an entry is not a header name.
+ */
+function parseCacheKeyHeaders(val) {
+    const names = parseJsonArray(val, []).map((name, i) => {
+        const lower = typeof name === 'string' ? name.trim().toLowerCase() : '';
+        if (!HEADER_NAME_PATTERN.test(lower)) {
+            throw new Error(`Configuration Error: CACHE_KEY_HEADERS[${i}] '${name}' is not a valid header name.`);
+        }
+        return lower;
+    });
+    return Array.from(new Set(names));
+}
+
+/**
+ * Extracts and validates the Content Rewriting limits.
+ * @param {Record<string, any>} env
+ * @returns {RewriteConfig}
+ * @throws {Error} If REWRITE_MAX_BYTES is not a positive integer.
+ */
+function getRewriteConfig(env) {
+    const raw = env.REWRITE_MAX_BYTES;
+    const maxBytes = raw === undefined || raw === '' ? 5242880 : Number(raw);
+
+    if (!Number.isInteger(maxBytes) || maxBytes < 1) {
+        throw new Error(`Configuration Error: REWRITE_MAX_BYTES '${raw}' must be a positive integer (bytes).`);
+    }
+
+    return { maxBytes };
+}
+
+/**
+ * Extracts the Redirect Following settings.
+ * @param {Record<string, any>} env
+ * @returns {RedirectConfig}
+ * @throws {Error} If REDIRECT_MAX_HOPS is not an integer between 1 and 20.
+ */
+function getRedirectConfig(env) {
+    const raw = env.REDIRECT_MAX_HOPS;
+    const maxHops = raw === undefined || raw === '' ? 5 : Number(raw);
+
+    if (!Number.isInteger(maxHops) || maxHops < 1 || maxHops > 20) {
+        throw new Error(`Configuration Error: REDIRECT_MAX_HOPS '${raw}' must be an integer between 1 and 20.`);
+    }
+
+    return {
+        follow: parseBool(env.REDIRECT_FOLLOW, false),
+        maxHops
     };
 }
 
@@ -168,30 +412,387 @@ function getFeatureConfig(env) {
 }
 
 /**
- * Scans environment for Mod definitions.
+ * Extracts and validates the Target Policy.
  * @param {Record<string, any>} env
- * @returns {Record<string, boolean>}
+ * @returns {PolicyConfig}
+ * @throws {Error} If POLICY_RULES is invalid, the KV binding is missing, or the block settings are out of range.
+ */
+function getPolicyConfig(env) {
+    // 1. Rules from the environment
+    let rules = null;
+    if (env.POLICY_RULES) {
+        let doc = env.POLICY_RULES;
+        if (typeof doc === 'string') {
+            try {
+                doc = JSON.parse(doc);
+            } catch (e) {
+                throw new Error(`Configuration Error: POLICY_RULES is not valid JSON (${e.message}).`);
+            }
+        }
+        try {
+            rules = compilePolicy(doc);
+        } catch (e) {
+            throw new Error(`Configuration Error: POLICY_RULES was rejected: ${e.message}`);
+        }
+    }
+
+    // 2. Rules from KV
+    const kvBinding = env.POLICY_KV_BINDING ? String(env.POLICY_KV_BINDING).trim() : null;
+    if (kvBinding && (!env[kvBinding] || typeof env[kvBinding].get !== 'function')) {
+        throw new Error(`Configuration Error: POLICY_KV_BINDING '${kvBinding}' is not a KV namespace bound to this Worker.`);
+    }
+
+    const refreshSeconds = env.POLICY_REFRESH_SECONDS === undefined ? 60 : Number(env.POLICY_REFRESH_SECONDS);
+    if (!Number.isInteger(refreshSeconds) || refreshSeconds < 60) {
+        throw new Error(`Configuration Error: POLICY_REFRESH_SECONDS '${env.POLICY_REFRESH_SECONDS}' must be an integer of at least 60.`);
+    }
+
+    // 3. Block page
+    const blockStatus = env.POLICY_BLOCK_STATUS === undefined ? 403 : Number(env.POLICY_BLOCK_STATUS);
+    if (!Number.isInteger(blockStatus) || blockStatus < 400 || blockStatus > 599) {
+        throw new Error(`Configuration Error: POLICY_BLOCK_STATUS '${env.POLICY_BLOCK_STATUS}' must be a 4xx or 5xx status code.`);
+    }
+
+    return {
+        enabled: !!(rules || kvBinding),
+        rules,
+        kvBinding,
+        kvKey: env.POLICY_KV_KEY ? String(env.POLICY_KV_KEY) : 'policy.json',
+        refreshSeconds,
+        blockStatus,
+        blockPage: env.POLICY_BLOCK_PAGE ? String(env.POLICY_BLOCK_PAGE) : null
+    };
+}
+
+/** Fields a MOD_* JSON object may set. */
+const MOD_SETTING_KEYS = ['args', 'domains', 'excludeDomains', 'selector', 'priority'];
+
+/** Domain scope patterns: '*', 'example.com' or '*.example.com'. */
+const MOD_DOMAIN_PATTERN = /^(?:\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)$/i;
+
+/**
+ * Parses a single MOD_* value: a boolean flag or a JSON object of mod settings.
+ * @param {string} key
+ * @param {*} val
+ * @returns {object|null} The settings overrides, or null if the mod is disabled.
+ * @throws {Error} If the value is neither.
+ */
+function parseModValue(key, val) {
+    if (typeof val === 'boolean' || typeof val === 'number') return parseBool(val) ? {} : null;
+
+    if (typeof val === 'string') {
+        const trimmed = val.trim();
+        if (!trimmed.startsWith('{')) {
+            const lower = trimmed.toLowerCase();
+            if (['true', '1', 'on'].includes(lower)) return {};
+            if (['false', '0', 'off', ''].includes(lower)) return null;
+            throw new Error(`Configuration Error: ${key} '${val}' must be a boolean or a JSON object of mod settings.`);
+        }
+        try {
+            val = JSON.parse(trimmed);
+        } catch (e) {
+            throw new Error(`Configuration Error: ${key} is not valid JSON (${e.message}).`);
+        }
+    }
+
+    if (!val || typeof val !== 'object' || Array.isArray(val)) {
+        throw new Error(`Configuration Error: ${key} must be a boolean or a JSON object of mod settings.`);
+    }
+    return val;
+}
+
+/**
+ * Validates a list of domain scope patterns.
+ * @param {string} key - The MOD_* variable (for error messages).
+ * @param {string} field - 'domains' or 'excludeDomains'.
+ * @param {*} list
+ * @returns {string[]} Lower-cased patterns.
+ * @throws {Error} If the list or one of its patterns is invalid.
+ */
+function parseDomainPatterns(key, field, list) {
+    if (!Array.isArray(list)) {
+        throw new Error(`Configuration Error: ${key}.${field} must be an array of domain patterns.`);
+    }
+    return list.map((pattern, i) => {
+        if (typeof pattern !== 'string' || !MOD_DOMAIN_PATTERN.test(pattern.trim())) {
+            throw new Error(`Configuration Error: ${key}.${field}[${i}] '${pattern}' is not a valid domain pattern. Use '*', 'example.com' or '*.example.com'.`);
+        }
+        return pattern.trim().toLowerCase();
+    });
+}
+
+/**
+ * Merges MOD_* overrides over the registry defaults and validates the result.
+ * @param {string} key
+ * @param {object} overrides
+ * @param {import('../mods/registry.mjs').ModSettings} defaults
+ * @returns {import('../mods/registry.mjs').ModSettings}
+ * @throws {Error} On unknown fields or invalid values.
+ */
+function parseModSettings(key, overrides, defaults) {
+    // 1. Only known fields (mod-specific options belong under "args")
+    const unknown = Object.keys(overrides).find(field => !MOD_SETTING_KEYS.includes(field));
+    if (unknown !== undefined) {
+        throw new Error(`Configuration Error: ${key} has unknown field '${unknown}'. Allowed fields: ${MOD_SETTING_KEYS.join(', ')} (mod options go under "args").`);
+    }
+
+    const merged = { ...defaults, ...overrides };
+
+    // 2. Per-field validation
+    const args = merged.args;
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+        throw new Error(`Configuration Error: ${key}.args must be a JSON object.`);
+    }
+
+    const domains = parseDomainPatterns(key, 'domains', merged.domains);
+    if (!domains.length) {
+        throw new Error(`Configuration Error: ${key}.domains must list at least one domain pattern (use ["*"] for all).`);
+    }
+
+    const selector = typeof merged.selector === 'string' ? merged.selector.trim() : '';
+    if (!selector) {
+        throw new Error(`Configuration Error: ${key}.selector must be a non-empty CSS selector.`);
+    }
+
+    if (!Number.isInteger(merged.priority)) {
+        throw new Error(`Configuration Error: ${key}.priority '${merged.priority}' must be an integer.`);
+    }
+
+    return {
+        args: { ...defaults.args, ...args },
+        domains,
+        excludeDomains: parseDomainPatterns(key, 'excludeDomains', merged.excludeDomains),
+        selector,
+        priority: merged.priority
+    };
+}
+
+/**
+ * Scans environment for Mod definitions and validates their settings.
+ * Each enabled mod is constructed once here, so bad settings fail at startup instead of per request.
+ * @param {Record<string, any>} env
+ * @returns {Record<string, import('../mods/registry.mjs').ModSettings>}
+ * @throws {Error} If a MOD_* variable is unknown, malformed, or its args are rejected by the mod.
  */
 function getModConfig(env) {
-    /** @type {Record<string, boolean>} */
+    /** @type {Record<string, import('../mods/registry.mjs').ModSettings>} */
     const mods = {};
+
     for (const [key, val] of Object.entries(env)) {
-        if (key.startsWith('MOD_')) {
-            mods[key] = parseBool(val, false);
+        if (!key.startsWith('MOD_')) continue;
+
+        // 1. Known mod?
+        const modDef = MOD_REGISTRY.find(def => def.envKey === key);
+        if (!modDef) {
+            const known = MOD_REGISTRY.map(def => def.envKey).join(', ');
+            throw new Error(`Configuration Error: ${key} does not match a registered mod. Known mods: ${known}.`);
         }
+
+        // 2. Enabled, with which settings?
+        const overrides = parseModValue(key, val);
+        if (!overrides) continue;
+        const settings = parseModSettings(key, overrides, modDef.defaults);
+
+        // 3. Let the mod validate its args
+        let instance;
+        try {
+            instance = new modDef.Class(settings.args);
+        } catch (e) {
+            throw new Error(`Configuration Error: ${key}.args were rejected: ${e.message}`);
+        }
+        if (!(instance instanceof BaseMod)) {
+            throw new Error(`Configuration Error: ${key} (${modDef.id}) does not extend BaseMod.`);
+        }
+
+        mods[modDef.id] = settings;
     }
+
     return mods;
 }
 
+/** Supported COOKIE_MODE values. */
+const COOKIE_MODES = ['browser', 'jar'];
+
 /**
- * Compiles Cookie Security Rules.
+ * Compiles Cookie Security Rules and the cookie storage mode.
  * @param {Record<string, any>} env
  * @returns {CookieConfig}
+ * @throws {Error} If COOKIE_MODE is unknown, the jar binding is missing, or COOKIE_JAR_TTL is out of range.
  */
 function getCookieConfig(env) {
+    // 1. Mode
+    const mode = env.COOKIE_MODE ? String(env.COOKIE_MODE).trim().toLowerCase() : 'browser';
+    if (!COOKIE_MODES.includes(mode)) {
+        throw new Error(`Configuration Error: COOKIE_MODE '${env.COOKIE_MODE}' must be one of: ${COOKIE_MODES.join(', ')}.`);
+    }
+
+    // 2. Jar storage (Durable Object namespace)
+    let jarBinding = null;
+    if (mode === 'jar') {
+        jarBinding = env.COOKIE_JAR_BINDING ? String(env.COOKIE_JAR_BINDING).trim() : 'COOKIE_JAR';
+        if (!env[jarBinding] || typeof env[jarBinding].idFromName !== 'function') {
+            throw new Error(`Configuration Error: COOKIE_JAR_BINDING '${jarBinding}' is not a Durable Object namespace bound to this Worker.`);
+        }
+    }
+
+    const jarTtl = env.COOKIE_JAR_TTL === undefined || env.COOKIE_JAR_TTL === '' ? 2592000 : Number(env.COOKIE_JAR_TTL);
+    if (!Number.isInteger(jarTtl) || jarTtl < 300) {
+        throw new Error(`Configuration Error: COOKIE_JAR_TTL '${env.COOKIE_JAR_TTL}' must be an integer of at least 300 (seconds).`);
+    }
+
     return {
         rootPassthrough: compileCookiePatterns(env.COOKIE_ROOT_PASSTHROUGH),
-        proxyPassthrough: compileCookiePatterns(env.COOKIE_PROXY_PASSTHROUGH)
+        proxyPassthrough: compileCookiePatterns(env.COOKIE_PROXY_PASSTHROUGH),
+        mode,
+        jarBinding,
+        jarTtl
+    };
+}
+
+/** Supported WS_TAP_MODE values. */
+const TAP_MODES = ['off', 'record', 'replay'];
+
+/**
+ * Parses an integer setting within bounds.
+ * @param {*} val
+ * @param {string} name - The variable name (for the error).
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ * @throws {Error} If the value is not an integer within [min, max].
+ */
+function parseBoundedInt(val, name, fallback, min, max) {
+    const n = val === undefined || val === '' ? fallback : Number(val);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        throw new Error(`Configuration Error: ${name} '${val}' must be an integer between ${min} and ${max}.`);
+    }
+    return n;
+}
+
+/**
+ * Extracts the WebSocket Tap settings.
+ * @param {Record<string, any>} env
+ * @returns {TapConfig}
+ * @throws {Error} If WS_TAP_MODE is unknown, the store binding is missing, or a limit is out of range.
+ */
+function getTapConfig(env) {
+    // 1. Mode
+    const mode = env.WS_TAP_MODE ? String(env.WS_TAP_MODE).trim().toLowerCase() : 'off';
+    if (!TAP_MODES.includes(mode)) {
+        throw new Error(`Configuration Error: WS_TAP_MODE '${env.WS_TAP_MODE}' must be one of: ${TAP_MODES.join(', ')}.`);
+    }
+
+    // 2. Store (Durable Object namespace)
+    let binding = null;
+    if (mode !== 'off') {
+        binding = env.WS_TAP_BINDING ? String(env.WS_TAP_BINDING).trim() : 'WS_TAP';
+        if (!env[binding] || typeof env[binding].idFromName !== 'function') {
+            throw new Error(`Configuration Error: WS_TAP_BINDING '${binding}' is not a Durable Object namespace bound to this Worker.`);
+        }
+    }
+
+    // 3. Bounds
+    return {
+        mode,
+        binding,
+        maxSessions: parseBoundedInt(env.WS_TAP_MAX_SESSIONS, 'WS_TAP_MAX_SESSIONS', 50, 1, 1000),
+        maxFrames: parseBoundedInt(env.WS_TAP_MAX_FRAMES, 'WS_TAP_MAX_FRAMES', 1000, 1, 100000),
+        maxPayload: parseBoundedInt(env.WS_TAP_MAX_PAYLOAD, 'WS_TAP_MAX_PAYLOAD', 1024, 0, 65536)
+    };
+}
+
+/**
+ * Extracts the HAR Capture settings.
+ * @param {Record<string, any>} env
+ * @returns {HarConfig}
+ * @throws {Error} If the store binding is missing or a limit is out of range.
+ */
+function getHarConfig(env) {
+    const enabled = parseBool(env.HAR_CAPTURE, false);
+
+    let binding = null;
+    if (enabled) {
+        binding = env.HAR_BINDING ? String(env.HAR_BINDING).trim() : 'HAR_STORE';
+        if (!env[binding] || typeof env[binding].idFromName !== 'function') {
+            throw new Error(`Configuration Error: HAR_BINDING '${binding}' is not a Durable Object namespace bound to this Worker.`);
+        }
+    }
+
+    return {
+        enabled,
+        binding,
+        maxEntries: parseBoundedInt(env.HAR_MAX_ENTRIES, 'HAR_MAX_ENTRIES', 500, 1, 5000),
+        maxBody: parseBoundedInt(env.HAR_MAX_BODY, 'HAR_MAX_BODY', 16384, 0, 1048576),
+        ttl: parseBoundedInt(env.HAR_TTL, 'HAR_TTL', 86400, 300, 2592000)
+    };
+}
+
+/**
+ * Extracts the request log & metrics settings.
+ * @param {Record<string, any>} env
+ * @returns {TelemetryConfig}
+ * @throws {Error} If the sample rate is out of range or the metrics binding is not a dataset.
+ */
+function getTelemetryConfig(env) {
+    // 1. Log sampling
+    const logSampleRate = env.LOG_SAMPLE_RATE === undefined || env.LOG_SAMPLE_RATE === '' ? 0 : Number(env.LOG_SAMPLE_RATE);
+    if (!Number.isFinite(logSampleRate) || logSampleRate < 0 || logSampleRate > 1) {
+        throw new Error(`Configuration Error: LOG_SAMPLE_RATE '${env.LOG_SAMPLE_RATE}' must be a number between 0 and 1.`);
+    }
+
+    // 2. Metrics (Analytics Engine dataset)
+    const metricsBinding = env.METRICS_BINDING ? String(env.METRICS_BINDING).trim() : null;
+    if (metricsBinding && (!env[metricsBinding] || typeof env[metricsBinding].writeDataPoint !== 'function')) {
+        throw new Error(`Configuration Error: METRICS_BINDING '${metricsBinding}' is not an Analytics Engine dataset bound to this Worker.`);
+    }
+
+    return { logSampleRate, metricsBinding };
+}
+
+/**
+ * Extracts the Leak Report settings.
+ * @param {Record<string, any>} env
+ * @returns {LeakConfig}
+ * @throws {Error} If the store binding is missing or the pattern limit is out of range.
+ */
+function getLeakConfig(env) {
+    const enabled = parseBool(env.LEAK_REPORTS, false);
+
+    let binding = null;
+    if (enabled) {
+        binding = env.LEAK_BINDING ? String(env.LEAK_BINDING).trim() : 'LEAK_STORE';
+        if (!env[binding] || typeof env[binding].idFromName !== 'function') {
+            throw new Error(`Configuration Error: LEAK_BINDING '${binding}' is not a Durable Object namespace bound to this Worker.`);
+        }
+    }
+
+    return {
+        enabled,
+        binding,
+        maxPatterns: parseBoundedInt(env.LEAK_MAX_PATTERNS, 'LEAK_MAX_PATTERNS', 1000, 1, 10000)
+    };
+}
+
+/** RFC 6265 cookie-name (token). */
+const COOKIE_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Extracts the Dashboard settings.
+ * @param {Record<string, any>} env
+ * @returns {DashboardConfig}
+ * @throws {Error} If the cookie name is invalid or the history size is out of range.
+ */
+function getDashboardConfig(env) {
+    const cookie = env.DASHBOARD_COOKIE ? String(env.DASHBOARD_COOKIE).trim() : 'dash_pref';
+    if (!COOKIE_NAME_PATTERN.test(cookie) || cookie.startsWith('__')) {
+        throw new Error(`Configuration Error: DASHBOARD_COOKIE '${env.DASHBOARD_COOKIE}' is not a valid cookie name (prefixed names are reserved).`);
+    }
+
+    return {
+        enabled: parseBool(env.DASHBOARD, true),
+        cookie,
+        historySize: parseBoundedInt(env.DASHBOARD_HISTORY, 'DASHBOARD_HISTORY', 10, 0, 10)
     };
 }
 
@@ -201,15 +802,24 @@ function getCookieConfig(env) {
 /**
  * Parses the Cloudflare Worker 'env' object into a strictly typed configuration.
  * @param {Record<string, any>} env - The raw Cloudflare environment object.
- * @returns {{rootDomain: string, cache: CacheConfig, features: FeatureConfig, mods: Record<string, boolean>, cookies: CookieConfig}} The strictly typed configuration object.
+ * @returns {{rootDomain: string, routing: RoutingConfig, cache: CacheConfig, rewrite: RewriteConfig, redirects: RedirectConfig, features: FeatureConfig, policy: PolicyConfig, mods: Record<string, import('../mods/registry.mjs').ModSettings>, cookies: CookieConfig, tap: TapConfig, har: HarConfig, telemetry: TelemetryConfig, leaks: LeakConfig, dashboard: DashboardConfig}} The strictly typed configuration object.
  */
 export function parseEnv(env) {
     return {
         // Validation now handled inside getRootDomain
         rootDomain: getRootDomain(env),
+        routing: getRoutingConfig(env),
         cache: getCacheConfig(env),
+        rewrite: getRewriteConfig(env),
+        redirects: getRedirectConfig(env),
         features: getFeatureConfig(env),
+        policy: getPolicyConfig(env),
         mods: getModConfig(env),
-        cookies: getCookieConfig(env)
+        cookies: getCookieConfig(env),
+        tap: getTapConfig(env),
+        har: getHarConfig(env),
+        telemetry: getTelemetryConfig(env),
+        leaks: getLeakConfig(env),
+        dashboard: getDashboardConfig(env)
     };
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * @file Configuration Entry Point
  * @description Singleton wrapper for environment parsing. Caches the config globally per isolate.
- * @version 11.0.0 (Refactored to use env.mjs)
+ * @version 11.5.0 (Dashboard)
  */
 
 import { parseEnv } from './env.mjs';
@@ -17,7 +17,7 @@ let cachedConfig = null;
  * Retrieves the application configuration.
  * Uses a singleton pattern to avoid re-parsing on every request.
  * @param {Record<string, any>} env - The Cloudflare environment object.
- * @returns {{rootDomain: string, cache: CacheConfig, features: FeatureConfig, mods: Record<string, boolean>, cookies: CookieConfig}} The strictly typed configuration.
+ * @returns {{rootDomain: string, routing: RoutingConfig, cache: CacheConfig, rewrite: RewriteConfig, redirects: RedirectConfig, features: FeatureConfig, policy: PolicyConfig, mods: Record<string, import('../mods/registry.mjs').ModSettings>, cookies: CookieConfig, tap: TapConfig, har: HarConfig, telemetry: TelemetryConfig, leaks: LeakConfig, dashboard: DashboardConfig}} The strictly typed configuration.
  */
 export function createConfig(env) {
     // 1. Check Cache (Hot Path)
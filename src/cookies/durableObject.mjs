@@ -0,0 +1,138 @@
+/**
+ * @file Cookie Jar Durable Object
+ * @description Stores the upstream cookies of one proxy session (COOKIE_MODE = "jar").
+ * @version 1.0.0
+ *
+ * One object per session, addressed by `idFromName(sessionId)`. The Worker talks to it with JSON
+ * POSTs (see session.mjs):
+ * - { op: 'get', url, context, ttl }          -> { cookie }  Cookie header / document.cookie for a URL.
+ * - { op: 'set', url, cookies, context, ttl } -> { cookie }  Stores Set-Cookie values (or document
+ *                                                            writes) and returns the new view of `url`.
+ *
+ * Each cookie is persisted under its own storage key, so a write only touches what changed. The
+ * session expires `ttl` seconds after its last use: every call moves the alarm, which wipes storage.
+ *
+ * Bind it in wrangler.toml (see the COOKIE_MODE section) and export it from the Worker entry point.
+ */
+
+import { CookieJar } from './jar.mjs';
+
+/** Storage key prefix of cookie records. */
+const COOKIE_PREFIX = 'cookie:';
+
+/** Most keys a single storage put()/delete() accepts. */
+const STORAGE_BATCH = 128;
+
+const OPS = ['get', 'set'];
+
+/**
+ * Splits a list into storage-sized batches.
+ * @template T
+ * @param {T[]} list
+ * @returns {T[][]}
+ */
+function batches(list) {
+    const out = [];
+    for (let i = 0; i < list.length; i += STORAGE_BATCH) out.push(list.slice(i, i + STORAGE_BATCH));
+    return out;
+}
+
+/**
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+export class CookieJarObject {
+    /**
+     * @param {DurableObjectState} state
+     * @param {object} env
+     */
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+        /** @type {CookieJar|null} Loaded on first use. */
+        this.jar = null;
+    }
+
+    /**
+     * Loads the jar from storage (once per object instance).
+     * @returns {Promise<CookieJar>}
+     */
+    async load() {
+        if (!this.jar) {
+            const stored = await this.state.storage.list({ prefix: COOKIE_PREFIX });
+            this.jar = new CookieJar(Array.from(stored.values()));
+        }
+        return this.jar;
+    }
+
+    /**
+     * Writes the jar's pending changes.
+     */
+    async persist() {
+        const { put, delete: removed } = this.jar.takeChanges();
+        const storage = this.state.storage;
+
+        for (const batch of batches(put)) {
+            await storage.put(Object.fromEntries(batch.map(([key, cookie]) => [COOKIE_PREFIX + key, cookie])));
+        }
+        for (const batch of batches(removed)) {
+            await storage.delete(batch.map(key => COOKIE_PREFIX + key));
+        }
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+        // 1. Validate
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return json({ error: 'Invalid JSON' }, 400);
+        }
+        let url;
+        try {
+            url = new URL(body && body.url);
+        } catch (e) {
+            return json({ error: 'Invalid url' }, 400);
+        }
+        if (!OPS.includes(body.op)) return json({ error: `Unknown op '${body.op}'` }, 400);
+        const context = body.context || {};
+
+        // 2. Apply
+        const jar = await this.load();
+        if (body.op === 'set') {
+            const cookies = Array.isArray(body.cookies) ? body.cookies : [];
+            cookies.forEach(header => jar.setCookie(String(header), url, context));
+        }
+        const cookie = jar.getCookieString(url, context);
+
+        // 3. Persist & extend the session
+        await this.persist();
+        if (Number.isInteger(body.ttl) && body.ttl > 0) {
+            await this.state.storage.setAlarm(Date.now() + body.ttl * 1000);
+        }
+
+        return json({ cookie });
+    }
+
+    /**
+     * Session expired: forget every cookie.
+     */
+    async alarm() {
+        await this.state.storage.deleteAll();
+        this.jar = null;
+    }
+}
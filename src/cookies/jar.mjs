@@ -0,0 +1,265 @@
+/**
+ * @file Cookie Jar
+ * @description Server-side cookie storage model (RFC 6265 / 6265bis) for the cookie jar mode.
+ * @version 1.1.0 (Shared Parser)
+ *
+ * Holds the upstream cookies of one proxy session. Cookies are stored with their real upstream
+ * scope (domain, host-only flag, path, Secure, HttpOnly, SameSite, expiry) and selected per request
+ * with the RFC 6265 domain-match and path-match rules, so nothing has to be squeezed into the
+ * proxy's own cookie namespace.
+ *
+ * The jar is plain data: the Durable Object (durableObject.mjs) persists the records reported by
+ * `takeChanges()` and rebuilds the jar from them.
+ */
+
+import { getSite } from '../url/site.mjs';
+import { parseSetCookie, defaultCookiePath } from '../rewrite/rewriters/headers/cookies.mjs';
+
+/** Browser-like limits (Chromium): per registrable domain and per jar. */
+const MAX_COOKIES_PER_SITE = 180;
+const MAX_COOKIES = 3000;
+
+/**
+ * @typedef {Object} CookieRecord
+ * @property {string} name
+ * @property {string} value
+ * @property {string} domain - Lower-cased host (host-only) or Domain attribute without leading dot.
+ * @property {boolean} hostOnly
+ * @property {string} path
+ * @property {boolean} secure
+ * @property {boolean} httpOnly
+ * @property {'strict'|'lax'|'none'} sameSite - Cookies without a valid SameSite are treated as Lax.
+ * @property {number|null} expires - Epoch milliseconds, or null for session cookies.
+ * @property {number} created - Epoch milliseconds (kept when a cookie is replaced).
+ * @property {number} lastAccess - Epoch milliseconds.
+ */
+
+/**
+ * @typedef {Object} CookieContext
+ * @property {boolean} [http=true] - False for `document.cookie` (HttpOnly cookies are invisible and immutable).
+ * @property {boolean} [crossSite=false] - The request was initiated by another site.
+ * @property {boolean} [topLevelNavigation=false] - A top-level navigation with a safe method (Lax cookies are sent cross-site).
+ */
+
+/**
+ * True if `host` domain-matches `domain` (RFC 6265 §5.1.3).
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function domainMatch(host, domain) {
+    return host === domain || (host.endsWith('.' + domain) && !/^[\d.]+$|:/.test(host));
+}
+
+/**
+ * True if `requestPath` path-matches `cookiePath` (RFC 6265 §5.1.4).
+ * @param {string} requestPath
+ * @param {string} cookiePath
+ * @returns {boolean}
+ */
+export function pathMatch(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+/**
+ * True if a domain is a public suffix (cookies may not be scoped to it).
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function isPublicSuffix(domain) {
+    const probe = 'x.' + domain;
+    return getSite(probe) === probe;
+}
+
+/**
+ * Storage key of a cookie (its identity is name + domain + path).
+ * @param {{name: string, domain: string, path: string}} cookie
+ * @returns {string}
+ */
+export function cookieKey(cookie) {
+    return `${cookie.domain};${cookie.path};${cookie.name}`;
+}
+
+export class CookieJar {
+    /**
+     * @param {CookieRecord[]} [records] - Persisted cookies.
+     */
+    constructor(records = []) {
+        /** @type {Map<string, CookieRecord>} */
+        this.cookies = new Map(records.map(r => [cookieKey(r), r]));
+        /** @type {Set<string>} Keys changed since the last `takeChanges()`. */
+        this.dirty = new Set();
+    }
+
+    /**
+     * Stores a cookie received from `url` (RFC 6265 §5.3 storage model).
+     * @param {string} header - A Set-Cookie value, or a `document.cookie` assignment.
+     * @param {URL} url - The URL that set it.
+     * @param {CookieContext} [context]
+     * @returns {boolean} True if the jar changed.
+     */
+    setCookie(header, url, { http = true } = {}) {
+        const parsed = parseSetCookie(header);
+        if (!parsed) return false;
+
+        const now = Date.now();
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        const secureOrigin = url.protocol === 'https:' || url.protocol === 'wss:';
+
+        // 1. Attributes (Max-Age beats Expires)
+        const { domain, path, secure, httpOnly } = parsed;
+        const sameSite = parsed.sameSite ? parsed.sameSite.toLowerCase() : 'lax';
+        const expires = parsed.expires === null ? null : Date.parse(parsed.expires);
+        const expiry = parsed.maxAge !== null ? (parsed.maxAge <= 0 ? 0 : now + parsed.maxAge * 1000) : expires;
+
+        // 2. Scope
+        let hostOnly = true;
+        if (domain) {
+            if (isPublicSuffix(domain)) {
+                if (domain !== host) return false;
+            } else {
+                if (!domainMatch(host, domain)) return false;
+                hostOnly = false;
+            }
+        }
+        const cookie = {
+            name: parsed.name,
+            value: parsed.value,
+            domain: hostOnly ? host : domain,
+            hostOnly,
+            path: path || defaultCookiePath(url),
+            secure,
+            httpOnly,
+            sameSite,
+            expires: expiry,
+            created: now,
+            lastAccess: now
+        };
+
+        // 3. Rejections
+        if (httpOnly && !http) return false;
+        if (secure && !secureOrigin) return false;
+        if ((sameSite === 'none' || parsed.partitioned) && !secure) return false;
+        if (/^__secure-/i.test(cookie.name) && !secure) return false;
+        if (/^__host-/i.test(cookie.name) && (!secure || !hostOnly || cookie.path !== '/')) return false;
+
+        // 4. Existing cookie
+        const key = cookieKey(cookie);
+        const existing = this.cookies.get(key);
+        if (existing) {
+            if (existing.httpOnly && !http) return false;
+            cookie.created = existing.created;
+        }
+        // Insecure origins may not shadow a Secure cookie (RFC 6265bis §5.7 step 16)
+        if (!secure && !secureOrigin) {
+            for (const other of this.cookies.values()) {
+                if (other.secure && other.name === cookie.name && (domainMatch(cookie.domain, other.domain) || domainMatch(other.domain, cookie.domain)) && pathMatch(cookie.path, other.path)) {
+                    return false;
+                }
+            }
+        }
+
+        // 5. Store or delete
+        if (expiry !== null && expiry <= now) {
+            if (!existing) return false;
+            this.cookies.delete(key);
+        } else {
+            this.cookies.set(key, cookie);
+            this.evict(cookie);
+        }
+        this.dirty.add(key);
+        return true;
+    }
+
+    /**
+     * Returns the cookies to send to `url`, most specific path first (RFC 6265 §5.4).
+     * @param {URL} url
+     * @param {CookieContext} [context]
+     * @returns {CookieRecord[]}
+     */
+    getCookies(url, { http = true, crossSite = false, topLevelNavigation = false } = {}) {
+        this.purgeExpired();
+        const now = Date.now();
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+        const secureOrigin = url.protocol === 'https:' || url.protocol === 'wss:';
+
+        const selected = [];
+        for (const cookie of this.cookies.values()) {
+            if (cookie.hostOnly ? host !== cookie.domain : !domainMatch(host, cookie.domain)) continue;
+            if (!pathMatch(url.pathname || '/', cookie.path)) continue;
+            if (cookie.secure && !secureOrigin) continue;
+            if (cookie.httpOnly && !http) continue;
+            if (crossSite && (cookie.sameSite === 'strict' || (cookie.sameSite === 'lax' && !topLevelNavigation))) continue;
+            selected.push(cookie);
+        }
+
+        selected.sort((a, b) => b.path.length - a.path.length || a.created - b.created);
+        selected.forEach(cookie => { cookie.lastAccess = now; });
+        return selected;
+    }
+
+    /**
+     * Serializes the cookies for `url` as a Cookie header (or `document.cookie` string).
+     * @param {URL} url
+     * @param {CookieContext} [context]
+     * @returns {string}
+     */
+    getCookieString(url, context) {
+        return this.getCookies(url, context).map(c => c.name ? `${c.name}=${c.value}` : c.value).join('; ');
+    }
+
+    /**
+     * Drops expired cookies.
+     */
+    purgeExpired() {
+        const now = Date.now();
+        for (const [key, cookie] of this.cookies) {
+            if (cookie.expires !== null && cookie.expires <= now) {
+                this.cookies.delete(key);
+                this.dirty.add(key);
+            }
+        }
+    }
+
+    /**
+     * Enforces the per-site and total limits, evicting the least recently used cookies.
+     * @param {CookieRecord} added - The cookie just stored (never evicted by its own site limit).
+     */
+    evict(added) {
+        const site = getSite(added.domain);
+        const byAge = (list) => list.sort((a, b) => a.lastAccess - b.lastAccess);
+
+        const sameSite = Array.from(this.cookies.values()).filter(c => c !== added && getSite(c.domain) === site);
+        const siteExcess = sameSite.length + 1 - MAX_COOKIES_PER_SITE;
+        const victims = siteExcess > 0 ? byAge(sameSite).slice(0, siteExcess) : [];
+
+        const totalExcess = this.cookies.size - victims.length - MAX_COOKIES;
+        if (totalExcess > 0) {
+            const rest = Array.from(this.cookies.values()).filter(c => c !== added && !victims.includes(c));
+            victims.push(...byAge(rest).slice(0, totalExcess));
+        }
+
+        for (const victim of victims) {
+            const key = cookieKey(victim);
+            this.cookies.delete(key);
+            this.dirty.add(key);
+        }
+    }
+
+    /**
+     * Returns and clears the pending changes, for persistence.
+     * @returns {{put: Array<[string, CookieRecord]>, delete: string[]}}
+     */
+    takeChanges() {
+        const changes = { put: [], delete: [] };
+        for (const key of this.dirty) {
+            const cookie = this.cookies.get(key);
+            if (cookie) changes.put.push([key, cookie]);
+            else changes.delete.push(key);
+        }
+        this.dirty.clear();
+        return changes;
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * @file Cookie Jar Session
+ * @description Binds a browser to its server-side cookie jar (COOKIE_MODE = "jar").
+ * @version 1.1.0 (Lookup Memo)
+ *
+ * The browser only holds one proxy cookie, JAR_SESSION_COOKIE: a random session id scoped to the root
+ * domain, so every proxied host shares it. All upstream cookies live in the session's Durable Object
+ * (durableObject.mjs) and never reach the browser.
+ */
+
+import { getUrlCodec } from '../url/codec.mjs';
+import { isSameSite } from '../url/site.mjs';
+
+/** Name of the browser cookie carrying the jar session id. */
+export const JAR_SESSION_COOKIE = '__Secure-divortio-jar';
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** Internal URL of Durable Object calls (only the body matters). */
+const JAR_ENDPOINT = 'https://cookie-jar.internal/';
+
+/**
+ * @typedef {Object} CookieJarSession
+ * @property {string} id - The session id.
+ * @property {boolean} isNew - True if the browser had no valid session (the response must set `setCookie`).
+ * @property {string} setCookie - The Set-Cookie value that (re)issues the session cookie.
+ * @property {function(URL, import('./jar.mjs').CookieContext=): Promise<string|null>} getCookieHeader - Cookie header for an upstream request (null if none apply). Repeated lookups are answered from memory until the next write.
+ * @property {function(URL, string[]): Promise<void>} store - Stores an upstream response's Set-Cookie values.
+ * @property {function(URL): Promise<string>} getDocumentCookie - The `document.cookie` view of a page.
+ * @property {function(URL, string[]): Promise<string>} setDocumentCookie - Applies `document.cookie` writes; returns the new view.
+ */
+
+/**
+ * Reads the session id from the request's Cookie header.
+ * @param {Request} request
+ * @returns {string|null}
+ */
+function readSessionId(request) {
+    for (const part of (request.headers.get('Cookie') || '').split(';')) {
+        const eq = part.indexOf('=');
+        if (eq !== -1 && part.slice(0, eq).trim() === JAR_SESSION_COOKIE) {
+            const id = part.slice(eq + 1).trim().toLowerCase();
+            return SESSION_ID_PATTERN.test(id) ? id : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Describes who initiated a request, for SameSite enforcement against `url`.
+ * The browser's own Sec-Fetch-Site is useless here (every proxied host is same-site under the root
+ * domain), so the initiator is taken from the Referer, mapped back to its upstream.
+ * @param {Request} request - The client request.
+ * @param {URL} url - The upstream URL the cookies are for.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {import('./jar.mjs').CookieContext}
+ */
+export function getCookieContext(request, url, config) {
+    const method = request.method.toUpperCase();
+    const topLevelNavigation = request.headers.get('Sec-Fetch-Dest') === 'document'
+        && (method === 'GET' || method === 'HEAD');
+
+    // No Referer: typed URLs, bookmarks and no-referrer pages count as same-site.
+    const referer = request.headers.get('Referer');
+    const initiator = referer ? getUrlCodec(config).resolveTarget(referer) : null;
+    const crossSite = !!initiator && !isSameSite(initiator.hostname, url.hostname);
+
+    return { http: true, crossSite, topLevelNavigation };
+}
+
+/**
+ * Opens the cookie jar of the requesting browser, starting a new session if it has none.
+ * @param {Request} request - The client request.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the Durable Object binding).
+ * @returns {CookieJarSession}
+ */
+export function openCookieJar(request, config, env) {
+    const { jarBinding, jarTtl } = config.cookies;
+    const existing = readSessionId(request);
+    const id = existing || crypto.randomUUID();
+    const namespace = env[jarBinding];
+    const stub = namespace.get(namespace.idFromName(id));
+
+    /**
+     * @param {object} body
+     * @returns {Promise<string>} The cookie string the object returned.
+     */
+    const call = async (body) => {
+        const response = await stub.fetch(JAR_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...body, ttl: jarTtl })
+        });
+        if (!response.ok) throw new Error(`Cookie jar request failed (${response.status}).`);
+        return (await response.json()).cookie;
+    };
+
+    const documentContext = { http: false };
+    // Lookups in a session that has never stored anything can be skipped
+    let stored = !!existing;
+    // Cookie header lookups of this request (the cache bypass check and the upstream fetch ask for the same one)
+    /** @type {Map<string, Promise<string|null>>} */
+    const lookups = new Map();
+
+    return {
+        id,
+        isNew: !existing,
+        setCookie: `${JAR_SESSION_COOKIE}=${id}; Domain=${config.rootDomain}; Path=/; Max-Age=${jarTtl}; Secure; HttpOnly; SameSite=Lax`,
+
+        async getCookieHeader(url, context = { http: true }) {
+            if (!stored) return null;
+            const key = `${url.href}\n${JSON.stringify(context)}`;
+            if (!lookups.has(key)) lookups.set(key, call({ op: 'get', url: url.href, context }).then(c => c || null));
+            return lookups.get(key);
+        },
+
+        async store(url, setCookies) {
+            if (!setCookies.length) return;
+            stored = true;
+            lookups.clear();
+            await call({ op: 'set', url: url.href, cookies: setCookies, context: { http: true } });
+        },
+
+        async getDocumentCookie(url) {
+            if (!stored) return '';
+            return call({ op: 'get', url: url.href, context: documentContext });
+        },
+
+        async setDocumentCookie(url, cookies) {
+            stored = true;
+            lookups.clear();
+            return call({ op: 'set', url: url.href, cookies, context: documentContext });
+        }
+    };
+}
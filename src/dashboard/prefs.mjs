@@ -0,0 +1,170 @@
+/**
+ * @file Dashboard Session Settings
+ * @description Reads and writes each browser's dashboard settings and derives the config its requests run with.
+ * @version 1.0.0
+ *
+ * The settings live in one cookie (DASHBOARD_COOKIE) scoped to the root domain, so every proxied host
+ * sees them. They are kept only when COOKIE_ROOT_PASSTHROUGH matches the cookie's name: that is what
+ * strips the cookie from every upstream request (see sanitizeRequestCookie). Otherwise the dashboard
+ * runs without memory.
+ *
+ * A session can switch off mods and features the deployment enables, and switch them back on; it
+ * cannot enable what the deployment leaves off. Requests of a session with something switched off
+ * bypass the edge cache, whose entries were rewritten with the deployment's settings.
+ *
+ * Cookie value: base64url of `{"m": [mod ids off], "f": [features off], "h": [recent targets]}`.
+ */
+
+/** Longest target URL kept in the history. */
+const MAX_HISTORY_URL = 200;
+
+/** Largest cookie value written (browsers keep at least 4096 bytes per cookie). */
+const MAX_COOKIE_VALUE = 3800;
+
+/** Seconds the settings cookie lives (1 year, renewed on every change). */
+const COOKIE_MAX_AGE = 31536000;
+
+/**
+ * @typedef {Object} SessionPrefs
+ * @property {string[]} modsOff - Ids of deployment-enabled mods switched off.
+ * @property {string[]} featuresOff - Names of deployment-enabled features switched off (keys of FeatureConfig).
+ * @property {string[]} history - Target URLs opened from the URL bar, most recent first.
+ */
+
+/**
+ * Derived configs, per deployment config and set of switched-off settings. Reusing them keeps the
+ * per-config caches (URL codec) warm.
+ * @type {WeakMap<object, Map<string, import('../config/env.mjs').EnvConfig>>}
+ */
+const derivedConfigs = new WeakMap();
+
+/** @returns {SessionPrefs} */
+function emptyPrefs() {
+    return { modsOff: [], featuresOff: [], history: [] };
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64Url(text) {
+    let binary = '';
+    for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value
+ * @returns {string}
+ * @throws {Error} If the value is not base64url.
+ */
+function fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+}
+
+/**
+ * @param {*} list
+ * @param {function(string): boolean} isValid
+ * @returns {string[]}
+ */
+function stringList(list, isValid) {
+    return Array.isArray(list) ? [...new Set(list.filter(item => typeof item === 'string' && isValid(item)))] : [];
+}
+
+/**
+ * Whether the settings cookie may be used: COOKIE_ROOT_PASSTHROUGH must keep it from upstreams.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {boolean}
+ */
+export function canKeepPrefs(config) {
+    const rootPassthrough = config.cookies.rootPassthrough;
+    return !!rootPassthrough && rootPassthrough.test(config.dashboard.cookie);
+}
+
+/**
+ * Reads the request's dashboard settings. Unknown mods and features, and malformed cookies, are ignored.
+ * @param {Request} request
+ * @param {import('../config/env.mjs').EnvConfig} config - The deployment config.
+ * @returns {SessionPrefs}
+ */
+export function readSessionPrefs(request, config) {
+    if (!config.dashboard.enabled || !canKeepPrefs(config)) return emptyPrefs();
+
+    for (const part of (request.headers.get('Cookie') || '').split(';')) {
+        const eq = part.indexOf('=');
+        if (eq === -1 || part.slice(0, eq).trim() !== config.dashboard.cookie) continue;
+        try {
+            const stored = JSON.parse(fromBase64Url(part.slice(eq + 1).trim()));
+            return {
+                modsOff: stringList(stored.m, id => Object.prototype.hasOwnProperty.call(config.mods, id)),
+                featuresOff: stringList(stored.f, name => config.features[name] === true),
+                history: stringList(stored.h, url => url.length <= MAX_HISTORY_URL && /^https?:\/\//.test(url))
+                    .slice(0, config.dashboard.historySize)
+            };
+        } catch (e) {
+            return emptyPrefs();
+        }
+    }
+    return emptyPrefs();
+}
+
+/**
+ * Adds a target to the front of the history.
+ * @param {SessionPrefs} prefs
+ * @param {string} url - The target URL.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {SessionPrefs}
+ */
+export function withHistory(prefs, url, config) {
+    if (url.length > MAX_HISTORY_URL) return prefs;
+    const history = [url, ...prefs.history.filter(entry => entry !== url)].slice(0, config.dashboard.historySize);
+    return { ...prefs, history };
+}
+
+/**
+ * The Set-Cookie value storing the settings (oldest history entries go first if it grows too large).
+ * @param {SessionPrefs} prefs
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {string}
+ */
+export function sessionPrefsCookie(prefs, config) {
+    const history = prefs.history.slice();
+    let value;
+    do {
+        value = toBase64Url(JSON.stringify({ m: prefs.modsOff, f: prefs.featuresOff, h: history }));
+    } while (value.length > MAX_COOKIE_VALUE && history.pop() !== undefined);
+
+    return `${config.dashboard.cookie}=${value}; Domain=${config.rootDomain}; Path=/; Max-Age=${COOKIE_MAX_AGE}; Secure; HttpOnly; SameSite=Lax`;
+}
+
+/**
+ * The config a session's requests run with: the deployment config minus what the session switched off.
+ * @param {import('../config/env.mjs').EnvConfig} config - The deployment config.
+ * @param {SessionPrefs} prefs
+ * @returns {import('../config/env.mjs').EnvConfig} `config` itself when nothing is switched off.
+ */
+export function applySessionPrefs(config, prefs) {
+    if (!prefs.modsOff.length && !prefs.featuresOff.length) return config;
+
+    let derived = derivedConfigs.get(config);
+    if (!derived) {
+        derived = new Map();
+        derivedConfigs.set(config, derived);
+    }
+    const key = `${prefs.modsOff.slice().sort().join(',')}|${prefs.featuresOff.slice().sort().join(',')}`;
+    if (derived.has(key)) return derived.get(key);
+
+    const features = { ...config.features };
+    prefs.featuresOff.forEach((name) => { features[name] = false; });
+
+    const session = {
+        ...config,
+        mods: Object.fromEntries(Object.entries(config.mods).filter(([id]) => !prefs.modsOff.includes(id))),
+        features,
+        // Cached entries were rewritten with the deployment's mods and features
+        cache: { ...config.cache, enabled: false }
+    };
+    derived.set(key, session);
+    return session;
+}
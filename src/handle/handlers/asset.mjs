@@ -1,11 +1,13 @@
 /**
  * @file Static Asset Handler
  * @description Serves internal generated scripts and public assets.
- * @version 4.0.0 (Typed Config & SW Injector)
+ * @version 4.3.0 (Destination Safety)
  */
 
 import { getStealthInterceptorScript } from '../../templates/interceptor.mjs';
 import { getServiceWorkerCode } from '../../templates/service-worker.js';
+import { getUrlCodec } from '../../url/codec.mjs';
+import { isSafeDestination } from '../../url/destination.mjs';
 
 /**
  * Checks if the request is for a known asset (internal or public) and returns the response.
@@ -19,7 +21,7 @@ export async function handleAsset(request, env, config) {
 
     // 1. Service Worker (Generated)
     if (url.pathname === '/__divortio_sw.js') {
-        const content = getServiceWorkerCode(config.rootDomain);
+        const content = getServiceWorkerCode(config);
         return new Response(content, {
             headers: {
                 'Content-Type': 'application/javascript',
@@ -31,14 +33,27 @@ export async function handleAsset(request, env, config) {
 
     // 2. Service Worker Injector (Gap #2 Fix)
     // Wraps 3rd-party Service Workers to ensure they load our interceptor.
+    // Used by the interceptor's register() trap and by rewritten Web App Manifests.
     if (url.pathname === '/__divortio_sw_injector.js') {
         const target = url.searchParams.get('target');
         if (!target) return new Response("// Missing target", { status: 400 });
 
+        // Only proxied network scripts may be wrapped; anything else is proxified first.
+        const codec = getUrlCodec(config);
+        const scriptUrl = codec.proxify(target, url);
+        if (!codec.isProxied(scriptUrl, url)) return new Response("// Invalid target", { status: 400 });
+
+        // The wrapped script must also be a safe upstream (no loopback, private or metadata hosts).
+        const upstream = codec.resolveTarget(scriptUrl);
+        if (!upstream || !isSafeDestination(upstream, config)) return new Response("// Disallowed target", { status: 403 });
+
         const interceptorUrl = `/__divortio_interceptor.js`;
-        const wrapper = `
-try { importScripts('${interceptorUrl}'); } catch(e) { console.error("[Proxio] SW Injection Failed", e); }
-importScripts('${target}');
+        const wrapper = url.searchParams.get('type') === 'module' ? `
+import ${JSON.stringify(interceptorUrl)};
+import ${JSON.stringify(scriptUrl)};
+` : `
+try { importScripts(${JSON.stringify(interceptorUrl)}); } catch(e) { console.error("[Proxio] SW Injection Failed", e); }
+importScripts(${JSON.stringify(scriptUrl)});
 `;
         return new Response(wrapper, {
             headers: {
@@ -50,7 +65,7 @@ importScripts('${target}');
 
     // 3. Stealth Interceptor (Generated)
     if (url.pathname === '/__divortio_interceptor.js') {
-        const content = getStealthInterceptorScript(config.rootDomain);
+        const content = getStealthInterceptorScript(config);
         return new Response(content, {
             headers: {
                 'Content-Type': 'application/javascript',
@@ -1,23 +1,386 @@
 /**
  * @file Edge Cache Service
  * @description Manages safe reading and writing to Cloudflare's Cache API.
- * @version 2.0.0 (Typed Config)
+ * @version 5.1.0 (Purge)
+ *
+ * The Cache API ignores `Vary`, so it is folded into the key instead:
+ * - Every URL that was stored with a `Vary` gets an index entry (`?__divortio_vary`) listing the
+ *   normalized header names.
+ * - Responses are stored under a variant key: the URL plus a hash of the request's values for those
+ *   headers and CACHE_KEY_HEADERS. Without any, the plain URL is the key.
+ *
+ * Requests carrying upstream credentials (cookies or Authorization) bypass the cache entirely, so every
+ * stored response is an anonymous one. That is also why `Vary: Cookie` does not split the key.
+ *
+ * Freshness follows RFC 9111 for a shared cache: `s-maxage`, then `max-age`, then `Expires`, then
+ * CACHE_TTL, with CACHE_DOMAIN_TTLS and CACHE_TYPE_TTLS overriding the origin. Entries outlive their
+ * freshness by their `stale-while-revalidate` / `stale-if-error` windows (RFC 5861), and entries with
+ * validators by CACHE_KEEP_STALE, so stale ones can be revalidated with a conditional request.
+ *
+ * Only full objects are stored. Range requests are served from them by the Cache API itself (a
+ * `match()` with a Range header slices entries that have a Content-Length). A range that misses goes
+ * upstream as is; the full object is then fetched once in the background (`claimFill`).
+ *
+ * Purges (from the dashboard) go through the Cloudflare API rather than the Cache API, which only
+ * reaches the local data center and cannot enumerate the variants of a URL. A proxy host is purged
+ * as a whole, variants included.
  */
 
+import { sanitizeRequestCookie } from '../../rewrite/rewriters/headers/cookies.mjs';
+import { getCookieContext } from '../../cookies/session.mjs';
+
+/** Query parameter marking the Vary index entry of a URL. */
+const VARY_INDEX_PARAM = '__divortio_vary';
+
+/** Query parameter carrying the variant hash of a URL. */
+const VARIANT_PARAM = '__divortio_variant';
+
+/** Header of the index entry holding the Vary list. */
+const VARY_INDEX_HEADER = 'X-Proxy-Vary';
+
+/** Credential headers: requests with them are never cached, so they never split the key. */
+const CREDENTIAL_HEADERS = ['cookie', 'authorization'];
+
+/** Header of stored responses holding the entry's freshness (never sent to clients). */
+const ENTRY_HEADER = 'X-Proxy-Cache-Entry';
+
+/** Headers a 304 must not update on the stored response (RFC 9111 §3.2). */
+const NOT_MODIFIED_SKIP = ['content-length', 'content-encoding', 'transfer-encoding', 'content-range', 'set-cookie'];
+
+/** Upstream statuses that let a stale entry be served under stale-if-error. */
+const ERROR_STATUSES = [500, 502, 503, 504];
+
+/** Query parameter marking a URL whose full object is being fetched for the cache. */
+const FILL_PARAM = '__divortio_fill';
+
+/** Seconds a fill claim blocks other fills of the same URL. */
+const FILL_CLAIM_TTL = 60;
+
+/** Largest object the Cache API stores. */
+const MAX_OBJECT_BYTES = 512 * 1024 * 1024;
+
+/** Cloudflare API endpoint of zone cache purges. */
+const PURGE_API = 'https://api.cloudflare.com/client/v4/zones/';
+
+/** `Content-Range: bytes first-last/complete` */
+const CONTENT_RANGE = /^bytes\s+(\d+)-(\d+)\/(\d+)$/i;
+
+/**
+ * @typedef {Object} CacheEntryMeta
+ * @property {number} stored - When the entry was stored (ms since epoch).
+ * @property {number} age - Age of the response when stored (the origin's Age header), in seconds.
+ * @property {number} fresh - Freshness lifetime in seconds.
+ * @property {number} swr - stale-while-revalidate window in seconds.
+ * @property {number} sie - stale-if-error window in seconds.
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {Request} key - The entry's cache key.
+ * @property {Response} response - The stored (full) response. Its body is handed out by `respond()`.
+ * @property {boolean} served - True once `respond()` handed the body out.
+ * @property {number} age - Current age in seconds.
+ * @property {'fresh'|'stale-while-revalidate'|'stale'} state - 'stale' entries need an upstream round trip.
+ * @property {boolean} staleIfError - The entry may still be served if the upstream fails.
+ * @property {string|null} etag
+ * @property {string|null} lastModified
+ */
+
+/**
+ * Appends a query parameter to a URL string.
+ * @param {string} url
+ * @param {string} param
+ * @returns {string}
+ */
+function withParam(url, param) {
+    return url + (url.includes('?') ? '&' : '?') + param;
+}
+
+/**
+ * Normalizes a request header value so equivalent requests share a variant.
+ * @param {string} name - Lower-cased header name.
+ * @param {string|null} value
+ * @returns {string}
+ */
+function normalizeHeaderValue(name, value) {
+    if (value === null) return '';
+    if (name === 'accept-encoding') {
+        // Cloudflare negotiates the encoding itself; only the best supported one matters
+        const lower = value.toLowerCase();
+        return lower.includes('br') ? 'br' : lower.includes('gzip') ? 'gzip' : 'identity';
+    }
+    if (name === 'accept' || name === 'accept-language') return value.toLowerCase().replace(/\s+/g, '');
+    return value.trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * @param {string} text
+ * @returns {Promise<string>} Hex SHA-256 digest.
+ */
+async function sha256(text) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parses a Cache-Control header into lower-cased directives.
+ * @param {string|null} value
+ * @returns {Map<string, string>} Directive -> argument ('' for none).
+ */
+function parseCacheControl(value) {
+    const directives = new Map();
+    for (const part of (value || '').split(',')) {
+        const eq = part.indexOf('=');
+        const name = (eq === -1 ? part : part.slice(0, eq)).trim().toLowerCase();
+        if (name && !directives.has(name)) directives.set(name, eq === -1 ? '' : part.slice(eq + 1).trim().replace(/^"|"$/g, ''));
+    }
+    return directives;
+}
+
+/**
+ * @param {string|undefined} value
+ * @returns {number|null} A delta-seconds value, or null if absent or malformed.
+ */
+function deltaSeconds(value) {
+    return value !== undefined && /^\d+$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * The configured freshness override for a response, if any.
+ * @param {URL} targetURL
+ * @param {string} contentType
+ * @param {import('../../config/env.mjs').CacheConfig} cache
+ * @returns {number|null}
+ */
+function overrideTtl(targetURL, contentType, cache) {
+    const host = targetURL.hostname.toLowerCase();
+    const domain = cache.domainTtls.find(({ host: p }) => p.startsWith('*.')
+        ? host === p.slice(2) || host.endsWith(p.slice(1))
+        : host === p);
+    if (domain) return domain.ttl;
+
+    const type = cache.typeTtls.find(({ type: t }) => contentType.toLowerCase().includes(t));
+    return type ? type.ttl : null;
+}
+
+/**
+ * Parses a 206's Content-Range.
+ * @param {Response} response
+ * @returns {{first: number, last: number, size: number}|null}
+ */
+function contentRange(response) {
+    const m = CONTENT_RANGE.exec((response.headers.get('Content-Range') || '').trim());
+    return m ? { first: Number(m[1]), last: Number(m[2]), size: Number(m[3]) } : null;
+}
+
+/**
+ * Whether a 206 carries the whole object (e.g. `Range: bytes=0-` on a small file).
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCompleteRange(response) {
+    const range = response.status === 206 ? contentRange(response) : null;
+    return !!range && range.first === 0 && range.last === range.size - 1;
+}
+
+/**
+ * If-Range (RFC 9110 §13.1.5): the range applies only if the validator matches the entry, with a
+ * strong ETag comparison or an exact Last-Modified date.
+ * @param {Request} request
+ * @param {Response} stored
+ * @returns {boolean}
+ */
+function ifRangeMatches(request, stored) {
+    const ifRange = request.headers.get('If-Range');
+    if (!ifRange) return true;
+    const value = ifRange.trim();
+    if (value.startsWith('"')) return stored.headers.get('ETag') === value;
+    if (value.startsWith('W/')) return false;
+    return stored.headers.get('Last-Modified') === value;
+}
+
 export const CFCache = {
-    getKey(request) {
-        return new Request(request.url, { method: 'GET' });
+    /**
+     * Parses a Vary header into sorted, unique, lower-cased header names.
+     * @param {string|null} vary
+     * @returns {string[]|null} Null for `Vary: *` (the response can never be reused).
+     */
+    normalizeVary(vary) {
+        const names = (vary || '').split(',').map(n => n.trim().toLowerCase()).filter(Boolean);
+        if (names.includes('*')) return null;
+        return Array.from(new Set(names)).sort();
     },
 
-    async get(request) {
-        const key = this.getKey(request);
-        const cache = caches.default;
-        const response = await cache.match(key);
+    /**
+     * Adds a header name to the Vary header unless it is already listed (or Vary is `*`).
+     * @param {Headers} headers
+     * @param {string} name
+     */
+    mergeVary(headers, name) {
+        const current = this.normalizeVary(headers.get('Vary'));
+        if (current === null || current.includes(name.toLowerCase())) return;
+        const existing = headers.get('Vary');
+        headers.set('Vary', existing ? `${existing}, ${name}` : name);
+    },
+
+    /**
+     * The cache key of a request's variant.
+     * @param {Request} request
+     * @param {string[]} names - Lower-cased header names the key depends on.
+     * @returns {Promise<Request>}
+     */
+    async getKey(request, names) {
+        const keyNames = names.filter(n => !CREDENTIAL_HEADERS.includes(n));
+        if (!keyNames.length) return new Request(request.url, { method: 'GET' });
+
+        const lines = keyNames.map(n => `${n}:${normalizeHeaderValue(n, request.headers.get(n))}`);
+        const variant = await sha256(lines.join('\n'));
+        return new Request(withParam(request.url, `${VARIANT_PARAM}=${variant}`), { method: 'GET' });
+    },
+
+    /**
+     * @param {Request} request
+     * @returns {Request} The key of the URL's Vary index entry.
+     */
+    getIndexKey(request) {
+        return new Request(withParam(request.url, VARY_INDEX_PARAM), { method: 'GET' });
+    },
+
+    /**
+     * Header names the stored variants of a request's URL depend on.
+     * @param {Request} request
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @returns {Promise<string[]>}
+     */
+    async getKeyHeaders(request, config) {
+        const index = await caches.default.match(this.getIndexKey(request));
+        const vary = index ? this.normalizeVary(index.headers.get(VARY_INDEX_HEADER)) || [] : [];
+        return Array.from(new Set([...config.cache.keyHeaders, ...vary])).sort();
+    },
+
+    /**
+     * Whether a request must skip the cache because it carries upstream credentials.
+     * @param {Request} request - The client request.
+     * @param {URL} targetURL
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @param {import('../../cookies/session.mjs').CookieJarSession|null} [jar] - The session's cookie jar (jar mode).
+     * @returns {Promise<boolean>}
+     */
+    async bypasses(request, targetURL, config, jar = null) {
+        if (request.headers.has('Authorization')) return true;
+
+        if (jar) {
+            // An unreachable jar cannot vouch for the request being anonymous
+            return jar.getCookieHeader(targetURL, getCookieContext(request, targetURL, config)).then(c => !!c, () => true);
+        }
+
+        // Only the cookies that would reach the upstream count (not the proxy's own)
+        const headers = new Headers(request.headers);
+        sanitizeRequestCookie(headers, config, targetURL);
+        return headers.has('Cookie');
+    },
 
+    /**
+     * Computes how long a response stays fresh and usable when stale.
+     * @param {Response} response
+     * @param {URL} targetURL - The upstream URL (for CACHE_DOMAIN_TTLS).
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @returns {{meta: CacheEntryMeta, fromOrigin: boolean}} `fromOrigin` is false when CACHE_TTL filled in.
+     */
+    freshness(response, targetURL, config) {
+        const headers = response.headers;
+        const cc = parseCacheControl(headers.get('Cache-Control'));
+
+        // 1. Origin lifetime: s-maxage > max-age > Expires (RFC 9111 §4.2.1)
+        let origin = deltaSeconds(cc.get('s-maxage'));
+        if (origin === null) origin = deltaSeconds(cc.get('max-age'));
+        if (origin === null && headers.has('Expires')) {
+            const expires = Date.parse(headers.get('Expires'));
+            const date = Date.parse(headers.get('Date') || '') || Date.now();
+            // An invalid Expires means "already expired"
+            origin = Number.isNaN(expires) ? 0 : Math.max(0, Math.floor((expires - date) / 1000));
+        }
+
+        // 2. Overrides beat the origin; CACHE_TTL only fills in
+        const override = overrideTtl(targetURL, headers.get('Content-Type') || '', config.cache);
+        const fresh = override !== null ? override : origin !== null ? origin : config.cache.ttl;
+
+        // 3. Stale windows, unless the origin forbids serving stale
+        const mustRevalidate = cc.has('must-revalidate') || cc.has('proxy-revalidate');
+        const window = (name) => mustRevalidate ? 0 : deltaSeconds(cc.get(name)) || 0;
+
+        return {
+            meta: {
+                stored: Date.now(),
+                age: deltaSeconds(headers.get('Age') || undefined) || 0,
+                fresh,
+                swr: window('stale-while-revalidate'),
+                sie: window('stale-if-error')
+            },
+            fromOrigin: origin !== null
+        };
+    },
+
+    /**
+     * Finds the stored variant of a request and how usable it is.
+     * @param {Request} request
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @returns {Promise<CacheEntry|null>}
+     */
+    async lookup(request, config) {
+        const key = await this.getKey(request, await this.getKeyHeaders(request, config));
+        const response = await caches.default.match(key);
         if (!response) return null;
 
+        let meta;
+        try {
+            meta = JSON.parse(response.headers.get(ENTRY_HEADER));
+        } catch (e) {
+            meta = null;
+        }
+        // Entries stored without one are fresh until the Cache API evicts them
+        if (!meta) meta = { stored: Date.now(), age: 0, fresh: Infinity, swr: 0, sie: 0 };
+
+        const age = meta.age + Math.max(0, Math.floor((Date.now() - meta.stored) / 1000));
+        const state = age < meta.fresh ? 'fresh' : age < meta.fresh + meta.swr ? 'stale-while-revalidate' : 'stale';
+
+        return {
+            key,
+            response,
+            served: false,
+            age,
+            state,
+            staleIfError: age < meta.fresh + meta.sie,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified')
+        };
+    },
+
+    /**
+     * Builds the client response of an entry, slicing it if the request asks for a range.
+     * @param {CacheEntry} entry
+     * @param {string} status - X-Proxy-Cache value ('HIT', 'STALE', 'REVALIDATED').
+     * @param {Request|null} [request] - The client request (for Range / If-Range).
+     * @returns {Promise<Response>}
+     */
+    async respond(entry, status, request = null) {
+        let response = entry.response;
+        entry.served = true;
+
+        // The Cache API slices entries with a Content-Length itself (206, or 416 past the end)
+        const range = request ? request.headers.get('Range') : null;
+        if (range && response.status === 200 && ifRangeMatches(request, response)) {
+            const partial = await caches.default.match(new Request(entry.key.url, { headers: { Range: range } }));
+            if (partial) {
+                if (response.body) response.body.cancel();
+                response = partial;
+            }
+        }
+
         const headers = new Headers(response.headers);
-        headers.set('X-Proxy-Cache', 'HIT');
+        headers.delete(ENTRY_HEADER);
+        headers.set('Age', String(entry.age));
+        headers.set('X-Proxy-Cache', status);
 
         return new Response(response.body, {
             status: response.status,
@@ -26,35 +389,197 @@ export const CFCache = {
         });
     },
 
+    /**
+     * Turns a request into a conditional one against a stale entry's validators.
+     * @param {Request} request
+     * @param {CacheEntry} entry
+     * @returns {Request}
+     */
+    conditional(request, entry) {
+        if (!entry.etag && !entry.lastModified) return request;
+
+        // The client's Range (and its If-Range) still apply if the entry turns out to be outdated
+        const headers = new Headers(request.headers);
+        ['If-None-Match', 'If-Modified-Since', 'If-Match', 'If-Unmodified-Since'].forEach(h => headers.delete(h));
+        if (entry.etag) headers.set('If-None-Match', entry.etag);
+        if (entry.lastModified) headers.set('If-Modified-Since', entry.lastModified);
+
+        return new Request(request, { headers });
+    },
+
+    /**
+     * Applies a 304 to a stale entry (RFC 9111 §4.3.4): the stored body with the updated headers.
+     * @param {CacheEntry} entry
+     * @param {Response} notModified - The upstream 304.
+     * @returns {Promise<CacheEntry|null>} The refreshed entry (age 0), or null if its body is gone.
+     */
+    async refresh(entry, notModified) {
+        // Under stale-while-revalidate the entry's own body already went to the client
+        const stored = entry.served ? await caches.default.match(entry.key) : entry.response;
+        if (!stored) return null;
+
+        const headers = new Headers(stored.headers);
+        for (const [name, value] of notModified.headers) {
+            if (!NOT_MODIFIED_SKIP.includes(name.toLowerCase())) headers.set(name, value);
+        }
+        // The age is the 304's own
+        headers.delete('Age');
+        if (notModified.headers.has('Age')) headers.set('Age', notModified.headers.get('Age'));
+
+        const response = new Response(stored.body, {
+            status: stored.status,
+            statusText: stored.statusText,
+            headers
+        });
+        return {
+            ...entry,
+            response,
+            served: false,
+            age: 0,
+            state: 'fresh',
+            etag: headers.get('ETag'),
+            lastModified: headers.get('Last-Modified')
+        };
+    },
+
+    /**
+     * Whether a failed upstream response may be replaced by a stale entry.
+     * @param {CacheEntry|null} entry
+     * @param {Response|null} response - Null if the fetch threw.
+     * @returns {boolean}
+     */
+    servesStale(entry, response) {
+        // Not once its body went to the client (stale-while-revalidate)
+        return !!entry && entry.staleIfError && !entry.served
+            && (!response || ERROR_STATUSES.includes(response.status));
+    },
+
+    /**
+     * Whether a partial upstream response should trigger a background fetch of the full object.
+     * @param {Response} response - The (rewritten) 206.
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @returns {boolean}
+     */
+    needsFill(response, config) {
+        const range = response.status === 206 ? contentRange(response) : null;
+        if (!range || isCompleteRange(response) || range.size > MAX_OBJECT_BYTES) return false;
+        const contentType = response.headers.get('Content-Type') || '';
+        return config.cache.cacheableTypes.some(type => contentType.includes(type));
+    },
+
+    /**
+     * Claims the background fill of a URL. Best effort: concurrent claims may both succeed.
+     * @param {Request} request
+     * @returns {Promise<boolean>} False if another fill is already running.
+     */
+    async claimFill(request) {
+        const key = new Request(withParam(request.url, FILL_PARAM), { method: 'GET' });
+        if (await caches.default.match(key)) return false;
+        await caches.default.put(key, new Response(null, {
+            headers: { 'Cloudflare-CDN-Cache-Control': `max-age=${FILL_CLAIM_TTL}` }
+        }));
+        return true;
+    },
+
+    /**
+     * The request for a full object: the client request without its range.
+     * @param {Request} request
+     * @returns {Request}
+     */
+    withoutRange(request) {
+        const headers = new Headers(request.headers);
+        headers.delete('Range');
+        headers.delete('If-Range');
+        return new Request(request, { headers });
+    },
+
+    /**
+     * Purges the zone's cache, in every data center.
+     * @param {{hosts: string[]}|{everything: true}} scope - Proxy hostnames, or the whole zone.
+     * @param {import('../../config/env.mjs').EnvConfig} config
+     * @param {object} env - The Worker environment (for the CACHE_PURGE_TOKEN secret).
+     * @returns {Promise<void>}
+     * @throws {Error} If purging is not configured or the API refuses the purge.
+     */
+    async purge(scope, config, env) {
+        if (!config.cache.purgeZoneId) throw new Error('Cache purge is not configured (CACHE_PURGE_ZONE_ID).');
+
+        const response = await fetch(`${PURGE_API}${config.cache.purgeZoneId}/purge_cache`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${env.CACHE_PURGE_TOKEN}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(scope.everything ? { purge_everything: true } : { hosts: scope.hosts })
+        });
+        const result = await response.json().catch(() => null);
+        if (!response.ok || !result || !result.success) {
+            const reason = result && Array.isArray(result.errors) && result.errors.length ? result.errors[0].message : `HTTP ${response.status}`;
+            throw new Error(`Cache purge failed: ${reason}`);
+        }
+    },
+
     /**
      * @param {Request} request
      * @param {Response} response
      * @param {import('../../config/env.mjs').EnvConfig} config
+     * @param {URL} targetURL - The upstream URL the response came from.
      */
-    async save(request, response, config) {
+    async save(request, response, config, targetURL) {
         if (!this.isSafeToCache(response, config)) return;
 
-        const key = this.getKey(request);
-        const cache = caches.default;
+        const vary = this.normalizeVary(response.headers.get('Vary'));
+        if (vary === null) return;
+
+        // Kept for its fresh life, then its stale windows (or revalidation window if it has validators)
+        const { meta, fromOrigin } = this.freshness(response, targetURL, config);
+        const validators = response.headers.has('ETag') || response.headers.has('Last-Modified');
+        const retention = Math.max(0, meta.fresh - meta.age) + Math.max(meta.swr, meta.sie, validators ? config.cache.keepStale : 0);
+        if (retention <= 0) return;
+
+        // Cloned before the first await: the client is about to consume the original body
         const cacheableResponse = response.clone();
+        const cache = caches.default;
+        const cdnCacheControl = { 'Cloudflare-CDN-Cache-Control': `max-age=${retention}` };
+
+        // 1. Index the Vary list, or drop a stale one (and the variants it pointed to become unreachable)
+        const varyNames = vary.filter(n => !CREDENTIAL_HEADERS.includes(n));
+        if (varyNames.length) {
+            await cache.put(this.getIndexKey(request), new Response(null, {
+                headers: { ...cdnCacheControl, [VARY_INDEX_HEADER]: varyNames.join(', ') }
+            }));
+            // The plain-URL entry of an earlier Vary-less response no longer applies
+            if (!config.cache.keyHeaders.length) await cache.delete(new Request(request.url, { method: 'GET' }));
+        } else {
+            await cache.delete(this.getIndexKey(request));
+        }
+
+        // 2. Store the variant (a 206 spanning the whole object is stored as the full object)
+        const key = await this.getKey(request, Array.from(new Set([...config.cache.keyHeaders, ...varyNames])).sort());
         const headers = new Headers(cacheableResponse.headers);
+        const complete = isCompleteRange(cacheableResponse);
+        if (complete) {
+            headers.set('Content-Length', String(contentRange(cacheableResponse).size));
+            headers.delete('Content-Range');
+        }
 
         headers.delete('Set-Cookie');
-
-        // Use typed config.cache.ttl
-        headers.set('Cloudflare-CDN-Cache-Control', `max-age=${config.cache.ttl}`);
-        headers.set('Cache-Control', `public, max-age=${config.cache.ttl}`);
-        headers.append('Vary', 'Accept-Encoding');
+        headers.delete('X-Proxy-Cache');
+        headers.set('Cloudflare-CDN-Cache-Control', cdnCacheControl['Cloudflare-CDN-Cache-Control']);
+        headers.set(ENTRY_HEADER, JSON.stringify(meta));
+        // Browsers keep the origin's Cache-Control; without one, they get the edge lifetime
+        if (!fromOrigin) headers.set('Cache-Control', `public, max-age=${meta.fresh}`);
+        this.mergeVary(headers, 'Accept-Encoding');
 
         await cache.put(key, new Response(cacheableResponse.body, {
-            status: cacheableResponse.status,
-            statusText: cacheableResponse.statusText,
+            status: complete ? 200 : cacheableResponse.status,
+            statusText: complete ? 'OK' : cacheableResponse.statusText,
             headers: headers
         }));
     },
 
     isSafeToCache(response, config) {
-        if (response.status !== 200) return false;
+        if (response.status !== 200 && !isCompleteRange(response)) return false;
 
         const contentType = response.headers.get('Content-Type') || '';
         // Use typed config.cache.cacheableTypes
@@ -68,4 +593,4 @@ export const CFCache = {
 
         return true;
     }
-};
\ No newline at end of file
+};
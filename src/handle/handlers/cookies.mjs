@@ -0,0 +1,83 @@
+/**
+ * @file Cookie Jar Endpoint
+ * @description Serves `document.cookie` reads and writes of proxied pages in cookie jar mode.
+ * @version 1.0.0
+ *
+ * POST /__divortio_cookies on any proxied host, called by the interceptor's `document.cookie` and
+ * `cookieStore` traps:
+ *
+ *   { "url": "<proxied page URL>", "cookies": ["a=1; Path=/"] }  ->  { "cookie": "a=1; b=2" }
+ *
+ * Without `cookies` it only returns the page's current view. Every proxied host shares the jar
+ * session cookie, so requests must come from a page on the same proxied origin (Origin header and
+ * page URL), which keeps one upstream site from writing another site's cookies.
+ */
+
+import { getUrlCodec } from '../../url/codec.mjs';
+import { openCookieJar } from '../../cookies/session.mjs';
+
+/** Path of the endpoint on every proxied host. */
+export const COOKIE_ENDPOINT_PATH = '/__divortio_cookies';
+
+/** Most cookie writes accepted per call. */
+const MAX_WRITES = 50;
+
+/**
+ * @param {number} status
+ * @param {object} body
+ * @param {string|null} [setCookie] - Jar session cookie to issue.
+ * @returns {Response}
+ */
+function json(status, body, setCookie = null) {
+    const headers = new Headers({ 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    if (setCookie) headers.append('Set-Cookie', setCookie);
+    return new Response(JSON.stringify(body), { status, headers });
+}
+
+/**
+ * Handles the endpoint; returns null for every other request.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @returns {Promise<Response|null>}
+ */
+export async function handleCookieEndpoint(request, env, config) {
+    if (config.cookies.mode !== 'jar') return null;
+    const url = new URL(request.url);
+    if (url.pathname !== COOKIE_ENDPOINT_PATH) return null;
+
+    // 1. Request shape & origin
+    if (request.method !== 'POST') return json(405, { error: 'Method not allowed' });
+    if (!(request.headers.get('Content-Type') || '').toLowerCase().startsWith('application/json')) {
+        return json(415, { error: 'Expected application/json' });
+    }
+    if (request.headers.get('Origin') !== url.origin) return json(403, { error: 'Cross-origin request' });
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return json(400, { error: 'Invalid JSON' });
+    }
+    const cookies = body && body.cookies !== undefined ? body.cookies : [];
+    if (!Array.isArray(cookies) || cookies.length > MAX_WRITES || cookies.some(c => typeof c !== 'string')) {
+        return json(400, { error: `'cookies' must be an array of at most ${MAX_WRITES} strings` });
+    }
+
+    // 2. The page must live on this proxied origin
+    const codec = getUrlCodec(config);
+    let pageURL;
+    try {
+        pageURL = new URL(body.url);
+    } catch (e) {
+        return json(400, { error: 'Invalid url' });
+    }
+    const page = pageURL.origin === url.origin ? codec.resolveTarget(pageURL.href) : null;
+    if (!page) return json(403, { error: 'Page does not belong to this origin' });
+
+    // 3. Read or write the jar
+    const jar = openCookieJar(request, config, env);
+    const cookie = cookies.length ? await jar.setDocumentCookie(page, cookies) : await jar.getDocumentCookie(page);
+
+    return json(200, { cookie }, jar.isNew ? jar.setCookie : null);
+}
@@ -0,0 +1,267 @@
+/**
+ * @file Dashboard Endpoint
+ * @description Serves the admin dashboard on the root domain and applies its forms.
+ * @version 1.0.0
+ *
+ * Available while DASHBOARD is on:
+ *
+ *   GET  https://<root>/  or  https://<root>/__divortio/   ->  the dashboard (HTML)
+ *   POST https://<root>/__divortio/session                  ->  action=save (mod=..., feature=...) | reset | clear-history
+ *   POST https://<root>/__divortio/cache                    ->  action=host (target=...) | everything (confirm=yes)
+ *
+ * Forms answer with a 303 back to the dashboard. Proxied sites are same-site with the root domain
+ * and could post to it, so every POST must carry the root domain's own Origin. The dashboard shows
+ * the deployment's configuration and purges its cache: the root domain must sit behind Cloudflare
+ * Access like the rest of the deployment.
+ */
+
+import { MOD_REGISTRY } from '../../mods/registry.mjs';
+import { getUrlCodec } from '../../url/codec.mjs';
+import { getDashboardPage } from '../../templates/dashboard.mjs';
+import { applySessionPrefs, canKeepPrefs, readSessionPrefs, sessionPrefsCookie } from '../../dashboard/prefs.mjs';
+import { openLeakStore, toLeakReport } from '../../leaks/report.mjs';
+import { CFCache } from './cfCache.mjs';
+import { HAR_ENDPOINT_PATH } from './har.mjs';
+import { TAP_ENDPOINT_PATH } from './tap.mjs';
+import { LEAK_ENDPOINT_PATH } from './leaks.mjs';
+
+/** Path of the dashboard (also served at `/`). */
+export const DASHBOARD_PATH = '/__divortio/';
+
+const SESSION_PATH = '/__divortio/session';
+const CACHE_PATH = '/__divortio/cache';
+
+/** Patterns listed under "Recent leak reports". */
+const LEAK_ROWS = 10;
+
+/** Labels of the feature flags (keys of FeatureConfig). */
+const FEATURE_LABELS = {
+    stealthMode: 'Client-side interceptor (FEATURES_STEALTH_MODE)',
+    serviceWorker: 'Service Worker (FEATURES_SERVICE_WORKER)'
+};
+
+/** Messages shown after a form's redirect (`?notice=`). */
+const NOTICES = {
+    saved: 'Session settings saved.',
+    reset: 'Session settings reset to the deployment defaults.',
+    'history-cleared': 'History cleared.',
+    purged: 'Purge requested: it reaches every data center within a few seconds.'
+};
+
+/**
+ * @param {string} rootDomain
+ * @returns {Headers}
+ */
+function pageHeaders(rootDomain) {
+    return new Headers({
+        'Content-Type': 'text/html; charset=utf-8',
+        'Content-Security-Policy': `default-src 'none'; style-src 'unsafe-inline'; form-action 'self' https://*.${rootDomain}; frame-ancestors 'none'; base-uri 'none'`,
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex, nofollow'
+    });
+}
+
+/**
+ * Serializes the effective config for display: functions dropped, patterns as strings.
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @returns {string}
+ */
+function describeConfig(config) {
+    return JSON.stringify(config, (key, value) => {
+        if (value instanceof RegExp || typeof value === 'bigint') return value.toString();
+        return value;
+    }, 2);
+}
+
+/**
+ * Loads the most frequent leak patterns.
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @returns {Promise<object>} The view's `leaks`.
+ */
+async function loadLeaks(config, env) {
+    if (!config.leaks.enabled) return { enabled: false };
+    try {
+        const report = toLeakReport(await openLeakStore(config, env).get());
+        const rows = report.origins
+            .flatMap(origin => origin.patterns.map(pattern => ({
+                origin: origin.origin,
+                pattern: pattern.pattern,
+                count: pattern.count,
+                traps: Object.entries(pattern.traps).sort((a, b) => b[1] - a[1]).map(([trap, count]) => `${trap} ${count}`).join(', '),
+                page: pattern.sample ? pattern.sample.page : null
+            })))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, LEAK_ROWS);
+        return { enabled: true, total: report.total, since: report.since, rows };
+    } catch (e) {
+        return { enabled: true, error: e.message };
+    }
+}
+
+/**
+ * Renders the dashboard.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {{type: 'ok'|'error', text: string}|null} notice
+ * @param {number} [status=200]
+ * @returns {Promise<Response>}
+ */
+async function renderDashboard(request, env, config, notice, status = 200) {
+    const prefs = readSessionPrefs(request, config);
+    const codec = getUrlCodec(config);
+
+    const endpoints = [];
+    if (config.har.enabled) endpoints.push({ label: 'HAR capture', href: HAR_ENDPOINT_PATH });
+    if (config.tap.mode !== 'off') endpoints.push({ label: 'WebSocket recordings', href: TAP_ENDPOINT_PATH });
+    if (config.leaks.enabled) endpoints.push({ label: 'Leak report', href: LEAK_ENDPOINT_PATH });
+
+    const html = getDashboardPage({
+        rootDomain: config.rootDomain,
+        notice,
+        keep: canKeepPrefs(config),
+        cookie: config.dashboard.cookie,
+        history: config.dashboard.historySize > 0 ? prefs.history.map(url => ({ url, href: codec.proxify(url) })) : null,
+        mods: MOD_REGISTRY.map(({ id, envKey }) => {
+            const enabled = Object.prototype.hasOwnProperty.call(config.mods, id);
+            return { name: id, label: `${id} (${envKey})`, enabled, on: enabled && !prefs.modsOff.includes(id) };
+        }),
+        features: Object.keys(config.features).map((name) => {
+            const enabled = config.features[name] === true;
+            return { name, label: FEATURE_LABELS[name] || name, enabled, on: enabled && !prefs.featuresOff.includes(name) };
+        }),
+        cache: { enabled: config.cache.enabled, purge: !!config.cache.purgeZoneId },
+        leaks: await loadLeaks(config, env),
+        endpoints,
+        config: describeConfig(applySessionPrefs(config, prefs))
+    });
+    return new Response(request.method === 'HEAD' ? null : html, { status, headers: pageHeaders(config.rootDomain) });
+}
+
+/**
+ * Redirects back to the dashboard after a form.
+ * @param {string} notice - Key of NOTICES.
+ * @param {string|null} [cookie] - Set-Cookie value.
+ * @returns {Response}
+ */
+function done(notice, cookie = null) {
+    const headers = new Headers({ 'Location': `${DASHBOARD_PATH}?notice=${notice}`, 'Cache-Control': 'no-store' });
+    if (cookie) headers.append('Set-Cookie', cookie);
+    return new Response(null, { status: 303, headers });
+}
+
+/**
+ * Applies the session settings form.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {FormData} form
+ * @returns {Promise<Response>}
+ */
+async function updateSession(request, env, config, form) {
+    if (!canKeepPrefs(config)) {
+        return renderDashboard(request, env, config, { type: 'error', text: `Settings cannot be stored: COOKIE_ROOT_PASSTHROUGH does not match '${config.dashboard.cookie}'.` }, 409);
+    }
+    const prefs = readSessionPrefs(request, config);
+
+    switch (form.get('action')) {
+        case 'save': {
+            // Unchecked boxes are not submitted: what the deployment enables and the form leaves out is off
+            const modsOn = form.getAll('mod');
+            const featuresOn = form.getAll('feature');
+            const modsOff = Object.keys(config.mods).filter(id => !modsOn.includes(id));
+            const featuresOff = Object.keys(config.features).filter(name => config.features[name] === true && !featuresOn.includes(name));
+            return done('saved', sessionPrefsCookie({ ...prefs, modsOff, featuresOff }, config));
+        }
+        case 'reset':
+            return done('reset', sessionPrefsCookie({ ...prefs, modsOff: [], featuresOff: [] }, config));
+        case 'clear-history':
+            return done('history-cleared', sessionPrefsCookie({ ...prefs, history: [] }, config));
+        default:
+            return renderDashboard(request, env, config, { type: 'error', text: 'Unknown action.' }, 400);
+    }
+}
+
+/**
+ * Applies the cache purge forms.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {FormData} form
+ * @returns {Promise<Response>}
+ */
+async function purgeCache(request, env, config, form) {
+    const fail = (text, status) => renderDashboard(request, env, config, { type: 'error', text }, status);
+    if (!config.cache.purgeZoneId) return fail('Cache purge is not configured (CACHE_PURGE_ZONE_ID).', 409);
+
+    // 1. Scope
+    let scope;
+    const action = form.get('action');
+    if (action === 'everything') {
+        if (form.get('confirm') !== 'yes') return fail('Confirm the purge of every cached response.', 400);
+        scope = { everything: true };
+    } else if (action === 'host') {
+        let input = String(form.get('target') || '').trim();
+        if (!input.startsWith('http://') && !input.startsWith('https://')) input = 'https://' + input;
+        try {
+            // Cached responses are keyed by proxy URL: the target's proxy host is purged
+            scope = { hosts: [new URL(getUrlCodec(config).proxify(new URL(input).href)).hostname] };
+        } catch (e) {
+            return fail('Enter a site to purge, e.g. example.com.', 400);
+        }
+    } else {
+        return fail('Unknown action.', 400);
+    }
+
+    // 2. Purge
+    try {
+        await CFCache.purge(scope, config, env);
+    } catch (e) {
+        return fail(e.message, 502);
+    }
+    return done('purged');
+}
+
+/**
+ * Handles the dashboard; returns null for every other request.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config - The deployment config.
+ * @returns {Promise<Response|null>}
+ */
+export async function handleDashboard(request, env, config) {
+    if (!config.dashboard.enabled) return null;
+    const url = new URL(request.url);
+    if (url.hostname !== config.rootDomain) return null;
+
+    // 1. Page (a root request with a query is a redirect, see landing.mjs)
+    if (url.pathname === DASHBOARD_PATH || (url.pathname === '/' && !url.search)) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'GET, HEAD' } });
+        }
+        const notice = NOTICES[url.searchParams.get('notice')];
+        return renderDashboard(request, env, config, notice ? { type: 'ok', text: notice } : null);
+    }
+    if (url.pathname !== SESSION_PATH && url.pathname !== CACHE_PATH) return null;
+
+    // 2. Forms: same-origin posts only
+    if (request.method !== 'POST') return new Response('Method not allowed', { status: 405, headers: { 'Allow': 'POST' } });
+    if (request.headers.get('Origin') !== url.origin) {
+        return new Response('Divortio Proxy: Cross-origin request.', { status: 403 });
+    }
+    const type = (request.headers.get('Content-Type') || '').toLowerCase();
+    if (!type.startsWith('application/x-www-form-urlencoded') && !type.startsWith('multipart/form-data')) {
+        return new Response('Divortio Proxy: Expected a form.', { status: 415 });
+    }
+    let form;
+    try {
+        form = await request.formData();
+    } catch (e) {
+        return new Response('Divortio Proxy: Invalid form.', { status: 400 });
+    }
+
+    return url.pathname === SESSION_PATH
+        ? updateSession(request, env, config, form)
+        : purgeCache(request, env, config, form);
+}
@@ -0,0 +1,50 @@
+/**
+ * @file HAR Capture Endpoint
+ * @description Serves the requesting browser's captured traffic as a HAR 1.2 file on the root domain.
+ * @version 1.0.0
+ *
+ * Available while HAR_CAPTURE is on:
+ *
+ *   GET    https://<root>/__divortio/har   ->  the session's HAR (attachment)
+ *   DELETE https://<root>/__divortio/har   ->  clears the session's entries
+ *
+ * The session is the one of the capture cookie the browser sends, so each tester downloads their
+ * own traffic. Without a capture cookie the HAR is empty.
+ */
+
+import { readHarSessionId, openHarStore, toHar } from '../../har/capture.mjs';
+
+/** Path of the endpoint on the root domain. */
+export const HAR_ENDPOINT_PATH = '/__divortio/har';
+
+/**
+ * Handles the endpoint; returns null for every other request.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @returns {Promise<Response|null>}
+ */
+export async function handleHarEndpoint(request, env, config) {
+    if (!config.har.enabled) return null;
+    const url = new URL(request.url);
+    if (url.hostname !== config.rootDomain || url.pathname !== HAR_ENDPOINT_PATH) return null;
+
+    const headers = new Headers({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow' });
+    const id = readHarSessionId(request);
+
+    // 1. Clear
+    if (request.method === 'DELETE') {
+        if (id) await openHarStore(id, config, env).clear();
+        return new Response(null, { status: 204, headers });
+    }
+    if (request.method !== 'GET') {
+        headers.set('Allow', 'GET, DELETE');
+        return new Response('Method not allowed', { status: 405, headers });
+    }
+
+    // 2. Download
+    const entries = id ? await openHarStore(id, config, env).get() : [];
+    headers.set('Content-Type', 'application/json');
+    headers.set('Content-Disposition', `attachment; filename="divortio-${new Date().toISOString().slice(0, 10)}.har"`);
+    return new Response(JSON.stringify(toHar(entries), null, 2), { status: 200, headers });
+}
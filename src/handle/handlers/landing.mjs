@@ -1,12 +1,18 @@
 /**
  * @file Landing Page & Redirect Handler
  * @description Handles requests to the root domain, providing quick redirects.
- * @version 2.0.0 (Typed Config)
+ * @version 3.1.0 (URL Bar History)
+ *
+ * The dashboard's URL bar submits here (`/?url=...`); the target joins the browser's history when
+ * its dashboard settings can be kept (see dashboard/prefs.mjs).
  */
 
+import { getUrlCodec } from '../../url/codec.mjs';
+import { canKeepPrefs, readSessionPrefs, sessionPrefsCookie, withHistory } from '../../dashboard/prefs.mjs';
+
 /**
  * Checks for a query-based redirect on the root domain.
- * Example: https://proxy.com/?google.com -> https://google.com.proxy.com/
+ * Example: https://proxy.com/?google.com -> https://google.com.proxy.com/ (or google-com.proxy.com in 'label' mode)
  * @param {Request} request
  * @param {import('../../config/env.mjs').EnvConfig} config
  * @returns {Response|null} Redirect response or null if no action needed.
@@ -21,22 +27,28 @@ export function handleRootRedirect(request, config) {
     let input = url.search.slice(1);
     if (!input) return null;
 
-    // 3. Normalize Input
-    input = decodeURIComponent(input);
-    if (input.startsWith('url=')) input = input.slice(4);
+    try {
+        // 3. Normalize Input (a malformed escape such as `%E0` throws and falls through)
+        input = decodeURIComponent(input);
+        if (input.startsWith('url=')) input = input.slice(4);
 
-    if (!input.startsWith('http://') && !input.startsWith('https://')) {
-        input = 'https://' + input;
-    }
+        if (!input.startsWith('http://') && !input.startsWith('https://')) {
+            input = 'https://' + input;
+        }
 
-    try {
         const target = new URL(input);
 
         // 4. Construct the proxied URL
-        const proxyHostname = `${target.hostname}.${config.rootDomain}`;
-        const proxyUrl = `https://${proxyHostname}${target.pathname}${target.search}`;
+        const proxyUrl = getUrlCodec(config).proxify(target.href);
+        const headers = new Headers({ 'Location': proxyUrl, 'Cache-Control': 'no-store' });
+
+        // 5. Remember the target for the URL bar
+        if (config.dashboard.enabled && config.dashboard.historySize > 0 && canKeepPrefs(config)) {
+            const prefs = withHistory(readSessionPrefs(request, config), target.href, config);
+            headers.append('Set-Cookie', sessionPrefsCookie(prefs, config));
+        }
 
-        return Response.redirect(proxyUrl, 302);
+        return new Response(null, { status: 302, headers });
     } catch (e) {
         return null;
     }
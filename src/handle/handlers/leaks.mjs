@@ -0,0 +1,84 @@
+/**
+ * @file Leak Report Endpoint
+ * @description Collects the interceptor's leak beacons and serves the aggregated report on the root domain.
+ * @version 1.0.0
+ *
+ * Available while LEAK_REPORTS is on:
+ *
+ *   POST   https://<any proxied host>/__divortio/leaks   { "leaks": [ { url, page, initiatorType, trap }, ... ] }  ->  204
+ *   GET    https://<root>/__divortio/leaks               ->  the report, grouped by origin and pattern (see leaks/report.mjs)
+ *   DELETE https://<root>/__divortio/leaks               ->  clears the report
+ *
+ * Beacons must come from a page of the host they are sent to (Origin header), like the cookie jar
+ * endpoint, so a third-party site cannot fill the report.
+ */
+
+import { getUrlCodec } from '../../url/codec.mjs';
+import { MAX_LEAKS, openLeakStore, parseLeaks, toLeakReport } from '../../leaks/report.mjs';
+
+/** Path of the endpoint on every host. */
+export const LEAK_ENDPOINT_PATH = '/__divortio/leaks';
+
+/** Largest beacon body accepted (bytes). */
+const MAX_BODY = 65536;
+
+/**
+ * @param {number} status
+ * @param {object|null} body
+ * @param {Record<string, string>} [extra] - Additional headers.
+ * @returns {Response}
+ */
+function json(status, body, extra = {}) {
+    const headers = new Headers({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex, nofollow', ...extra });
+    if (body === null) return new Response(null, { status, headers });
+    headers.set('Content-Type', 'application/json');
+    return new Response(JSON.stringify(body, null, 2), { status, headers });
+}
+
+/**
+ * Handles the endpoint; returns null for every other request.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @returns {Promise<Response|null>}
+ */
+export async function handleLeakEndpoint(request, env, config) {
+    if (!config.leaks.enabled) return null;
+    const url = new URL(request.url);
+    if (url.pathname !== LEAK_ENDPOINT_PATH) return null;
+    const root = url.hostname === config.rootDomain;
+
+    // 1. Report (root domain)
+    if (root && request.method === 'GET') {
+        return json(200, toLeakReport(await openLeakStore(config, env).get()));
+    }
+    if (root && request.method === 'DELETE') {
+        await openLeakStore(config, env).clear();
+        return json(204, null);
+    }
+    if (request.method !== 'POST') {
+        return json(405, { error: 'Method not allowed' }, { Allow: root ? 'GET, DELETE, POST' : 'POST' });
+    }
+
+    // 2. Beacon shape & origin
+    const type = (request.headers.get('Content-Type') || '').toLowerCase();
+    if (!type.startsWith('application/json') && !type.startsWith('text/plain')) {
+        return json(415, { error: 'Expected application/json' });
+    }
+    if (request.headers.get('Origin') !== url.origin) return json(403, { error: 'Cross-origin request' });
+
+    const text = await request.text();
+    if (text.length > MAX_BODY) return json(413, { error: 'Beacon too large' });
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (e) {
+        return json(400, { error: 'Invalid JSON' });
+    }
+
+    // 3. Store
+    const leaks = parseLeaks(body && body.leaks, getUrlCodec(config));
+    if (!leaks) return json(400, { error: `'leaks' must be an array of at most ${MAX_LEAKS} reports` });
+    if (leaks.length) await openLeakStore(config, env).add(leaks);
+    return json(204, null);
+}
@@ -0,0 +1,145 @@
+/**
+ * @file Target Policy Handler
+ * @description Enforces the allow/deny policy for proxied targets and serves the block page.
+ * @version 1.0.0
+ *
+ * Runs right after target resolution, before the cache, mods or upstream see the request.
+ * The policy comes from POLICY_RULES or, when POLICY_KV_BINDING is set, from a JSON document in KV
+ * (POLICY_RULES then only serves while the KV document is missing or invalid). A policy read from
+ * KV is reused for POLICY_REFRESH_SECONDS; a broken update keeps the previous one serving.
+ *
+ * Identity rules match the `Cf-Access-Authenticated-User-Email` header, which Cloudflare Access
+ * sets on every request it authenticated.
+ */
+
+import { compilePolicy, evaluatePolicy } from '../../policy/rules.mjs';
+import { getBlockPage } from '../../templates/blockPage.mjs';
+import { errorFields, logEvent } from '../../telemetry/log.mjs';
+
+/**
+ * Last policy read from KV, per isolate.
+ * @type {{key: string, policy: import('../../policy/rules.mjs').Policy, expires: number}|null}
+ */
+let kvPolicy = null;
+
+/**
+ * Reads and compiles the KV policy document.
+ * @param {import('../../config/env.mjs').PolicyConfig} policyConfig
+ * @param {object} env
+ * @returns {Promise<import('../../policy/rules.mjs').Policy|null>} Null if the key does not exist.
+ * @throws {Error} If the document is not valid JSON or not a valid policy.
+ */
+async function readKvPolicy(policyConfig, env) {
+    const { kvBinding, kvKey, refreshSeconds } = policyConfig;
+    const text = await env[kvBinding].get(kvKey, { cacheTtl: refreshSeconds });
+    if (text === null) return null;
+
+    let doc;
+    try {
+        doc = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Policy Error: KV key '${kvKey}' is not valid JSON (${e.message}).`);
+    }
+    return compilePolicy(doc);
+}
+
+/**
+ * Returns the policy in force.
+ * @param {import('../../config/env.mjs').PolicyConfig} policyConfig
+ * @param {object} env
+ * @returns {Promise<import('../../policy/rules.mjs').Policy|null>} Null if no policy could be loaded.
+ */
+async function loadPolicy(policyConfig, env) {
+    if (!policyConfig.kvBinding) return policyConfig.rules;
+
+    // 1. Cached KV copy
+    const key = `${policyConfig.kvBinding}/${policyConfig.kvKey}`;
+    const cached = kvPolicy && kvPolicy.key === key ? kvPolicy : null;
+    if (cached && cached.expires > Date.now()) return cached.policy;
+
+    // 2. Refresh (concurrent misses each read KV; requests must not share pending I/O)
+    try {
+        const policy = await readKvPolicy(policyConfig, env);
+        if (policy) {
+            kvPolicy = { key, policy, expires: Date.now() + policyConfig.refreshSeconds * 1000 };
+            return policy;
+        }
+        logEvent('warn', 'policy-kv-missing', { key: policyConfig.kvKey });
+    } catch (e) {
+        logEvent('error', 'policy-kv-failed', { key: policyConfig.kvKey, ...errorFields(e) });
+    }
+
+    // 3. Last known good, then the environment rules
+    return cached ? cached.policy : policyConfig.rules;
+}
+
+/**
+ * Builds the block response: the block page for navigations, plain text for everything else.
+ * @param {Request} request
+ * @param {URL} targetURL
+ * @param {import('../../config/env.mjs').PolicyConfig} policyConfig
+ * @param {number} status
+ * @param {{reason: string, rule: string}} details
+ * @returns {Response}
+ */
+function blockResponse(request, targetURL, policyConfig, status, { reason, rule }) {
+    const headers = {
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex, nofollow',
+        'X-Proxy-Policy': rule
+    };
+
+    if (!(request.headers.get('Accept') || '').includes('text/html')) {
+        return new Response(`Blocked by proxy policy: ${reason}`, {
+            status,
+            headers: { ...headers, 'Content-Type': 'text/plain; charset=utf-8' }
+        });
+    }
+
+    const html = getBlockPage(policyConfig.blockPage, {
+        host: targetURL.hostname,
+        url: targetURL.href,
+        reason,
+        rule
+    });
+    return new Response(html, {
+        status,
+        headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' }
+    });
+}
+
+/**
+ * Checks the target against the policy.
+ * @param {Request} request - The client request.
+ * @param {URL} targetURL - The resolved upstream URL.
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the KV binding).
+ * @returns {Promise<Response|null>} The block response, or null if the request may proceed.
+ */
+export async function enforceTargetPolicy(request, targetURL, config, env) {
+    const policyConfig = config.policy;
+    if (!policyConfig.enabled) return null;
+
+    // 1. Load (fail closed: a configured but unavailable policy blocks everything)
+    const policy = await loadPolicy(policyConfig, env);
+    if (!policy) {
+        return blockResponse(request, targetURL, policyConfig, 503, {
+            reason: 'The proxy policy is currently unavailable.',
+            rule: 'unavailable'
+        });
+    }
+
+    // 2. Evaluate
+    const decision = evaluatePolicy(policy, {
+        url: targetURL,
+        method: request.method.toUpperCase(),
+        identity: request.headers.get('Cf-Access-Authenticated-User-Email')
+    });
+    if (decision.action === 'allow') return null;
+
+    // 3. Block
+    return blockResponse(request, targetURL, policyConfig, policyConfig.blockStatus, {
+        reason: (decision.rule && decision.rule.reason) || 'Access to this site is not permitted through the proxy.',
+        rule: decision.rule ? decision.rule.name : 'default'
+    });
+}
@@ -0,0 +1,65 @@
+/**
+ * @file WebSocket Tap Endpoint
+ * @description Lists and downloads recorded WebSocket sessions on the root domain.
+ * @version 1.0.0
+ *
+ * Available while WS_TAP_MODE is "record" or "replay":
+ *
+ *   GET https://<root>/__divortio/ws                    ->  { "sessions": [ <summary>, ... ] }  (newest first)
+ *   GET https://<root>/__divortio/ws/<id>               ->  { "session": <summary>, "frames": [ ... ] }
+ *   GET https://<root>/__divortio/ws/<id>?download      ->  the same, as a `ws-<id>.json` attachment
+ *
+ * Recordings hold whatever flowed over the sockets, tokens included. The root domain must sit
+ * behind Cloudflare Access like the rest of the deployment.
+ */
+
+import { openTap } from '../../tap/recorder.mjs';
+
+/** Path of the endpoint on the root domain. */
+export const TAP_ENDPOINT_PATH = '/__divortio/ws';
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * @param {number} status
+ * @param {object} body
+ * @param {string|null} [filename] - Serve as an attachment with this name.
+ * @returns {Response}
+ */
+function json(status, body, filename = null) {
+    const headers = new Headers({
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+        'X-Robots-Tag': 'noindex, nofollow'
+    });
+    if (filename) headers.set('Content-Disposition', `attachment; filename="${filename}"`);
+    return new Response(JSON.stringify(body, null, filename ? 2 : 0), { status, headers });
+}
+
+/**
+ * Handles the endpoint; returns null for every other request.
+ * @param {Request} request
+ * @param {object} env
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @returns {Promise<Response|null>}
+ */
+export async function handleTapEndpoint(request, env, config) {
+    if (config.tap.mode === 'off') return null;
+    const url = new URL(request.url);
+    if (url.hostname !== config.rootDomain) return null;
+    if (url.pathname !== TAP_ENDPOINT_PATH && !url.pathname.startsWith(TAP_ENDPOINT_PATH + '/')) return null;
+
+    if (request.method !== 'GET') return json(405, { error: 'Method not allowed' });
+    const tap = openTap(config, env);
+
+    // 1. Session list
+    const id = url.pathname.slice(TAP_ENDPOINT_PATH.length + 1);
+    if (!id) return json(200, { sessions: await tap.list() });
+
+    // 2. One session with its frames
+    if (!SESSION_ID_PATTERN.test(id)) return json(404, { error: 'Session not found' });
+    const recording = await tap.get(id);
+    if (!recording) return json(404, { error: 'Session not found' });
+
+    return json(200, recording, url.searchParams.has('download') ? `ws-${id}.json` : null);
+}
@@ -0,0 +1,237 @@
+/**
+ * @file Upstream Fetch & Redirect Following
+ * @description Fetches the upstream and, when REDIRECT_FOLLOW is on, follows same-site redirects inside the Worker.
+ * @version 1.3.0 (Upstream Request)
+ *
+ * Each followed hop saves the browser a round trip. A hop is only followed when the client could not
+ * tell the difference; otherwise the redirect is handed to the client as usual:
+ * - The target is same-site and representable as a proxy URL (allowed scheme and port).
+ * - Navigations stay on the same origin, so the address bar keeps showing the right host.
+ * - The hop passes the SSRF guard and the target policy.
+ * - The request has no body to replay (307/308).
+ * - Hops to another host only happen without client cookies (the Cookie header does not say which
+ *   of them the other host would get), and a hop on another host must not set cookies (the client
+ *   would store them on the wrong proxy host).
+ *
+ * Cookies set by followed hops are sent on the following hops and returned to the client with the
+ * final response. A hop that repeats an earlier request (same method, URL and cookies) is a loop.
+ *
+ * In cookie jar mode (COOKIE_MODE = "jar") every response's Set-Cookie values go to the session's jar
+ * and every request, hop or not, carries the jar's cookies for its URL. The jar knows each cookie's
+ * real scope, so the cookie restrictions above do not apply and nothing is returned to the client.
+ */
+
+import { rewriteRequest } from '../../rewrite/request.mjs';
+import { getUrlCodec } from '../../url/codec.mjs';
+import { isSameSite } from '../../url/site.mjs';
+import { isSafeDestination } from '../../url/destination.mjs';
+import { enforceTargetPolicy } from './policy.mjs';
+import { getCookieContext } from '../../cookies/session.mjs';
+import { parseSetCookie, defaultCookiePath } from '../../rewrite/rewriters/headers/cookies.mjs';
+
+/** Redirect statuses that carry a followable Location. */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * @typedef {Object} UpstreamResult
+ * @property {Response} response - The final upstream response (a redirect if the chain was handed to the client).
+ * @property {URL} targetURL - The URL the response came from.
+ * @property {Request} request - The upstream request that got the response (the last hop's).
+ * @property {Array<{value: string, url: URL}>} setCookies - Set-Cookie values of the hops followed inside the Worker, with the URL that set each (empty in jar mode).
+ */
+
+/**
+ * Cookies set by followed hops, replayed on the later hops of the same chain.
+ * Implements the parts of RFC 6265 a redirect chain needs: host-only vs. Domain scope, Path and expiry.
+ */
+class HopCookies {
+    constructor() {
+        /** @type {Map<string, {name: string, value: string, domain: string, hostOnly: boolean, path: string}>} */
+        this.cookies = new Map();
+    }
+
+    /**
+     * Stores the Set-Cookie values of a hop.
+     * @param {string[]} setCookies
+     * @param {URL} url - The URL that set them.
+     */
+    store(setCookies, url) {
+        const host = url.hostname.toLowerCase();
+
+        for (const header of setCookies) {
+            const parsed = parseSetCookie(header);
+            if (!parsed || !parsed.name) continue;
+
+            // A Domain that does not cover the setting host is rejected, as a browser would.
+            if (parsed.domain && host !== parsed.domain && !host.endsWith('.' + parsed.domain)) continue;
+
+            const cookie = {
+                name: parsed.name,
+                value: parsed.value,
+                domain: parsed.domain || host,
+                hostOnly: !parsed.domain,
+                path: parsed.path || defaultCookiePath(url)
+            };
+            const expired = parsed.maxAge !== null ? parsed.maxAge <= 0 : parsed.expires !== null && Date.parse(parsed.expires) <= Date.now();
+
+            const key = `${cookie.name};${cookie.domain};${cookie.path}`;
+            if (expired) this.cookies.delete(key);
+            else this.cookies.set(key, cookie);
+        }
+    }
+
+    /**
+     * Merges the stored cookies that apply to a URL into a Cookie header (stored values win).
+     * @param {string|null} header - The Cookie header already on the request.
+     * @param {URL} url
+     * @returns {string|null}
+     */
+    apply(header, url) {
+        const host = url.hostname.toLowerCase();
+        const path = url.pathname;
+        const pairs = new Map();
+
+        for (const part of (header || '').split(';')) {
+            const eq = part.indexOf('=');
+            if (eq > 0) pairs.set(part.slice(0, eq).trim(), part.slice(eq + 1).trim());
+        }
+
+        for (const cookie of this.cookies.values()) {
+            const domainMatch = cookie.hostOnly ? host === cookie.domain : (host === cookie.domain || host.endsWith('.' + cookie.domain));
+            const pathMatch = path === cookie.path || path.startsWith(cookie.path.endsWith('/') ? cookie.path : cookie.path + '/');
+            if (domainMatch && pathMatch) pairs.set(cookie.name, cookie.value);
+        }
+
+        return pairs.size ? Array.from(pairs, ([name, value]) => `${name}=${value}`).join('; ') : null;
+    }
+}
+
+/**
+ * True for top-level and frame navigations (the hops change what the address bar should show).
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isNavigation(request) {
+    const mode = request.headers.get('Sec-Fetch-Mode');
+    if (mode) return mode === 'navigate';
+    return (request.headers.get('Accept') || '').includes('text/html');
+}
+
+/**
+ * The method of the next hop (Fetch standard: 303 and POST after 301/302 become GET).
+ * @param {number} status
+ * @param {string} method
+ * @returns {string}
+ */
+function getRedirectMethod(status, method) {
+    if (status === 303 && method !== 'HEAD') return 'GET';
+    if ((status === 301 || status === 302) && method === 'POST') return 'GET';
+    return method;
+}
+
+/**
+ * Builds the upstream request for a followed hop.
+ * @param {Request} upstreamRequest - The previous hop's upstream request.
+ * @param {URL} url - The next hop.
+ * @param {string} method
+ * @param {string|null} cookie - The Cookie header of the hop.
+ * @returns {Request}
+ */
+function buildHopRequest(upstreamRequest, url, method, cookie) {
+    const headers = new Headers(upstreamRequest.headers);
+    headers.set('Host', url.host);
+
+    // Bodies are never replayed: a hop either keeps a bodiless method or switches to GET.
+    if (method !== upstreamRequest.method) {
+        ['Content-Type', 'Content-Length', 'Content-Encoding', 'Content-Language', 'Content-Location'].forEach(h => headers.delete(h));
+    }
+
+    cookie ? headers.set('Cookie', cookie) : headers.delete('Cookie');
+
+    return new Request(url.href, { method, headers, redirect: 'manual' });
+}
+
+/**
+ * Fetches the upstream, following redirects inside the Worker when enabled.
+ * @param {Request} request - The client request (after traffic mods).
+ * @param {URL} targetURL - The resolved upstream URL.
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the target policy).
+ * @param {import('../../cookies/session.mjs').CookieJarSession|null} [jar] - The session's cookie jar (jar mode).
+ * @returns {Promise<UpstreamResult>}
+ * @throws {Error} If the upstream fetch or the cookie jar fails.
+ */
+export async function fetchUpstream(request, targetURL, config, env, jar = null) {
+    const jarCookie = (url) => jar.getCookieHeader(url, getCookieContext(request, url, config));
+    const send = async (upstreamRequest, url) => {
+        const response = await fetch(upstreamRequest);
+        if (jar) await jar.store(url, response.headers.getAll('Set-Cookie'));
+        return response;
+    };
+
+    let upstreamRequest = rewriteRequest(request, targetURL, config, jar ? await jarCookie(targetURL) : undefined);
+    if (!config.redirects.follow) {
+        return { response: await send(upstreamRequest, targetURL), targetURL, request: upstreamRequest, setCookies: [] };
+    }
+
+    const codec = getUrlCodec(config);
+    const navigation = isNavigation(request);
+    const clientCookie = jar ? null : upstreamRequest.headers.get('Cookie');
+    const chain = new HopCookies();
+    const setCookies = [];
+    const seen = new Set([`${upstreamRequest.method} ${targetURL.href}\n${clientCookie || ''}`]);
+    let url = targetURL;
+
+    for (let hop = 0; ; hop++) {
+        const response = await send(upstreamRequest, url);
+        const location = REDIRECT_STATUSES.includes(response.status) ? response.headers.get('Location') : null;
+        if (!location || hop >= config.redirects.maxHops) return { response, targetURL: url, request: upstreamRequest, setCookies };
+
+        // 1. Where to
+        let next;
+        try {
+            next = new URL(location, url);
+        } catch (e) {
+            return { response, targetURL: url, request: upstreamRequest, setCookies };
+        }
+        next.hash = '';
+        const method = getRedirectMethod(response.status, upstreamRequest.method);
+        const hopCookies = jar ? [] : response.headers.getAll('Set-Cookie');
+
+        // 2. Followable without the client noticing?
+        const representable = codec.resolveTarget(codec.proxify(next.href));
+        const followable = representable && representable.href === next.href
+            && isSameSite(next.hostname, url.hostname)
+            && (!navigation || next.origin === targetURL.origin)
+            && (method === 'GET' || method === 'HEAD')
+            && (next.host === targetURL.host || !clientCookie)
+            && (!hopCookies.length || url.host === targetURL.host);
+        if (!followable) return { response, targetURL: url, request: upstreamRequest, setCookies };
+
+        // 3. Safety & policy (a refused hop goes to the client, which then gets the 403 / block page)
+        if (!isSafeDestination(next, config) || await enforceTargetPolicy(request, next, config, env)) {
+            return { response, targetURL: url, request: upstreamRequest, setCookies };
+        }
+
+        // 4. Next request, unless it repeats an earlier one
+        chain.store(hopCookies, url);
+        const cookie = jar ? await jarCookie(next) : chain.apply(clientCookie, next);
+        const hopRequest = buildHopRequest(upstreamRequest, next, method, cookie);
+        const key = `${method} ${next.href}\n${hopRequest.headers.get('Cookie') || ''}`;
+        if (seen.has(key)) {
+            if (response.body) response.body.cancel();
+            setCookies.push(...hopCookies.map(value => ({ value, url })));
+            const loop = new Response(`Divortio Proxy: Redirect loop detected at ${next.href}`, {
+                status: 508,
+                headers: { 'Content-Type': 'text/plain; charset=utf-8', 'Cache-Control': 'no-store' }
+            });
+            return { response: loop, targetURL: url, request: upstreamRequest, setCookies };
+        }
+        seen.add(key);
+
+        if (response.body) response.body.cancel();
+        setCookies.push(...hopCookies.map(value => ({ value, url })));
+        upstreamRequest = hopRequest;
+        url = next;
+    }
+}
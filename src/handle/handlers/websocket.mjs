@@ -1,71 +1,247 @@
 /**
  * @file WebSocket Proxy Handler
  * @description Manages WebSocket upgrades and long-lived tunnels.
- * @version 4.0.0 (Typed Config)
+ * @version 5.1.0 (WebSocket Tap)
+ *
+ * The upstream handshake goes through the same `rewriteRequest` pipeline as any other request, so
+ * cookies (or the jar's), Authorization, the spoofed Origin, the query string and the offered
+ * subprotocols all reach the upstream. The client only gets its 101 once the upstream accepted:
+ * the 101 carries the subprotocol the upstream picked, and a refused handshake returns the
+ * upstream's status instead. Close frames are relayed with their code and reason.
+ *
+ * With WS_TAP_MODE = "record", every frame is also handed to the tap (src/tap/recorder.mjs). With
+ * "replay", the origin is never contacted: the newest session recorded for the URL is played back.
  */
 
+import { checkDestination } from '../../url/destination.mjs';
+import { getUrlCodec } from '../../url/codec.mjs';
+import { rewriteRequest } from '../../rewrite/request.mjs';
+import { rewriteSetCookieHeader } from '../../rewrite/rewriters/headers/cookies.mjs';
+import { getCookieContext } from '../../cookies/session.mjs';
+import { openTap, decodeFrame } from '../../tap/recorder.mjs';
+
+/** Handshake headers the runtime generates itself for the upstream connection. */
+const HANDSHAKE_HEADERS = ['Sec-WebSocket-Key', 'Sec-WebSocket-Version', 'Sec-WebSocket-Extensions', 'Connection'];
+
+/** Longest close reason a Close frame can carry, in UTF-8 bytes (RFC 6455 §5.5). */
+const MAX_REASON_BYTES = 123;
+
+/**
+ * Maps a received close code onto one that may be sent (RFC 6455 §7.4).
+ * 1005 (no code) is relayed as a Close frame without a code; 1006/1015 (connection lost, TLS failure)
+ * and reserved codes are never on the wire, so the peer gets 1011.
+ * @param {number} code
+ * @returns {number|null} The code to send, or null to send none.
+ */
+function sendableCloseCode(code) {
+    if (code === 1005) return null;
+    const valid = (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999);
+    return valid ? code : 1011;
+}
+
+/**
+ * Truncates a close reason to MAX_REASON_BYTES without splitting a character.
+ * @param {string} reason
+ * @returns {string}
+ */
+function truncateReason(reason) {
+    const encoder = new TextEncoder();
+    let out = reason || '';
+    while (encoder.encode(out).length > MAX_REASON_BYTES) out = Array.from(out).slice(0, -1).join('');
+    return out;
+}
+
+/**
+ * Closes a socket with a relayed code and reason.
+ * @param {WebSocket} socket
+ * @param {number} code - The code the other side closed with.
+ * @param {string} reason
+ */
+function relayClose(socket, code, reason) {
+    const sendable = sendableCloseCode(code);
+    try {
+        if (sendable === null) socket.close();
+        else socket.close(sendable, truncateReason(sendable === code ? reason : reason || 'Peer connection lost'));
+    } catch (e) {
+        // Already closed
+    }
+}
+
 /**
  * Handles the incoming Upgrade request.
- * Creates the WebSocket pair, starts the session, and returns the 101 Switching Protocols response.
- * @param {ExecutionContext} ctx - The worker execution context.
+ * Opens the upstream socket, starts the session, and returns the 101 Switching Protocols response.
+ * Tunnels to unsafe destinations (loopback, private, metadata) are refused with a 403.
+ * @param {Request} request - The client request (after traffic mods).
  * @param {URL} targetURL - The target URL to proxy to.
- * @param {import('../../config/env.mjs').EnvConfig} [config] - App config (reserved for future hooks).
- * @returns {Response} The 101 Switching Protocols response.
+ * @param {import('../../config/env.mjs').EnvConfig} config - App config (destination allowlist, cookies, tap).
+ * @param {object} env - The Worker environment (tap store binding).
+ * @param {ExecutionContext} ctx - The worker execution context (tap writes and replays run past the 101).
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session (`onWebSocketMessage` hooks).
+ * @param {import('../../cookies/session.mjs').CookieJarSession|null} [jar] - The session's cookie jar (jar mode).
+ * @returns {Promise<Response>} The 101 Switching Protocols response, or the refusal.
  */
-export function handleWebSocket(ctx, targetURL, config) {
-    // Create the client/server socket pair
-    const { 0: client, 1: server } = new WebSocketPair();
+export async function handleWebSocket(request, targetURL, config, env, ctx, mods = null, jar = null) {
+    const destination = checkDestination(targetURL, config);
+    if (!destination.allowed) {
+        return new Response(`Divortio Proxy: Destination not allowed (${destination.reason}).`, { status: 403 });
+    }
+    if (config.tap.mode === 'replay') return handleReplay(targetURL, config, env, ctx, mods);
+
+    // 1. Upstream handshake: the regular request rewrite, minus what the runtime negotiates itself
+    // Plain-http upstreams (o--http-* hosts) tunnel over ws://, everything else over wss://
+    const wsUrl = new URL(targetURL.href);
+    wsUrl.protocol = targetURL.protocol === 'http:' ? 'ws:' : 'wss:';
 
-    // Keep the worker alive while the session is active
-    ctx.waitUntil(handleSession(server, targetURL));
+    let originResponse;
+    try {
+        const jarCookie = jar ? await jar.getCookieHeader(targetURL, getCookieContext(request, targetURL, config)) : undefined;
+        const headers = new Headers(rewriteRequest(request, targetURL, config, jarCookie).headers);
+        HANDSHAKE_HEADERS.forEach(h => headers.delete(h));
+        headers.set('Upgrade', 'websocket');
+
+        originResponse = await fetch(wsUrl.href, { headers });
+        if (jar) await jar.store(targetURL, originResponse.headers.getAll('Set-Cookie'));
+    } catch (e) {
+        return new Response(`Divortio Proxy: Failed to connect to upstream (${e.message}).`, { status: 502 });
+    }
+
+    // 2. Refused handshake: the client sees the upstream's error (auth failures stay 401/403)
+    if (originResponse.status !== 101 || !originResponse.webSocket) {
+        if (originResponse.body) originResponse.body.cancel();
+        const status = originResponse.status >= 400 ? originResponse.status : 502;
+        return new Response(`Divortio Proxy: Upstream did not upgrade (${originResponse.status}).`, { status });
+    }
+
+    // 3. The 101: negotiated subprotocol and the handshake's cookies
+    const headers = new Headers();
+    const protocol = originResponse.headers.get('Sec-WebSocket-Protocol');
+    if (protocol) headers.set('Sec-WebSocket-Protocol', protocol);
+    if (jar) {
+        if (jar.isNew) headers.append('Set-Cookie', jar.setCookie);
+    } else {
+        const codec = getUrlCodec(config);
+        for (const value of originResponse.headers.getAll('Set-Cookie')) {
+            const rewritten = rewriteSetCookieHeader(value, codec, targetURL);
+            if (rewritten) headers.append('Set-Cookie', rewritten);
+        }
+    }
+
+    // 4. Create the client/server socket pair and pipe it to the upstream
+    const { 0: client, 1: server } = new WebSocketPair();
+    const recorder = config.tap.mode === 'record'
+        ? openTap(config, env).record(targetURL.href, protocol, p => ctx.waitUntil(p))
+        : null;
+    handleSession(server, originResponse.webSocket, mods, recorder);
 
     return new Response(null, {
         status: 101,
+        headers,
         webSocket: client
     });
 }
 
 /**
- * Establishes the tunnel between the server-side socket and the upstream origin.
+ * Establishes the tunnel between the server-side socket and the upstream socket.
+ * @param {WebSocket} server
+ * @param {WebSocket} targetWebSocket
+ * @param {import('../../mods/session.mjs').ModSession|null} mods
+ * @param {import('../../tap/recorder.mjs').TapRecorder|null} recorder - Records frames as each side sent them.
  */
-async function handleSession(server, targetURL) {
+function handleSession(server, targetWebSocket, mods, recorder) {
     server.accept();
+    targetWebSocket.accept();
 
-    let targetWebSocket;
-    try {
-        const wsUrl = targetURL.href.replace(/^http/, 'ws');
-        const originResponse = await fetch(wsUrl, {
-            headers: { "Upgrade": "websocket" }
-        });
-
-        if (originResponse.status !== 101) {
-            server.close(1002, "Upstream did not upgrade");
-            return;
-        }
+    // Mods may rewrite or drop frames (null) in either direction
+    const hooked = mods && mods.has('onWebSocketMessage');
+    const relay = (data, direction) => {
+        if (recorder) recorder.frame(direction, data);
+        return hooked ? mods.onWebSocketMessage(data, direction) : data;
+    };
 
-        targetWebSocket = originResponse.webSocket;
-        targetWebSocket.accept();
-    } catch (e) {
-        server.close(1011, "Failed to connect to upstream");
-        return;
-    }
+    // The first side to close decides the code and reason; the other side's echo is not relayed back
+    let closed = false;
+    const shutdown = (from, to, code, reason) => {
+        if (closed) return;
+        closed = true;
+        if (recorder) recorder.close(code, reason, from === server ? 'client' : 'upstream');
+        relayClose(to, code, reason);
+        relayClose(from, code, reason);
+    };
 
     server.addEventListener('message', event => {
-        try { targetWebSocket.send(event.data); } catch (e) { server.close(1011, "Upstream send failed"); }
+        const data = relay(event.data, 'client');
+        if (data === null) return;
+        try { targetWebSocket.send(data); } catch (e) { shutdown(targetWebSocket, server, 1011, "Upstream send failed"); }
     });
 
     targetWebSocket.addEventListener('message', event => {
-        try { server.send(event.data); } catch (e) { server.close(1011, "Downstream send failed"); }
+        const data = relay(event.data, 'upstream');
+        if (data === null) return;
+        try { server.send(data); } catch (e) { shutdown(server, targetWebSocket, 1011, "Downstream send failed"); }
     });
 
-    const close = (event) => {
-        const { code, reason } = event || {};
-        try { server.close(code || 1000, reason || "Normal Closure"); } catch(e){}
-        try { targetWebSocket.close(code || 1000, reason || "Normal Closure"); } catch(e){}
+    server.addEventListener('close', event => shutdown(server, targetWebSocket, event.code, event.reason));
+    targetWebSocket.addEventListener('close', event => shutdown(targetWebSocket, server, event.code, event.reason));
+    server.addEventListener('error', () => shutdown(server, targetWebSocket, 1011, "Client connection error"));
+    targetWebSocket.addEventListener('error', () => shutdown(targetWebSocket, server, 1011, "Upstream connection error"));
+}
+
+/**
+ * Replay mode: plays the newest session recorded for the URL back to the client.
+ * Upstream frames keep their recorded spacing. Where the recording has a client frame, playback
+ * waits until this client has sent as many frames, so request/response protocols stay in step.
+ * @param {URL} targetURL
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {import('../../mods/session.mjs').ModSession|null} mods
+ * @returns {Promise<Response>} The 101, or a 404 if nothing was recorded for the URL.
+ */
+async function handleReplay(targetURL, config, env, ctx, mods) {
+    const { session, frames } = await openTap(config, env).latest(targetURL.href);
+    if (!session) {
+        return new Response('Divortio Proxy: No recorded WebSocket session for this URL.', { status: 404 });
+    }
+
+    const { 0: client, 1: server } = new WebSocketPair();
+    server.accept();
+
+    let received = 0;
+    let open = true;
+    let wake = () => {};
+    const changed = () => new Promise(resolve => { wake = resolve; });
+    server.addEventListener('message', () => { received++; wake(); });
+    server.addEventListener('close', event => {
+        open = false;
+        relayClose(server, event.code, event.reason);
+        wake();
+    });
+
+    const play = async () => {
+        let expected = 0;
+        let clock = session.started;
+        for (const frame of frames) {
+            if (frame.direction === 'client') {
+                expected++;
+                while (open && received < expected) await changed();
+            } else {
+                if (frame.time > clock) await new Promise(resolve => setTimeout(resolve, frame.time - clock));
+                if (!open) return;
+                const data = mods && mods.has('onWebSocketMessage') ? mods.onWebSocketMessage(decodeFrame(frame), 'upstream') : decodeFrame(frame);
+                if (data !== null) server.send(data);
+            }
+            if (!open) return;
+            clock = frame.time;
+        }
+        relayClose(server, session.closeCode || 1000, session.closeReason || 'Replay finished');
     };
+    ctx.waitUntil(play().catch(() => relayClose(server, 1011, 'Replay failed')));
 
-    server.addEventListener('close', close);
-    server.addEventListener('error', close);
-    targetWebSocket.addEventListener('close', close);
-    targetWebSocket.addEventListener('error', close);
-}
\ No newline at end of file
+    const headers = new Headers();
+    if (session.protocol) headers.set('Sec-WebSocket-Protocol', session.protocol);
+    return new Response(null, {
+        status: 101,
+        headers,
+        webSocket: client
+    });
+}
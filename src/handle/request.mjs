@@ -1,20 +1,32 @@
 /**
  * @file HTTP Proxy Handler
  * @description Coordinates Caching, Fetching, and Content Rewriting using modular services.
- * @version 4.0.0 (Strictly Typed Config Integration)
+ * @version 6.7.0 (Dashboard)
  */
 
 import { createConfig } from '../config/index.mjs';
 import { getTargetURL } from './handlers/url.mjs';
 import { handleWebSocket } from './handlers/websocket.mjs';
 import { handleRootRedirect } from './handlers/landing.mjs';
+import { enforceTargetPolicy } from './handlers/policy.mjs';
+import { checkDestination } from '../url/destination.mjs';
+import { getUrlCodec } from '../url/codec.mjs';
 
 import { CFCache } from './handlers/cfCache.mjs';
 import { handleAsset } from './handlers/asset.mjs';
-import { rewriteRequest } from '../rewrite/request.mjs';
+import { handleCookieEndpoint } from './handlers/cookies.mjs';
+import { handleTapEndpoint } from './handlers/tap.mjs';
+import { handleHarEndpoint } from './handlers/har.mjs';
+import { handleLeakEndpoint } from './handlers/leaks.mjs';
+import { handleDashboard } from './handlers/dashboard.mjs';
+import { fetchUpstream } from './handlers/upstream.mjs';
 import { rewriteResponse } from '../rewrite/response.mjs';
 
-import { MOD_REGISTRY } from '../mods/registry.mjs';
+import { createModSession } from '../mods/session.mjs';
+import { openCookieJar } from '../cookies/session.mjs';
+import { startHarCapture } from '../har/capture.mjs';
+import { startTrace } from '../telemetry/trace.mjs';
+import { applySessionPrefs, readSessionPrefs } from '../dashboard/prefs.mjs';
 
 /**
  * Handles the incoming Fetch event.
@@ -25,75 +37,211 @@ import { MOD_REGISTRY } from '../mods/registry.mjs';
  */
 export async function handleRequest(request, env, ctx) {
     // 1. Load Strictly Typed Config
-    const config = createConfig(env);
+    // Root domain endpoints run with the deployment's config; proxied requests with the session's (dashboard settings)
+    const baseConfig = createConfig(env);
+    const config = applySessionPrefs(baseConfig, readSessionPrefs(request, baseConfig));
 
     // --- 2. Serve Static Assets ---
     const assetResponse = await handleAsset(request, env, config);
     if (assetResponse) return assetResponse;
 
-    // --- 3. Cache Lookup ---
-    if (config.cache.enabled && request.method === 'GET') {
-        const cached = await CFCache.get(request);
-        if (cached) return cached;
-    }
+    // Cookie jar mode: document.cookie reads/writes from the interceptor
+    const cookieResponse = await handleCookieEndpoint(request, env, config);
+    if (cookieResponse) return cookieResponse;
+
+    // WebSocket tap: recorded sessions on the root domain
+    const tapResponse = await handleTapEndpoint(request, env, config);
+    if (tapResponse) return tapResponse;
+
+    // HAR capture: the session's entries on the root domain
+    const harResponse = await handleHarEndpoint(request, env, config);
+    if (harResponse) return harResponse;
+
+    // Leak reports: interceptor beacons on every host, the report on the root domain
+    const leakResponse = await handleLeakEndpoint(request, env, config);
+    if (leakResponse) return leakResponse;
+
+    // Dashboard: the root domain page and its forms
+    const dashboardResponse = await handleDashboard(request, env, baseConfig);
+    if (dashboardResponse) return dashboardResponse;
 
-    // --- 4. Target Resolution ---
+    // --- 3. Target Resolution ---
     const targetURL = getTargetURL(request, config);
 
     if (!targetURL) {
-        const redirect = handleRootRedirect(request, config);
+        const redirect = handleRootRedirect(request, baseConfig);
         if (redirect) return redirect;
         return new Response("Divortio Proxy: Invalid target. Try /?example.com", {status: 404});
     }
 
-    // --- 5. Traffic Mods (Redirects/Blocking) ---
-    for (const modDef of MOD_REGISTRY) {
-        if (config.mods && config.mods[modDef.envKey]) {
-            const args = modDef.defaultArgs || [];
-            const instance = new modDef.Class(...args);
-
-            if (modDef.domainPattern) {
-                instance.domainPattern = modDef.domainPattern;
-            }
-
-            // Duck Typing: If it has an execute() method, it's a Traffic Mod
-            if (typeof instance.execute === 'function') {
-                const response = instance.execute(targetURL, config);
-                if (response) return response;
-            }
+    // HAR capture and the request trace record the exchange as the client sees it, whichever step answers
+    const capture = config.har.enabled ? startHarCapture(request, config, env) : null;
+    const trace = startTrace(request, targetURL, config, env);
+    let response = await serveTarget(request, targetURL, config, env, ctx, capture, trace);
+    if (capture) response = capture.finish(response, ctx);
+    return trace ? trace.finish(response, ctx) : response;
+}
+
+/**
+ * Serves a resolved target: SSRF guard, policy and cache (steps 4-5), then the proxy pipeline.
+ * @param {Request} request
+ * @param {URL} targetURL
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {import('../har/capture.mjs').HarCapture|null} capture - The request's HAR capture (HAR_CAPTURE).
+ * @param {import('../telemetry/trace.mjs').RequestTrace|null} trace - The request's trace (logs & metrics).
+ * @returns {Promise<Response>}
+ */
+async function serveTarget(request, targetURL, config, env, ctx, capture, trace) {
+    // SSRF Guard: loopback, private, link-local and metadata destinations
+    const destination = checkDestination(targetURL, config);
+    if (!destination.allowed) {
+        return new Response(`Divortio Proxy: Destination not allowed (${destination.reason}).`, {status: 403});
+    }
+
+    // --- 4. Target Policy ---
+    // Checked before the cache so a denied (or identity-restricted) target is never served from it.
+    const blocked = await enforceTargetPolicy(request, targetURL, config, env);
+    if (blocked) return blocked;
+
+    // In cookie jar mode, upstream cookies come from and go to the session's Durable Object instead.
+    const jar = config.cookies.mode === 'jar' ? openCookieJar(request, config, env) : null;
+
+    // --- 5. Cache Lookup ---
+    // Requests carrying upstream cookies or Authorization are personal: never served from or stored in the cache.
+    // The key is taken from the client request as received, before mods change it.
+    const upgrade = request.headers.get('Upgrade') === 'websocket';
+    const cacheable = config.cache.enabled && request.method === 'GET' && !upgrade
+        && !(await CFCache.bypasses(request, targetURL, config, jar));
+    let cache = null;
+    if (cacheable) {
+        if (capture) capture.setCacheStatus('MISS');
+        if (trace) trace.note({ cacheStatus: 'MISS' });
+        const entry = await CFCache.lookup(request, config);
+        if (entry && entry.state === 'fresh') return CFCache.respond(entry, 'HIT', request);
+
+        cache = { request, entry };
+        if (entry && entry.state === 'stale-while-revalidate') {
+            // Served stale right away; the refresh runs after the response
+            const stale = await CFCache.respond(entry, 'STALE', request);
+            ctx.waitUntil(discard(proxyRequest(request, targetURL, config, env, ctx, jar, cache)));
+            return stale;
         }
     }
 
-    // --- 6. WebSocket Upgrade ---
-    if (request.headers.get('Upgrade') === 'websocket') {
-        return handleWebSocket(ctx, targetURL);
+    return proxyRequest(request, targetURL, config, env, ctx, jar, cache, capture, trace);
+}
+
+/**
+ * Waits for a background response and drops its body (cache saves read their own copy).
+ * @param {Promise<Response>} pending
+ * @returns {Promise<void>}
+ */
+async function discard(pending) {
+    try {
+        const response = await pending;
+        if (response.body) await response.body.cancel();
+    } catch (e) {
+        // Background work: the client already has its response
     }
+}
 
-    // --- 7. Fetch Upstream ---
-    // Pass config for cookie stripping and header spoofing
-    const proxyRequest = rewriteRequest(request, targetURL, config);
+/**
+ * Runs a request through the mods, the upstream and the rewriters (steps 6-10), revalidating a
+ * stale cache entry on the way.
+ * @param {Request} request
+ * @param {URL} targetURL
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @param {ExecutionContext} ctx
+ * @param {import('../cookies/session.mjs').CookieJarSession|null} jar
+ * @param {{request: Request, entry: import('./handlers/cfCache.mjs').CacheEntry|null}|null} cache - Cache key request and stale entry (null if the request bypasses the cache).
+ * @param {import('../har/capture.mjs').HarCapture|null} [capture] - The request's HAR capture (background refreshes have none).
+ * @param {import('../telemetry/trace.mjs').RequestTrace|null} [trace] - The request's trace (background refreshes have none).
+ * @returns {Promise<Response>}
+ */
+async function proxyRequest(request, targetURL, config, env, ctx, jar, cache, capture = null, trace = null) {
+    const entry = cache ? cache.entry : null;
+    const revalidating = !!entry && !!(entry.etag || entry.lastModified);
+
+    // --- 6. Traffic Mods (Redirects/Blocking) ---
+    // One session per request: the mod instances follow this request through every later stage.
+    const mods = createModSession(config, request, targetURL, env);
+    if (trace) trace.note({ mods: mods.mods.map(mod => mod.id) });
+    const modResult = await mods.onRequest(request);
+    if (modResult instanceof Response) return modResult;
+    request = modResult;
+
+    // --- 7. WebSocket Upgrade ---
+    // The handshake is rewritten like any other request (cookies, Origin, subprotocols)
+    if (request.headers.get('Upgrade') === 'websocket') {
+        return handleWebSocket(request, targetURL, config, env, ctx, mods, jar);
+    }
 
-    let originResponse;
+    // --- 8. Fetch Upstream ---
+    // Sanitizes the request (cookie stripping, header spoofing) and follows same-site redirects if enabled.
+    // A stale entry's validators replace the client's own, so a 304 answers for the entry.
+    if (revalidating) request = CFCache.conditional(request, entry);
+    let upstream;
+    let documentCookie = null;
     try {
-        originResponse = await fetch(proxyRequest);
+        upstream = await fetchUpstream(request, targetURL, config, env, jar);
+        if (capture) capture.upstream(upstream.request, upstream.response);
+        if (trace) upstream.response = trace.upstream(upstream.response);
+        if (jar && (upstream.response.headers.get('Content-Type') || '').includes('text/html')) {
+            documentCookie = await jar.getDocumentCookie(upstream.targetURL);
+        }
     } catch (e) {
+        if (trace) trace.note({ error: e.message });
+        if (CFCache.servesStale(entry, null)) return CFCache.respond(entry, 'STALE', request);
         return new Response(`Proxy Error: ${e.message}`, {status: 502});
     }
+    const redirected = upstream.targetURL.href !== targetURL.href;
+
+    // Stale entry: refreshed by a 304, or kept under stale-if-error
+    if (revalidating && !redirected && upstream.response.status === 304) {
+        const refreshed = await CFCache.refresh(entry, upstream.response);
+        if (refreshed) {
+            // Saved first: the save copies the body before the client reads it
+            ctx.waitUntil(CFCache.save(cache.request, refreshed.response.clone(), config, targetURL));
+            return CFCache.respond(refreshed, 'REVALIDATED', request);
+        }
+    }
+    if (CFCache.servesStale(entry, upstream.response)) return CFCache.respond(entry, 'STALE', request);
 
-    // --- 8. Rewrite Content ---
+    // --- 9. Rewrite Content ---
+    // Relative URLs resolve against the URL the content came from, not the one the client asked for
+    const rewriteStarted = Date.now();
     const finalResponse = await rewriteResponse(
-        originResponse,
-        targetURL,
+        upstream.response,
+        upstream.targetURL,
         config.rootDomain,
         config,
-        null
+        { requestURL: targetURL, setCookies: upstream.setCookies },
+        mods,
+        documentCookie,
+        trace
     );
+    if (trace) trace.note({ rewriteMs: Date.now() - rewriteStarted });
 
     finalResponse.headers.set('X-Robots-Tag', 'noindex, nofollow');
+    if (redirected) finalResponse.headers.set('Content-Location', getUrlCodec(config).proxify(upstream.targetURL.href));
+
+    // Pages carrying a cookie snapshot are per-session; page loads also extend the session cookie
+    if (documentCookie !== null) finalResponse.headers.set('Cache-Control', 'private, no-store');
+    if (jar && (jar.isNew || documentCookie !== null)) finalResponse.headers.append('Set-Cookie', jar.setCookie);
 
-    // --- 9. Cache Storage ---
-    if (config.cache.enabled && request.method === 'GET') {
-        ctx.waitUntil(CFCache.save(request, finalResponse, config));
+    // --- 10. Cache Storage ---
+    // Content reached through followed redirects is not stored under the requested URL
+    if (cache && !redirected) {
+        ctx.waitUntil(CFCache.save(cache.request, finalResponse, config, targetURL));
+
+        // A range missed the cache: fetch the full object once, in the background, so later ranges hit
+        if (CFCache.needsFill(finalResponse, config)) {
+            ctx.waitUntil(CFCache.claimFill(cache.request).then(claimed => claimed
+                && discard(proxyRequest(CFCache.withoutRange(cache.request), targetURL, config, env, ctx, jar, { request: cache.request, entry: null }))));
+        }
     }
 
     return finalResponse;
@@ -0,0 +1,417 @@
+/**
+ * @file HAR Capture
+ * @description Records proxied request/response pairs as HAR 1.2 entries, per browser session (HAR_CAPTURE = true).
+ * @version 1.0.0
+ *
+ * The browser is tied to its capture session by HAR_SESSION_COOKIE, scoped to the root domain so
+ * every proxied host shares it (it never reaches an upstream, see sanitizeRequestCookie).
+ *
+ * Each entry describes the exchange as the browser saw it: the client request before rewriting and
+ * the response after rewriting. The upstream side, when it was contacted, is in the custom
+ * `_upstream` field (rewritten request headers, raw response status and headers); `_cacheStatus`
+ * says how CFCache answered (HIT, STALE, REVALIDATED, MISS or BYPASS). Bodies are captured up to
+ * HAR_MAX_BODY bytes, as text for textual types and base64 otherwise. Cookies matched by
+ * COOKIE_PROXY_PASSTHROUGH or COOKIE_ROOT_PASSTHROUGH, the proxy's own session cookies and the
+ * credentials of Authorization/Proxy-Authorization headers are redacted.
+ */
+
+import { parseSetCookie } from '../rewrite/rewriters/headers/cookies.mjs';
+import { errorFields, logEvent } from '../telemetry/log.mjs';
+
+/** Name of the browser cookie carrying the capture session id. */
+export const HAR_SESSION_COOKIE = '__Secure-divortio-har';
+
+/** Proxy session cookies (cookie jar, HAR capture): always redacted. */
+const PROXY_SESSION_PREFIX = '__Secure-divortio-';
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** Internal URL of Durable Object calls (only the body matters). */
+const HAR_ENDPOINT = 'https://har-capture.internal/';
+
+const REDACTED = '[REDACTED]';
+
+/** Headers whose credentials are redacted (the auth scheme is kept). */
+const AUTH_HEADERS = ['authorization', 'proxy-authorization'];
+
+/** Bodies captured as text; everything else is base64-encoded. */
+const TEXT_TYPES = /^text\/|[/+](?:json|xml|javascript|ecmascript)\b|^application\/(?:x-www-form-urlencoded|x-javascript|vnd\.apple\.mpegurl)/i;
+
+/**
+ * @typedef {Object} HarStore
+ * @property {function(object): Promise<void>} add - Stores an entry.
+ * @property {function(): Promise<object[]>} get - Every entry, in start order.
+ * @property {function(): Promise<void>} clear
+ */
+
+/**
+ * @typedef {Object} HarCapture
+ * @property {function(string): void} setCacheStatus - How the cache answered when no X-Proxy-Cache header says so ('MISS', 'BYPASS').
+ * @property {function(Request, Response): void} upstream - Records the upstream exchange (final hop).
+ * @property {function(Response, ExecutionContext): Response} finish - Records the client response; returns it with a metered body.
+ */
+
+/**
+ * Reads the capture session id from a Cookie header.
+ * @param {Request} request
+ * @returns {string|null}
+ */
+export function readHarSessionId(request) {
+    for (const part of (request.headers.get('Cookie') || '').split(';')) {
+        const eq = part.indexOf('=');
+        if (eq !== -1 && part.slice(0, eq).trim() === HAR_SESSION_COOKIE) {
+            const id = part.slice(eq + 1).trim().toLowerCase();
+            return SESSION_ID_PATTERN.test(id) ? id : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Opens the entry store of a capture session.
+ * @param {string} id - The session id.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the Durable Object binding).
+ * @returns {HarStore}
+ */
+export function openHarStore(id, config, env) {
+    const { binding, maxEntries, ttl } = config.har;
+    const namespace = env[binding];
+    const stub = namespace.get(namespace.idFromName(id));
+
+    const call = async (body) => {
+        const response = await stub.fetch(HAR_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`HAR capture request failed (${response.status}).`);
+        return response.json();
+    };
+
+    return {
+        async add(entry) {
+            await call({ op: 'add', entry, maxEntries, ttl });
+        },
+        async get() {
+            return (await call({ op: 'get' })).entries;
+        },
+        async clear() {
+            await call({ op: 'clear' });
+        }
+    };
+}
+
+/**
+ * Wraps entries into a HAR 1.2 document.
+ * @param {object[]} entries
+ * @returns {object}
+ */
+export function toHar(entries) {
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'Divortio Proxio', version: '1.0.0' },
+            pages: [],
+            entries
+        }
+    };
+}
+
+/**
+ * True for cookies that must not appear in a capture.
+ * @param {string} name
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {boolean}
+ */
+function isRedacted(name, config) {
+    if (name.startsWith(PROXY_SESSION_PREFIX)) return true;
+    const { proxyPassthrough, rootPassthrough } = config.cookies;
+    return (!!proxyPassthrough && proxyPassthrough.test(name)) || (!!rootPassthrough && rootPassthrough.test(name));
+}
+
+/**
+ * Redacts auth credentials and the values of sensitive cookies in a Cookie or Set-Cookie header.
+ * @param {string} name - Header name.
+ * @param {string} value
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {string}
+ */
+function redactHeader(name, value, config) {
+    const lower = name.toLowerCase();
+    if (AUTH_HEADERS.includes(lower)) {
+        const space = value.trim().indexOf(' ');
+        return space === -1 ? REDACTED : `${value.trim().slice(0, space)} ${REDACTED}`;
+    }
+    if (lower === 'cookie') {
+        return value.split(';').map(part => {
+            const eq = part.indexOf('=');
+            return eq !== -1 && isRedacted(part.slice(0, eq).trim(), config) ? `${part.slice(0, eq)}=${REDACTED}` : part;
+        }).join(';');
+    }
+    if (lower === 'set-cookie') {
+        const eq = value.indexOf('=');
+        const semi = value.indexOf(';');
+        if (eq !== -1 && (semi === -1 || eq < semi) && isRedacted(value.slice(0, eq).trim(), config)) {
+            return `${value.slice(0, eq)}=${REDACTED}${semi === -1 ? '' : value.slice(semi)}`;
+        }
+    }
+    return value;
+}
+
+/**
+ * HAR header list of a Headers object (Set-Cookie values stay separate).
+ * @param {Headers} headers
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {Array<{name: string, value: string}>}
+ */
+function harHeaders(headers, config) {
+    const out = [];
+    for (const [name, value] of headers) {
+        if (name === 'set-cookie') continue;
+        out.push({ name, value: redactHeader(name, value, config) });
+    }
+    for (const value of headers.getAll('Set-Cookie')) {
+        out.push({ name: 'set-cookie', value: redactHeader('set-cookie', value, config) });
+    }
+    return out;
+}
+
+/**
+ * HAR cookie list of a request.
+ * @param {Headers} headers
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {Array<{name: string, value: string}>}
+ */
+function requestCookies(headers, config) {
+    const out = [];
+    for (const part of (headers.get('Cookie') || '').split(';')) {
+        const eq = part.indexOf('=');
+        if (eq === -1) continue;
+        const name = part.slice(0, eq).trim();
+        out.push({ name, value: isRedacted(name, config) ? REDACTED : part.slice(eq + 1).trim() });
+    }
+    return out;
+}
+
+/**
+ * HAR cookie list of a response.
+ * @param {Headers} headers
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {object[]}
+ */
+function responseCookies(headers, config) {
+    const out = [];
+    for (const value of headers.getAll('Set-Cookie')) {
+        const cookie = parseSetCookie(value);
+        if (!cookie) continue;
+        const entry = { name: cookie.name, value: isRedacted(cookie.name, config) ? REDACTED : cookie.value };
+        if (cookie.path) entry.path = cookie.path;
+        if (cookie.domain) entry.domain = cookie.domain;
+        if (cookie.expires) entry.expires = new Date(cookie.expires).toISOString();
+        entry.httpOnly = cookie.httpOnly;
+        entry.secure = cookie.secure;
+        out.push(entry);
+    }
+    return out;
+}
+
+/**
+ * Captured body text for a HAR `content` / `postData` object.
+ * @param {Uint8Array} bytes - The kept prefix.
+ * @param {string} mimeType
+ * @returns {{text: string, encoding?: string}}
+ */
+function bodyText(bytes, mimeType) {
+    if (TEXT_TYPES.test(mimeType)) return { text: new TextDecoder().decode(bytes, { stream: true }) };
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return { text: btoa(binary), encoding: 'base64' };
+}
+
+/**
+ * Collects up to `limit` bytes of chunks.
+ */
+class BodySample {
+    /**
+     * @param {number} limit
+     */
+    constructor(limit) {
+        this.limit = limit;
+        this.chunks = [];
+        this.kept = 0;
+        this.size = 0;
+    }
+
+    /**
+     * @param {Uint8Array} chunk
+     */
+    add(chunk) {
+        this.size += chunk.byteLength;
+        if (this.kept >= this.limit) return;
+        const part = chunk.slice(0, this.limit - this.kept);
+        this.chunks.push(part);
+        this.kept += part.byteLength;
+    }
+
+    /**
+     * @returns {Uint8Array}
+     */
+    bytes() {
+        const out = new Uint8Array(this.kept);
+        let offset = 0;
+        for (const chunk of this.chunks) {
+            out.set(chunk, offset);
+            offset += chunk.byteLength;
+        }
+        return out;
+    }
+}
+
+/**
+ * Reads up to `limit` bytes of a request body copy, then releases it.
+ * @param {ReadableStream} stream
+ * @param {number} limit
+ * @returns {Promise<BodySample>}
+ */
+async function sampleStream(stream, limit) {
+    const sample = new BodySample(limit);
+    const reader = stream.getReader();
+    try {
+        while (sample.kept < limit) {
+            const { done, value } = await reader.read();
+            if (done) return sample;
+            sample.add(value instanceof Uint8Array ? value : new Uint8Array(value));
+        }
+        await reader.cancel();
+    } catch (e) {
+        // The original request body failed as well; keep what was read
+    }
+    sample.size = -1;
+    return sample;
+}
+
+/**
+ * Starts capturing a proxied request.
+ * @param {Request} request - The client request, as received.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @returns {HarCapture}
+ */
+export function startHarCapture(request, config, env) {
+    const { maxBody, ttl } = config.har;
+    const started = Date.now();
+    const existing = readHarSessionId(request);
+    const id = existing || crypto.randomUUID();
+    const requestHeaders = new Headers(request.headers);
+
+    // Request body copy (the original streams to the upstream)
+    const postData = maxBody > 0 && request.body
+        ? sampleStream(request.clone().body, maxBody)
+        : Promise.resolve(null);
+
+    let cacheStatus = 'BYPASS';
+    let upstream = null;
+    let upstreamAt = null;
+
+    return {
+        setCacheStatus(status) {
+            cacheStatus = status;
+        },
+
+        upstream(upstreamRequest, upstreamResponse) {
+            upstreamAt = Date.now();
+            upstream = {
+                url: upstreamRequest.url,
+                method: upstreamRequest.method,
+                requestHeaders: harHeaders(upstreamRequest.headers, config),
+                status: upstreamResponse.status,
+                statusText: upstreamResponse.statusText,
+                responseHeaders: harHeaders(upstreamResponse.headers, config)
+            };
+        },
+
+        finish(response, ctx) {
+            const respondedAt = Date.now();
+            const url = new URL(request.url);
+            const mimeType = response.headers.get('Content-Type') || '';
+            const sample = new BodySample(maxBody);
+
+            // 1. Meter the body as it streams to the client
+            let body = response.body;
+            let metered = Promise.resolve();
+            if (body && !response.webSocket) {
+                const { readable, writable } = new TransformStream({
+                    transform(chunk, controller) {
+                        sample.add(chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk));
+                        controller.enqueue(chunk);
+                    }
+                });
+                // A client abort ends the capture with what was sent
+                metered = body.pipeTo(writable).catch(() => {});
+                body = readable;
+            }
+
+            // 2. Build and store the entry once the body is through
+            const record = async () => {
+                await metered;
+                const finished = Date.now();
+                const requestSample = await postData;
+                const wait = (upstreamAt || respondedAt) - started;
+                const receive = finished - respondedAt;
+
+                const harRequest = {
+                    method: request.method,
+                    url: request.url,
+                    httpVersion: (request.cf && request.cf.httpProtocol) || 'HTTP/1.1',
+                    cookies: requestCookies(requestHeaders, config),
+                    headers: harHeaders(requestHeaders, config),
+                    queryString: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+                    headersSize: -1,
+                    bodySize: requestSample ? requestSample.size : (request.body ? -1 : 0)
+                };
+                if (requestSample) {
+                    const type = requestHeaders.get('Content-Type') || '';
+                    harRequest.postData = { mimeType: type, ...bodyText(requestSample.bytes(), type) };
+                }
+
+                const content = { size: sample.size, mimeType };
+                if (maxBody > 0 && sample.kept) {
+                    Object.assign(content, bodyText(sample.bytes(), mimeType));
+                    if (sample.kept < sample.size) content.comment = `Truncated to ${sample.kept} of ${sample.size} bytes`;
+                }
+
+                const entry = {
+                    startedDateTime: new Date(started).toISOString(),
+                    time: wait + receive,
+                    request: harRequest,
+                    response: {
+                        status: response.status,
+                        statusText: response.statusText || '',
+                        httpVersion: harRequest.httpVersion,
+                        cookies: responseCookies(response.headers, config),
+                        headers: harHeaders(response.headers, config),
+                        content,
+                        redirectURL: response.headers.get('Location') || '',
+                        headersSize: -1,
+                        bodySize: sample.size
+                    },
+                    cache: {},
+                    timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait, receive },
+                    _cacheStatus: response.headers.get('X-Proxy-Cache') || cacheStatus,
+                    _upstream: upstream
+                };
+                await openHarStore(id, config, env).add(entry);
+            };
+            ctx.waitUntil(record().catch(e => logEvent('error', 'har-capture-failed', errorFields(e))));
+
+            // 3. Upgrades keep their socket untouched; everything else carries the session cookie
+            if (response.webSocket) return response;
+            const headers = new Headers(response.headers);
+            if (!existing) {
+                headers.append('Set-Cookie', `${HAR_SESSION_COOKIE}=${id}; Domain=${config.rootDomain}; Path=/; Max-Age=${ttl}; Secure; HttpOnly; SameSite=Lax`);
+            }
+            return new Response(body, { status: response.status, statusText: response.statusText, headers });
+        }
+    };
+}
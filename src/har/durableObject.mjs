@@ -0,0 +1,102 @@
+/**
+ * @file HAR Capture Durable Object
+ * @description Stores the captured HAR entries of one capture session (HAR_CAPTURE = true).
+ * @version 1.0.0
+ *
+ * One object per capture session, addressed by `idFromName(sessionId)`. The Worker talks to it with
+ * JSON POSTs (see capture.mjs):
+ * - { op: 'add', entry, maxEntries, ttl } -> { ok }       Appends an entry, dropping the oldest beyond `maxEntries`.
+ * - { op: 'get' }                         -> { entries }  Every entry, in start order.
+ * - { op: 'clear' }                       -> { ok }
+ *
+ * Each entry is persisted under its own storage key. The session expires `ttl` seconds after its
+ * last entry: every add moves the alarm, which wipes storage.
+ */
+
+/** Storage key prefix of entries. */
+const ENTRY_PREFIX = 'entry:';
+
+/** Storage key of the next entry number. */
+const SEQUENCE_KEY = 'sequence';
+
+const OPS = ['add', 'get', 'clear'];
+
+/**
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+export class HarCaptureObject {
+    /**
+     * @param {DurableObjectState} state
+     * @param {object} env
+     */
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+        // 1. Validate
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return json({ error: 'Invalid JSON' }, 400);
+        }
+        if (!body || !OPS.includes(body.op)) return json({ error: `Unknown op '${body && body.op}'` }, 400);
+        const storage = this.state.storage;
+
+        // 2. Reads & clears
+        if (body.op === 'get') {
+            const stored = await storage.list({ prefix: ENTRY_PREFIX });
+            const entries = Array.from(stored.values())
+                .sort((a, b) => Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime));
+            return json({ entries });
+        }
+        if (body.op === 'clear') {
+            await storage.deleteAll();
+            return json({ ok: true });
+        }
+
+        // 3. Add, evicting the oldest entries (keys are zero-padded, so they list in order)
+        if (!body.entry || typeof body.entry !== 'object') return json({ error: 'Invalid entry' }, 400);
+        const sequence = (await storage.get(SEQUENCE_KEY)) || 0;
+        await storage.put({
+            [ENTRY_PREFIX + String(sequence).padStart(10, '0')]: body.entry,
+            [SEQUENCE_KEY]: sequence + 1
+        });
+
+        const maxEntries = Number.isInteger(body.maxEntries) && body.maxEntries > 0 ? body.maxEntries : 1;
+        if (sequence + 1 > maxEntries) {
+            const stored = await storage.list({ prefix: ENTRY_PREFIX });
+            const excess = Array.from(stored.keys()).slice(0, Math.max(0, stored.size - maxEntries));
+            if (excess.length) await storage.delete(excess);
+        }
+
+        if (Number.isInteger(body.ttl) && body.ttl > 0) {
+            await storage.setAlarm(Date.now() + body.ttl * 1000);
+        }
+        return json({ ok: true });
+    }
+
+    /**
+     * Session expired: forget every entry.
+     */
+    async alarm() {
+        await this.state.storage.deleteAll();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * @file Leak Report Durable Object
+ * @description Aggregates the interceptor's leak reports by origin and URL pattern (LEAK_REPORTS = true).
+ * @version 1.0.0
+ *
+ * A single object, addressed by `idFromName(LEAK_OBJECT_NAME)`, holds the whole deployment's report.
+ * The Worker talks to it with JSON POSTs (see report.mjs):
+ * - { op: 'add', leaks, maxPatterns } -> { ok, dropped }       Counts each leak under its origin + pattern.
+ * - { op: 'get' }                     -> { since, dropped, patterns }
+ * - { op: 'clear' }                   -> { ok }
+ *
+ * Each pattern is persisted under its own storage key. Leaks of new patterns beyond `maxPatterns`
+ * are only counted in `dropped`.
+ */
+
+/** Name of the single leak report object. */
+export const LEAK_OBJECT_NAME = 'leak-report';
+
+/** Storage key prefix of patterns. */
+const PATTERN_PREFIX = 'pattern:';
+
+/** Storage key of the report's totals. */
+const META_KEY = 'meta';
+
+const OPS = ['add', 'get', 'clear'];
+
+/**
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+export class LeakReportObject {
+    /**
+     * @param {DurableObjectState} state
+     * @param {object} env
+     */
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+        // 1. Validate
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return json({ error: 'Invalid JSON' }, 400);
+        }
+        if (!body || !OPS.includes(body.op)) return json({ error: `Unknown op '${body && body.op}'` }, 400);
+        const storage = this.state.storage;
+
+        // 2. Reads & clears
+        if (body.op === 'get') {
+            const meta = (await storage.get(META_KEY)) || { since: null, patterns: 0, dropped: 0 };
+            const stored = await storage.list({ prefix: PATTERN_PREFIX });
+            return json({ since: meta.since, dropped: meta.dropped, patterns: Array.from(stored.values()) });
+        }
+        if (body.op === 'clear') {
+            await storage.deleteAll();
+            return json({ ok: true });
+        }
+
+        // 3. Add
+        if (!Array.isArray(body.leaks)) return json({ error: 'Invalid leaks' }, 400);
+        const maxPatterns = Number.isInteger(body.maxPatterns) && body.maxPatterns > 0 ? body.maxPatterns : 1;
+        const meta = (await storage.get(META_KEY)) || { since: Date.now(), patterns: 0, dropped: 0 };
+
+        const keys = [...new Set(body.leaks.map(leak => `${PATTERN_PREFIX}${leak.origin} ${leak.pattern}`))];
+        const existing = keys.length ? await storage.get(keys) : new Map();
+        const updates = {};
+
+        body.leaks.forEach((leak) => {
+            const key = `${PATTERN_PREFIX}${leak.origin} ${leak.pattern}`;
+            let entry = updates[key] || existing.get(key);
+            if (!entry) {
+                if (meta.patterns >= maxPatterns) {
+                    meta.dropped++;
+                    return;
+                }
+                meta.patterns++;
+                entry = { origin: leak.origin, pattern: leak.pattern, count: 0, traps: {}, initiatorTypes: {}, firstSeen: leak.time, lastSeen: leak.time, sample: null };
+            }
+            entry.count++;
+            entry.traps[leak.trap] = (entry.traps[leak.trap] || 0) + 1;
+            entry.initiatorTypes[leak.initiatorType] = (entry.initiatorTypes[leak.initiatorType] || 0) + 1;
+            entry.lastSeen = Math.max(entry.lastSeen, leak.time);
+            entry.sample = { url: leak.url, page: leak.page };
+            updates[key] = entry;
+        });
+
+        updates[META_KEY] = meta;
+        await storage.put(updates);
+        return json({ ok: true, dropped: meta.dropped });
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * @file Leak Reports
+ * @description Validates the interceptor's leak reports, reduces leaked URLs to patterns and builds the aggregated report.
+ * @version 1.0.0
+ *
+ * A leak is a resource the page loaded from outside the proxy, seen by the interceptor's
+ * PerformanceObserver. Reports are grouped by the leaked origin, then by URL pattern: the path with
+ * numeric, hexadecimal and token-like segments collapsed (`/u/8812/avatar.png` -> `/u/:n/avatar.png`),
+ * query and fragment dropped. Each pattern counts its leaks by the trap that should have caught
+ * them, so the report points at the rewriter coverage to add first.
+ */
+
+import { LEAK_OBJECT_NAME } from './durableObject.mjs';
+
+/** Internal URL of Durable Object calls (only the body matters). */
+const LEAK_ENDPOINT = 'https://leak-report.internal/';
+
+/** Most leaks accepted per beacon. */
+export const MAX_LEAKS = 50;
+
+/** Longest URL kept (leaked resource and page). */
+const MAX_URL_LENGTH = 2048;
+
+/** Trap and initiator type names sent by the interceptor. */
+const NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+const SEGMENT_PATTERNS = [
+    [/^\d+$/, ':n'],
+    [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, ':uuid'],
+    [/^[0-9a-f]{16,}$/i, ':hex'],
+    // Long mixed letter/digit runs: hashes, ids, signed tokens
+    [/^(?=.*\d)(?=.*[a-z])[\w-]{20,}$/i, ':token']
+];
+
+/**
+ * @typedef {Object} Leak
+ * @property {string} origin - Origin of the leaked resource.
+ * @property {string} pattern - Path pattern of the leaked resource.
+ * @property {string} url - The leaked URL without query or fragment.
+ * @property {string} page - The (upstream) page URL without query or fragment.
+ * @property {string} initiatorType - PerformanceResourceTiming.initiatorType.
+ * @property {string} trap - The interceptor trap expected to catch it.
+ * @property {number} time - Epoch milliseconds (receipt).
+ */
+
+/**
+ * @typedef {Object} LeakStore
+ * @property {function(Leak[]): Promise<void>} add
+ * @property {function(): Promise<{since: (number|null), dropped: number, patterns: object[]}>} get - The stored patterns.
+ * @property {function(): Promise<void>} clear
+ */
+
+/**
+ * The pattern of a leaked URL's path.
+ * @param {URL} url
+ * @returns {string}
+ */
+export function leakPattern(url) {
+    return url.pathname.split('/').map((segment) => {
+        for (const [pattern, placeholder] of SEGMENT_PATTERNS) {
+            if (pattern.test(segment)) return placeholder;
+        }
+        return segment;
+    }).join('/');
+}
+
+/**
+ * Parses a URL, keeping only http(s) URLs within MAX_URL_LENGTH.
+ * @param {*} value
+ * @returns {URL|null}
+ */
+function parseHttpURL(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Validates a beacon's reports. Malformed reports and URLs that are in fact proxied are skipped.
+ * @param {*} reports - The beacon's `leaks` array.
+ * @param {import('../url/codec.mjs').UrlCodec} codec
+ * @returns {Leak[]|null} Null if `reports` is not an array of at most MAX_LEAKS entries.
+ */
+export function parseLeaks(reports, codec) {
+    if (!Array.isArray(reports) || reports.length > MAX_LEAKS) return null;
+    const time = Date.now();
+    const leaks = [];
+
+    for (const report of reports) {
+        if (!report || typeof report !== 'object') continue;
+        const url = parseHttpURL(report.url);
+        const page = parseHttpURL(report.page);
+        if (!url || !page || codec.isProxied(url.href)) continue;
+        if (!NAME_PATTERN.test(report.initiatorType) || !NAME_PATTERN.test(report.trap)) continue;
+
+        leaks.push({
+            origin: url.origin,
+            pattern: leakPattern(url),
+            url: url.origin + url.pathname,
+            page: page.origin + page.pathname,
+            initiatorType: report.initiatorType,
+            trap: report.trap,
+            time
+        });
+    }
+    return leaks;
+}
+
+/**
+ * Opens the leak report store.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the Durable Object binding).
+ * @returns {LeakStore}
+ */
+export function openLeakStore(config, env) {
+    const namespace = env[config.leaks.binding];
+    const stub = namespace.get(namespace.idFromName(LEAK_OBJECT_NAME));
+
+    /**
+     * @param {object} body
+     * @returns {Promise<object>} The object's JSON answer.
+     */
+    const call = async (body) => {
+        const response = await stub.fetch(LEAK_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`Leak report request failed (${response.status}).`);
+        return response.json();
+    };
+
+    return {
+        async add(leaks) {
+            await call({ op: 'add', leaks, maxPatterns: config.leaks.maxPatterns });
+        },
+
+        async get() {
+            return call({ op: 'get' });
+        },
+
+        async clear() {
+            await call({ op: 'clear' });
+        }
+    };
+}
+
+/**
+ * Adds `counts` into `into`.
+ * @param {Record<string, number>} into
+ * @param {Record<string, number>} counts
+ */
+function addCounts(into, counts) {
+    for (const [name, count] of Object.entries(counts)) into[name] = (into[name] || 0) + count;
+}
+
+/**
+ * Groups the stored patterns by origin, most leaks first.
+ * @param {{since: (number|null), dropped: number, patterns: object[]}} stored
+ * @returns {object} The JSON report.
+ */
+export function toLeakReport(stored) {
+    const origins = new Map();
+    let total = 0;
+
+    for (const entry of stored.patterns) {
+        let origin = origins.get(entry.origin);
+        if (!origin) {
+            origin = { origin: entry.origin, count: 0, traps: {}, initiatorTypes: {}, lastSeen: 0, patterns: [] };
+            origins.set(entry.origin, origin);
+        }
+        origin.count += entry.count;
+        origin.lastSeen = Math.max(origin.lastSeen, entry.lastSeen);
+        addCounts(origin.traps, entry.traps);
+        addCounts(origin.initiatorTypes, entry.initiatorTypes);
+        origin.patterns.push({
+            pattern: entry.pattern,
+            count: entry.count,
+            traps: entry.traps,
+            initiatorTypes: entry.initiatorTypes,
+            firstSeen: new Date(entry.firstSeen).toISOString(),
+            lastSeen: new Date(entry.lastSeen).toISOString(),
+            sample: entry.sample
+        });
+        total += entry.count;
+    }
+
+    // Traps across every origin, to see which coverage gap costs the most
+    const traps = {};
+    const sorted = Array.from(origins.values()).sort((a, b) => b.count - a.count);
+    for (const origin of sorted) {
+        addCounts(traps, origin.traps);
+        origin.patterns.sort((a, b) => b.count - a.count);
+        origin.lastSeen = new Date(origin.lastSeen).toISOString();
+    }
+
+    return {
+        generated: new Date().toISOString(),
+        since: stored.since ? new Date(stored.since).toISOString() : null,
+        total,
+        dropped: stored.dropped,
+        traps,
+        origins: sorted
+    };
+}
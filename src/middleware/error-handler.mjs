@@ -1,22 +1,61 @@
 /**
  * @file Global Error Middleware
- * @description Catches unhandled exceptions and returns a safe JSON response.
- * @version 2.0.0 (Standardized)
+ * @description Catches unhandled exceptions, reports them, and returns a safe JSON response.
+ * @version 2.1.0 (Structured Logs)
  */
 
+import { createConfig } from '../config/index.mjs';
+import { errorFields, logEvent } from '../telemetry/log.mjs';
+import { getDataset, writeMetrics } from '../telemetry/metrics.mjs';
+
 export const ErrorMiddleware = {
     /**
      * Wraps the execution context in a try-catch block.
      * @param {function(): Promise<Response>} fn - The async worker logic.
+     * @param {Request} request - The client request (for the report).
+     * @param {object} env - The Worker environment (for the metrics dataset).
      * @returns {Promise<Response>}
      */
-    async wrap(fn) {
+    async wrap(fn, request, env) {
+        const started = Date.now();
         try {
             return await fn();
         } catch (err) {
-            console.error("[Proxio Error]", err);
+            // 1. Report: one structured log line (never sampled) and an 'exception' data point
+            const url = new URL(request.url);
+            logEvent('error', 'exception', {
+                host: url.hostname,
+                path: url.pathname,
+                method: request.method,
+                ...errorFields(err)
+            });
+
+            // The config itself may be what failed; the exception is then only logged
+            let config = null;
+            try {
+                config = createConfig(env);
+            } catch (e) {
+                // Logged above
+            }
+            if (config) {
+                writeMetrics(getDataset(config, env), {
+                    event: 'exception',
+                    target: url.hostname,
+                    method: request.method,
+                    handler: null,
+                    cacheStatus: null,
+                    mods: [],
+                    colo: (request.cf && request.cf.colo) || null,
+                    status: 500,
+                    upstreamStatus: null,
+                    bytesIn: 0,
+                    bytesOut: 0,
+                    rewriteMs: null,
+                    durationMs: Date.now() - started
+                });
+            }
 
-            // Return a safe, generic error to the client to prevent stack trace leaks
+            // 2. Return a safe, generic error to the client to prevent stack trace leaks
             return new Response(JSON.stringify({
                 error: "Proxy Error",
                 message: "An internal error occurred while processing the request.",
@@ -30,4 +69,4 @@ export const ErrorMiddleware = {
             });
         }
     }
-};
\ No newline at end of file
+};
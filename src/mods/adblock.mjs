@@ -0,0 +1,238 @@
+/**
+ * @file Ad & Tracker Blocking Mod
+ * @description Blocks requests and hides page elements using Adblock Plus / EasyList filter lists.
+ * @version 1.1.0 (Shared Site Matching)
+ * @extends BaseMod
+ *
+ * - `onRequest`: classifies the request (type from `Sec-Fetch-Dest`, page from the proxied `Referer`)
+ *   and answers matches with an empty response of the expected type, so pages do not stall on errors.
+ * - `onHtml`: hides elements with `##` filters. All selectors are injected as one forgiving `:is()`
+ *   rule (an unsupported selector cannot void the others); site-specific ones are also removed from
+ *   the streamed markup.
+ *
+ * Lists come from the bundled filters, inline `filters` and/or text values in a KV namespace.
+ * Parsed lists are cached per isolate and re-read from KV every `refreshSeconds`.
+ */
+
+import { BaseMod } from './templates/BaseMod.mjs';
+import { parseFilterList } from './adblock/filters.mjs';
+import { BUNDLED_FILTERS } from './adblock/bundled.mjs';
+import { getUrlCodec } from '../url/codec.mjs';
+import { isSameSite } from '../url/site.mjs';
+import { errorFields, logEvent } from '../telemetry/log.mjs';
+
+/** Sec-Fetch-Dest -> filter resource type. */
+const DEST_TYPES = {
+    script: 'script', worker: 'script', sharedworker: 'script', serviceworker: 'script',
+    audioworklet: 'script', paintworklet: 'script',
+    image: 'image', style: 'stylesheet', font: 'font',
+    audio: 'media', video: 'media', track: 'media',
+    object: 'object', embed: 'object',
+    iframe: 'subdocument', frame: 'subdocument', fencedframe: 'subdocument',
+    document: 'document', report: 'ping', empty: 'xmlhttprequest'
+};
+
+/** Extension fallback when the browser sent no Sec-Fetch-Dest. */
+const EXTENSION_TYPES = [
+    [/\.m?js$/, 'script'],
+    [/\.css$/, 'stylesheet'],
+    [/\.(?:png|jpe?g|gif|webp|avif|svg|ico|bmp)$/, 'image'],
+    [/\.(?:woff2?|ttf|otf|eot)$/, 'font'],
+    [/\.(?:mp4|webm|mp3|m4a|ogg|m3u8|mpd|vtt)$/, 'media']
+];
+
+/** 1x1 transparent GIF served for blocked images. */
+const BLANK_GIF = Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), c => c.charCodeAt(0));
+
+/** Empty bodies per blocked resource type; anything else gets a 204. */
+const BLOCKED_BODIES = {
+    script: ['', 'application/javascript'],
+    stylesheet: ['', 'text/css'],
+    image: [BLANK_GIF, 'image/gif'],
+    subdocument: ['', 'text/html'],
+    document: ['', 'text/html']
+};
+
+/** Site-specific selectors also removed from the markup (beyond this, CSS hiding only). */
+const MAX_REMOVAL_SELECTORS = 200;
+
+/**
+ * Parsed lists per source configuration, shared by all requests of the isolate.
+ * @type {Map<string, {list: import('./adblock/filters.mjs').FilterList, expires: number}>}
+ */
+const LIST_CACHE = new Map();
+
+/**
+ * Determines the filter resource type of a request.
+ * @param {Request} request
+ * @param {URL} targetURL
+ * @returns {string}
+ */
+function getRequestType(request, targetURL) {
+    if (request.headers.get('Upgrade') === 'websocket') return 'websocket';
+
+    const dest = (request.headers.get('Sec-Fetch-Dest') || '').toLowerCase();
+    if (DEST_TYPES[dest]) return DEST_TYPES[dest];
+
+    const path = targetURL.pathname.toLowerCase();
+    for (const [pattern, type] of EXTENSION_TYPES) {
+        if (pattern.test(path)) return type;
+    }
+    return (request.headers.get('Accept') || '').includes('text/html') ? 'document' : 'other';
+}
+
+/**
+ * Builds the empty stand-in response for a blocked request.
+ * @param {string} type
+ * @returns {Response}
+ */
+function blockedResponse(type) {
+    const [body, contentType] = BLOCKED_BODIES[type] || [null, null];
+    const headers = { 'Cache-Control': 'no-store' };
+    if (!contentType) return new Response(null, { status: 204, headers });
+    return new Response(body, { status: 200, headers: { ...headers, 'Content-Type': contentType } });
+}
+
+export class AdBlockMod extends BaseMod {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.bundled=true] - Include the bundled filter list.
+     * @param {string[]} [options.filters=[]] - Extra filter lines.
+     * @param {string|null} [options.kvBinding=null] - KV namespace binding holding filter lists.
+     * @param {string[]} [options.kvKeys=['easylist.txt']] - KV keys to load (concatenated).
+     * @param {number} [options.refreshSeconds=3600] - How long a parsed KV list is reused.
+     */
+    constructor({ bundled = true, filters = [], kvBinding = null, kvKeys = ['easylist.txt'], refreshSeconds = 3600 } = {}) {
+        if (typeof bundled !== 'boolean') throw new Error("Mod Error: 'bundled' must be a boolean.");
+        if (!Array.isArray(filters) || !filters.every(f => typeof f === 'string')) {
+            throw new Error("Mod Error: 'filters' must be an array of filter lines.");
+        }
+        if (kvBinding !== null && (typeof kvBinding !== 'string' || !kvBinding)) {
+            throw new Error("Mod Error: 'kvBinding' must be a KV binding name.");
+        }
+        if (!Array.isArray(kvKeys) || !kvKeys.length || !kvKeys.every(k => typeof k === 'string' && k)) {
+            throw new Error("Mod Error: 'kvKeys' must be a non-empty array of KV keys.");
+        }
+        if (!Number.isInteger(refreshSeconds) || refreshSeconds < 60) {
+            throw new Error("Mod Error: 'refreshSeconds' must be an integer of at least 60.");
+        }
+        if (!bundled && !filters.length && !kvBinding) {
+            throw new Error("Mod Error: no filter source (enable 'bundled', add 'filters' or set 'kvBinding').");
+        }
+
+        super('adblock', '*');
+        this.sources = { bundled, filters, kvBinding, kvKeys, refreshSeconds };
+        /** @type {import('./adblock/filters.mjs').FilterList|null} */
+        this.filterList = null;
+    }
+
+    /**
+     * Returns the parsed filter list, (re)loading it when the cached copy expired.
+     * Promises are never shared between requests (Workers forbid cross-request I/O), so concurrent
+     * misses each load the list; if a reload fails, the stale list keeps serving.
+     * @param {object} env
+     * @returns {Promise<import('./adblock/filters.mjs').FilterList>}
+     */
+    async loadFilterList(env) {
+        const key = JSON.stringify(this.sources);
+        const cached = LIST_CACHE.get(key);
+        if (cached && cached.expires > Date.now()) return cached.list;
+
+        try {
+            const list = parseFilterList(...await this.fetchFilterText(env));
+            LIST_CACHE.set(key, { list, expires: Date.now() + this.sources.refreshSeconds * 1000 });
+            return list;
+        } catch (e) {
+            if (!cached) throw e;
+            logEvent('error', 'adblock-refresh-failed', errorFields(e));
+            return cached.list;
+        }
+    }
+
+    /**
+     * Collects the raw list texts from all configured sources.
+     * @param {object} env
+     * @returns {Promise<string[]>}
+     */
+    async fetchFilterText(env) {
+        const { bundled, filters, kvBinding, kvKeys } = this.sources;
+        const texts = [];
+        if (bundled) texts.push(BUNDLED_FILTERS);
+        if (filters.length) texts.push(filters.join('\n'));
+
+        if (kvBinding) {
+            const kv = env && env[kvBinding];
+            if (!kv || typeof kv.get !== 'function') {
+                logEvent('warn', 'adblock-kv-missing', { binding: kvBinding });
+            } else {
+                const values = await Promise.all(kvKeys.map(k => kv.get(k, { cacheTtl: this.sources.refreshSeconds })));
+                texts.push(...values.filter(Boolean));
+            }
+        }
+        return texts;
+    }
+
+    /**
+     * Blocks matching requests with an empty response of the expected type.
+     * @param {Request} request
+     * @param {import('./templates/BaseMod.mjs').ModContext} context
+     * @returns {Promise<Response|void>}
+     */
+    async onRequest(request, context) {
+        this.filterList = await this.loadFilterList(context.env);
+
+        // 1. Classify
+        const { targetURL } = context;
+        const type = getRequestType(request, targetURL);
+        const codec = getUrlCodec(context.config);
+        const referrer = request.headers.get('Referer') || request.headers.get('Origin');
+        const pageURL = type === 'document' ? targetURL : (referrer && codec.resolveTarget(referrer)) || null;
+
+        // 2. Allowlisted page (@@||site^$document)
+        if (pageURL && this.filterList.pageExceptions(pageURL).has('document')) return;
+
+        // 3. Match
+        const pageHost = pageURL ? pageURL.hostname.toLowerCase() : '';
+        const match = this.filterList.match({
+            url: targetURL,
+            type,
+            pageHost,
+            thirdParty: !!pageHost && !isSameSite(pageHost, targetURL.hostname)
+        });
+        if (match) return blockedResponse(type);
+    }
+
+    /**
+     * Hides elements matched by cosmetic filters.
+     * @param {HTMLRewriter} rewriter
+     * @param {import('./templates/BaseMod.mjs').ModContext} context
+     */
+    onHtml(rewriter, context) {
+        if (!this.filterList) return;
+
+        // 1. Page-level exceptions
+        const pageURL = context.targetURL;
+        const exceptions = this.filterList.pageExceptions(pageURL);
+        if (exceptions.has('document') || exceptions.has('elemhide')) return;
+
+        const { generic, specific } = this.filterList.selectorsFor(pageURL.hostname, { generic: !exceptions.has('generichide') });
+        const selectors = generic.concat(specific);
+        if (!selectors.length) return;
+
+        // 2. Stylesheet (covers elements added later by scripts); '<' cannot close the <style> element
+        const css = `:is(${selectors.join(',')}){display:none!important}`.replace(/</g, '\\3c ');
+        rewriter.on('head', {
+            element(el) {
+                el.append(`<style>${css}</style>`, { html: true });
+            }
+        });
+
+        // 3. Remove site-specific matches from the markup (selectors HTMLRewriter rejects stay CSS-only)
+        const remove = { element(el) { el.remove(); } };
+        for (const selector of specific.slice(0, MAX_REMOVAL_SELECTORS)) {
+            try {
+                rewriter.on(selector, remove);
+            } catch (e) {}
+        }
+    }
+}
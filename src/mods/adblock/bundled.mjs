@@ -0,0 +1,52 @@
+/**
+ * @file Bundled Filter List
+ * @description A small built-in ad & tracker list, used when no KV list is configured (or as a base).
+ * @version 1.0.0
+ *
+ * Deliberately conservative: well-known third-party ad, analytics and fingerprinting hosts plus the
+ * most common ad containers. Full lists (EasyList, EasyPrivacy) are loaded from KV instead.
+ */
+
+export const BUNDLED_FILTERS = `
+[Adblock Plus 2.0]
+! Title: Divortio Proxio bundled filters
+
+! --- Ad networks ---
+||doubleclick.net^$third-party
+||googlesyndication.com^$third-party
+||googleadservices.com^$third-party
+||adservice.google.com^$third-party
+||amazon-adsystem.com^$third-party
+||adnxs.com^$third-party
+||criteo.com^$third-party
+||criteo.net^$third-party
+||pubmatic.com^$third-party
+||rubiconproject.com^$third-party
+||openx.net^$third-party
+||casalemedia.com^$third-party
+||taboola.com^$third-party
+||outbrain.com^$third-party
+||moatads.com^$third-party
+||adsrvr.org^$third-party
+||smartadserver.com^$third-party
+
+! --- Trackers & analytics ---
+||google-analytics.com^$third-party
+||googletagmanager.com^$third-party
+||scorecardresearch.com^$third-party
+||quantserve.com^$third-party
+||hotjar.com^$third-party
+||mouseflow.com^$third-party
+||fullstory.com^$third-party
+||connect.facebook.net^$third-party
+||bat.bing.com^$third-party
+||analytics.tiktok.com^$third-party
+
+! --- Ad containers ---
+##.adsbygoogle
+##ins.adsbygoogle
+##[id^="google_ads_iframe"]
+##[id^="div-gpt-ad"]
+##.OUTBRAIN
+##.trc_rbox_container
+`;
@@ -0,0 +1,428 @@
+/**
+ * @file Adblock Filter Engine
+ * @description Parses Adblock Plus / EasyList filter lists and matches requests and pages against them.
+ * @version 1.0.0
+ *
+ * Supported syntax:
+ * - Network filters: `||example.com^`, `|https://`, `/banner/*.gif|`, `/regex/`, `*` and `^` (separator).
+ * - Exceptions: `@@||example.com^`, including the page-level `$document`, `$elemhide` and `$generichide`.
+ * - Options: resource types (`$script`, `$image`, `$stylesheet`, `$xmlhttprequest`, `$subdocument`, `$font`,
+ *   `$media`, `$object`, `$ping`, `$websocket`, `$document`, `$other`, negated with `~`), `$third-party` /
+ *   `$~third-party`, `$domain=a.com|~b.com` and `$match-case`.
+ * - Cosmetic filters: `##.ad`, `example.com,~shop.example.com##.ad` and exceptions `#@#.ad`.
+ *
+ * Filters using anything else (snippets `#$#`, procedural `#?#`, HTML filters `##^`, `$redirect`,
+ * `$csp`, ...) are skipped rather than guessed at, so an unsupported line can never over-block.
+ */
+
+/** Resource types a network filter can be restricted to. */
+export const RESOURCE_TYPES = [
+    'script', 'image', 'stylesheet', 'xmlhttprequest', 'subdocument', 'font',
+    'media', 'object', 'ping', 'websocket', 'document', 'other'
+];
+
+/** Option aliases used by EasyList and uBlock Origin lists. */
+const TYPE_ALIASES = {
+    css: 'stylesheet', xhr: 'xmlhttprequest', frame: 'subdocument', doc: 'document',
+    'object-subrequest': 'object', beacon: 'ping'
+};
+
+/** Page-level exception options. */
+const PAGE_OPTIONS = ['document', 'elemhide', 'generichide'];
+
+/** Party options: `true` means third-party (uBlock Origin spells them 3p / 1p / first-party). */
+const PARTY_OPTIONS = { 'third-party': true, '3p': true, 'first-party': false, '1p': false };
+
+/** Options that only tune priority or are harmless to ignore. */
+const IGNORED_OPTIONS = ['important', 'all'];
+
+/** URL tokens used for the keyword index. */
+const TOKEN = /[a-z0-9%]+/g;
+
+/**
+ * @typedef {Object} NetworkFilter
+ * @property {string} text - The original filter line.
+ * @property {RegExp} regex - Compiled URL pattern.
+ * @property {Set<string>|null} types - Resource types the filter applies to (null: all but `document`).
+ * @property {boolean|null} thirdParty - true: third-party only, false: first-party only, null: both.
+ * @property {string[]} domains - Page domains the filter is limited to.
+ * @property {string[]} excludeDomains - Page domains the filter never applies on.
+ * @property {Set<string>} pageOptions - `document` / `elemhide` / `generichide` (page-level exceptions).
+ */
+
+/**
+ * @typedef {Object} FilterRequest
+ * @property {URL} url - The requested (upstream) URL.
+ * @property {string} type - One of RESOURCE_TYPES.
+ * @property {string} pageHost - Hostname of the page that issued the request ('' if unknown).
+ * @property {boolean} thirdParty - True if the request leaves the page's site.
+ */
+
+/**
+ * @typedef {Object} CosmeticFilter
+ * @property {string} selector
+ * @property {string[]} domains
+ * @property {string[]} excludeDomains
+ */
+
+/**
+ * True if `host` is `domain` or one of its subdomains.
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+export function isSubdomainOf(host, domain) {
+    return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Splits a `a.com|~b.com` (or `a.com,~b.com`) domain list.
+ * @param {string} list
+ * @param {string} separator
+ * @returns {{domains: string[], excludeDomains: string[]}}
+ */
+function parseDomainList(list, separator) {
+    const domains = [];
+    const excludeDomains = [];
+    for (const raw of list.split(separator)) {
+        const domain = raw.trim().toLowerCase();
+        if (!domain) continue;
+        if (domain.startsWith('~')) excludeDomains.push(domain.slice(1));
+        else domains.push(domain);
+    }
+    return { domains, excludeDomains };
+}
+
+/**
+ * True if a domain-restricted filter applies on the given page.
+ * @param {{domains: string[], excludeDomains: string[]}} filter
+ * @param {string} pageHost
+ * @returns {boolean}
+ */
+function appliesOnPage(filter, pageHost) {
+    if (filter.excludeDomains.some(d => isSubdomainOf(pageHost, d))) return false;
+    return !filter.domains.length || filter.domains.some(d => isSubdomainOf(pageHost, d));
+}
+
+/**
+ * Converts an Adblock pattern into a RegExp source.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function patternToRegex(pattern) {
+    let prefix = '';
+    let suffix = '';
+
+    if (pattern.startsWith('||')) {
+        // Domain anchor: the scheme, then the host or any of its parent labels.
+        prefix = '^[a-z][a-z0-9+.-]*:\\/\\/(?:[^\\/?#]*\\.)?';
+        pattern = pattern.slice(2);
+    } else if (pattern.startsWith('|')) {
+        prefix = '^';
+        pattern = pattern.slice(1);
+    }
+    if (pattern.endsWith('|')) {
+        suffix = '$';
+        pattern = pattern.slice(0, -1);
+    }
+
+    const body = pattern
+        .replace(/\*+/g, '*')
+        .replace(/[.+?${}()|[\]\\/]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\^/g, '(?:[^\\w.%-]|$)');
+    return prefix + body + suffix;
+}
+
+/**
+ * Parses a network filter line (without the leading `@@`).
+ * @param {string} line - The original line.
+ * @param {string} text - The filter body.
+ * @returns {NetworkFilter|null} Null if the filter uses unsupported syntax.
+ */
+function parseNetworkFilter(line, text) {
+    let pattern = text;
+    let options = '';
+
+    // 1. Split off $options (a regex filter may itself contain '$')
+    const dollar = text.lastIndexOf('$');
+    if (dollar !== -1 && !(text.startsWith('/') && text.endsWith('/'))) {
+        pattern = text.slice(0, dollar);
+        options = text.slice(dollar + 1);
+    }
+
+    /** @type {NetworkFilter} */
+    const filter = {
+        text: line, regex: null, types: null, thirdParty: null,
+        domains: [], excludeDomains: [], pageOptions: new Set()
+    };
+    const include = new Set();
+    const exclude = new Set();
+    let matchCase = false;
+
+    // 2. Options
+    for (const raw of options ? options.split(',') : []) {
+        const option = raw.trim().toLowerCase();
+        const negated = option.startsWith('~');
+        const name = negated ? option.slice(1) : option;
+        const type = TYPE_ALIASES[name] || name;
+
+        if (PAGE_OPTIONS.includes(name) && !negated) filter.pageOptions.add(name);
+
+        if (RESOURCE_TYPES.includes(type)) {
+            (negated ? exclude : include).add(type);
+        } else if (name in PARTY_OPTIONS) {
+            filter.thirdParty = PARTY_OPTIONS[name] !== negated;
+        } else if (name === 'match-case') {
+            matchCase = true;
+        } else if (name.startsWith('domain=')) {
+            Object.assign(filter, parseDomainList(raw.trim().slice(7), '|'));
+        } else if (!filter.pageOptions.has(name) && !IGNORED_OPTIONS.includes(option)) {
+            return null;
+        }
+    }
+
+    if (include.size) filter.types = include;
+    else if (exclude.size) filter.types = new Set(RESOURCE_TYPES.filter(t => t !== 'document' && !exclude.has(t)));
+
+    // 3. Pattern
+    const flags = matchCase ? '' : 'i';
+    try {
+        if (pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/')) {
+            filter.regex = new RegExp(pattern.slice(1, -1), flags);
+        } else {
+            filter.regex = new RegExp(patternToRegex(pattern), flags);
+        }
+    } catch (e) {
+        return null;
+    }
+
+    return filter;
+}
+
+/**
+ * Keyword index key for a filter: the hostname of a `||host^` anchor, or a complete literal token.
+ * @param {string} text - Filter body (no `@@`).
+ * @returns {{host: string|null, token: string|null}}
+ */
+function indexKey(text) {
+    if (text.startsWith('/') && text.endsWith('/')) return { host: null, token: null };
+    const dollar = text.lastIndexOf('$');
+    const pattern = (dollar === -1 ? text : text.slice(0, dollar)).toLowerCase();
+
+    const anchored = pattern.match(/^\|\|([a-z0-9.-]+)(?=[\^/:|]|$)/);
+    if (anchored && anchored[1].includes('.') && !anchored[1].endsWith('.')) return { host: anchored[1], token: null };
+
+    // A token only counts when it cannot be a fragment of a longer URL token: it must be bounded
+    // on both sides by a literal separator, '^' or an anchor, never by '*' or the pattern's edge.
+    let best = null;
+    const re = /[a-z0-9%]{3,}/g;
+    let m;
+    while ((m = re.exec(pattern))) {
+        const before = pattern[m.index - 1];
+        const after = pattern[m.index + m[0].length];
+        const bounded = before !== undefined && before !== '*' && after !== undefined && after !== '*';
+        if (bounded && (!best || m[0].length > best.length)) best = m[0];
+    }
+    return { host: null, token: best };
+}
+
+/**
+ * A compiled set of network filters, indexed by host and keyword.
+ */
+class NetworkIndex {
+    constructor() {
+        /** @type {Map<string, NetworkFilter[]>} */
+        this.byHost = new Map();
+        /** @type {Map<string, NetworkFilter[]>} */
+        this.byToken = new Map();
+        /** @type {NetworkFilter[]} */
+        this.generic = [];
+        this.size = 0;
+    }
+
+    /**
+     * @param {NetworkFilter} filter
+     * @param {string} text - Filter body used for indexing.
+     */
+    add(filter, text) {
+        const { host, token } = indexKey(text);
+        const push = (map, key) => {
+            if (!map.has(key)) map.set(key, []);
+            map.get(key).push(filter);
+        };
+        if (host) push(this.byHost, host);
+        else if (token) push(this.byToken, token);
+        else this.generic.push(filter);
+        this.size++;
+    }
+
+    /**
+     * Returns the first filter matching the request.
+     * @param {FilterRequest} req
+     * @param {function(NetworkFilter): boolean} [accept] - Extra predicate (page-level lookups).
+     * @returns {NetworkFilter|null}
+     */
+    find(req, accept) {
+        const href = req.url.href;
+        const test = (filter) => {
+            if (accept ? !accept(filter) : !this.appliesTo(filter, req)) return false;
+            return filter.regex.test(href);
+        };
+
+        // 1. Hostname anchors: the host and each parent domain
+        const labels = req.url.hostname.toLowerCase().split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const hit = (this.byHost.get(labels.slice(i).join('.')) || []).find(test);
+            if (hit) return hit;
+        }
+
+        // 2. Keywords present in the URL
+        const tokens = new Set(href.toLowerCase().match(TOKEN) || []);
+        for (const token of tokens) {
+            const hit = (this.byToken.get(token) || []).find(test);
+            if (hit) return hit;
+        }
+
+        // 3. Everything else
+        return this.generic.find(test) || null;
+    }
+
+    /**
+     * Checks type, party and page-domain options.
+     * @param {NetworkFilter} filter
+     * @param {FilterRequest} req
+     * @returns {boolean}
+     */
+    appliesTo(filter, req) {
+        if (filter.pageOptions.size && !filter.types) return false;
+        if (filter.types ? !filter.types.has(req.type) : req.type === 'document') return false;
+        if (filter.thirdParty !== null && filter.thirdParty !== req.thirdParty) return false;
+        return appliesOnPage(filter, req.pageHost);
+    }
+}
+
+/**
+ * A parsed filter list (or several concatenated).
+ */
+export class FilterList {
+    constructor() {
+        this.blocks = new NetworkIndex();
+        this.exceptions = new NetworkIndex();
+        /** @type {CosmeticFilter[]} */
+        this.hide = [];
+        /** @type {CosmeticFilter[]} */
+        this.unhide = [];
+        /** Selectors of unrestricted `##` filters minus global `#@#` exceptions (computed lazily). */
+        this.genericSelectors = null;
+    }
+
+    /**
+     * Adds the filters of a list text.
+     * @param {string} text
+     * @returns {FilterList}
+     */
+    addText(text) {
+        for (const line of String(text).split(/\r?\n/)) this.addLine(line);
+        this.genericSelectors = null;
+        return this;
+    }
+
+    /**
+     * Parses and adds a single filter line. Comments, headers and unsupported filters are ignored.
+     * @param {string} raw
+     */
+    addLine(raw) {
+        const line = raw.trim();
+        if (!line || line.startsWith('!') || line.startsWith('[')) return;
+
+        // 1. Cosmetic filters
+        const cosmetic = line.match(/^([^/|@$"]*?)#(@?)#(.+)$/);
+        if (cosmetic) {
+            const [, domains, isException, selector] = cosmetic;
+            // Extended syntaxes (##+js, ##^html, :-abp-*, :has-text ...) are not supported.
+            if (/^[+^]|:-abp-|:has-text\(|:xpath\(|:style\(|:remove\(/.test(selector)) return;
+            const filter = { selector: selector.trim(), ...parseDomainList(domains, ',') };
+            (isException ? this.unhide : this.hide).push(filter);
+            return;
+        }
+        if (/#[?$%]#|#@[?$%]#/.test(line)) return;
+
+        // 2. Network filters
+        const isException = line.startsWith('@@');
+        const text = isException ? line.slice(2) : line;
+        if (!text) return;
+        const filter = parseNetworkFilter(line, text);
+        if (!filter) return;
+        if (!isException) {
+            // Blocking filters only use $document as a resource type; $elemhide has no meaning there.
+            if (filter.pageOptions.has('elemhide') || filter.pageOptions.has('generichide')) return;
+            filter.pageOptions.clear();
+        }
+
+        (isException ? this.exceptions : this.blocks).add(filter, text);
+    }
+
+    /**
+     * Decides whether a request is blocked.
+     * @param {FilterRequest} req
+     * @returns {NetworkFilter|null} The blocking filter, or null if the request is allowed.
+     */
+    match(req) {
+        const block = this.blocks.find(req);
+        if (!block) return null;
+        return this.exceptions.find(req) ? null : block;
+    }
+
+    /**
+     * Page-level exceptions (`@@...$document`, `$elemhide`, `$generichide`) for a page URL.
+     * @param {URL} pageURL
+     * @returns {Set<string>}
+     */
+    pageExceptions(pageURL) {
+        const found = new Set();
+        const req = { url: pageURL, type: 'document', pageHost: pageURL.hostname, thirdParty: false };
+        for (const option of PAGE_OPTIONS) {
+            const hit = this.exceptions.find(req, f => f.pageOptions.has(option) && appliesOnPage(f, req.pageHost));
+            if (hit) found.add(option);
+        }
+        return found;
+    }
+
+    /**
+     * Element-hiding selectors for a page.
+     * @param {string} pageHost
+     * @param {{generic?: boolean}} [options] - `generic: false` drops unrestricted `##` selectors ($generichide).
+     * @returns {{generic: string[], specific: string[]}}
+     */
+    selectorsFor(pageHost, options = {}) {
+        const host = pageHost.toLowerCase();
+        const unhidden = new Set(this.unhide.filter(f => appliesOnPage(f, host)).map(f => f.selector));
+
+        const specific = this.hide
+            .filter(f => (f.domains.length || f.excludeDomains.length) && appliesOnPage(f, host) && !unhidden.has(f.selector))
+            .map(f => f.selector);
+
+        if (options.generic === false) return { generic: [], specific };
+
+        if (!this.genericSelectors) {
+            const globalUnhide = new Set(this.unhide.filter(f => !f.domains.length && !f.excludeDomains.length).map(f => f.selector));
+            this.genericSelectors = this.hide
+                .filter(f => !f.domains.length && !f.excludeDomains.length && !globalUnhide.has(f.selector))
+                .map(f => f.selector);
+        }
+        const generic = unhidden.size ? this.genericSelectors.filter(s => !unhidden.has(s)) : this.genericSelectors;
+        return { generic, specific };
+    }
+}
+
+/**
+ * Parses filter list text.
+ * @param {...string} texts - One or more filter lists.
+ * @returns {FilterList}
+ */
+export function parseFilterList(...texts) {
+    const list = new FilterList();
+    for (const text of texts) list.addText(text);
+    return list;
+}
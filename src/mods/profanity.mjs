@@ -1,23 +1,31 @@
 /**
  * @file Profanity Filter Mod
  * @description Scans text nodes for foul language and sanitizes them.
+ * @version 2.0.0 (Plugin Lifecycle)
  * @extends TextRewriterBaseMod
  */
 
-import { TextRewriterBaseMod } from './templates/TextRewriterBaseMod.mjs';
+import { TextRewriterBaseMod } from './templates/TextRewriterMod.mjs';
 
 const PROFANITY_LIST = ['badword', 'profanity', 'curse', 'foul'];
 
 export class ProfanityMod extends TextRewriterBaseMod {
     /**
-     * @param {string} replacement - The replacement string.
-     * @param {string} [domainPattern='*'] - Optional scope.
+     * @param {object} [options]
+     * @param {string} [options.replacement='[FOUL LANGUAGE]'] - The replacement string.
+     * @param {string[]} [options.words] - Words to filter (defaults to the built-in list).
      */
-    constructor(replacement = '[FOUL LANGUAGE]', domainPattern = '*') {
+    constructor({ replacement = '[FOUL LANGUAGE]', words = PROFANITY_LIST } = {}) {
+        if (typeof replacement !== 'string') throw new Error("Mod Error: 'replacement' must be a string.");
+        if (!Array.isArray(words) || !words.length || !words.every(w => typeof w === 'string' && w)) {
+            throw new Error("Mod Error: 'words' must be a non-empty array of strings.");
+        }
+
         // We compile the list into a single boundary-enforced regex pattern
-        const pattern = `\\b(${PROFANITY_LIST.join('|')})\\b`;
+        const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = `\\b(${escaped.join('|')})\\b`;
 
         // Pass to Base: (id, pattern, replacement, flags, domain)
-        super('profanity-filter', pattern, replacement, 'gi', domainPattern);
+        super('profanity-filter', pattern, replacement, 'gi', '*');
     }
-}
\ No newline at end of file
+}
@@ -1,28 +1,88 @@
 /**
  * @file Mod Registry
  * @description Defines the static list of available mods and their configuration bindings.
- * @version 2.0.0 (Explicit Domain Pattern)
+ * @version 4.2.0 (WebSocket URLs)
+ *
+ * A mod is enabled by its environment variable, either as a boolean (`MOD_PROFANITY_FILTER = true`)
+ * or as a JSON object overriding any of its `defaults`:
+ *
+ *   MOD_PROFANITY_FILTER = '{"args": {"replacement": "***"}, "domains": ["*.example.com"], "priority": 10}'
+ *
+ * `args` is merged key by key over the default `args`; every other field replaces its default.
+ * Settings are validated at config load (see config/env.mjs).
  */
 
 import { ProfanityMod } from './profanity.mjs';
+import { BritishToAmericanMod } from './translation.mjs';
+import { AdBlockMod } from './adblock.mjs';
+import { WebSocketUrlMod } from './websocketUrls.mjs';
+
+/**
+ * @typedef {object} ModSettings
+ * @property {object} args - Constructor options (e.g. replacement string).
+ * @property {string[]} domains - Scope patterns ('*', 'google.com', '*.example.com').
+ * @property {string[]} excludeDomains - Patterns removed from the scope (same syntax).
+ * @property {string} selector - The CSS selector handed to `onHtml` mods (`mod.selector`).
+ * @property {number} priority - Higher priorities run first; ties keep registry order.
+ */
 
 /**
  * @typedef {object} ModDefinition
  * @property {string} id - Internal identifier.
  * @property {string} envKey - The Wrangler environment variable (e.g., "MOD_PROFANITY_FILTER").
- * @property {string} selector - The CSS selector to attach to.
- * @property {string} domainPattern - The scope. ('*', 'google.com', '*.example.com').
- * @property {Class} className - The Mod class constructor.
- * @property {Array} [defaultArgs] - Arguments for the mod logic (e.g. replacement string).
+ * @property {typeof import('./templates/BaseMod.mjs').BaseMod} Class - The Mod class constructor.
+ * @property {ModSettings} defaults - Settings used when the mod is enabled with `true`.
  */
 
+/** @type {ModDefinition[]} */
 export const MOD_REGISTRY = [
+    {
+        id: 'adblock',
+        envKey: 'MOD_ADBLOCK',
+        Class: AdBlockMod,
+        defaults: {
+            args: { bundled: true },
+            domains: ['*'],
+            excludeDomains: [],
+            selector: '*',
+            // Block before other traffic mods see the request
+            priority: 100
+        }
+    },
     {
         id: 'profanity',
         envKey: 'MOD_PROFANITY_FILTER',
-        selector: '*',
-        domainPattern: '*', // <--- Explicitly defined here now
-        className: ProfanityMod,
-        defaultArgs: ['[FOUL LANGUAGE]'] // No longer contains the domain pattern
+        Class: ProfanityMod,
+        defaults: {
+            args: { replacement: '[FOUL LANGUAGE]' },
+            domains: ['*'],
+            excludeDomains: [],
+            selector: '*',
+            priority: 0
+        }
+    },
+    {
+        id: 'en-us-localize',
+        envKey: 'MOD_BRITISH_TO_AMERICAN',
+        Class: BritishToAmericanMod,
+        defaults: {
+            args: {},
+            domains: ['*'],
+            excludeDomains: [],
+            selector: '*',
+            priority: 0
+        }
+    },
+    {
+        id: 'websocket-urls',
+        envKey: 'MOD_WEBSOCKET_URLS',
+        Class: WebSocketUrlMod,
+        defaults: {
+            args: { upstream: true, client: true },
+            domains: ['*'],
+            excludeDomains: [],
+            selector: '*',
+            priority: 0
+        }
     }
-];
\ No newline at end of file
+];
@@ -0,0 +1,181 @@
+/**
+ * @file Mod Session
+ * @description Per-request mod runtime: instantiates the enabled mods and dispatches the lifecycle hooks.
+ * @version 1.2.0 (Worker Bindings)
+ *
+ * Mods are constructed once per request from the validated settings in `config.mods`, filtered by
+ * domain scope, and called by descending priority (registry order for ties). A hook that throws
+ * is logged and skipped so a faulty mod never takes the proxied page down with it.
+ */
+
+import { MOD_REGISTRY } from './registry.mjs';
+import { errorFields, logEvent } from '../telemetry/log.mjs';
+
+/**
+ * @typedef {Object} ModSession
+ * @property {import('./templates/BaseMod.mjs').BaseMod[]} mods - The active mod instances.
+ * @property {import('./templates/BaseMod.mjs').ModContext} context - Shared hook context.
+ * @property {function(string): boolean} has - True if any active mod implements the hook.
+ * @property {function(Request): Promise<Response|Request>} onRequest - Runs traffic hooks; returns a Response to answer directly, or the (possibly replaced) request.
+ * @property {function(Headers, number): void} onResponseHeaders - Runs header hooks.
+ * @property {function(HTMLRewriter): void} onHtml - Lets mods register HTMLRewriter handlers.
+ * @property {function(import('../rewrite/rewriters/mimeType/stream.mjs').IncrementalRewriter, import('./templates/BaseMod.mjs').ModTextType): import('../rewrite/rewriters/mimeType/stream.mjs').IncrementalRewriter} text - Appends the `onText` stage to a body rewriter.
+ * @property {function((string|ArrayBuffer), ('client'|'upstream')): (string|ArrayBuffer|null)} onWebSocketMessage - Runs frame hooks; `null` drops the frame.
+ */
+
+/**
+ * Runs a hook, isolating failures.
+ * @param {import('./templates/BaseMod.mjs').BaseMod} mod
+ * @param {string} hook
+ * @param {Array} args
+ * @returns {*} The hook's return value, or undefined if it threw.
+ */
+function invoke(mod, hook, args) {
+    try {
+        return mod[hook](...args);
+    } catch (e) {
+        logEvent('error', 'mod-hook-failed', { mod: mod.id, hook, ...errorFields(e) });
+        return undefined;
+    }
+}
+
+/**
+ * Buffers a body and hands the complete text to the `onText` hooks.
+ * Implements `IncrementalRewriter`; when the stream adapter hits `maxBytes` the buffered text is
+ * released unmodified and the hooks are skipped.
+ */
+class ModTextStage {
+    /**
+     * @param {import('./templates/BaseMod.mjs').BaseMod[]} mods - Mods implementing `onText`.
+     * @param {import('./templates/BaseMod.mjs').ModTextType} type
+     * @param {import('./templates/BaseMod.mjs').ModContext} context
+     */
+    constructor(mods, type, context) {
+        this.mods = mods;
+        this.type = type;
+        this.context = context;
+        this.buffer = '';
+    }
+
+    write(text) {
+        this.buffer += text;
+        return '';
+    }
+
+    end() {
+        let text = this.buffer;
+        this.buffer = '';
+        for (const mod of this.mods) {
+            const out = invoke(mod, 'onText', [text, this.type, this.context]);
+            if (typeof out === 'string') text = out;
+        }
+        return text;
+    }
+
+    canPassthrough() {
+        return true;
+    }
+
+    passthrough() {
+        const text = this.buffer;
+        this.buffer = '';
+        return text;
+    }
+}
+
+/**
+ * Chains two incremental rewriters: the output of `first` is fed into `second`.
+ * @param {import('../rewrite/rewriters/mimeType/stream.mjs').IncrementalRewriter} first
+ * @param {import('../rewrite/rewriters/mimeType/stream.mjs').IncrementalRewriter} second
+ * @returns {import('../rewrite/rewriters/mimeType/stream.mjs').IncrementalRewriter}
+ */
+function chain(first, second) {
+    return {
+        write: (text) => second.write(first.write(text)),
+        end: () => second.write(first.end()) + second.end(),
+        canPassthrough: () => first.canPassthrough() && second.canPassthrough(),
+        // Text already inside `second` precedes the raw input `first` held back.
+        passthrough: () => second.passthrough() + first.passthrough()
+    };
+}
+
+/**
+ * Creates the mod session for one request.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {Request} request - The client request.
+ * @param {URL} targetURL - The upstream URL.
+ * @param {object} [env] - The Worker environment (bindings), exposed to hooks as `context.env`.
+ * @returns {ModSession}
+ */
+export function createModSession(config, request, targetURL, env = {}) {
+    // 1. Instantiate enabled mods (fresh instances: handlers keep per-document state)
+    const mods = [];
+    for (const modDef of MOD_REGISTRY) {
+        const settings = config.mods && config.mods[modDef.id];
+        if (!settings) continue;
+
+        const instance = new modDef.Class(settings.args);
+
+        // Deployment Override
+        instance.domains = settings.domains;
+        instance.excludeDomains = settings.excludeDomains;
+        instance.selector = settings.selector;
+        instance.priority = settings.priority;
+
+        // Domain Scope Check
+        if (instance.shouldRun(targetURL)) mods.push(instance);
+    }
+
+    // 2. Order (Array.prototype.sort is stable, so ties keep registry order)
+    mods.sort((a, b) => b.priority - a.priority);
+
+    const context = { request, targetURL, config, env };
+    const using = (hook) => mods.filter(mod => mod.implements(hook));
+
+    return {
+        mods,
+        context,
+
+        has(hook) {
+            return mods.some(mod => mod.implements(hook));
+        },
+
+        async onRequest(req) {
+            context.request = req;
+            for (const mod of using('onRequest')) {
+                let result;
+                try {
+                    result = await mod.onRequest(context.request, context);
+                } catch (e) {
+                    logEvent('error', 'mod-hook-failed', { mod: mod.id, hook: 'onRequest', ...errorFields(e) });
+                    continue;
+                }
+                if (result instanceof Response) return result;
+                if (result instanceof Request) context.request = result;
+            }
+            return context.request;
+        },
+
+        onResponseHeaders(headers, status) {
+            for (const mod of using('onResponseHeaders')) invoke(mod, 'onResponseHeaders', [headers, status, context]);
+        },
+
+        onHtml(rewriter) {
+            for (const mod of using('onHtml')) invoke(mod, 'onHtml', [rewriter, context]);
+        },
+
+        text(rewriter, type) {
+            const textMods = using('onText');
+            return textMods.length ? chain(rewriter, new ModTextStage(textMods, type, context)) : rewriter;
+        },
+
+        onWebSocketMessage(data, direction) {
+            for (const mod of using('onWebSocketMessage')) {
+                const out = invoke(mod, 'onWebSocketMessage', [data, direction, context]);
+                if (out === null) return null;
+                if (out !== undefined) data = out;
+            }
+            return data;
+        }
+    };
+}
@@ -1,42 +1,134 @@
 /**
  * @file Base Mod Template
- * @description The parent class for all Mods. Handles global context and execution scope.
- * @version 1.0.0
+ * @description The parent class for all Mods. Handles global context, execution scope and the lifecycle hooks.
+ * @version 2.2.0 (Worker Bindings)
+ *
+ * A mod is instantiated once per proxied request (see ../session.mjs), so instance state such as
+ * the current HTML tag is never shared between requests. Every hook is optional: the session only
+ * calls the hooks a subclass actually overrides.
+ *
+ * | Hook                 | Called                                   | Return value                                     |
+ * | :------------------- | :--------------------------------------- | :----------------------------------------------- |
+ * | `onRequest`          | Before the upstream fetch (traffic mods) | `Response` to answer directly, `Request` to replace the client request, or nothing. |
+ * | `onResponseHeaders`  | After the proxy rewrote response headers | Nothing (mutate `headers`).                      |
+ * | `onHtml`             | While building the HTMLRewriter          | Nothing (register selectors on `rewriter`).      |
+ * | `onText`             | CSS, JavaScript and JSON bodies          | The new body text, or nothing to keep it.        |
+ * | `onWebSocketMessage` | Each WebSocket frame, in both directions | The frame to forward, `null` to drop it, or nothing to keep it. |
+ */
+
+/**
+ * @typedef {Object} ModContext
+ * @property {Request} request - The client request (after any `onRequest` replacement).
+ * @property {URL} targetURL - The upstream URL being accessed.
+ * @property {import('../../config/env.mjs').EnvConfig} config - The application configuration.
+ * @property {object} env - The raw Worker environment (KV, Durable Object and other bindings).
+ */
+
+/**
+ * @typedef {'css'|'javascript'|'json'} ModTextType
  */
 
 export class BaseMod {
     /**
      * @param {string} id - A unique identifier for the mod instance (e.g. "profanity-filter").
-     * @param {string} domainPattern - The domain scope.
+     * @param {string|string[]} [domains='*'] - The domain scope (one pattern or a list).
      * - '*' : Matches all domains.
      * - 'example.com' : Strict match.
      * - '*.example.com' : Matches domain and all subdomains.
      */
-    constructor(id, domainPattern = '*') {
+    constructor(id, domains = '*') {
         if (!id) throw new Error("Mod Error: 'id' is required for BaseMod.");
         this.id = id;
-        this.domainPattern = domainPattern;
+        this.domains = Array.isArray(domains) ? domains : [domains];
+        /** Patterns that veto `domains` (same syntax). */
+        this.excludeDomains = [];
+        this.selector = '*';
+        /** Higher priorities run first; ties keep registry order. */
+        this.priority = 0;
     }
 
     /**
-     * Determines if the mod should run for the current request.
-     * @param {URL} targetURL - The upstream URL being accessed.
+     * Tests a hostname against a single domain pattern.
+     * @param {string} host
+     * @param {string} pattern
      * @returns {boolean}
      */
-    shouldRun(targetURL) {
+    static matchesDomain(host, pattern) {
         // 1. Global Wildcard
-        if (this.domainPattern === '*') return true;
-
-        const host = targetURL.hostname;
+        if (pattern === '*') return true;
 
         // 2. Wildcard Subdomain Pattern (*.google.com)
-        if (this.domainPattern.startsWith('*.')) {
-            const root = this.domainPattern.slice(2); // Remove "*."
+        if (pattern.startsWith('*.')) {
+            const root = pattern.slice(2); // Remove "*."
             // Match root (google.com) OR subdomain (.google.com)
             return host === root || host.endsWith('.' + root);
         }
 
         // 3. Strict Match
-        return host === this.domainPattern;
+        return host === pattern;
     }
-}
\ No newline at end of file
+
+    /**
+     * Determines if the mod should run for the current request.
+     * @param {URL} targetURL - The upstream URL being accessed.
+     * @returns {boolean}
+     */
+    shouldRun(targetURL) {
+        const host = targetURL.hostname;
+        if (this.excludeDomains.some(pattern => BaseMod.matchesDomain(host, pattern))) return false;
+        return this.domains.some(pattern => BaseMod.matchesDomain(host, pattern));
+    }
+
+    /**
+     * True if the subclass overrides the given hook.
+     * @param {string} hook - Hook name (e.g. 'onHtml').
+     * @returns {boolean}
+     */
+    implements(hook) {
+        return typeof this[hook] === 'function' && this[hook] !== BaseMod.prototype[hook];
+    }
+
+    // --- LIFECYCLE HOOKS (no-ops) ---
+
+    /**
+     * Traffic hook: block, redirect or replace the request before it is proxied.
+     * @param {Request} request
+     * @param {ModContext} context
+     * @returns {Response|Request|void|Promise<Response|Request|void>}
+     */
+    onRequest(request, context) {}
+
+    /**
+     * Adjusts the (already proxy-rewritten) response headers.
+     * @param {Headers} headers
+     * @param {number} status
+     * @param {ModContext} context
+     */
+    onResponseHeaders(headers, status, context) {}
+
+    /**
+     * Registers element, text or document handlers on the page's HTMLRewriter.
+     * @param {HTMLRewriter} rewriter
+     * @param {ModContext} context
+     */
+    onHtml(rewriter, context) {}
+
+    /**
+     * Transforms a complete text body after URL rewriting.
+     * Bodies larger than `REWRITE_MAX_BYTES` are passed through without calling this hook.
+     * @param {string} text
+     * @param {ModTextType} type
+     * @param {ModContext} context
+     * @returns {string|void}
+     */
+    onText(text, type, context) {}
+
+    /**
+     * Inspects or transforms a WebSocket frame.
+     * @param {string|ArrayBuffer} data
+     * @param {'client'|'upstream'} direction - Which side sent the frame.
+     * @param {ModContext} context
+     * @returns {string|ArrayBuffer|null|void}
+     */
+    onWebSocketMessage(data, direction, context) {}
+}
@@ -1,6 +1,7 @@
 /**
  * @file Text Rewriter Base Mod
  * @description Base class for regex-based text replacement. Supports single pattern or multi-pattern mapping.
+ * @version 2.0.0 (Plugin Lifecycle)
  * @extends BaseMod
  */
 
@@ -60,12 +61,25 @@ export class TextRewriterBaseMod extends BaseMod {
         this.currentTag = '';
     }
 
+    /**
+     * Binds this instance as element & text handler for its selector.
+     * @param {HTMLRewriter} rewriter
+     */
+    onHtml(rewriter) {
+        rewriter.on(this.selector, this);
+    }
+
     /**
      * Context Tracking (Element Handler)
      */
     element(element) {
         this.currentTag = element.tagName.toLowerCase();
-        element.onEndTag(() => { this.currentTag = ''; });
+        // Void elements (<img>, <br>) have no end tag to listen for.
+        try {
+            element.onEndTag(() => { this.currentTag = ''; });
+        } catch (e) {
+            this.currentTag = '';
+        }
     }
 
     /**
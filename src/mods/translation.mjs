@@ -1,5 +1,11 @@
-// src/mods/translation.mjs
-import { TextRewriterBaseMod } from './templates/TextRewriterBaseMod.mjs';
+/**
+ * @file British to American Mod
+ * @description Localizes British English spellings in text nodes to American English.
+ * @version 2.0.0 (Plugin Lifecycle)
+ * @extends TextRewriterBaseMod
+ */
+
+import { TextRewriterBaseMod } from './templates/TextRewriterMod.mjs';
 
 const DICTIONARY = {
     "colour": "color",
@@ -8,9 +14,20 @@ const DICTIONARY = {
 };
 
 export class BritishToAmericanMod extends TextRewriterBaseMod {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {Record<string, string>} [options.dictionary] - Extra or overriding { british: american } entries.
+     */
+    constructor({ dictionary = {} } = {}) {
+        if (typeof dictionary !== 'object' || dictionary === null || Array.isArray(dictionary)) {
+            throw new Error("Mod Error: 'dictionary' must be an object of { british: american } strings.");
+        }
+        if (!Object.values(dictionary).every(v => typeof v === 'string')) {
+            throw new Error("Mod Error: 'dictionary' values must be strings.");
+        }
+
         // Pass the object map directly.
         // The BaseMod automatically compiles regex: (colour|theatre|lift)
-        super('en-us-localize', DICTIONARY, 'gi', '*');
+        super('en-us-localize', { ...DICTIONARY, ...dictionary }, 'gi', '*');
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,64 @@
+/**
+ * @file WebSocket URL Mod
+ * @description Rewrites absolute URLs inside WebSocket text frames.
+ * @version 1.0.0
+ * @extends BaseMod
+ *
+ * Frames from the upstream get their http(s)/ws(s) URLs proxified, so links pushed over a socket
+ * (chat messages, GraphQL subscription payloads, Socket.IO events) stay on the proxy. Frames from the
+ * client get proxy URLs mapped back to their upstream, so the upstream never sees the proxy host.
+ * JSON-escaped slashes (`https:\/\/example.com\/x`) are handled; binary frames pass untouched.
+ */
+
+import { BaseMod } from './templates/BaseMod.mjs';
+import { getUrlCodec } from '../url/codec.mjs';
+
+/** Absolute network URLs, with plain or JSON-escaped slashes. Stops at quotes, whitespace and other escapes. */
+const TEXT_URL = /\b(?:https?|wss?):(?:\/\/|\\\/\\\/)(?:[^\s"'<>`\\]|\\\/)+/gi;
+
+/** Sentence punctuation that is more likely to follow a URL than to end it. */
+const TRAILING_PUNCTUATION = /[.,;:!?)\]}]+$/;
+
+export class WebSocketUrlMod extends BaseMod {
+    /**
+     * @param {object} [options]
+     * @param {boolean} [options.upstream=true] - Proxify URLs in frames from the upstream.
+     * @param {boolean} [options.client=true] - Map proxy URLs in frames from the client back to the upstream.
+     */
+    constructor({ upstream = true, client = true } = {}) {
+        if (typeof upstream !== 'boolean') throw new Error("Mod Error: 'upstream' must be a boolean.");
+        if (typeof client !== 'boolean') throw new Error("Mod Error: 'client' must be a boolean.");
+        if (!upstream && !client) throw new Error("Mod Error: enable 'upstream' and/or 'client'.");
+
+        super('websocket-urls', '*');
+        this.directions = { upstream, client };
+    }
+
+    /**
+     * @param {string|ArrayBuffer} data
+     * @param {'client'|'upstream'} direction
+     * @param {import('./templates/BaseMod.mjs').ModContext} context
+     * @returns {string|void}
+     */
+    onWebSocketMessage(data, direction, context) {
+        if (typeof data !== 'string' || !this.directions[direction]) return;
+
+        const codec = getUrlCodec(context.config);
+        const map = direction === 'upstream'
+            ? (url) => codec.isProxied(url) ? url : codec.proxify(url, context.targetURL)
+            : (url) => codec.unproxify(url);
+
+        return data.replace(TEXT_URL, (match) => {
+            // 1. Split off trailing punctuation and JSON escaping
+            const trailing = (match.match(TRAILING_PUNCTUATION) || [''])[0];
+            const raw = trailing ? match.slice(0, -trailing.length) : match;
+            const escaped = raw.includes('\\/');
+            const url = escaped ? raw.replace(/\\\//g, '/') : raw;
+
+            // 2. Map it, keeping the original text when nothing changed
+            const mapped = map(url);
+            if (mapped === url || mapped === url + '/') return match;
+            return (escaped ? mapped.replace(/\//g, '\\/') : mapped) + trailing;
+        });
+    }
+}
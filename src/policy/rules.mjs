@@ -0,0 +1,274 @@
+/**
+ * @file Target Policy Rules
+ * @description Compiles and evaluates the allow/deny policy for proxied targets.
+ * @version 1.0.0
+ *
+ * A policy document (from POLICY_RULES or a KV value) looks like:
+ *
+ *   {
+ *     "default": "allow",
+ *     "rules": [
+ *       { "action": "allow", "hosts": ["*.example.com"], "identities": ["*@corp.com"] },
+ *       { "action": "deny", "hosts": ["site:example.com"], "paths": ["/admin/*"], "reason": "Admin areas are off limits." }
+ *     ],
+ *     "deny": ["*.facebook.com"],
+ *     "allow": []
+ *   }
+ *
+ * `rules` are checked in order and the first match decides. The `deny` and `allow` host lists are
+ * shorthand for rules appended after `rules` (deny first). `default` applies when nothing matched;
+ * it is "deny" if an `allow` list is given, otherwise "allow".
+ *
+ * Every condition of a rule is optional; a rule matches when all of its conditions match, and a
+ * condition matches when any of its entries does.
+ */
+
+import { getSite } from '../url/site.mjs';
+
+/** Fields a policy document may set. */
+const DOCUMENT_KEYS = ['default', 'rules', 'deny', 'allow'];
+
+/** Fields a rule may set. */
+const RULE_KEYS = ['name', 'action', 'hosts', 'paths', 'methods', 'identities', 'reason'];
+
+const ACTIONS = ['allow', 'deny'];
+
+/** Hostname characters plus the '*' wildcard. */
+const HOST_PATTERN = /^[a-z0-9*-]+(?:\.[a-z0-9*-]+)*$/;
+
+const METHOD_PATTERN = /^[A-Z]+$/;
+
+/**
+ * @typedef {Object} PolicyRule
+ * @property {string} name - The rule name (defaults to its position, e.g. "rules[2]").
+ * @property {'allow'|'deny'} action
+ * @property {string|null} reason - Shown on the block page.
+ * @property {function(PolicyRequest): boolean} matches
+ */
+
+/**
+ * @typedef {Object} Policy
+ * @property {'allow'|'deny'} defaultAction
+ * @property {PolicyRule[]} rules - Ordered; the first match wins.
+ */
+
+/**
+ * @typedef {Object} PolicyRequest
+ * @property {URL} url - The upstream URL.
+ * @property {string} method - The request method (upper case).
+ * @property {string|null} identity - The Cloudflare Access user email, if any.
+ */
+
+/**
+ * @typedef {Object} PolicyDecision
+ * @property {'allow'|'deny'} action
+ * @property {PolicyRule|null} rule - The matching rule, or null if the default applied.
+ */
+
+/**
+ * Escapes a glob and turns each '*' into `wildcard`.
+ * @param {string} glob
+ * @param {string} wildcard - Regex source for '*'.
+ * @returns {string}
+ */
+function globToSource(glob, wildcard) {
+    return glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(wildcard);
+}
+
+/**
+ * Compiles a host pattern into a predicate on lower-cased hostnames.
+ * - 'example.com'        : Strict match.
+ * - '*.example.com'      : The domain and all of its subdomains.
+ * - 'cdn*.example.com'   : '*' inside a label matches within that label.
+ * - 'site:www.example.co.uk' : Every host with the same registrable domain (eTLD+1).
+ * - '*'                  : Every host.
+ * @param {string} pattern
+ * @param {string} where - Location for error messages.
+ * @returns {function(string): boolean}
+ * @throws {Error} If the pattern is invalid.
+ */
+function compileHostPattern(pattern, where) {
+    const value = typeof pattern === 'string' ? pattern.trim().toLowerCase() : '';
+
+    if (value === '*') return () => true;
+
+    if (value.startsWith('site:')) {
+        const host = value.slice(5);
+        if (!HOST_PATTERN.test(host) || host.includes('*')) {
+            throw new Error(`Policy Error: ${where} '${pattern}' must name a hostname after 'site:'.`);
+        }
+        const site = getSite(host);
+        return (hostname) => getSite(hostname) === site;
+    }
+
+    if (!HOST_PATTERN.test(value)) {
+        throw new Error(`Policy Error: ${where} '${pattern}' is not a valid host pattern. Use 'example.com', '*.example.com', 'site:example.com' or '*'.`);
+    }
+
+    let source;
+    if (value.startsWith('*.')) {
+        source = '(?:[^.]+\\.)*' + globToSource(value.slice(2), '[^.]*');
+    } else {
+        source = globToSource(value, '[^.]*');
+    }
+    const regex = new RegExp(`^${source}$`);
+    return (hostname) => regex.test(hostname);
+}
+
+/**
+ * Compiles a path glob ('/admin/*'; only '*' is special) into a predicate on pathnames.
+ * @param {string} pattern
+ * @param {string} where
+ * @returns {function(string): boolean}
+ * @throws {Error} If the pattern does not start with '/'.
+ */
+function compilePathPattern(pattern, where) {
+    if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+        throw new Error(`Policy Error: ${where} '${pattern}' must be a path starting with '/' ('*' matches any characters).`);
+    }
+    const regex = new RegExp(`^${globToSource(pattern, '.*')}$`);
+    return (pathname) => regex.test(pathname);
+}
+
+/**
+ * Compiles a Cloudflare Access identity pattern into a predicate on lower-cased emails.
+ * - 'user@corp.com' : That user.
+ * - '*@corp.com'    : Anyone from that email domain.
+ * - '*'             : Any authenticated user.
+ * @param {string} pattern
+ * @param {string} where
+ * @returns {function(string): boolean}
+ * @throws {Error} If the pattern is not an email or '*@domain'.
+ */
+function compileIdentityPattern(pattern, where) {
+    const value = typeof pattern === 'string' ? pattern.trim().toLowerCase() : '';
+
+    if (value === '*') return () => true;
+    if (/^\*@[^@\s]+$/.test(value)) {
+        const domain = value.slice(1);
+        return (email) => email.endsWith(domain);
+    }
+    if (/^[^@\s*]+@[^@\s*]+$/.test(value)) return (email) => email === value;
+
+    throw new Error(`Policy Error: ${where} '${pattern}' is not a valid identity. Use 'user@corp.com', '*@corp.com' or '*'.`);
+}
+
+/**
+ * Validates an optional list condition and compiles its entries.
+ * @template T
+ * @param {object} rule
+ * @param {string} field
+ * @param {string} where
+ * @param {function(*, string): T} compile
+ * @returns {T[]|null} Null when the condition is absent.
+ * @throws {Error} If the field is not a non-empty array.
+ */
+function compileList(rule, field, where, compile) {
+    if (rule[field] === undefined) return null;
+    const list = rule[field];
+    if (!Array.isArray(list) || !list.length) {
+        throw new Error(`Policy Error: ${where}.${field} must be a non-empty array.`);
+    }
+    return list.map((entry, i) => compile(entry, `${where}.${field}[${i}]`));
+}
+
+/**
+ * Compiles a single rule.
+ * @param {object} rule
+ * @param {string} where - e.g. "rules[0]".
+ * @returns {PolicyRule}
+ * @throws {Error} On unknown fields or invalid values.
+ */
+function compileRule(rule, where) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`Policy Error: ${where} must be an object.`);
+    }
+
+    // 1. Shape
+    const unknown = Object.keys(rule).find(field => !RULE_KEYS.includes(field));
+    if (unknown !== undefined) {
+        throw new Error(`Policy Error: ${where} has unknown field '${unknown}'. Allowed fields: ${RULE_KEYS.join(', ')}.`);
+    }
+    if (!ACTIONS.includes(rule.action)) {
+        throw new Error(`Policy Error: ${where}.action must be one of: ${ACTIONS.join(', ')}.`);
+    }
+    for (const field of ['name', 'reason']) {
+        if (rule[field] !== undefined && (typeof rule[field] !== 'string' || !rule[field].trim())) {
+            throw new Error(`Policy Error: ${where}.${field} must be a non-empty string.`);
+        }
+    }
+
+    // 2. Conditions
+    const hosts = compileList(rule, 'hosts', where, compileHostPattern);
+    const paths = compileList(rule, 'paths', where, compilePathPattern);
+    const identities = compileList(rule, 'identities', where, compileIdentityPattern);
+    const methods = compileList(rule, 'methods', where, (method, at) => {
+        const value = typeof method === 'string' ? method.trim().toUpperCase() : '';
+        if (!METHOD_PATTERN.test(value)) throw new Error(`Policy Error: ${at} '${method}' is not an HTTP method.`);
+        return value;
+    });
+
+    return {
+        name: rule.name ? rule.name.trim() : where,
+        action: rule.action,
+        reason: rule.reason ? rule.reason.trim() : null,
+        matches({ url, method, identity }) {
+            if (hosts && !hosts.some(match => match(url.hostname.toLowerCase()))) return false;
+            if (paths && !paths.some(match => match(url.pathname))) return false;
+            if (methods && !methods.includes(method)) return false;
+            if (identities && (!identity || !identities.some(match => match(identity.toLowerCase())))) return false;
+            return true;
+        }
+    };
+}
+
+/**
+ * Validates and compiles a policy document.
+ * @param {*} doc - The parsed JSON document.
+ * @returns {Policy}
+ * @throws {Error} ("Policy Error: ...") If the document is invalid.
+ */
+export function compilePolicy(doc) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error("Policy Error: the policy must be a JSON object.");
+    }
+
+    // 1. Shape
+    const unknown = Object.keys(doc).find(field => !DOCUMENT_KEYS.includes(field));
+    if (unknown !== undefined) {
+        throw new Error(`Policy Error: unknown field '${unknown}'. Allowed fields: ${DOCUMENT_KEYS.join(', ')}.`);
+    }
+    for (const field of ['rules', 'deny', 'allow']) {
+        if (doc[field] !== undefined && !Array.isArray(doc[field])) {
+            throw new Error(`Policy Error: '${field}' must be an array.`);
+        }
+    }
+    if (doc.default !== undefined && !ACTIONS.includes(doc.default)) {
+        throw new Error(`Policy Error: 'default' must be one of: ${ACTIONS.join(', ')}.`);
+    }
+
+    // 2. Rules, then the host list shorthand (deny before allow)
+    const rules = (doc.rules || []).map((rule, i) => compileRule(rule, `rules[${i}]`));
+    for (const action of ['deny', 'allow']) {
+        (doc[action] || []).forEach((host, i) => {
+            rules.push(compileRule({ action, hosts: [host] }, `${action}[${i}]`));
+        });
+    }
+
+    const allowList = doc.allow && doc.allow.length;
+    return {
+        defaultAction: doc.default || (allowList ? 'deny' : 'allow'),
+        rules
+    };
+}
+
+/**
+ * Decides whether a request may be proxied.
+ * @param {Policy} policy
+ * @param {PolicyRequest} request
+ * @returns {PolicyDecision}
+ */
+export function evaluatePolicy(policy, request) {
+    const rule = policy.rules.find(r => r.matches(request));
+    return rule ? { action: rule.action, rule } : { action: policy.defaultAction, rule: null };
+}
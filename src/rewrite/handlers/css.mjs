@@ -1,41 +1,31 @@
 /**
- * @file CSS Content Rewriter
- * @description Parses and rewrites URLs in CSS strings.
- * @version 2.0.0 (Strictly Typed)
+ * @file CSS Response Handler
+ * @description Streams stylesheet responses through the CSS tokenizer.
+ * @version 4.1.0 (Mod Text Hooks)
  */
 
+import { createCssStreamRewriter, createRewriteStream } from '../rewriters/mimeType/index.mjs';
+
 /**
- * Rewrites URLs in CSS strings, handling @import, url(), and image-set().
- * @param {string} css - The raw CSS content.
- * @param {URL} baseURL - The base URL for resolving relative paths.
- * @param {string} rootDomain - The proxy root domain.
- * @returns {string} The rewritten CSS content.
+ * Rewrites URLs found within a CSS response body as it streams.
+ * @param {Response} response - The original response object.
+ * @param {URL} targetURL - The stylesheet URL (base for relative paths).
+ * @param {import('../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {import('../../config/env.mjs').EnvConfig} config - The application configuration.
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session (`onText` hooks).
+ * @returns {Response}
  */
-export function rewriteCSS(css, baseURL, rootDomain) {
-    const proxify = (url) => {
-        if (!url || url.startsWith('data:') || url.startsWith('chrome-extension:')) return url;
-        try {
-            const absURL = new URL(url, baseURL);
-            if (absURL.hostname.endsWith(`.${rootDomain}`)) return url;
-            return `https://${absURL.hostname}.${rootDomain}${absURL.pathname}${absURL.search}`;
-        } catch { return url; }
-    };
-
-    // 1. Strip Source Maps
-    css = css.replace(/\/\*# sourceMappingURL=.* \*\/$/gm, '');
+export function handleCss(response, targetURL, codec, config, mods = null) {
+    if (!response.body) return response;
 
-    // 2. Rewrite @import "..."
-    css = css.replace(/@import\s*(?:url\(\s*)?['"]?([^'"\)]+)['"]?(?:\s*\))?/gi, (match, url) => {
-        return match.replace(url, proxify(url));
-    });
-
-    // 3. Rewrite image-set(...)
-    css = css.replace(/image-set\(([^)]+)\)/gi, (match, content) => {
-        return match.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (m, q, u) => `url(${q}${proxify(u)}${q})`);
-    });
+    const rewriter = createCssStreamRewriter(targetURL, codec);
+    const body = response.body.pipeThrough(createRewriteStream(mods ? mods.text(rewriter, 'css') : rewriter, {
+        maxBytes: config.rewrite.maxBytes
+    }));
 
-    // 4. Rewrite standard url(...)
-    return css.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
-        return `url(${quote}${proxify(url)}${quote})`;
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
     });
-}
\ No newline at end of file
+}
@@ -0,0 +1,30 @@
+/**
+ * @file HLS Response Handler
+ * @description Handles the rewriting of HLS playlists (.m3u8), so segment, key and variant URLs stay on the proxy.
+ * @version 1.0.0
+ */
+
+import { HlsRewriter, createRewriteStream } from '../rewriters/mimeType/index.mjs';
+
+/**
+ * Rewrites URLs within an HLS playlist as it streams.
+ *
+ * @param {Response} response - The original response object.
+ * @param {URL} targetURL - The playlist URL.
+ * @param {import('../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {import('../../config/env.mjs').EnvConfig} config - The application configuration.
+ * @returns {Response}
+ */
+export function handleHls(response, targetURL, codec, config) {
+    if (!response.body) return response;
+
+    const body = response.body.pipeThrough(createRewriteStream(new HlsRewriter(targetURL, codec), {
+        maxBytes: config.rewrite.maxBytes
+    }));
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
@@ -1,7 +1,7 @@
 /**
  * @file HTML Response Handler
  * @description Handles the streaming and rewriting of HTML content.
- * @version 4.0.0 (Typed Config)
+ * @version 5.1.0 (Cookie Jar)
  */
 
 import { getHtmlRewriter } from '../rewriters/html.mjs';
@@ -12,11 +12,13 @@ import { getHtmlRewriter } from '../rewriters/html.mjs';
  * @param {URL} targetURL
  * @param {string} rootDomain
  * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session.
+ * @param {string|null} [documentCookie] - Cookie jar mode: the page's `document.cookie` snapshot.
  * @returns {Response}
  */
-export function handleHtml(response, targetURL, rootDomain, config) {
-    // Inject the config so the rewriter knows which Mods (Profanity, AdBlock, etc.) to attach
-    const rewriter = getHtmlRewriter(targetURL, rootDomain, config);
+export function handleHtml(response, targetURL, rootDomain, config, mods = null, documentCookie = null) {
+    // Hand over the mod session so its mods (Profanity, AdBlock, etc.) can attach their selectors
+    const rewriter = getHtmlRewriter(targetURL, rootDomain, config, mods, documentCookie);
 
     return rewriter.transform(response);
 }
\ No newline at end of file
@@ -1,11 +1,13 @@
 /**
  * @file Response Handlers Barrel File
  * @description Exports all content-specific response handler functions.
- * @version 1.0.0
+ * @version 1.2.0
  */
 
 export { handleCss } from './css.mjs';
+export { handleHls } from './hls.mjs';
 export { handleHtml } from './html.mjs';
 export { handleJavascript } from './javascript.mjs';
 export { handleJson } from './json.mjs';
+export { handleManifest } from './manifest.mjs';
 export { handleXml } from './xml.mjs';
\ No newline at end of file
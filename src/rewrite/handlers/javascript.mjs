@@ -1,33 +1,37 @@
 /**
  * @file JavaScript Response Handler
- * @description Rewrites JavaScript content to hook dynamic imports.
- * @version 2.0.0 (Cleaned & Typed)
+ * @description Streams JavaScript responses through the tokenizer-aware rewriter.
+ * @version 3.1.0 (Mod Text Hooks)
  */
 
+import { JavascriptRewriter, createRewriteStream } from '../rewriters/mimeType/index.mjs';
+
 /**
- * Rewrites JavaScript content to fix dynamic imports and strip source maps.
+ * Rewrites JavaScript content to hook dynamic imports and `import.meta.url`, and strips source maps.
+ * The body is transformed as it streams; scripts larger than the configured threshold are only
+ * rewritten up to that point and the rest is passed through untouched.
  * @param {Response} response - The original response object.
- * @param {string} rootDomain - The proxy root domain.
- * @returns {Promise<Response>}
+ * @param {import('../../config/env.mjs').EnvConfig} config - The application configuration.
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session (`onText` hooks).
+ * @returns {Response}
  */
-export async function handleJavascript(response, rootDomain) {
-    let js = await response.text();
-
-    // 1. Strip Source Maps (Prevent browser DevTools 404s)
-    js = js.replace(/\/\/# sourceMappingURL=.*/g, '');
+export function handleJavascript(response, config, mods = null) {
+    // 1. Nothing to rewrite (HEAD requests, empty bodies)
+    if (!response.body) return response;
 
-    // 2. Rewrite Dynamic Imports
-    // Transforms: import('./module.js') -> import(self.__d_rw('./module.js'))
-    // This hook relies on __d_rw being exposed by the HTML interceptor.
-    js = js.replace(/import\s*\(/g, 'import(self.__d_rw(');
+    // 2. Only UTF-8 (or undeclared) scripts can be decoded safely
+    const charset = (response.headers.get('Content-Type') || '').match(/charset=["']?([^;"'\s]+)/i);
+    if (charset && !/^utf-?8$/i.test(charset[1])) return response;
 
-    // 3. Update Content-Length
-    const newSize = new TextEncoder().encode(js).length;
-    const headers = new Headers(response.headers);
-    headers.set('Content-Length', newSize.toString());
+    // 3. Stream through the rewriter (Content-Length was already dropped by sanitizeHeaders)
+    const rewriter = new JavascriptRewriter();
+    const body = response.body.pipeThrough(createRewriteStream(mods ? mods.text(rewriter, 'javascript') : rewriter, {
+        maxBytes: config.rewrite.maxBytes
+    }));
 
-    return new Response(js, {
+    return new Response(body, {
         status: response.status,
-        headers: headers
+        statusText: response.statusText,
+        headers: response.headers
     });
-}
\ No newline at end of file
+}
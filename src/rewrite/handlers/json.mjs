@@ -1,34 +1,33 @@
 /**
  * @file JSON Response Handler
- * @description Handles the rewriting of JSON content responses.
- * @version 2.0.0 (Strictly Typed)
+ * @description Handles the rewriting of JSON content responses (JSON, NDJSON, JSON-seq, application/*+json).
+ * @version 4.2.0 (Mod Text Hooks)
  */
 
-import { rewriteUrlsInJson } from '../rewriters/mimeType/index.mjs';
+import { JsonRewriter, createRewriteStream } from '../rewriters/mimeType/index.mjs';
 
 /**
- * Rewrites URLs found within a JSON response body.
+ * Rewrites URLs found within a JSON response body as it streams.
+ * The body is never parsed into objects, so formatting and key order are preserved and
+ * invalid or partial JSON simply passes through. Web App Manifests go through `handleManifest`.
  * @param {Response} response
  * @param {URL} targetURL
- * @param {string} rootDomain
- * @returns {Promise<Response>}
+ * @param {import('../../url/codec.mjs').UrlCodec} codec
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session (`onText` hooks).
+ * @returns {Response}
  */
-export async function handleJson(response, targetURL, rootDomain) {
-    try {
-        const json = await response.json();
+export function handleJson(response, targetURL, codec, config, mods = null) {
+    if (!response.body) return response;
 
-        // Mutates the object in place
-        rewriteUrlsInJson(json, targetURL, rootDomain);
+    const rewriter = new JsonRewriter(targetURL, codec);
+    const body = response.body.pipeThrough(createRewriteStream(mods ? mods.text(rewriter, 'json') : rewriter, {
+        maxBytes: config.rewrite.maxBytes
+    }));
 
-        return new Response(JSON.stringify(json), {
-            status: response.status,
-            headers: response.headers
-        });
-    } catch (e) {
-        // Fallback: Return original body if parsing fails
-        return new Response(response.body, {
-            status: response.status,
-            headers: response.headers
-        });
-    }
-}
\ No newline at end of file
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
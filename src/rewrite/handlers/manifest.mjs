@@ -0,0 +1,45 @@
+/**
+ * @file Web App Manifest Response Handler
+ * @description Handles the rewriting of Web App Manifests (application/manifest+json, *.webmanifest).
+ * @version 1.0.0
+ */
+
+import { rewriteManifest, rewriteJSON } from '../rewriters/mimeType/index.mjs';
+import { JSON_KEY_RULES } from '../rewriters/mimeType/jsonRules.mjs';
+
+/**
+ * Rewrites a Web App Manifest so the installed app (start_url, scope, id, icons, shortcuts,
+ * handlers and its Service Worker) lives entirely on the proxy.
+ *
+ * Manifests are small, so the body is parsed rather than streamed. Bodies that are not a JSON
+ * object go through the streaming JSON rewriter with the manifest key rules instead.
+ *
+ * @param {Response} response - The original response object.
+ * @param {URL} targetURL - The manifest URL (base for relative members).
+ * @param {import('../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @returns {Promise<Response>}
+ */
+export async function handleManifest(response, targetURL, codec) {
+    if (!response.body) return response;
+
+    // 1. Buffer & Parse (a leading BOM is allowed)
+    const text = await response.text();
+    let manifest = null;
+    try {
+        manifest = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (e) {}
+
+    // 2. Rewrite
+    let body;
+    if (manifest && typeof manifest === 'object' && !Array.isArray(manifest)) {
+        body = JSON.stringify(rewriteManifest(manifest, targetURL, codec), null, 2);
+    } else {
+        body = rewriteJSON(text, targetURL, codec, { rules: JSON_KEY_RULES.manifest });
+    }
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+    });
+}
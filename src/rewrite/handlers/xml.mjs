@@ -1,36 +1,33 @@
 /**
  * @file XML Response Handler
- * @description Handles the rewriting of XML, RSS, Atom, and Sitemap content.
- * @version 2.0.0 (Strictly Typed)
+ * @description Handles the rewriting of XML documents (SVG, XHTML, RSS, Atom, Sitemaps, OPML, XSLT, MPEG-DASH).
+ * @version 4.1.0 (MPEG-DASH)
  */
 
-import { rewriteXML } from '../rewriters/mimeType/index.mjs';
+import { XmlRewriter, createRewriteStream } from '../rewriters/mimeType/index.mjs';
 
 /**
- * Rewrites URLs within an XML response body.
+ * Rewrites URLs within an XML response body as it streams.
  *
- * This handler buffers the response text and applies regex-based rewriting
- * for standard XML namespaces, XSLT stylesheets, and RSS/Atom feed tags.
+ * The namespace-aware rewriter applies the dialect rules from `xmlDialects.mjs`, so served SVG
+ * images, XHTML pages, feeds and sitemaps are all covered by the same pass.
  *
  * @param {Response} response - The original response object.
  * @param {URL} targetURL - The target URL (for resolving relative paths).
- * @param {string} rootDomain - The proxy's root domain.
- * @returns {Promise<Response>} A promise resolving to the rewritten XML response.
+ * @param {import('../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {import('../../config/env.mjs').EnvConfig} config - The application configuration.
+ * @returns {Response}
  */
-export async function handleXml(response, targetURL, rootDomain) {
-    // Buffer the text content.
-    // XML parsing via regex is safe here because we are targeting specific, well-defined
-    // URL-holding attributes rather than trying to parse the entire document structure.
-    const xml = await response.text();
+export function handleXml(response, targetURL, codec, config) {
+    if (!response.body) return response;
 
-    // Apply the rewrite logic (Atom, RSS, Sitemaps, XSLT)
-    const rewrittenXml = rewriteXML(xml, targetURL, rootDomain);
+    const body = response.body.pipeThrough(createRewriteStream(new XmlRewriter(targetURL, codec), {
+        maxBytes: config.rewrite.maxBytes
+    }));
 
-    // We do not need to explicitly set Content-Length here because we aren't modifying
-    // the encoding in a way that breaks chunked transfer. Cloudflare Workers handles
-    // Content-Length automatically for simple Response bodies.
-    return new Response(rewrittenXml, {
+    return new Response(body, {
         status: response.status,
+        statusText: response.statusText,
         headers: response.headers
     });
-}
\ No newline at end of file
+}
@@ -1,7 +1,7 @@
 /**
  * @file Request Rewriting Logic
  * @description Sanitizes headers and prepares the upstream request object.
- * @version 5.0.0 (Typed Config)
+ * @version 5.3.0 (Range Requests)
  */
 
 import {
@@ -15,22 +15,31 @@ import {
  * @param {Request} originalRequest - The incoming Cloudflare request.
  * @param {URL} targetURL - The resolved target URL.
  * @param {import('../config/env.mjs').EnvConfig} config - The app config.
+ * @param {string|null} [jarCookie] - In cookie jar mode, the jar's Cookie header for `targetURL`
+ *   (null if none apply). It replaces the browser's cookies, which belong to the proxy.
  * @returns {Request} The sanitized request ready for fetch().
  */
-export function rewriteRequest(originalRequest, targetURL, config) {
+export function rewriteRequest(originalRequest, targetURL, config, jarCookie = undefined) {
     const headers = new Headers(originalRequest.headers);
 
     // 1. Sanitize Technical Headers
     sanitizeRequestHeaders(headers);
 
-    // 2. Enforce Host Header
-    headers.set('Host', targetURL.hostname);
+    // 2. Enforce Host Header (includes non-default upstream ports)
+    headers.set('Host', targetURL.host);
 
     // 3. Spoof Identity (Referer / Origin)
     fixIdentityHeaders(headers, config);
 
-    // 4. Sanitize Cookies (Strip Proxy Auth / Internal tokens)
-    sanitizeRequestCookie(headers, config, targetURL);
+    // 4. Cookies: the jar's, or the browser's minus Proxy Auth / Internal tokens
+    if (jarCookie !== undefined) {
+        jarCookie ? headers.set('Cookie', jarCookie) : headers.delete('Cookie');
+    } else {
+        sanitizeRequestCookie(headers, config, targetURL);
+    }
+
+    // 5. Ranges address the upstream bytes: ask for them unencoded, the runtime cannot decode a slice
+    if (headers.has('Range')) headers.set('Accept-Encoding', 'identity');
 
     return new Request(targetURL.href, {
         method: originalRequest.method,
@@ -1,7 +1,7 @@
 /**
  * @file Response Processing Logic
  * @description Orchestrates header sanitization and content type delegation.
- * @version 7.0.0 (Typed Config)
+ * @version 9.2.0 (Telemetry)
  */
 
 import {
@@ -13,7 +13,72 @@ import {
     sanitizeHeaders
 } from './rewriters/headers/index.mjs';
 
-import { handleJavascript, handleHtml, handleCss, handleJson, handleXml } from './handlers/index.mjs';
+import { handleJavascript, handleHtml, handleCss, handleJson, handleManifest, handleXml, handleHls } from './handlers/index.mjs';
+import { getUrlCodec } from '../url/codec.mjs';
+
+/**
+ * JSON media types handled by the JSON rewriter, in addition to any application/*+json type.
+ * @type {Set<string>}
+ */
+const JSON_MIME_TYPES = new Set([
+    'application/json', 'text/json',
+    'application/x-ndjson', 'application/jsonl', 'application/json-seq'
+]);
+
+/**
+ * XML media types handled by the XML rewriter. Matched exactly, so unrelated types that merely
+ * contain "xml" (e.g. application/vnd.openxmlformats-*) are never buffered as text.
+ * @type {Set<string>}
+ */
+const XML_MIME_TYPES = new Set([
+    'application/xml', 'text/xml',
+    'image/svg+xml',
+    'application/xhtml+xml',
+    'application/rss+xml', 'application/atom+xml', 'application/rdf+xml',
+    'application/xslt+xml', 'text/xsl',
+    'text/x-opml', 'text/x-opml+xml',
+    'application/dash+xml'
+]);
+
+/**
+ * HLS playlist media types (RFC 8216 and the legacy aliases players still see).
+ * @type {Set<string>}
+ */
+const HLS_MIME_TYPES = new Set([
+    'application/vnd.apple.mpegurl', 'application/x-mpegurl',
+    'audio/mpegurl', 'audio/x-mpegurl'
+]);
+
+/**
+ * @typedef {Object} SetCookieScope
+ * @property {URL} requestURL - The upstream URL the browser requested (its proxy host stores the cookies).
+ * @property {Array<{value: string, url: URL}>} setCookies - Set-Cookie values of redirect hops followed inside the Worker (see handlers/upstream.mjs).
+ */
+
+/**
+ * Rewrites the response's Set-Cookie headers, after prepending the ones of followed redirect hops.
+ * Cookies that cannot be represented on the proxy are dropped.
+ * In cookie jar mode they were already stored server-side and never reach the browser.
+ * @param {Headers} headers
+ * @param {URL} targetURL - The upstream URL the response came from.
+ * @param {SetCookieScope|null} scope
+ * @param {import('../url/codec.mjs').UrlCodec} codec
+ * @param {import('../config/env.mjs').EnvConfig} config
+ */
+function rewriteSetCookies(headers, targetURL, scope, codec, config) {
+    const cookies = [
+        ...(scope ? scope.setCookies : []),
+        ...headers.getAll('Set-Cookie').map(value => ({ value, url: targetURL }))
+    ];
+    headers.delete('Set-Cookie');
+    if (config.cookies.mode === 'jar') return;
+
+    const requestURL = scope ? scope.requestURL : targetURL;
+    for (const { value, url } of cookies) {
+        const rewritten = rewriteSetCookieHeader(value, codec, url, requestURL);
+        if (rewritten) headers.append('Set-Cookie', rewritten);
+    }
+}
 
 /**
  * Main entry point for rewriting a response.
@@ -21,15 +86,29 @@ import { handleJavascript, handleHtml, handleCss, handleJson, handleXml } from '
  * @param {URL} targetURL
  * @param {string} rootDomain
  * @param {import('../config/env.mjs').EnvConfig} config
- * @param {string|null} setCookieHeader
+ * @param {SetCookieScope|null} [cookieScope] - Where Set-Cookie values came from and go to (null: `targetURL` for both).
+ * @param {import('../mods/session.mjs').ModSession|null} [mods] - The request's mod session.
+ * @param {string|null} [documentCookie] - Cookie jar mode: the page's `document.cookie`, handed to the interceptor.
+ * @param {import('../telemetry/trace.mjs').RequestTrace|null} [trace] - The request's trace; told which content handler ran.
  * @returns {Promise<Response>}
  */
-export async function rewriteResponse(originResponse, targetURL, rootDomain, config, setCookieHeader) {
+export async function rewriteResponse(originResponse, targetURL, rootDomain, config, cookieScope = null, mods = null, documentCookie = null, trace = null) {
+    const codec = getUrlCodec(config);
+    const handled = (handler) => {
+        if (trace) trace.note({ handler });
+    };
+
     // 1. Status Check: Passthrough for 304/204/Redirects (Empty Body)
     if (originResponse.status === 304 || originResponse.status === 204 || (originResponse.status >= 300 && originResponse.status < 400)) {
         const safeHeaders = new Headers(originResponse.headers);
         sanitizeHeaders(safeHeaders);
-        rewriteLocationHeader(safeHeaders, targetURL, rootDomain);
+        rewriteSetCookies(safeHeaders, targetURL, cookieScope, codec, config);
+        const safeLocation = rewriteLocationHeader(safeHeaders, targetURL, codec, config);
+        if (!safeLocation && originResponse.status >= 300 && originResponse.status !== 304) {
+            return new Response("Divortio Proxy: Redirect to a disallowed destination was blocked.", {status: 502});
+        }
+        if (mods) mods.onResponseHeaders(safeHeaders, originResponse.status);
+        handled('passthrough');
         return new Response(originResponse.body, {
             status: originResponse.status,
             statusText: originResponse.statusText,
@@ -41,27 +120,32 @@ export async function rewriteResponse(originResponse, targetURL, rootDomain, con
     const headers = new Headers(originResponse.headers);
     sanitizeHeaders(headers);
 
-    // 3. Rewrite Security & Link Headers
-    if (setCookieHeader) headers.append('Set-Cookie', setCookieHeader);
+    // Bodies passed through untouched keep their length (players need it to seek), unless the
+    // runtime decoded a Content-Encoding and the upstream length no longer applies.
+    const encoding = (originResponse.headers.get('Content-Encoding') || 'identity').trim().toLowerCase();
+    const passthroughLength = encoding === 'identity' ? originResponse.headers.get('Content-Length') : null;
+    const passthrough = (response) => {
+        if (passthroughLength !== null) response.headers.set('Content-Length', passthroughLength);
+        return response;
+    };
 
-    if (headers.has('Set-Cookie')) {
-        const cookies = headers.getAll('Set-Cookie');
-        headers.delete('Set-Cookie');
-        cookies.forEach(c => headers.append('Set-Cookie', rewriteSetCookieHeader(c, rootDomain)));
-    }
+    // 3. Rewrite Security & Link Headers
+    rewriteSetCookies(headers, targetURL, cookieScope, codec, config);
 
     if (headers.has('Link')) {
-        const newLink = rewriteLinkHeader(headers.get('Link'), targetURL, rootDomain);
+        const newLink = rewriteLinkHeader(headers.get('Link'), targetURL, codec);
         newLink ? headers.set('Link', newLink) : headers.delete('Link');
     }
 
-    rewriteLocationHeader(headers, targetURL, rootDomain);
-    rewriteCORS(headers, targetURL, rootDomain);
+    rewriteLocationHeader(headers, targetURL, codec, config);
+    rewriteCORS(headers, targetURL, codec);
 
     if (headers.has('Content-Security-Policy')) {
         headers.set('Content-Security-Policy', rewriteCSP(headers.get('Content-Security-Policy')));
     }
 
+    if (mods) mods.onResponseHeaders(headers, originResponse.status);
+
     // 4. Create Response Base
     const responseBase = new Response(originResponse.body, {
         status: originResponse.status,
@@ -69,40 +153,72 @@ export async function rewriteResponse(originResponse, targetURL, rootDomain, con
         headers: headers
     });
 
-    // 5. Delegate to Content Type Handlers
+    // 5. Partial Content: a range of a document cannot be rewritten, so it passes through as is
+    if (originResponse.status === 206 || originResponse.status === 416) {
+        handled('passthrough');
+        return passthrough(responseBase);
+    }
+
+    // 6. Delegate to Content Type Handlers
     const contentType = headers.get('Content-Type') || '';
+    const mimeType = contentType.split(';')[0].trim().toLowerCase();
+    const pathname = targetURL.pathname.toLowerCase();
+    const rewritten = (response) => {
+        // Byte ranges of the upstream body do not address the rewritten one
+        response.headers.delete('Accept-Ranges');
+        return response;
+    };
+
+    if (HLS_MIME_TYPES.has(mimeType) || pathname.endsWith('.m3u8')) {
+        handled('hls');
+        return rewritten(handleHls(responseBase, targetURL, codec, config));
+    }
 
     if (contentType.includes('text/html')) {
         // Pass Config to support Mods
-        return handleHtml(responseBase, targetURL, rootDomain, config);
+        handled('html');
+        return rewritten(await handleHtml(responseBase, targetURL, rootDomain, config, mods, documentCookie));
     }
 
     if (contentType.includes('javascript') || contentType.includes('application/x-javascript')) {
-        return handleJavascript(responseBase, rootDomain);
+        handled('javascript');
+        return rewritten(await handleJavascript(responseBase, config, mods));
     }
 
     if (contentType.includes('text/css')) {
-        return handleCss(responseBase, targetURL, rootDomain);
+        handled('css');
+        return rewritten(await handleCss(responseBase, targetURL, codec, config, mods));
     }
 
-    if (contentType.includes('application/json') || contentType.includes('application/manifest+json')) {
-        return handleJson(responseBase, targetURL, rootDomain);
+    // Manifests are often served as plain JSON or octet-stream, so the .webmanifest extension counts too
+    if (mimeType === 'application/manifest+json' || pathname.endsWith('.webmanifest')) {
+        handled('manifest');
+        return rewritten(await handleManifest(responseBase, targetURL, codec));
     }
 
-    if (contentType.includes('xml')) {
-        return handleXml(responseBase, targetURL, rootDomain);
+    if (JSON_MIME_TYPES.has(mimeType) || /^application\/[\w.-]+\+json$/.test(mimeType)) {
+        handled('json');
+        return rewritten(await handleJson(responseBase, targetURL, codec, config, mods));
+    }
+
+    // DASH manifests are often served as plain XML or octet-stream, so the .mpd extension counts too
+    if (XML_MIME_TYPES.has(mimeType) || pathname.endsWith('.mpd')) {
+        handled('xml');
+        return rewritten(handleXml(responseBase, targetURL, codec, config));
     }
 
     // Special Case: PDF (Force Download)
     if (contentType.includes('application/pdf')) {
         headers.set('Content-Disposition', 'attachment');
-        return new Response(originResponse.body, {
+        handled('pdf');
+        return passthrough(new Response(originResponse.body, {
             status: originResponse.status,
             statusText: originResponse.statusText,
             headers: headers
-        });
+        }));
     }
 
-    // 6. Fallback Passthrough
-    return responseBase;
+    // 7. Fallback Passthrough
+    handled('passthrough');
+    return passthrough(responseBase);
 }
\ No newline at end of file
@@ -1,7 +1,7 @@
 /**
  * @file Generic Attribute Rewriter
  * @description Rewrites standard URL-holding attributes.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 /**
@@ -11,12 +11,12 @@ export class AttributeRewriter {
     /**
      * @param {string} attr - The name of the attribute to rewrite (e.g., "href").
      * @param {URL} baseURL - The base URL of the current page.
-     * @param {string} rootDomain - The root domain of the proxy.
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
      */
-    constructor(attr, baseURL, rootDomain) {
+    constructor(attr, baseURL, codec) {
         this.attr = attr;
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -32,11 +32,9 @@ export class AttributeRewriter {
             return;
         }
 
-        try {
-            const absURL = new URL(val, this.baseURL);
-            if (absURL.hostname.endsWith(`.${this.rootDomain}`)) return;
+        if (this.codec.isProxied(val, this.baseURL)) return;
 
-            el.setAttribute(this.attr, `https://${absURL.hostname}.${this.rootDomain}${absURL.pathname}${absURL.search}`);
-        } catch (e) {}
+        const rewritten = this.codec.proxify(val, this.baseURL);
+        if (rewritten !== val) el.setAttribute(this.attr, rewritten);
     }
 }
\ No newline at end of file
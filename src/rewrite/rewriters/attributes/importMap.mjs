@@ -1,7 +1,7 @@
 /**
  * @file Import Map Rewriter
  * @description Rewrites Import Maps.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 import { rewriteUrlsInJson } from '../mimeType/json.mjs';
@@ -12,11 +12,11 @@ import { rewriteUrlsInJson } from '../mimeType/json.mjs';
 export class ImportMapRewriter {
     /**
      * @param {URL} baseURL
-     * @param {string} rootDomain
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec
      */
-    constructor(baseURL, rootDomain) {
+    constructor(baseURL, codec) {
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -27,20 +27,14 @@ export class ImportMapRewriter {
             try {
                 const json = JSON.parse(text.text);
 
-                rewriteUrlsInJson(json, this.baseURL, this.rootDomain);
+                rewriteUrlsInJson(json, this.baseURL, this.codec);
 
                 if (json.scopes) {
                     const newScopes = {};
                     for (const [scopeKey, scopeVal] of Object.entries(json.scopes)) {
-                        let newKey = scopeKey;
-                        try {
-                            const abs = new URL(scopeKey, this.baseURL);
-                            if (!abs.hostname.endsWith('.' + this.rootDomain)) {
-                                newKey = `https://${abs.hostname}.${this.rootDomain}${abs.pathname}${abs.search}`;
-                            }
-                        } catch(e) {}
+                        const newKey = this.codec.proxify(scopeKey, this.baseURL);
 
-                        rewriteUrlsInJson(scopeVal, this.baseURL, this.rootDomain);
+                        rewriteUrlsInJson(scopeVal, this.baseURL, this.codec);
                         newScopes[newKey] = scopeVal;
                     }
                     json.scopes = newScopes;
@@ -1,7 +1,7 @@
 /**
  * @file Inline Style Rewriter
  * @description Rewrites URLs found inside inline `style="..."` attributes.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 import { rewriteCSS } from '../mimeType/index.mjs';
@@ -12,11 +12,11 @@ import { rewriteCSS } from '../mimeType/index.mjs';
 export class InlineStyleRewriter {
     /**
      * @param {URL} baseURL
-     * @param {string} rootDomain
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec
      */
-    constructor(baseURL, rootDomain) {
+    constructor(baseURL, codec) {
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -25,7 +25,7 @@ export class InlineStyleRewriter {
     element(el) {
         const style = el.getAttribute('style');
         if (style) {
-            const newStyle = rewriteCSS(style, this.baseURL, this.rootDomain);
+            const newStyle = rewriteCSS(style, this.baseURL, this.codec);
             if (newStyle !== style) {
                 el.setAttribute('style', newStyle);
             }
@@ -1,7 +1,7 @@
 /**
  * @file Meta Url Rewriter
  * @description Handles <meta> tags that contain URLs.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 /**
@@ -10,11 +10,11 @@
 export class MetaUrlRewriter {
     /**
      * @param {URL} baseURL
-     * @param {string} rootDomain
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec
      */
-    constructor(baseURL, rootDomain) {
+    constructor(baseURL, codec) {
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -42,13 +42,11 @@ export class MetaUrlRewriter {
     }
 
     rewriteContent(el, fullContent, urlPart) {
-        try {
-            const absURL = new URL(urlPart, this.baseURL);
-            if (!absURL.hostname.endsWith(`.${this.rootDomain}`)) {
-                const newUrl = `https://${absURL.hostname}.${this.rootDomain}${absURL.pathname}${absURL.search}`;
-                const newContent = fullContent.replace(urlPart, newUrl);
-                el.setAttribute('content', newContent);
-            }
-        } catch(e) {}
+        if (this.codec.isProxied(urlPart, this.baseURL)) return;
+
+        const newUrl = this.codec.proxify(urlPart, this.baseURL);
+        if (newUrl !== urlPart) {
+            el.setAttribute('content', fullContent.replace(urlPart, newUrl));
+        }
     }
 }
\ No newline at end of file
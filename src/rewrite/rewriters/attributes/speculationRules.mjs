@@ -1,7 +1,7 @@
 /**
  * @file Speculation Rules Rewriter
  * @description Rewrites Chrome's Speculation Rules API.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 import { rewriteUrlsInJson } from '../mimeType/json.mjs';
@@ -12,11 +12,11 @@ import { rewriteUrlsInJson } from '../mimeType/json.mjs';
 export class SpeculationRulesRewriter {
     /**
      * @param {URL} baseURL
-     * @param {string} rootDomain
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec
      */
-    constructor(baseURL, rootDomain) {
+    constructor(baseURL, codec) {
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -26,7 +26,7 @@ export class SpeculationRulesRewriter {
         if (text.lastInTextNode) {
             try {
                 const json = JSON.parse(text.text);
-                rewriteUrlsInJson(json, this.baseURL, this.rootDomain);
+                rewriteUrlsInJson(json, this.baseURL, this.codec);
                 text.replace(JSON.stringify(json));
             } catch (e) {}
         }
@@ -1,7 +1,7 @@
 /**
  * @file Srcset Attribute Rewriter
  * @description Parses and rewrites the `srcset` attribute.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 /**
@@ -10,11 +10,11 @@
 export class SrcsetRewriter {
     /**
      * @param {URL} baseURL
-     * @param {string} rootDomain
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec
      */
-    constructor(baseURL, rootDomain) {
+    constructor(baseURL, codec) {
         this.baseURL = baseURL;
-        this.rootDomain = rootDomain;
+        this.codec = codec;
     }
 
     /**
@@ -37,15 +37,10 @@ export class SrcsetRewriter {
                 desc = trimmed.substring(spaceIndex);
             }
 
-            try {
-                const absURL = new URL(url, this.baseURL);
-                if (absURL.hostname.endsWith(`.${this.rootDomain}`)) return part;
+            if (this.codec.isProxied(url, this.baseURL)) return part;
 
-                const newURL = `https://${absURL.hostname}.${this.rootDomain}${absURL.pathname}${absURL.search}`;
-                return `${newURL}${desc}`;
-            } catch {
-                return part;
-            }
+            const newURL = this.codec.proxify(url, this.baseURL);
+            return newURL === url ? part : `${newURL}${desc}`;
         });
 
         el.setAttribute('srcset', newParts.join(', '));
@@ -1,41 +1,243 @@
 /**
  * @file Cookie Header Rewriter
  * @description Manages both response (Set-Cookie) rewriting and request (Cookie) stripping.
- * @version 4.0.0 (Typed Config)
+ * @version 5.1.0 (Proxy Session Cookies)
+ *
+ * Set-Cookie values are parsed and serialized per RFC 6265bis and translated onto the proxied host
+ * layout: the cookie is first validated the way a browser on the upstream URL would (Secure from a
+ * secure origin, `__Secure-`/`__Host-` prefixes, `SameSite=None` and `Partitioned` need `Secure`,
+ * `Domain` must cover the host and not be a public suffix), then scoped to the proxy host that
+ * represents it. Cookies that cannot be represented are dropped rather than stored on the wrong host.
+ *
+ * The same translator runs in the interceptor's `document.cookie` and `cookieStore` traps.
  */
 
+import { getSite } from '../../../url/site.mjs';
+
 /**
- * Rewrites the Set-Cookie header (Response).
- * @param {string} headerValue
- * @param {string} rootDomain
- * @returns {string}
+ * @typedef {Object} ParsedCookie
+ * @property {string} name - May be empty (a nameless cookie, RFC 6265bis §5.6 step 3).
+ * @property {string} value
+ * @property {string|null} expires - Raw Expires date (only kept if it parses).
+ * @property {number|null} maxAge - Max-Age in seconds.
+ * @property {string|null} domain - Lower-cased, without the leading dot.
+ * @property {string|null} path - Null when absent or not starting with '/' (the default path applies).
+ * @property {boolean} secure
+ * @property {boolean} httpOnly
+ * @property {'Strict'|'Lax'|'None'|null} sameSite
+ * @property {boolean} partitioned
+ * @property {'Low'|'Medium'|'High'|null} priority
+ */
+
+/**
+ * @typedef {Object} CookieScope
+ * @property {string} host - Upstream hostname that set the cookie.
+ * @property {boolean} secure - The upstream URL is https (a browser only accepts Secure cookies from it then).
+ * @property {string} defaultPath - Default Path of the upstream URL (its directory).
+ * @property {string} proxyHost - Proxy hostname representing the upstream origin.
+ * @property {string} clientHost - Proxy hostname the browser will store the cookie for.
+ * @property {function(string): (string|null)} toProxyDomain - Upstream Domain -> proxy Domain, or null if the host layout cannot express it.
+ * @property {function(string): boolean} isPublicSuffix
+ */
+
+/**
+ * Creates the Set-Cookie parser, serializer and proxy translator.
+ *
+ * NOTE: This function is serialized with `toString()` into the client-side interceptor.
+ * It must stay self-contained and only use its arguments.
+ *
+ * @returns {{parse: function(string): (ParsedCookie|null), serialize: function(ParsedCookie): string, translate: function(string, CookieScope): (string|null)}}
  */
-export function rewriteSetCookieHeader(headerValue, rootDomain) {
-    let parts = headerValue.split(';');
-    let newParts = [];
-    newParts.push(parts[0].trim());
+export function createCookieTranslator() {
+    const MAX_PAIR_BYTES = 4096;
+    const MAX_ATTRIBUTE_BYTES = 1024;
+    const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+    const PRIORITY = { low: 'Low', medium: 'Medium', high: 'High' };
 
-    for (let i = 1; i < parts.length; i++) {
-        let part = parts[i].trim();
-        let lowerPart = part.toLowerCase();
+    const byteLength = (str) => new TextEncoder().encode(str).length;
 
-        if (lowerPart.startsWith('secure') || lowerPart.startsWith('samesite')) continue;
+    const domainMatch = (host, domain) => host === domain || (host.endsWith('.' + domain) && !/^[\d.]+$|:/.test(host));
 
-        if (lowerPart.startsWith('domain=')) {
-            const originalDomain = part.split('=')[1].trim();
-            const cleanOriginDomain = originalDomain.startsWith('.') ? originalDomain.slice(1) : originalDomain;
-            newParts.push(`Domain=${cleanOriginDomain}.${rootDomain}`);
-            continue;
+    /**
+     * Splits the name-value pair from the attributes. A value opening with '"' runs to its closing
+     * quote, so quoted values may contain ';'.
+     */
+    const splitPair = (header) => {
+        const eq = header.indexOf('=');
+        const semi = header.indexOf(';');
+        if (eq !== -1 && (semi === -1 || eq < semi)) {
+            const rest = header.slice(eq + 1).replace(/^[ \t]+/, '');
+            if (rest[0] === '"') {
+                const close = rest.indexOf('"', 1);
+                if (close !== -1) {
+                    const after = rest.indexOf(';', close);
+                    const end = header.length - rest.length + (after === -1 ? rest.length : after);
+                    return [header.slice(0, end), after === -1 ? '' : header.slice(end + 1)];
+                }
+            }
         }
-        newParts.push(part);
-    }
+        return semi === -1 ? [header, ''] : [header.slice(0, semi), header.slice(semi + 1)];
+    };
+
+    /** RFC 6265bis §5.6: parses one Set-Cookie value. Returns null if it must be ignored. */
+    const parse = (header) => {
+        const [pair, attributes] = splitPair(String(header));
+        const eq = pair.indexOf('=');
+        const name = eq === -1 ? '' : pair.slice(0, eq).trim();
+        const value = (eq === -1 ? pair : pair.slice(eq + 1)).trim();
+
+        if (!name && !value) return null;
+        if (/[\x00-\x08\x0A-\x1F\x7F]/.test(name + value)) return null;
+        if (byteLength(name + value) > MAX_PAIR_BYTES) return null;
+
+        const cookie = {
+            name, value,
+            expires: null, maxAge: null, domain: null, path: null,
+            secure: false, httpOnly: false, sameSite: null, partitioned: false, priority: null
+        };
+
+        for (const part of attributes ? attributes.split(';') : []) {
+            const i = part.indexOf('=');
+            const key = (i === -1 ? part : part.slice(0, i)).trim().toLowerCase();
+            const val = i === -1 ? '' : part.slice(i + 1).trim();
+            if (byteLength(val) > MAX_ATTRIBUTE_BYTES) continue;
+
+            if (key === 'expires') {
+                if (!Number.isNaN(Date.parse(val))) cookie.expires = val;
+            } else if (key === 'max-age') {
+                if (/^-?\d+$/.test(val)) cookie.maxAge = Number(val);
+            } else if (key === 'domain') {
+                if (val) cookie.domain = val.replace(/^\./, '').toLowerCase();
+            } else if (key === 'path') {
+                cookie.path = val.startsWith('/') ? val : null;
+            } else if (key === 'secure') {
+                cookie.secure = true;
+            } else if (key === 'httponly') {
+                cookie.httpOnly = true;
+            } else if (key === 'samesite') {
+                cookie.sameSite = SAME_SITE[val.toLowerCase()] || null;
+            } else if (key === 'partitioned') {
+                cookie.partitioned = true;
+            } else if (key === 'priority') {
+                cookie.priority = PRIORITY[val.toLowerCase()] || null;
+            }
+        }
+        return cookie;
+    };
+
+    const serialize = (cookie) => {
+        const parts = [cookie.name ? `${cookie.name}=${cookie.value}` : cookie.value];
+        if (cookie.expires !== null) parts.push(`Expires=${cookie.expires}`);
+        if (cookie.maxAge !== null) parts.push(`Max-Age=${cookie.maxAge}`);
+        if (cookie.domain) parts.push(`Domain=${cookie.domain}`);
+        if (cookie.path) parts.push(`Path=${cookie.path}`);
+        if (cookie.secure) parts.push('Secure');
+        if (cookie.httpOnly) parts.push('HttpOnly');
+        if (cookie.sameSite) parts.push(`SameSite=${cookie.sameSite}`);
+        if (cookie.partitioned) parts.push('Partitioned');
+        if (cookie.priority) parts.push(`Priority=${cookie.priority}`);
+        return parts.join('; ');
+    };
+
+    /** Translates an upstream Set-Cookie onto the proxy. Returns null if the cookie must be dropped. */
+    const translate = (header, scope) => {
+        const cookie = parse(header);
+        if (!cookie) return null;
+
+        // 1. Would a browser on the upstream URL accept it?
+        const hostPrefix = /^__host-/i.test(cookie.name);
+        if (cookie.secure && !scope.secure) return null;
+        if (/^__secure-/i.test(cookie.name) && !cookie.secure) return null;
+        if (hostPrefix && (!cookie.secure || cookie.domain || cookie.path !== '/')) return null;
+        if ((cookie.sameSite === 'None' || cookie.partitioned) && !cookie.secure) return null;
+
+        if (cookie.domain) {
+            if (scope.isPublicSuffix(cookie.domain)) {
+                // A public suffix may only name the host itself, which makes the cookie host-only
+                if (cookie.domain !== scope.host) return null;
+                cookie.domain = null;
+            } else if (!domainMatch(scope.host, cookie.domain)) {
+                return null;
+            }
+        }
+
+        // 2. Scope it to the proxy host layout
+        if (cookie.domain) {
+            const proxyDomain = scope.toProxyDomain(cookie.domain);
+            if (proxyDomain && domainMatch(scope.clientHost, proxyDomain)) {
+                cookie.domain = proxyDomain;
+            } else if (scope.proxyHost === scope.clientHost) {
+                // Sibling hosts (label encoding) cannot share a Domain: keep it on this host
+                cookie.domain = null;
+            } else {
+                return null;
+            }
+        } else if (scope.proxyHost !== scope.clientHost) {
+            // Host-only for another host (a followed redirect) cannot be stored by this response
+            return null;
+        }
+
+        // 3. Pin the upstream default path (the browser would derive it from the proxy URL)
+        if (!cookie.path) cookie.path = scope.defaultPath;
+
+        return serialize(cookie);
+    };
+
+    return { parse, serialize, translate };
+}
+
+const translator = createCookieTranslator();
+
+/**
+ * Parses one Set-Cookie value (RFC 6265bis §5.6).
+ * @type {function(string): (ParsedCookie|null)}
+ */
+export const parseSetCookie = translator.parse;
+
+/**
+ * Serializes a parsed cookie back into a Set-Cookie value.
+ * @type {function(ParsedCookie): string}
+ */
+export const serializeSetCookie = translator.serialize;
 
-    newParts.push('Secure');
-    newParts.push('SameSite=Lax');
+/**
+ * The default cookie path of a URL: its directory (RFC 6265 §5.1.4).
+ * @param {URL} url
+ * @returns {string}
+ */
+export function defaultCookiePath(url) {
+    const path = url.pathname;
+    if (!path.startsWith('/') || path.lastIndexOf('/') === 0) return '/';
+    return path.slice(0, path.lastIndexOf('/'));
+}
+
+/**
+ * Rewrites the Set-Cookie header (Response).
+ * In 'label' host encoding, proxied hosts are siblings under the root domain, so a
+ * Domain attribute cannot be mapped onto a subtree. The cookie becomes host-only instead.
+ * @param {string} headerValue
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {URL} setterURL - The upstream URL that sent the cookie.
+ * @param {URL} [requestURL] - The upstream URL the browser requested (differs after followed redirects).
+ * @returns {string|null} The proxy Set-Cookie value, or null if the cookie must be dropped.
+ */
+export function rewriteSetCookieHeader(headerValue, codec, setterURL, requestURL = setterURL) {
+    const proxyHost = (url) => new URL(codec.proxify(url.href)).hostname;
 
-    return newParts.join('; ');
+    return translator.translate(headerValue, {
+        host: setterURL.hostname.toLowerCase(),
+        secure: setterURL.protocol === 'https:',
+        defaultPath: defaultCookiePath(setterURL),
+        proxyHost: proxyHost(setterURL),
+        clientHost: proxyHost(requestURL),
+        toProxyDomain: (domain) => codec.hosts.encoding === 'raw' ? codec.hosts.toProxy(domain) : null,
+        isPublicSuffix: (domain) => getSite('x.' + domain) === 'x.' + domain
+    });
 }
 
+/** Proxy session cookies (cookie jar, HAR capture) are scoped to the root domain and never reach an upstream. */
+const PROXY_SESSION_PREFIX = '__Secure-divortio-';
+
 /**
  * Sanitizes the Cookie header (Request) based on configured whitelists.
  * @param {Headers} headers
@@ -61,6 +263,9 @@ export function sanitizeRequestCookie(headers, config, targetURL) {
 
         const name = trimmed.substring(0, separatorIdx).trim();
 
+        // 0. The proxy's own session cookies
+        if (name.startsWith(PROXY_SESSION_PREFIX)) continue;
+
         // 1. Root Passthrough Check
         if (config.cookies.rootPassthrough && config.cookies.rootPassthrough.test(name)) {
             if (isProxyRequest) continue;
@@ -79,4 +284,4 @@ export function sanitizeRequestCookie(headers, config, targetURL) {
     } else {
         headers.delete('Cookie');
     }
-}
\ No newline at end of file
+}
@@ -1,23 +1,22 @@
 /**
  * @file CORS Header Rewriter
  * @description Adjusts Access-Control-Allow-Origin to match the proxy domain.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 /**
  * Rewrites the Access-Control-Allow-Origin header.
  * @param {Headers} headers - The response headers object.
  * @param {URL} targetURL - The target URL of the request.
- * @param {string} rootDomain - The root domain of the proxy.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
  */
-export function rewriteCORS(headers, targetURL, rootDomain) {
+export function rewriteCORS(headers, targetURL, codec) {
     const allowOrigin = headers.get('Access-Control-Allow-Origin');
     if (allowOrigin && allowOrigin !== '*') {
         try {
             const originURL = new URL(allowOrigin);
             if (originURL.hostname.endsWith(targetURL.hostname)) {
-                const newHostname = originURL.hostname + '.' + rootDomain;
-                headers.set('Access-Control-Allow-Origin', allowOrigin.replace(originURL.hostname, newHostname));
+                headers.set('Access-Control-Allow-Origin', new URL(codec.proxify(originURL.origin)).origin);
             }
         } catch(e) {}
     }
@@ -1,7 +1,7 @@
 /**
  * @file Identity Header Rewriter
  * @description Rewrites Referer and Origin headers to match the upstream target.
- * @version 2.0.0 (Typed Config)
+ * @version 2.1.0 (Upstream Origins)
  */
 
 import { getTargetURL } from '../../../handle/handlers/url.mjs';
@@ -21,7 +21,8 @@ export function fixIdentityHeaders(headers, config) {
                 // Pass config to getTargetURL for validation
                 const realTarget = getTargetURL(new Request(val), config);
                 if (realTarget) {
-                    headers.set(name, realTarget.href);
+                    // Origin carries scheme://host[:port] only; Referer keeps the full URL.
+                    headers.set(name, name === 'Origin' ? realTarget.origin : realTarget.href);
                 }
             }
         } catch (e) {
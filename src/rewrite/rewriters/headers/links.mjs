@@ -1,17 +1,17 @@
 /**
  * @file Link Header Rewriter
  * @description Rewrites URLs inside the HTTP Link header.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.0.0 (URL Codec)
  */
 
 /**
  * Rewrites URLs inside the Link header (e.g., for preloading).
  * @param {string} headerValue - The original Link header value.
  * @param {URL} targetURL - The target URL (used as base for relative URLs).
- * @param {string} rootDomain - The root domain of the proxy.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
  * @returns {string|null} The rewritten Link header, or null if empty.
  */
-export function rewriteLinkHeader(headerValue, targetURL, rootDomain) {
+export function rewriteLinkHeader(headerValue, targetURL, codec) {
     if (!headerValue) return null;
 
     return headerValue.split(',').map(part => {
@@ -22,18 +22,14 @@ export function rewriteLinkHeader(headerValue, targetURL, rootDomain) {
 
         // 1. Fix main <url>
         let newPart = part.replace(/<([^>]+)>/, (match, url) => {
-            try {
-                const absURL = new URL(url, targetURL);
-                if (absURL.hostname.endsWith('.' + rootDomain)) return match;
-                const newUrl = `https://${absURL.hostname}.${rootDomain}${absURL.pathname}${absURL.search}`;
-                return `<${newUrl}>`;
-            } catch(e) { return match; }
+            if (codec.isProxied(url, targetURL)) return match;
+            return `<${codec.proxify(url, targetURL)}>`;
         });
 
         // 2. Fix imagesrcset
         if (newPart.includes('imagesrcset=')) {
             newPart = newPart.replace(/imagesrcset="([^"]+)"/g, (m, srcset) => {
-                return `imagesrcset="${rewriteLinkSrcset(srcset, targetURL, rootDomain)}"`;
+                return `imagesrcset="${rewriteLinkSrcset(srcset, targetURL, codec)}"`;
             });
         }
 
@@ -44,15 +40,12 @@ export function rewriteLinkHeader(headerValue, targetURL, rootDomain) {
 /**
  * Helper to rewrite srcset values within Link headers.
  */
-function rewriteLinkSrcset(srcset, targetURL, rootDomain) {
+function rewriteLinkSrcset(srcset, targetURL, codec) {
     return srcset.split(',').map(p => {
         const [url, desc] = p.trim().split(/\s+/);
         if (!url) return p;
-        try {
-            const absURL = new URL(url, targetURL);
-            if (absURL.hostname.endsWith('.' + rootDomain)) return p;
-            const proxyUrl = `https://${absURL.hostname}.${rootDomain}${absURL.pathname}${absURL.search}`;
-            return desc ? `${proxyUrl} ${desc}` : proxyUrl;
-        } catch { return p; }
+        if (codec.isProxied(url, targetURL)) return p;
+        const proxyUrl = codec.proxify(url, targetURL);
+        return desc ? `${proxyUrl} ${desc}` : proxyUrl;
     }).join(', ');
 }
\ No newline at end of file
@@ -1,20 +1,35 @@
 /**
  * @file Location Header Rewriter
  * @description Rewrites the Location header for redirects.
- * @version 2.0.0 (Strictly Typed)
+ * @version 3.1.0 (Destination Safety)
  */
 
+import { isSafeDestination } from '../../../url/destination.mjs';
+
 /**
  * Rewrites the Location header to keep redirects within the proxy.
+ * Redirects to unsafe destinations (loopback, private, metadata; see url/destination.mjs) are
+ * removed, including ones that are already proxy URLs.
  * @param {Headers} headers - The response headers object.
  * @param {URL} targetURL - The target URL.
- * @param {string} rootDomain - The root domain of the proxy.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {import('../../../config/env.mjs').EnvConfig} config - The app config.
+ * @returns {boolean} False if the Location header was removed as unsafe.
  */
-export function rewriteLocationHeader(headers, targetURL, rootDomain) {
-    if (headers.has('Location')) {
-        try {
-            const loc = new URL(headers.get('Location'), targetURL);
-            headers.set('Location', `https://${loc.hostname}.${rootDomain}${loc.pathname}${loc.search}`);
-        } catch(e) {}
+export function rewriteLocationHeader(headers, targetURL, codec, config) {
+    if (!headers.has('Location')) return true;
+
+    const loc = headers.get('Location');
+    const alreadyProxied = codec.isProxied(loc, targetURL);
+    const proxied = alreadyProxied ? new URL(loc, targetURL).href : codec.proxify(loc, targetURL);
+
+    // Non-network schemes (mailto:, data:, ...) are left untouched; proxied ones are re-validated.
+    const destination = codec.resolveTarget(proxied);
+    if (destination && !isSafeDestination(destination, config)) {
+        headers.delete('Location');
+        return false;
     }
-}
\ No newline at end of file
+
+    if (!alreadyProxied) headers.set('Location', proxied);
+    return true;
+}
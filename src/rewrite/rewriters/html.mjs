@@ -1,7 +1,7 @@
 /**
  * @file HTML Rewriter Configuration
  * @description Configures the streaming HTML parser with all necessary traps and mods.
- * @version 8.0.0 (Typed Config & Mod Registry)
+ * @version 10.2.0 (Feature Flags)
  */
 
 import {
@@ -13,34 +13,43 @@ import {
     SpeculationRulesRewriter
 } from './attributes/index.mjs';
 
-import { MOD_REGISTRY } from '../../../mods/registry.mjs';
+import { getUrlCodec } from '../../url/codec.mjs';
 
 /**
  * Configures and returns an HTMLRewriter instance.
  * @param {URL} targetURL
  * @param {string} rootDomain
- * @param {import('../../../config/env.mjs').EnvConfig} config
+ * @param {import('../../config/env.mjs').EnvConfig} config
+ * @param {import('../../mods/session.mjs').ModSession|null} [mods] - The request's mod session.
+ * @param {string|null} [documentCookie] - Cookie jar mode: the page's `document.cookie`, served by the interceptor's trap.
  * @returns {HTMLRewriter}
  */
-export function getHtmlRewriter(targetURL, rootDomain, config) {
+export function getHtmlRewriter(targetURL, rootDomain, config, mods = null, documentCookie = null) {
     const rewriter = new HTMLRewriter();
 
-    // 1. Inject Configuration & Interceptor Script
-    rewriter.on('head', {
-        element(element) {
-            const configScript = `<script>self.__DIVORTIO_CONFIG__ = { rootDomain: '${rootDomain}' };</script>`;
-            const scriptTag = `<script src="/__divortio_interceptor.js" async></script>`;
-            element.prepend(configScript + scriptTag, {html: true});
-        }
-    });
+    // 1. Inject Configuration & Interceptor Script (FEATURES_STEALTH_MODE)
+    if (config.features.stealthMode) {
+        rewriter.on('head', {
+            element(element) {
+                // '<' is escaped so cookie values cannot close the script element
+                const cookies = documentCookie === null ? '' : `, cookies: ${JSON.stringify(documentCookie).replace(/</g, '\\u003c')}`;
+                // The interceptor script is shared by every page; the Service Worker switch is per page
+                const serviceWorker = config.features.serviceWorker ? '' : ', serviceWorker: false';
+                const configScript = `<script>self.__DIVORTIO_CONFIG__ = { rootDomain: '${rootDomain}'${cookies}${serviceWorker} };</script>`;
+                const scriptTag = `<script src="/__divortio_interceptor.js" async></script>`;
+                element.prepend(configScript + scriptTag, {html: true});
+            }
+        });
+    }
 
     // 2. Instantiate Handlers
-    const attr = (a) => new AttributeRewriter(a, targetURL, rootDomain);
-    const srcset = new SrcsetRewriter(targetURL, rootDomain);
-    const style = new InlineStyleRewriter(targetURL, rootDomain);
-    const metaUrl = new MetaUrlRewriter(targetURL, rootDomain);
-    const importMap = new ImportMapRewriter(targetURL, rootDomain);
-    const specRules = new SpeculationRulesRewriter(targetURL, rootDomain);
+    const codec = getUrlCodec(config);
+    const attr = (a) => new AttributeRewriter(a, targetURL, codec);
+    const srcset = new SrcsetRewriter(targetURL, codec);
+    const style = new InlineStyleRewriter(targetURL, codec);
+    const metaUrl = new MetaUrlRewriter(targetURL, codec);
+    const importMap = new ImportMapRewriter(targetURL, codec);
+    const specRules = new SpeculationRulesRewriter(targetURL, codec);
 
     // 3. Bind Core Handlers
     rewriter
@@ -80,25 +89,8 @@ export function getHtmlRewriter(targetURL, rootDomain, config) {
         });
 
     // 4. Dynamic Mod Injection
-    // Iterate registry -> Check Config -> Check Domain -> Bind
-    MOD_REGISTRY.forEach(modDef => {
-        // A. Is it enabled in config?
-        if (config.mods && config.mods[modDef.envKey]) {
-
-            const args = modDef.defaultArgs || [];
-            const instance = new modDef.Class(...args);
-
-            // B. Registry Override
-            if (modDef.domainPattern) {
-                instance.domainPattern = modDef.domainPattern;
-            }
-
-            // C. Domain Scope Check
-            if (instance.shouldRun(targetURL)) {
-                rewriter.on(modDef.selector, instance);
-            }
-        }
-    });
+    // The session already holds this request's enabled, in-scope instances; each binds its own selectors.
+    if (mods) mods.onHtml(rewriter);
 
     return rewriter;
 }
\ No newline at end of file
@@ -1,41 +1,307 @@
 /**
  * @file CSS Content Rewriter
- * @description Parses and rewrites URLs in CSS strings.
- * @version 1.0.0
+ * @description Tokenizer-based, incremental rewriter for URLs in CSS.
+ * @version 3.0.0 (Streaming Tokenizer)
+ *
+ * The tokenizer distinguishes comments, strings, `url()` tokens, functions and at-rules, so only
+ * real URL positions are rewritten:
+ * - `url(x)` / `url("x")`                  (anywhere, except in `@namespace`)
+ * - `@import "x" screen and (...)`         (media queries and layer()/supports() are preserved)
+ * - `image-set("a.png" 1x, url(b.png) 2x)` (and `-webkit-image-set`)
+ * - `src("x")`                             (CSS Values 4; `@font-face { src: url() format() }` goes through url())
+ * - `@namespace svg url(http://www.w3.org/2000/svg)` is an identifier, never fetched: left untouched.
+ * - `url(#filter)`, `data:` and other non-network URLs are left to the codec, which preserves them.
+ * - `/*# sourceMappingURL=... *\/` comments are stripped (any spacing, `#` or `@` form).
  */
 
 /**
- * Rewrites URLs in CSS strings, handling @import, url(), and image-set().
- * @param {string} css - The raw CSS content.
- * @param {URL} baseURL - The base URL for resolving relative paths.
- * @param {string} rootDomain - The proxy root domain.
- * @returns {string} The rewritten CSS content.
+ * Creates an incremental CSS rewriter (implements `IncrementalRewriter` from `stream.mjs`).
+ *
+ * NOTE: This function is serialized with `toString()` into the client-side interceptor.
+ * It must stay self-contained and only use its arguments.
+ *
+ * @param {function(string): string} rewriteUrl - Maps a (CSS-unescaped) URL to its replacement.
+ * @returns {import('./stream.mjs').IncrementalRewriter}
  */
-export function rewriteCSS(css, baseURL, rootDomain) {
-    const proxify = (url) => {
-        if (!url || url.startsWith('data:') || url.startsWith('chrome-extension:')) return url;
-        try {
-            const absURL = new URL(url, baseURL);
-            if (absURL.hostname.endsWith(`.${rootDomain}`)) return url;
-            return `https://${absURL.hostname}.${rootDomain}${absURL.pathname}${absURL.search}`;
-        } catch { return url; }
-    };
+export function createCssRewriter(rewriteUrl) {
+    const URL_FUNCTIONS = ['url', 'src', 'image-set', '-webkit-image-set'];
+    const NAME_CHAR = /[-\w\u0080-\uFFFF]/;
+    const WHITESPACE = /\s/;
+    const SOURCE_MAP_COMMENT = /^\/\*\s*[#@]\s*sourceMappingURL\s*=/;
 
-    // 1. Strip Source Maps
-    css = css.replace(/\/\*# sourceMappingURL=.* \*\/$/gm, '');
+    let buffer = '';
+    let mode = 'css';          // 'css' | 'comment' | 'string' | 'url'
+    let token = '';            // Accumulated comment, URL string or url() body
+    let quote = '';
+    let escaped = false;
+    let capture = false;       // Current string is a URL
+    let atRule = '';           // At-rule whose prelude we are in
+    let atRuleFresh = false;   // No token seen yet after the at-rule keyword
+    const fns = [];            // Open function names ('' for plain parentheses)
 
-    // 2. Rewrite @import "..."
-    css = css.replace(/@import\s*(?:url\(\s*)?['"]?([^'"\)]+)['"]?(?:\s*\))?/gi, (match, url) => {
-        return match.replace(url, proxify(url));
+    const cssUnescape = (str) => str.replace(/\\(?:([0-9a-fA-F]{1,6})\s?|(\r\n|[\n\r\f])|([\s\S]))/g, (m, hex, nl, ch) => {
+        if (hex) {
+            const cp = parseInt(hex, 16);
+            return cp === 0 || cp > 0x10FFFF || (cp >= 0xD800 && cp <= 0xDFFF) ? '\uFFFD' : String.fromCodePoint(cp);
+        }
+        return nl ? '' : ch;
     });
 
-    // 3. Rewrite image-set(...)
-    css = css.replace(/image-set\(([^)]+)\)/gi, (match, content) => {
-        return match.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (m, q, u) => `url(${q}${proxify(u)}${q})`);
-    });
+    const escapeQuoted = (str, q) => str.replace(/[\\\n\r\f]/g, c => c === '\\' ? '\\\\' : '\\' + c.charCodeAt(0).toString(16) + ' ').split(q).join('\\' + q);
 
-    // 4. Rewrite standard url(...)
-    return css.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/gi, (match, quote, url) => {
-        return `url(${quote}${proxify(url)}${quote})`;
-    });
-}
\ No newline at end of file
+    const escapeUnquoted = (str) => str.replace(/[\s'"()\\]/g, c => /\s/.test(c) ? '\\' + c.charCodeAt(0).toString(16) + ' ' : '\\' + c);
+
+    /** Rewrites a raw (still escaped) URL, returning the original text if nothing changed. */
+    const rewriteRaw = (raw, q) => {
+        const url = cssUnescape(raw);
+        const out = rewriteUrl(url);
+        if (typeof out !== 'string' || out === url) return raw;
+        return q ? escapeQuoted(out, q) : escapeUnquoted(out);
+    };
+
+    const isUrlString = () => {
+        if (atRule === 'namespace') return false;
+        if (fns.length) return URL_FUNCTIONS.includes(fns[fns.length - 1]);
+        return atRule === 'import' && atRuleFresh;
+    };
+
+    const closeComment = () => {
+        const comment = token;
+        token = '';
+        return SOURCE_MAP_COMMENT.test(comment) ? '' : comment;
+    };
+
+    const scan = (final) => {
+        const src = buffer;
+        const n = src.length;
+        let out = '';
+        let i = 0;
+
+        while (i < n) {
+            const ch = src[i];
+
+            // 1. Comments (buffered so source map comments can be dropped)
+            if (mode === 'comment') {
+                if (ch === '/' && token.length >= 3 && token.endsWith('*')) {
+                    token += ch;
+                    i++;
+                    out += closeComment();
+                    mode = 'css';
+                    continue;
+                }
+                const close = src.indexOf('*/', i);
+                const stop = close === -1 ? n : close + 2;
+                token += src.slice(i, stop);
+                i = stop;
+                if (close !== -1) {
+                    out += closeComment();
+                    mode = 'css';
+                }
+                continue;
+            }
+
+            // 2. Strings (buffered only when they hold a URL)
+            if (mode === 'string') {
+                i++;
+                let done = false;
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === quote) {
+                    done = true;
+                } else if (ch === '\n' || ch === '\r' || ch === '\f') {
+                    // Bad string: the newline ends it and is not part of the value.
+                    out += capture ? token : '';
+                    out += ch;
+                    token = '';
+                    capture = false;
+                    mode = 'css';
+                    continue;
+                }
+                if (!capture) {
+                    out += ch;
+                } else if (done) {
+                    out += rewriteRaw(token, quote) + ch;
+                    token = '';
+                } else {
+                    token += ch;
+                }
+                if (done) {
+                    capture = false;
+                    mode = 'css';
+                }
+                continue;
+            }
+
+            // 3. Unquoted url(...) body
+            if (mode === 'url') {
+                i++;
+                if (escaped) {
+                    escaped = false;
+                } else if (ch === '\\') {
+                    escaped = true;
+                } else if (ch === ')') {
+                    const m = token.match(/^([\s\S]*?)(\s*)$/);
+                    out += rewriteRaw(m[1]) + m[2] + ch;
+                    token = '';
+                    mode = 'css';
+                    continue;
+                }
+                token += ch;
+                continue;
+            }
+
+            // 4. CSS tokens
+            if (WHITESPACE.test(ch)) {
+                out += ch;
+                i++;
+                continue;
+            }
+
+            if (ch === '/') {
+                if (i + 1 >= n && !final) break;
+                if (src[i + 1] === '*') {
+                    mode = 'comment';
+                    token = '/*';
+                    i += 2;
+                    continue;
+                }
+            }
+
+            if (ch === '\\') {
+                if (i + 1 >= n && !final) break;
+                out += src.slice(i, i + 2);
+                i += 2;
+                atRuleFresh = false;
+                continue;
+            }
+
+            if (ch === '"' || ch === '\'') {
+                capture = isUrlString();
+                atRuleFresh = false;
+                mode = 'string';
+                quote = ch;
+                out += ch;
+                i++;
+                continue;
+            }
+
+            if (ch === '@' || NAME_CHAR.test(ch)) {
+                let j = i + 1;
+                while (j < n && NAME_CHAR.test(src[j])) j++;
+                if (j === n && !final) break;
+                const name = src.slice(ch === '@' ? i + 1 : i, j).toLowerCase();
+
+                if (ch === '@') {
+                    out += src.slice(i, j);
+                    i = j;
+                    atRule = name;
+                    atRuleFresh = true;
+                    continue;
+                }
+
+                if (src[j] !== '(') {
+                    out += src.slice(i, j);
+                    i = j;
+                    atRuleFresh = false;
+                    continue;
+                }
+
+                // Function token. url( followed by anything but a quote is an unquoted URL token.
+                if (name === 'url') {
+                    let k = j + 1;
+                    while (k < n && WHITESPACE.test(src[k])) k++;
+                    if (k === n && !final) break;
+                    if (src[k] !== '"' && src[k] !== '\'' && atRule !== 'namespace') {
+                        out += src.slice(i, k);
+                        i = k;
+                        mode = 'url';
+                        token = '';
+                        atRuleFresh = false;
+                        continue;
+                    }
+                }
+
+                fns.push(name);
+                out += src.slice(i, j + 1);
+                i = j + 1;
+                atRuleFresh = false;
+                continue;
+            }
+
+            i++;
+            out += ch;
+            if (ch === '(') fns.push('');
+            else if (ch === ')') fns.pop();
+            else if (ch === ';' || ch === '{' || ch === '}') {
+                atRule = '';
+                if (ch !== ';') fns.length = 0;
+            }
+            atRuleFresh = false;
+        }
+
+        buffer = src.slice(i);
+        return out;
+    };
+
+    return {
+        write(text) {
+            buffer += text;
+            return scan(false);
+        },
+        end() {
+            let out = scan(true);
+            // Unterminated constructs are emitted as they were received.
+            if (mode === 'comment') out += closeComment();
+            else if (mode === 'url') out += token;
+            else if (mode === 'string' && capture) out += token;
+            token = '';
+            mode = 'css';
+            return out;
+        },
+        canPassthrough() {
+            return mode === 'css' || (mode === 'string' && !capture);
+        },
+        passthrough() {
+            const rest = buffer;
+            buffer = '';
+            return rest;
+        }
+    };
+}
+
+/**
+ * Builds the codec-backed URL callback shared by the one-shot and streaming entry points.
+ * @param {URL} baseURL
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec
+ * @returns {function(string): string}
+ */
+function codecRewriter(baseURL, codec) {
+    return (url) => {
+        if (codec.isProxied(url, baseURL)) return url;
+        return codec.proxify(url, baseURL);
+    };
+}
+
+/**
+ * Creates a streaming CSS rewriter bound to the proxy codec.
+ * @param {URL} baseURL - The base URL for resolving relative paths.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @returns {import('./stream.mjs').IncrementalRewriter}
+ */
+export function createCssStreamRewriter(baseURL, codec) {
+    return createCssRewriter(codecRewriter(baseURL, codec));
+}
+
+/**
+ * Rewrites URLs in a complete CSS string (stylesheets, inline `style` attributes).
+ * @param {string} css - The raw CSS content.
+ * @param {URL} baseURL - The base URL for resolving relative paths.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @returns {string} The rewritten CSS content.
+ */
+export function rewriteCSS(css, baseURL, codec) {
+    const rewriter = createCssStreamRewriter(baseURL, codec);
+    return rewriter.write(css) + rewriter.end();
+}
@@ -0,0 +1,117 @@
+/**
+ * @file HLS Playlist Rewriter
+ * @description Streaming rewriter for URLs in HLS playlists (.m3u8, RFC 8216).
+ * @version 1.1.0 (Relative URIs)
+ *
+ * A playlist is line based: URI lines (segments, variant streams) and tags whose attribute lists
+ * carry quoted URIs (`#EXT-X-KEY:METHOD=AES-128,URI="..."`). Relative URIs are resolved against the
+ * final playlist URL, which differs from the URL the client asked for after a followed redirect.
+ * URIs using variable substitution (`{$name}`, EXT-X-DEFINE) are left alone, since the URL parser
+ * would percent-encode the braces.
+ */
+
+/** Quoted attributes holding a URI: URI, *-URI (SERVER-URI, X-ASSET-URI) and interstitial X-ASSET-LIST. */
+const URI_ATTRIBUTE = /(^|,)((?:[A-Z0-9-]+-)?URI|X-ASSET-LIST)="([^"]*)"/g;
+
+/**
+ * Incremental HLS playlist rewriter.
+ * Implements the `IncrementalRewriter` interface from `stream.mjs`.
+ */
+export class HlsRewriter {
+    /**
+     * @param {URL} baseURL - The final playlist URL (after followed redirects).
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+     */
+    constructor(baseURL, codec) {
+        this.baseURL = baseURL;
+        this.codec = codec;
+        /** Incomplete last line, held back until its line break arrives. */
+        this.pending = '';
+    }
+
+    /**
+     * Consumes a chunk of playlist text.
+     * @param {string} text
+     * @returns {string}
+     */
+    write(text) {
+        const data = this.pending + text;
+        const end = data.lastIndexOf('\n');
+        if (end === -1) {
+            this.pending = data;
+            return '';
+        }
+        this.pending = data.slice(end + 1);
+        return data.slice(0, end + 1).split('\n').map(line => this.rewriteLine(line)).join('\n');
+    }
+
+    /**
+     * @returns {string}
+     */
+    end() {
+        const out = this.rewriteLine(this.pending);
+        this.pending = '';
+        return out;
+    }
+
+    canPassthrough() {
+        return true;
+    }
+
+    passthrough() {
+        const out = this.pending;
+        this.pending = '';
+        return out;
+    }
+
+    /**
+     * Rewrites one line (without its line break; a trailing '\r' is kept).
+     * @param {string} line
+     * @returns {string}
+     */
+    rewriteLine(line) {
+        const cr = line.endsWith('\r') ? '\r' : '';
+        const content = cr ? line.slice(0, -1) : line;
+        const trimmed = content.trim();
+
+        // 1. Tags: quoted URI attributes
+        if (trimmed.startsWith('#')) {
+            if (!trimmed.startsWith('#EXT')) return line;
+            const colon = content.indexOf(':');
+            if (colon === -1) return line;
+            const attributes = content.slice(colon + 1).replace(URI_ATTRIBUTE, (match, sep, name, value) => {
+                const url = this.rewriteUrl(value);
+                return url === value || url.includes('"') ? match : `${sep}${name}="${url}"`;
+            });
+            return content.slice(0, colon + 1) + attributes + cr;
+        }
+
+        // 2. URI lines
+        if (!trimmed) return line;
+        const url = this.rewriteUrl(trimmed);
+        return url === trimmed ? line : content.replace(trimmed, url) + cr;
+    }
+
+    /**
+     * Rewrites a single URI.
+     * @param {string} url
+     * @returns {string}
+     */
+    rewriteUrl(url) {
+        if (url.includes('{$')) return url;
+        if (this.codec.isProxied(url, this.baseURL)) return url;
+        return this.codec.proxify(url, this.baseURL);
+    }
+}
+
+/**
+ * Rewrites URLs in a complete HLS playlist.
+ * @param {string} playlist
+ * @param {URL} baseURL - The final playlist URL.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec
+ * @returns {string}
+ */
+export function rewriteHLS(playlist, baseURL, codec) {
+    const rewriter = new HlsRewriter(baseURL, codec);
+    return rewriter.write(playlist) + rewriter.end();
+}
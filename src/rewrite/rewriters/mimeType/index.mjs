@@ -1,9 +1,13 @@
 /**
  * @file MIME Type Parsers Barrel File
- * @description Exports all content-specific parsing functions.
- * @version 1.0.0
+ * @description Exports all content-specific parsing functions and streaming rewriters.
+ * @version 1.3.0 (HLS Rewriter)
  */
 
-export { rewriteCSS } from './css.mjs';
-export { rewriteXML } from './xml.mjs';
-export { rewriteUrlsInJson } from './json.mjs';
\ No newline at end of file
+export { rewriteCSS, createCssRewriter, createCssStreamRewriter } from './css.mjs';
+export { rewriteXML, XmlRewriter } from './xml.mjs';
+export { rewriteUrlsInJson, rewriteJSON, JsonRewriter } from './json.mjs';
+export { rewriteManifest } from './manifest.mjs';
+export { rewriteHLS, HlsRewriter } from './hls.mjs';
+export { JavascriptRewriter } from './javascript.mjs';
+export { createRewriteStream } from './stream.mjs';
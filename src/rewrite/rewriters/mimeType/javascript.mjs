@@ -0,0 +1,492 @@
+/**
+ * @file JavaScript Content Rewriter
+ * @description Incremental, tokenizer-aware rewriter for JavaScript source.
+ * @version 1.0.0
+ *
+ * The rewriter runs a lightweight lexer (code, strings, templates, regex literals, comments)
+ * over the script as it streams in, so only real syntax is touched:
+ * - `import(spec)`     -> `import((self.__d_rwi||String)(spec))`   (second options argument preserved)
+ * - `import.meta.url`  -> `(self.__d_rw||String)(import.meta.url)`  (keeps `new URL(x, import.meta.url)`
+ *                         and `new Worker(new URL(..., import.meta.url))` on the proxy)
+ * - `//# sourceMappingURL=...` and `/*# sourceMappingURL=... *\/` comments are stripped.
+ *
+ * Strings, comments, property names (`obj.import(`), private names (`#import(`) and method
+ * definitions (`import() {}` in classes and object literals) are left alone. Tokens split across
+ * chunk boundaries are held back until enough input has arrived to classify them.
+ */
+
+/** Runtime hook for dynamic import specifiers (exposed by the interceptor). */
+export const IMPORT_HOOK = 'self.__d_rwi';
+
+/** Runtime hook for `import.meta.url` (the interceptor's URL rewriter). */
+export const META_URL_HOOK = 'self.__d_rw';
+
+const IDENT_START = /[A-Za-z_$\u0080-\uFFFF]/;
+const IDENT_PART = /[A-Za-z0-9_$\u0080-\uFFFF]/;
+const DIGIT = /[0-9]/;
+const NUMBER_PART = /[0-9A-Za-z_.]/;
+const WHITESPACE = /\s/;
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+const LINE_END = /[\n\r\u2028\u2029]/g;
+const SOURCE_MAP_COMMENT = /^\/[/*][#@]\s*sourceMappingURL=/;
+const META_URL = '.meta.url';
+
+/** Keywords after which a `/` starts a regex literal rather than a division. */
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+/** Tokens after which a `{` opens an object literal rather than a block. */
+const OBJECT_CONTEXT = new Set(['(', '[', ',', '=', ':', '?', '!', '&', '|', '+', '-', '*', '%', '~', '^', '...', 'return', 'yield', 'await', 'typeof', 'void', 'delete', 'throw', 'in', 'of']);
+
+/** Tokens that may precede a method name inside a class body or object literal. */
+const METHOD_CONTEXT = new Set(['{', ',', ';', '}', '*', 'static', 'async', 'get', 'set']);
+
+/** Returned by lookahead helpers when more input is needed to decide. */
+const NEED_MORE = Symbol('NEED_MORE');
+
+/**
+ * Incremental JavaScript rewriter.
+ * Implements the `IncrementalRewriter` interface from `stream.mjs`.
+ */
+export class JavascriptRewriter {
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.stripSourceMaps=true] - Remove sourceMappingURL comments.
+     */
+    constructor(options = {}) {
+        this.stripSourceMaps = options.stripSourceMaps !== false;
+
+        /** Unprocessed input held back for lookahead. */
+        this.buffer = '';
+        /** Lexer mode: 'code' | 'line' | 'block' | 'string' | 'template' | 'regex'. */
+        this.mode = 'code';
+        this.atStart = true;
+        this.quote = '';
+        this.escaped = false;
+        this.lineContinuation = false;
+        this.inClass = false;
+        /** Accumulated comment text (comments are emitted or dropped as a whole). */
+        this.comment = '';
+        /** Last significant token: a punctuator, a word, or ')' for any completed operand. */
+        this.prev = null;
+        this.classPending = false;
+        /**
+         * Open brackets: '(' '[' '$' (template substitution), 'B' block, 'O' object literal,
+         * 'C' class body, 'I' import call with the hook still open, 'i' import call after it closed.
+         * @type {string[]}
+         */
+        this.stack = [];
+        this.pendingHooks = 0;
+    }
+
+    /**
+     * Consumes a chunk of source text.
+     * @param {string} text
+     * @returns {string} Rewritten text that is ready to be emitted.
+     */
+    write(text) {
+        this.buffer += text;
+        return this.scan(false);
+    }
+
+    /**
+     * Signals end of input.
+     * @returns {string} The remaining rewritten text.
+     */
+    end() {
+        let out = this.scan(true);
+        if (this.mode === 'line' || this.mode === 'block') out += this.closeComment();
+        this.mode = 'code';
+        return out;
+    }
+
+    /**
+     * True when no hook call is waiting for its closing parenthesis and no comment is buffered.
+     * @returns {boolean}
+     */
+    canPassthrough() {
+        return this.pendingHooks === 0 && this.mode !== 'line' && this.mode !== 'block';
+    }
+
+    /**
+     * Stops rewriting and returns the held-back input unchanged.
+     * @returns {string}
+     */
+    passthrough() {
+        const rest = this.buffer;
+        this.buffer = '';
+        return rest;
+    }
+
+    /**
+     * Runs the lexer over the buffer.
+     * @param {boolean} final - True if no more input will arrive.
+     * @returns {string}
+     */
+    scan(final) {
+        const src = this.buffer;
+        const n = src.length;
+        let out = '';
+        let i = 0;
+
+        if (this.atStart) {
+            if (n < 2 && !final) return '';
+            this.atStart = false;
+            // Hashbang line (#!/usr/bin/env node) is lexed as a comment.
+            if (src.startsWith('#!')) {
+                this.mode = 'line';
+                this.comment = '';
+            }
+        }
+
+        scan: while (i < n) {
+            const ch = src[i];
+
+            switch (this.mode) {
+                case 'line': {
+                    LINE_END.lastIndex = i;
+                    const match = LINE_END.exec(src);
+                    const stop = match ? match.index : n;
+                    this.comment += src.slice(i, stop);
+                    i = stop;
+                    if (match) {
+                        out += this.closeComment();
+                        this.mode = 'code';
+                    }
+                    continue;
+                }
+
+                case 'block': {
+                    // A '*' at the end of the previous chunk may pair with a leading '/' here.
+                    if (ch === '/' && this.comment.length >= 3 && this.comment.endsWith('*')) {
+                        this.comment += ch;
+                        i++;
+                        out += this.closeComment();
+                        this.mode = 'code';
+                        continue;
+                    }
+                    const close = src.indexOf('*/', i);
+                    const stop = close === -1 ? n : close + 2;
+                    this.comment += src.slice(i, stop);
+                    i = stop;
+                    if (close !== -1) {
+                        out += this.closeComment();
+                        this.mode = 'code';
+                    }
+                    continue;
+                }
+
+                case 'string': {
+                    out += ch;
+                    i++;
+                    if (this.lineContinuation) {
+                        this.lineContinuation = false;
+                        if (ch === '\n') continue;
+                    }
+                    if (this.escaped) {
+                        this.escaped = false;
+                        this.lineContinuation = ch === '\r';
+                    } else if (ch === '\\') {
+                        this.escaped = true;
+                    } else if (ch === this.quote) {
+                        this.mode = 'code';
+                        this.prev = ')';
+                    } else if (LINE_TERMINATOR.test(ch)) {
+                        // Unterminated string: resynchronize at the line end.
+                        this.mode = 'code';
+                    }
+                    continue;
+                }
+
+                case 'template': {
+                    if (this.escaped) {
+                        this.escaped = false;
+                    } else if (ch === '\\') {
+                        this.escaped = true;
+                    } else if (ch === '`') {
+                        this.mode = 'code';
+                        this.prev = ')';
+                    } else if (ch === '$') {
+                        if (i + 1 >= n && !final) break scan;
+                        if (src[i + 1] === '{') {
+                            out += '${';
+                            i += 2;
+                            this.stack.push('$');
+                            this.mode = 'code';
+                            this.prev = '(';
+                            continue;
+                        }
+                    }
+                    out += ch;
+                    i++;
+                    continue;
+                }
+
+                case 'regex': {
+                    out += ch;
+                    i++;
+                    if (this.escaped) {
+                        this.escaped = false;
+                    } else if (ch === '\\') {
+                        this.escaped = true;
+                    } else if (ch === '[') {
+                        this.inClass = true;
+                    } else if (ch === ']') {
+                        this.inClass = false;
+                    } else if (ch === '/' && !this.inClass) {
+                        this.mode = 'code';
+                        this.prev = ')';
+                    } else if (LINE_TERMINATOR.test(ch)) {
+                        // Not a regex after all: resynchronize at the line end.
+                        this.mode = 'code';
+                        this.inClass = false;
+                    }
+                    continue;
+                }
+            }
+
+            // --- CODE ---
+
+            if (WHITESPACE.test(ch)) {
+                out += ch;
+                i++;
+                continue;
+            }
+
+            if (IDENT_START.test(ch)) {
+                let j = i + 1;
+                while (j < n && IDENT_PART.test(src[j])) j++;
+                if (j === n && !final) break;
+
+                const word = src.slice(i, j);
+                const isProperty = this.prev === '.' || this.prev === '#';
+
+                if (word === 'import' && !isProperty) {
+                    const result = this.rewriteImport(src, j, final);
+                    if (result === NEED_MORE) break;
+                    if (result) {
+                        out += result.text;
+                        i = result.next;
+                        continue;
+                    }
+                }
+
+                if (word === 'class' && !isProperty) this.classPending = true;
+                out += word;
+                i = j;
+                this.prev = word;
+                continue;
+            }
+
+            if (ch === '.' || DIGIT.test(ch)) {
+                if (ch === '.' && i + 2 >= n && !final) break;
+                if (ch === '.' && src[i + 1] === '.' && src[i + 2] === '.') {
+                    out += '...';
+                    i += 3;
+                    this.prev = '...';
+                    continue;
+                }
+                if (ch === '.' && !DIGIT.test(src[i + 1] || '')) {
+                    out += ch;
+                    i++;
+                    this.prev = '.';
+                    continue;
+                }
+                let j = i + 1;
+                while (j < n && NUMBER_PART.test(src[j])) j++;
+                out += src.slice(i, j);
+                i = j;
+                this.prev = ')';
+                continue;
+            }
+
+            if (ch === '"' || ch === '\'' || ch === '`') {
+                this.mode = ch === '`' ? 'template' : 'string';
+                this.quote = ch;
+                out += ch;
+                i++;
+                continue;
+            }
+
+            if (ch === '/') {
+                if (i + 1 >= n && !final) break;
+                const next = src[i + 1];
+                if (next === '/' || next === '*') {
+                    this.mode = next === '/' ? 'line' : 'block';
+                    this.comment = ch + next;
+                    i += 2;
+                    continue;
+                }
+                out += ch;
+                i++;
+                if (this.regexAllowed()) {
+                    this.mode = 'regex';
+                    this.inClass = false;
+                } else {
+                    this.prev = ch;
+                }
+                continue;
+            }
+
+            if (ch === '+' || ch === '-') {
+                if (i + 1 >= n && !final) break;
+                if (src[i + 1] === ch) {
+                    out += ch + ch;
+                    i += 2;
+                    // Postfix (a++) completes an operand, prefix (++a) does not.
+                    this.prev = this.regexAllowed() ? ch : ')';
+                    continue;
+                }
+                out += ch;
+                i++;
+                this.prev = ch;
+                continue;
+            }
+
+            i++;
+            const top = this.stack[this.stack.length - 1];
+
+            switch (ch) {
+                case '(':
+                case '[':
+                    this.stack.push(ch);
+                    out += ch;
+                    this.prev = ch;
+                    break;
+
+                case '{':
+                    this.stack.push(this.braceKind());
+                    out += ch;
+                    this.prev = ch;
+                    break;
+
+                case ')':
+                    if (top === 'I') {
+                        out += ')';
+                        this.pendingHooks--;
+                    }
+                    if (top === '(' || top === 'I' || top === 'i') this.stack.pop();
+                    out += ch;
+                    this.prev = ')';
+                    break;
+
+                case ']':
+                    if (top === '[') this.stack.pop();
+                    out += ch;
+                    this.prev = ch;
+                    break;
+
+                case '}':
+                    if (top === '$') {
+                        this.stack.pop();
+                        out += ch;
+                        this.mode = 'template';
+                        break;
+                    }
+                    if (top === 'B' || top === 'O' || top === 'C') this.stack.pop();
+                    out += ch;
+                    this.prev = ch;
+                    break;
+
+                case ',':
+                    if (top === 'I') {
+                        // End of the specifier argument: close the hook before the options argument.
+                        out += ')';
+                        this.stack[this.stack.length - 1] = 'i';
+                        this.pendingHooks--;
+                    }
+                    out += ch;
+                    this.prev = ch;
+                    break;
+
+                default:
+                    out += ch;
+                    this.prev = ch;
+            }
+        }
+
+        this.buffer = src.slice(i);
+        return out;
+    }
+
+    /**
+     * Classifies an `import` keyword at the current position.
+     * @param {string} src - The buffer.
+     * @param {number} j - Index just past the `import` keyword.
+     * @param {boolean} final
+     * @returns {{text: string, next: number}|null|symbol} The replacement, null to leave it, or NEED_MORE.
+     */
+    rewriteImport(src, j, final) {
+        let k = j;
+        while (k < src.length && WHITESPACE.test(src[k])) k++;
+        if (k === src.length) return final ? null : NEED_MORE;
+
+        const gap = src.slice(j, k);
+
+        // 1. Dynamic import call: import(spec[, options])
+        if (src[k] === '(') {
+            if (this.isMethodName()) return null;
+            this.stack.push('I');
+            this.pendingHooks++;
+            this.prev = '(';
+            return { text: `import${gap}((${IMPORT_HOOK}||String)(`, next: k + 1 };
+        }
+
+        // 2. import.meta.url
+        if (src[k] === '.') {
+            const rest = src.slice(k, k + META_URL.length + 1);
+            if (rest.length <= META_URL.length) {
+                if (final || !META_URL.startsWith(rest)) return null;
+                return NEED_MORE;
+            }
+            if (rest.startsWith(META_URL) && !IDENT_PART.test(rest[META_URL.length])) {
+                this.prev = ')';
+                return { text: `(${META_URL_HOOK}||String)(import${gap}${META_URL})`, next: k + META_URL.length };
+            }
+        }
+
+        // 3. Static import declarations are left alone.
+        return null;
+    }
+
+    /**
+     * True if an `import(` at this point is a method definition rather than a call.
+     * @returns {boolean}
+     */
+    isMethodName() {
+        const top = this.stack[this.stack.length - 1];
+        return (top === 'C' || top === 'O') && METHOD_CONTEXT.has(this.prev);
+    }
+
+    /**
+     * Classifies an opening brace from the preceding token.
+     * @returns {string} 'C', 'O' or 'B'.
+     */
+    braceKind() {
+        if (this.classPending) {
+            this.classPending = false;
+            return 'C';
+        }
+        return OBJECT_CONTEXT.has(this.prev) ? 'O' : 'B';
+    }
+
+    /**
+     * True if a `/` at this point starts a regex literal.
+     * @returns {boolean}
+     */
+    regexAllowed() {
+        const prev = this.prev;
+        if (prev === null) return true;
+        if (IDENT_PART.test(prev[0])) return REGEX_KEYWORDS.has(prev);
+        return prev !== ')' && prev !== ']';
+    }
+
+    /**
+     * Emits (or drops) the buffered comment.
+     * @returns {string}
+     */
+    closeComment() {
+        const comment = this.comment;
+        this.comment = '';
+        return this.stripSourceMaps && SOURCE_MAP_COMMENT.test(comment) ? '' : comment;
+    }
+}
@@ -1,17 +1,278 @@
 /**
  * @file JSON Content Rewriter
- * @description Recursively parses and rewrites URLs in JSON objects.
- * @version 2.0.0 (Strictly Typed)
+ * @description Streaming JSON tokenizer that rewrites URL-valued strings in place, plus an object walker.
+ * @version 4.0.0 (Streaming Tokenizer)
+ *
+ * The streaming rewriter never parses the document into objects: it tracks the container stack
+ * and current key path, and only re-serializes string values it actually rewrites. Formatting,
+ * key order, number precision and a leading BOM are preserved byte for byte. Several top-level
+ * values in a row (NDJSON / JSON Lines) and RFC 7464 record separators (JSON-seq) are accepted.
  */
 
+/** Absolute network URLs. */
+const ABSOLUTE_URL = /^(?:https?|wss?):\/\//i;
+
+/** Protocol-relative URLs with a plausible hostname (not comments like "//TODO"). */
+const PROTOCOL_RELATIVE_URL = /^\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,}(?::\d+)?(?:[/?#]|$)/i;
+
+/** Strings longer than this are streamed through without inspection (blobs, base64 payloads). */
+const MAX_STRING = 8192;
+
+/** Structural characters and the string delimiter. */
+const STRUCTURAL = /[{}[\]:,"]/g;
+
+/** End of a string chunk: the closing quote or an escape. */
+const STRING_SPECIAL = /["\\]/g;
+
+/**
+ * True if a string value is an absolute or protocol-relative URL.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function looksLikeUrl(value) {
+    return ABSOLUTE_URL.test(value) || PROTOCOL_RELATIVE_URL.test(value);
+}
+
 /**
- * Recursively rewrites URL strings in a JSON object.
+ * Compiles key-path rules (see jsonRules.mjs) into a single matcher.
+ * @param {string[]} rules
+ * @returns {RegExp|null}
+ */
+function compileRules(rules) {
+    if (!rules || !rules.length) return null;
+    const parts = rules.map(rule => rule
+        .replace(/[.+?^${}()|\\]/g, '\\$&')
+        .replace(/\[\]/g, '\\[\\]')
+        .replace(/\*/g, '[^.\\[]+'));
+    return new RegExp(`^(?:${parts.join('|')})$`);
+}
+
+/**
+ * @typedef {Object} JsonRewriterOptions
+ * @property {string[]} [rules] - Key paths whose string values are URLs (relative ones included).
+ */
+
+/**
+ * Incremental JSON rewriter.
+ * Implements the `IncrementalRewriter` interface from `stream.mjs`.
+ */
+export class JsonRewriter {
+    /**
+     * @param {URL} baseURL - The document URL (base for relative paths).
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+     * @param {JsonRewriterOptions} [options]
+     */
+    constructor(baseURL, codec, options = {}) {
+        this.baseURL = baseURL;
+        this.codec = codec;
+        this.rules = compileRules(options.rules);
+
+        /**
+         * Open containers. Objects track their current key and whether a key is expected next.
+         * @type {{array: boolean, key: (string|null), expectKey: boolean}[]}
+         */
+        this.stack = [];
+        this.inString = false;
+        this.isKey = false;
+        this.escaped = false;
+        /** Raw (still escaped) content of the current string, or null once it outgrew MAX_STRING. */
+        this.token = null;
+    }
+
+    /**
+     * Consumes a chunk of JSON text.
+     * @param {string} text
+     * @returns {string}
+     */
+    write(text) {
+        const n = text.length;
+        let out = '';
+        let i = 0;
+
+        while (i < n) {
+            // 1. Inside a string: jump to the next quote or escape
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                    out += this.append(text[i]);
+                    i++;
+                    continue;
+                }
+                STRING_SPECIAL.lastIndex = i;
+                const match = STRING_SPECIAL.exec(text);
+                const stop = match ? match.index : n;
+                out += this.append(text.slice(i, stop));
+                i = stop;
+                if (!match) break;
+
+                i++;
+                if (match[0] === '\\') {
+                    this.escaped = true;
+                    out += this.append('\\');
+                } else {
+                    out += this.closeString();
+                }
+                continue;
+            }
+
+            // 2. Between tokens: copy everything up to the next structural character
+            STRUCTURAL.lastIndex = i;
+            const match = STRUCTURAL.exec(text);
+            const stop = match ? match.index : n;
+            out += text.slice(i, stop);
+            i = stop;
+            if (!match) break;
+
+            const ch = match[0];
+            const top = this.stack[this.stack.length - 1];
+            out += ch;
+            i++;
+
+            switch (ch) {
+                case '{':
+                    this.stack.push({ array: false, key: null, expectKey: true });
+                    break;
+                case '[':
+                    this.stack.push({ array: true, key: null, expectKey: false });
+                    break;
+                case '}':
+                case ']':
+                    this.stack.pop();
+                    break;
+                case ':':
+                    if (top && !top.array) top.expectKey = false;
+                    break;
+                case ',':
+                    if (top && !top.array) {
+                        top.expectKey = true;
+                        top.key = null;
+                    }
+                    break;
+                case '"':
+                    this.inString = true;
+                    this.isKey = !!top && !top.array && top.expectKey;
+                    this.token = '';
+                    break;
+            }
+        }
+
+        return out;
+    }
+
+    /**
+     * Signals end of input. An unterminated string is flushed as received.
+     * @returns {string}
+     */
+    end() {
+        const out = this.inString && this.token !== null ? this.token : '';
+        this.inString = false;
+        this.token = null;
+        return out;
+    }
+
+    /**
+     * True when no string is being buffered.
+     * @returns {boolean}
+     */
+    canPassthrough() {
+        return !this.inString || this.token === null;
+    }
+
+    /**
+     * Stops rewriting. Nothing is held back between tokens.
+     * @returns {string}
+     */
+    passthrough() {
+        return '';
+    }
+
+    /**
+     * Buffers string content, or streams it once the string is too long to be a URL or key of interest.
+     * @param {string} chunk
+     * @returns {string}
+     */
+    append(chunk) {
+        if (this.token === null) return chunk;
+        this.token += chunk;
+        if (this.token.length <= MAX_STRING) return '';
+        const out = this.token;
+        this.token = null;
+        return out;
+    }
+
+    /**
+     * Completes a string token (the closing quote has been consumed).
+     * @returns {string}
+     */
+    closeString() {
+        const raw = this.token;
+        const top = this.stack[this.stack.length - 1];
+        this.inString = false;
+        this.token = null;
+
+        // 1. Oversized strings were already streamed
+        if (raw === null) {
+            if (this.isKey) top.key = null;
+            return '"';
+        }
+
+        let value;
+        try {
+            value = JSON.parse(`"${raw}"`);
+        } catch (e) {
+            return raw + '"';
+        }
+
+        // 2. Keys only update the path
+        if (this.isKey) {
+            top.key = value;
+            return raw + '"';
+        }
+
+        // 3. Values: rule-matched paths are URLs even when relative
+        const isRuleUrl = this.rules !== null && this.rules.test(this.path());
+        if (!isRuleUrl && !looksLikeUrl(value)) return raw + '"';
+        if (!value || this.codec.isProxied(value, this.baseURL)) return raw + '"';
+
+        const rewritten = this.codec.proxify(value, this.baseURL);
+        return rewritten === value ? raw + '"' : JSON.stringify(rewritten).slice(1);
+    }
+
+    /**
+     * Key path of the current value ('icons[].src').
+     * @returns {string}
+     */
+    path() {
+        let path = '';
+        for (const frame of this.stack) {
+            if (frame.array) path += '[]';
+            else path += (path ? '.' : '') + (frame.key ?? '');
+        }
+        return path;
+    }
+}
+
+/**
+ * Rewrites URLs in a complete JSON document string.
+ * @param {string} json - The raw JSON text.
+ * @param {URL} baseURL - The base URL for resolving relative paths.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @param {JsonRewriterOptions} [options]
+ * @returns {string} The rewritten JSON text.
+ */
+export function rewriteJSON(json, baseURL, codec, options) {
+    const rewriter = new JsonRewriter(baseURL, codec, options);
+    return rewriter.write(json) + rewriter.end();
+}
+
+/**
+ * Recursively rewrites URL strings in an already-parsed JSON object (import maps, speculation rules).
  * @param {object} jsonObj - The JSON object to traverse.
  * @param {URL} baseURL - The base URL for resolving relative paths.
- * @param {string} rootDomain - The proxy root domain.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
  * @param {WeakSet} [seen] - Internal set for cycle detection.
  */
-export function rewriteUrlsInJson(jsonObj, baseURL, rootDomain, seen = new WeakSet()) {
+export function rewriteUrlsInJson(jsonObj, baseURL, codec, seen = new WeakSet()) {
     if (typeof jsonObj !== 'object' || jsonObj === null) return;
 
     if (seen.has(jsonObj)) return;
@@ -20,16 +281,11 @@ export function rewriteUrlsInJson(jsonObj, baseURL, rootDomain, seen = new WeakS
     for (const key in jsonObj) {
         const val = jsonObj[key];
         if (typeof val === 'string') {
-            if (val.startsWith('http:') || val.startsWith('https://')) {
-                try {
-                    const absURL = new URL(val, baseURL);
-                    if (!absURL.hostname.endsWith(`.${rootDomain}`)) {
-                        jsonObj[key] = `https://${absURL.hostname}.${rootDomain}${absURL.pathname}${absURL.search}`;
-                    }
-                } catch {}
+            if (looksLikeUrl(val) && !codec.isProxied(val, baseURL)) {
+                jsonObj[key] = codec.proxify(val, baseURL);
             }
         } else if (typeof val === 'object' && val !== null) {
-            rewriteUrlsInJson(val, baseURL, rootDomain, seen);
+            rewriteUrlsInJson(val, baseURL, codec, seen);
         }
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,35 @@
+/**
+ * @file JSON Key Rules
+ * @description Key-path rules marking JSON string values as URLs (including relative ones).
+ * @version 1.1.0 (Manifest Handler)
+ *
+ * Without a rule, the JSON rewriter only touches absolute (`https://...`) and protocol-relative
+ * (`//cdn.example.com/...`) strings, because a bare "/api/next" in an arbitrary API payload is
+ * ambiguous. A rule declares that the value at a key path is a URL, so relative values are
+ * resolved against the document URL and proxied too.
+ *
+ * Path syntax: object keys joined by '.', '[]' for "any array item", '*' for "any key".
+ * e.g. 'start_url', 'icons[].src', 'shortcuts[].icons[].src', '*.href'.
+ */
+
+/**
+ * Named rule sets. `manifest` drives the Web App Manifest rewriter (manifest.mjs) and its
+ * streaming fallback for manifests that fail to parse.
+ * @type {Record<string, string[]>}
+ */
+export const JSON_KEY_RULES = {
+    // W3C Web App Manifest
+    manifest: [
+        'start_url',
+        'scope',
+        'icons[].src',
+        'screenshots[].src',
+        'shortcuts[].url',
+        'shortcuts[].icons[].src',
+        'share_target.action',
+        'file_handlers[].action',
+        'file_handlers[].icons[].src',
+        'protocol_handlers[].url',
+        'note_taking.new_note_url'
+    ]
+};
@@ -0,0 +1,130 @@
+/**
+ * @file Web App Manifest Rewriter
+ * @description Resolves and proxifies every URL member of a parsed Web App Manifest.
+ * @version 1.0.0
+ *
+ * Manifest members are resolved the way the browser resolves them (W3C Web App Manifest):
+ * - `start_url`, `scope` and all member URLs resolve against the manifest URL.
+ * - `id` resolves against the origin of `start_url` and falls back to `start_url` when cross-origin.
+ * - A missing `scope` defaults to the directory of `start_url`, which is proxied with it.
+ *
+ * Because every URL of one upstream origin maps to the same proxy origin, `start_url` stays
+ * within `scope` and the installed app's identity stays stable across visits. A `scope` that
+ * cannot be proxied is dropped, so the browser falls back to the proxied `start_url` directory
+ * instead of claiming a scope outside the proxy.
+ */
+
+import { JSON_KEY_RULES } from './jsonRules.mjs';
+
+/**
+ * Path of the Service Worker wrapper served by the asset handler (handle/handlers/asset.mjs).
+ */
+const SW_INJECTOR_PATH = '/__divortio_sw_injector.js';
+
+/**
+ * Splits a key-path rule ('shortcuts[].icons[].src') into steps ('shortcuts', '[]', 'icons', '[]', 'src').
+ * @param {string} rule
+ * @returns {string[]}
+ */
+function parseRule(rule) {
+    const steps = [];
+    for (const segment of rule.split('.')) {
+        const name = segment.replace(/(\[\])+$/, '');
+        if (name) steps.push(name);
+        for (let i = name.length; i < segment.length; i += 2) steps.push('[]');
+    }
+    return steps;
+}
+
+/**
+ * Applies `fn` to every string value selected by a key-path rule.
+ * @param {*} node - The current JSON value.
+ * @param {string[]} steps - Remaining rule steps.
+ * @param {function(string): (string|undefined)} fn - Returns the replacement value.
+ */
+function updatePath(node, steps, fn) {
+    if (typeof node !== 'object' || node === null) return;
+    const [step, ...rest] = steps;
+
+    let keys;
+    if (step === '[]') keys = Array.isArray(node) ? node.keys() : [];
+    else if (Array.isArray(node)) keys = [];
+    else keys = step === '*' ? Object.keys(node) : [step];
+
+    for (const key of keys) {
+        if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+        if (rest.length) {
+            updatePath(node[key], rest, fn);
+        } else if (typeof node[key] === 'string') {
+            node[key] = fn(node[key]);
+        }
+    }
+}
+
+/**
+ * Resolves a manifest member to an absolute URL.
+ * @param {*} value
+ * @param {string|URL} base
+ * @returns {URL|null}
+ */
+function resolve(value, base) {
+    if (typeof value !== 'string') return null;
+    try {
+        return new URL(value, base);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Rewrites a parsed manifest in place.
+ * @param {object} manifest - The parsed manifest object.
+ * @param {URL} manifestURL - The upstream URL the manifest was fetched from.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @returns {object} The same manifest object.
+ */
+export function rewriteManifest(manifest, manifestURL, codec) {
+    const proxify = (value, base) => codec.isProxied(value, base) ? value : codec.proxify(value, base);
+
+    // 1. Identity members, resolved against the upstream URLs before anything is proxied
+    const startURL = resolve(manifest.start_url, manifestURL);
+    if (typeof manifest.id === 'string') {
+        const idBase = startURL || manifestURL;
+        const id = resolve(manifest.id, idBase.origin);
+        if (id && id.origin === idBase.origin) {
+            manifest.id = proxify(id.href);
+        } else {
+            delete manifest.id;
+        }
+    }
+
+    // 2. URL members (start_url, scope, icons, shortcuts, share_target, handlers...)
+    for (const rule of JSON_KEY_RULES.manifest) {
+        updatePath(manifest, parseRule(rule), (value) => value ? proxify(value, manifestURL) : value);
+    }
+
+    // 3. Keep the scope on the proxy, or let the browser derive it from the proxied start_url
+    if ('scope' in manifest && !codec.isProxied(manifest.scope, manifestURL)) {
+        delete manifest.scope;
+    }
+
+    // 4. Service Worker member: register through the injector on the app's proxied origin
+    const sw = manifest.serviceworker;
+    if (sw && typeof sw === 'object' && typeof sw.src === 'string') {
+        const scriptURL = resolve(sw.src, manifestURL);
+        const proxied = scriptURL ? resolve(proxify(scriptURL.href), manifestURL) : null;
+        if (proxied && codec.isProxied(proxied.href)) {
+            const appOrigin = resolve(manifest.start_url, manifestURL) || proxied;
+            const injector = new URL(SW_INJECTOR_PATH, appOrigin.origin);
+            injector.searchParams.set('target', proxied.href);
+            if (sw.type === 'module') injector.searchParams.set('type', 'module');
+
+            sw.scope = typeof sw.scope === 'string' ? proxify(sw.scope, manifestURL) : new URL('./', proxied).href;
+            sw.src = injector.href;
+        } else {
+            delete manifest.serviceworker;
+        }
+    }
+
+    return manifest;
+}
@@ -0,0 +1,99 @@
+/**
+ * @file Streaming Rewrite Adapter
+ * @description Wraps an incremental text rewriter into a byte-level TransformStream.
+ * @version 1.0.0
+ *
+ * A text rewriter is any object implementing `IncrementalRewriter`. The adapter handles UTF-8
+ * decoding across chunk boundaries and the size threshold: once more than `maxBytes` have been
+ * read and the rewriter reports a settled state, the remaining body is passed through untouched.
+ */
+
+/**
+ * @typedef {Object} IncrementalRewriter
+ * @property {function(string): string} write - Consumes a decoded chunk, returns the rewritten text that is ready.
+ * @property {function(): string} end - Signals end of input, returns the remaining rewritten text.
+ * @property {function(): boolean} canPassthrough - True if the rewriter may stop here without leaving unbalanced output.
+ * @property {function(): string} passthrough - Stops rewriting, returns any held-back input verbatim.
+ */
+
+/**
+ * @typedef {Object} RewriteStreamOptions
+ * @property {number} [maxBytes=Infinity] - Body size after which rewriting stops and bytes pass through.
+ */
+
+/**
+ * Returns the length of the longest prefix of `bytes` that ends on a complete UTF-8 sequence.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function completeUtf8Length(bytes) {
+    let i = bytes.length - 1;
+    let trailing = 0;
+    while (i >= 0 && trailing < 3 && (bytes[i] & 0xC0) === 0x80) {
+        i--;
+        trailing++;
+    }
+    if (i < 0) return bytes.length;
+
+    const lead = bytes[i];
+    const needed = lead >= 0xF0 ? 4 : lead >= 0xE0 ? 3 : lead >= 0xC0 ? 2 : 1;
+    return bytes.length - i < needed ? i : bytes.length;
+}
+
+/**
+ * Creates a TransformStream (bytes -> bytes) driven by an incremental text rewriter.
+ * @param {IncrementalRewriter} rewriter
+ * @param {RewriteStreamOptions} [options]
+ * @returns {TransformStream<Uint8Array, Uint8Array>}
+ */
+export function createRewriteStream(rewriter, options = {}) {
+    const maxBytes = options.maxBytes || Infinity;
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    /** @type {Uint8Array|null} Incomplete UTF-8 sequence carried over to the next chunk. */
+    let carry = null;
+    let bytesRead = 0;
+    let bypass = false;
+
+    const emit = (controller, text) => {
+        if (text) controller.enqueue(encoder.encode(text));
+    };
+
+    return new TransformStream({
+        transform(chunk, controller) {
+            if (bypass) {
+                controller.enqueue(chunk);
+                return;
+            }
+
+            let bytes = typeof chunk === 'string' ? encoder.encode(chunk) : new Uint8Array(chunk);
+            bytesRead += bytes.length;
+
+            if (carry) {
+                const joined = new Uint8Array(carry.length + bytes.length);
+                joined.set(carry);
+                joined.set(bytes, carry.length);
+                bytes = joined;
+            }
+
+            const complete = completeUtf8Length(bytes);
+            carry = complete < bytes.length ? bytes.slice(complete) : null;
+            emit(controller, rewriter.write(decoder.decode(bytes.subarray(0, complete))));
+
+            // Size threshold: hand the rest of the body over untouched once the rewriter is settled.
+            if (bytesRead > maxBytes && rewriter.canPassthrough()) {
+                bypass = true;
+                emit(controller, rewriter.passthrough());
+                if (carry) controller.enqueue(carry);
+                carry = null;
+            }
+        },
+
+        flush(controller) {
+            if (bypass) return;
+            if (carry) emit(controller, rewriter.write(decoder.decode(carry)));
+            emit(controller, rewriter.end());
+        }
+    });
+}
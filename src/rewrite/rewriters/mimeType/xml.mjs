@@ -1,58 +1,544 @@
 /**
  * @file XML Content Rewriter
- * @description Parses and rewrites URLs in XML, RSS, Atom, and Sitemap documents.
- * @version 2.1.0 (Added Atom Support)
+ * @description Streaming, namespace-aware rewriter for URLs in XML documents (SVG, XHTML, feeds, sitemaps, OPML, XSLT, DASH).
+ * @version 4.2.0 (DASH BaseURL Chains)
+ *
+ * The rewriter tokenizes markup (tags, comments, CDATA, processing instructions, doctype) as it
+ * streams in and tracks namespace declarations and `xml:base` per element. Which attributes and
+ * element contents hold URLs is decided by the dialect rules in `xmlDialects.mjs`. Tags are
+ * buffered until complete; plain text is streamed, except inside URL-bearing elements (buffered
+ * until the end tag) and CSS-bearing elements (piped through the CSS tokenizer). A DASH BaseURL
+ * becomes the base of the elements that follow it in its parent, so relative segment URLs resolve
+ * like they do in a player.
  */
 
+import { createCssStreamRewriter, rewriteCSS } from './css.mjs';
+import { XML_DIALECTS, XML_GLOBAL_ATTRIBUTES, XML_NAMESPACES } from './xmlDialects.mjs';
+
+/** @type {Map<string, import('./xmlDialects.mjs').XmlDialect>} */
+const DIALECTS_BY_NAMESPACE = new Map();
+/** @type {Map<string, import('./xmlDialects.mjs').XmlDialect>} */
+const DIALECTS_BY_ROOT = new Map();
+
+for (const dialect of XML_DIALECTS) {
+    if (dialect.namespace) DIALECTS_BY_NAMESPACE.set(dialect.namespace, dialect);
+    for (const root of dialect.roots || []) DIALECTS_BY_ROOT.set(root, dialect);
+}
+
+const XML_BASE = `{${XML_NAMESPACES.XML}}base`;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: '\'' };
+const ATTRIBUTE = /([^\s=/>]+)(?:(\s*=\s*)(?:"([^"]*)"|'([^']*)'|([^\s"'>/=`]+)))?/g;
+const TAG_NAME = /^<([^\s/>]+)/;
+const CDATA_TEXT = /^(\s*)<!\[CDATA\[([\s\S]*?)\]\]>(\s*)$/;
+const PADDED = /^(\s*)([\s\S]*?)(\s*)$/;
+const STYLESHEET_HREF = /(\shref\s*=\s*)(["'])([^"']*)\2/;
+const ABSOLUTE_URL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+
+/** Kinds whose element content is buffered and rewritten as a URL. */
+const URL_KINDS = ['url', 'base-url', 'absolute-url'];
+
 /**
- * Rewrites URLs in XML/RSS/Sitemap documents.
- * @param {string} xml - The raw XML content.
- * @param {URL} baseURL - The base URL for resolving relative paths (passed from handler).
- * @param {string} rootDomain - The proxy root domain.
- * @returns {string} The rewritten XML content.
+ * Decodes the predefined XML entities and character references.
+ * @param {string} str
+ * @returns {string}
+ */
+function decodeEntities(str) {
+    if (!str.includes('&')) return str;
+    return str.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, ref) => {
+        if (ref[0] !== '#') return ENTITIES[ref] ?? match;
+        try {
+            const hex = ref[1] === 'x' || ref[1] === 'X';
+            return String.fromCodePoint(parseInt(ref.slice(hex ? 2 : 1), hex ? 16 : 10));
+        } catch (e) {
+            return match;
+        }
+    });
+}
+
+/**
+ * Escapes a value for an attribute delimited by `quote`.
+ * @param {string} str
+ * @param {string} quote
+ * @returns {string}
+ */
+function encodeAttribute(str, quote) {
+    const out = str.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    if (quote === '\'') return out.replace(/'/g, '&apos;');
+    return out.replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes a value for element content.
+ * @param {string} str
+ * @returns {string}
+ */
+function encodeText(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @typedef {Object} XmlScope
+ * @property {string} name - Qualified element name as written.
+ * @property {Record<string, string>} ns - In-scope namespaces (prefix -> URI, '' for the default).
+ * @property {URL} base - Base URL for relative references (honors xml:base and DASH BaseURL).
+ * @property {URL} inherited - Base URL the element opened with (before any BaseURL child).
+ * @property {boolean} baseSet - True once a BaseURL child has set `base`.
+ * @property {import('./xmlDialects.mjs').XmlValueKind|null} kind - Rule for the element's content.
+ * @property {string} raw - Buffered content of a URL-bearing element.
+ * @property {import('./stream.mjs').IncrementalRewriter|null} css - CSS rewriter for CSS-bearing elements.
  */
-export function rewriteXML(xml, baseURL, rootDomain) {
+
+/**
+ * Incremental XML rewriter.
+ * Implements the `IncrementalRewriter` interface from `stream.mjs`.
+ */
+export class XmlRewriter {
     /**
-     * Helper to rewrite a single URL.
-     * @param {string} url
+     * @param {URL} baseURL - The document URL (base for relative paths).
+     * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+     */
+    constructor(baseURL, codec) {
+        this.codec = codec;
+        this.buffer = '';
+        this.rootSeen = false;
+        /** Dialect for un-namespaced elements, chosen from the root element. */
+        this.nullDialect = null;
+        /** @type {Map<string, Record<string, string>|null>} */
+        this.ruleCache = new Map();
+        /** @type {XmlScope[]} */
+        this.stack = [{ name: '', ns: Object.assign(Object.create(null), { xml: XML_NAMESPACES.XML, '': '' }), base: baseURL, inherited: baseURL, baseSet: false, kind: null, raw: '', css: null }];
+    }
+
+    /**
+     * Consumes a chunk of XML text.
+     * @param {string} text
+     * @returns {string}
+     */
+    write(text) {
+        this.buffer += text;
+        return this.scan(false);
+    }
+
+    /**
+     * Signals end of input. Unclosed elements are flushed as they are.
+     * @returns {string}
+     */
+    end() {
+        let out = this.scan(true);
+        while (this.stack.length > 1) out += this.finish(this.stack.pop());
+        return out;
+    }
+
+    /**
+     * True when no element content is being buffered.
+     * @returns {boolean}
+     */
+    canPassthrough() {
+        const top = this.top();
+        return !top.css && !top.raw;
+    }
+
+    /**
+     * Stops rewriting and returns the held-back input unchanged.
+     * @returns {string}
+     */
+    passthrough() {
+        const rest = this.buffer;
+        this.buffer = '';
+        return rest;
+    }
+
+    /**
+     * @returns {XmlScope}
+     */
+    top() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    /**
+     * Tokenizes the buffer into text and complete markup.
+     * @param {boolean} final
+     * @returns {string}
+     */
+    scan(final) {
+        const src = this.buffer;
+        const n = src.length;
+        let out = '';
+        let i = 0;
+
+        while (i < n) {
+            if (src[i] !== '<') {
+                let j = src.indexOf('<', i);
+                if (j === -1) j = n;
+                out += this.text(src.slice(i, j));
+                i = j;
+                continue;
+            }
+
+            const end = this.markupEnd(src, i, final);
+            if (end === -1) {
+                if (!final) break;
+                out += this.text(src.slice(i));
+                i = n;
+                break;
+            }
+            out += this.markup(src.slice(i, end));
+            i = end;
+        }
+
+        this.buffer = src.slice(i);
+        return out;
+    }
+
+    /**
+     * Finds the end of the markup token starting at `i`.
+     * @param {string} src
+     * @param {number} i
+     * @param {boolean} final
+     * @returns {number} Index just past the token, or -1 if it is incomplete.
+     */
+    markupEnd(src, i, final) {
+        const head = src.slice(i, i + 9);
+        if (!final && head.length < 9 && ('<![CDATA['.startsWith(head) || '<!--'.startsWith(head))) return -1;
+
+        const closeAt = (terminator, from) => {
+            const k = src.indexOf(terminator, from);
+            return k === -1 ? -1 : k + terminator.length;
+        };
+
+        if (head.startsWith('<!--')) return closeAt('-->', i + 4);
+        if (head.startsWith('<![CDATA[')) return closeAt(']]>', i + 9);
+        if (head.startsWith('<?')) return closeAt('?>', i + 2);
+
+        // Tags and <!DOCTYPE ...> (with an optional [internal subset]): first '>' outside quotes/brackets.
+        let quote = '';
+        let depth = 0;
+        for (let k = i + 1; k < src.length; k++) {
+            const ch = src[k];
+            if (quote) {
+                if (ch === quote) quote = '';
+            } else if (ch === '"' || ch === '\'') {
+                quote = ch;
+            } else if (ch === '[' && head[1] === '!') {
+                depth++;
+            } else if (ch === ']' && depth) {
+                depth--;
+            } else if (ch === '>' && !depth) {
+                return k + 1;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Routes element content to the active capture, if any.
+     * @param {string} raw
+     * @returns {string}
+     */
+    text(raw) {
+        const scope = this.top();
+        if (scope.css) return scope.css.write(raw);
+        if (URL_KINDS.includes(scope.kind)) {
+            scope.raw += raw;
+            return '';
+        }
+        return raw;
+    }
+
+    /**
+     * Handles one complete markup token.
+     * @param {string} token
      * @returns {string}
      */
-    const proxiedURL = (url) => {
+    markup(token) {
+        // 1. Comments and CDATA are content of the current element
+        if (token.startsWith('<!--') || token.startsWith('<![CDATA[')) return this.text(token);
+
+        // 2. Processing instructions (<?xml-stylesheet href="..."?>)
+        if (token.startsWith('<?')) {
+            if (!token.startsWith('<?xml-stylesheet')) return token;
+            return token.replace(STYLESHEET_HREF, (match, pre, quote, value) => {
+                return pre + quote + this.rewriteValue(value, 'url', this.top().base, quote) + quote;
+            });
+        }
+
+        // 3. Doctype & other declarations
+        if (token.startsWith('<!')) return token;
+
+        // 4. End tags
+        if (token.startsWith('</')) return this.closeElement(token);
+
+        // 5. Start tags
+        return this.openElement(token);
+    }
+
+    /**
+     * Rewrites a start tag and opens its scope.
+     * @param {string} token
+     * @returns {string}
+     */
+    openElement(token) {
+        const nameMatch = TAG_NAME.exec(token);
+        if (!nameMatch) return this.text(token);
+
+        // A child element ends any content capture of its parent (mixed content is left alone).
+        let out = '';
+        const parent = this.top();
+        if (parent.css || parent.kind) {
+            out += this.finish(parent, false);
+            parent.kind = null;
+        }
+
+        const qname = nameMatch[1];
+        const selfClosing = token.endsWith('/>');
+        const attrEnd = token.length - (selfClosing ? 2 : 1);
+        const attrSrc = token.slice(1 + qname.length, attrEnd);
+        const attrs = this.parseAttributes(attrSrc);
+
+        // 1. Namespace declarations
+        let ns = parent.ns;
+        for (const attr of attrs) {
+            if (attr.name !== 'xmlns' && !attr.name.startsWith('xmlns:')) continue;
+            if (ns === parent.ns) ns = Object.create(parent.ns);
+            ns[attr.name === 'xmlns' ? '' : attr.name.slice(6)] = decodeEntities(attr.value || '');
+        }
+
+        const colon = qname.indexOf(':');
+        const prefix = colon === -1 ? '' : qname.slice(0, colon);
+        const local = qname.slice(colon + 1);
+        const elementNs = ns[prefix] ?? null;
+
+        if (!this.rootSeen) {
+            this.rootSeen = true;
+            if (elementNs === '') this.nullDialect = DIALECTS_BY_ROOT.get(local) || null;
+        }
+
+        const rules = elementNs === null ? null : this.rulesFor(elementNs, local);
+
+        // 2. xml:base (resolved against the parent base, rewritten like any other URL below)
+        let base = parent.base;
+        const xmlBase = attrs.find(a => a.name === 'xml:base');
+        if (xmlBase && xmlBase.value !== null) {
+            try {
+                base = new URL(decodeEntities(xmlBase.value).trim(), parent.base);
+            } catch (e) {
+                // Keep the parent base
+            }
+        }
+
+        // 3. URL-bearing attributes
+        let rewritten = '';
+        let last = 0;
+        for (const attr of attrs) {
+            if (attr.value === null) continue;
+
+            let kind;
+            let attrBase = base;
+            const attrColon = attr.name.indexOf(':');
+            if (attrColon === -1) {
+                kind = rules ? rules[attr.name] : undefined;
+            } else {
+                const attrNs = ns[attr.name.slice(0, attrColon)];
+                const clark = `{${attrNs}}${attr.name.slice(attrColon + 1)}`;
+                kind = attrNs ? XML_GLOBAL_ATTRIBUTES[clark] : undefined;
+                if (clark === XML_BASE) attrBase = parent.base;
+            }
+            if (!kind) continue;
+
+            const value = this.rewriteValue(attr.value, kind, attrBase, attr.quote);
+            if (value === attr.value) continue;
+            rewritten += attrSrc.slice(last, attr.valueIndex) + value;
+            last = attr.valueIndex + attr.value.length;
+        }
+
+        out += last ? `<${qname}${rewritten}${attrSrc.slice(last)}${token.slice(attrEnd)}` : token;
+
+        // 4. Open the element scope
+        if (!selfClosing) {
+            const kind = rules ? rules['#text'] || null : null;
+            // Sibling BaseURLs are alternatives: each resolves against the parent's own base.
+            if (kind === 'base-url') base = parent.inherited;
+            this.stack.push({
+                name: qname,
+                ns,
+                base,
+                inherited: base,
+                baseSet: false,
+                kind,
+                raw: '',
+                css: kind === 'css' ? createCssStreamRewriter(base, this.codec) : null
+            });
+        }
+
+        return out;
+    }
+
+    /**
+     * Closes the matching element scope(s) and flushes their content.
+     * @param {string} token
+     * @returns {string}
+     */
+    closeElement(token) {
+        const name = token.slice(2, -1).trim();
+        let index = this.stack.length - 1;
+        while (index > 0 && this.stack[index].name !== name) index--;
+        if (index === 0) return this.text(token);
+
+        let out = '';
+        while (this.stack.length > index) out += this.finish(this.stack.pop());
+        return out + token;
+    }
+
+    /**
+     * Flushes a scope's buffered content.
+     * @param {XmlScope} scope
+     * @param {boolean} [rewrite=true] - False to flush unchanged (mixed content).
+     * @returns {string}
+     */
+    finish(scope, rewrite = true) {
+        if (scope.css) {
+            const out = scope.css.end();
+            scope.css = null;
+            return out;
+        }
+        const raw = scope.raw;
+        scope.raw = '';
+        if (!rewrite || !URL_KINDS.includes(scope.kind)) return raw;
+        if (scope.kind === 'base-url') this.setBase(raw, scope.base);
+        return this.rewriteTextUrl(raw, scope.base, scope.kind);
+    }
+
+    /**
+     * Makes a BaseURL's (upstream) URL the base of the current element's later children.
+     * @param {string} raw - The BaseURL content, before rewriting.
+     * @param {URL} base
+     */
+    setBase(raw, base) {
+        const parent = this.top();
+        if (parent.baseSet || raw.includes('<')) return;
+        const cdata = CDATA_TEXT.exec(raw);
+        const value = cdata ? cdata[2].trim() : decodeEntities(raw).trim();
         try {
-            // Check if already proxied to avoid double-rewriting
-            const u = new URL(url, baseURL);
-            if (u.hostname.endsWith(`.${rootDomain}`)) return url;
+            parent.base = new URL(value, base);
+            parent.baseSet = true;
+        } catch (e) {
+            // Keep the inherited base
+        }
+    }
+
+    /**
+     * Parses the attribute section of a start tag.
+     * @param {string} attrSrc
+     * @returns {{name: string, value: (string|null), valueIndex: number, quote: string}[]}
+     */
+    parseAttributes(attrSrc) {
+        const attrs = [];
+        ATTRIBUTE.lastIndex = 0;
+        let m;
+        while ((m = ATTRIBUTE.exec(attrSrc)) !== null) {
+            const value = m[3] ?? m[4] ?? m[5] ?? null;
+            const quote = m[3] !== undefined ? '"' : m[4] !== undefined ? '\'' : '';
+            const valueIndex = m.index + m[1].length + (m[2] ? m[2].length : 0) + (quote ? 1 : 0);
+            attrs.push({ name: m[1], value, valueIndex, quote });
+        }
+        return attrs;
+    }
+
+    /**
+     * Returns the merged rules for an element, or null if its dialect is unknown.
+     * @param {string} ns
+     * @param {string} local
+     * @returns {Record<string, string>|null}
+     */
+    rulesFor(ns, local) {
+        const key = `${ns}|${local}`;
+        if (this.ruleCache.has(key)) return this.ruleCache.get(key);
+
+        const dialect = ns ? DIALECTS_BY_NAMESPACE.get(ns) : this.nullDialect;
+        const all = dialect && dialect.elements['*'];
+        const own = dialect && dialect.elements[local];
+        const rules = all || own ? Object.assign(Object.create(null), all, own) : null;
+        this.ruleCache.set(key, rules);
+        return rules;
+    }
 
-            return `https://${u.hostname}.${rootDomain}${u.pathname}${u.search}`;
-        } catch { return url; }
-    };
+    /**
+     * Rewrites a single URL.
+     * @param {string} url
+     * @param {URL} base
+     * @param {import('./xmlDialects.mjs').XmlValueKind} [kind='url'] - 'absolute-url' leaves relative URLs alone.
+     * @returns {string}
+     */
+    rewriteUrl(url, base, kind = 'url') {
+        if (!url || (kind === 'absolute-url' && !ABSOLUTE_URL.test(url))) return url;
+        if (this.codec.isProxied(url, base)) return url;
+        return this.codec.proxify(url, base);
+    }
 
-    try {
-        // 1. XSLT Stylesheets (<?xml-stylesheet href="..." ?>)
-        xml = xml.replace(/<\?xml-stylesheet\s+(.*?)href=["']([^"']+)["'](.*?)\?>/g, (match, pre, url, post) => {
-            return `<?xml-stylesheet ${pre}href="${proxiedURL(url)}"${post}?>`;
-        });
+    /**
+     * Rewrites an (entity-encoded) attribute value according to its kind.
+     * @param {string} raw
+     * @param {import('./xmlDialects.mjs').XmlValueKind} kind
+     * @param {URL} base
+     * @param {string} quote
+     * @returns {string} The new raw value, or `raw` if nothing changed.
+     */
+    rewriteValue(raw, kind, base, quote) {
+        const value = decodeEntities(raw);
+        let out = value;
 
-        // 2. RSS Standard Tags (<link>url</link>)
-        xml = xml.replace(/<link>([^<]+)<\/link>/g, (match, url) => `<link>${proxiedURL(url)}</link>`);
+        if (URL_KINDS.includes(kind)) {
+            const m = PADDED.exec(value);
+            const url = this.rewriteUrl(m[2], base, kind);
+            if (url !== m[2]) out = m[1] + url + m[3];
+        } else if (kind === 'srcset') {
+            out = value.split(',').map(part => {
+                const m = /^(\s*)(\S+)([\s\S]*)$/.exec(part);
+                if (!m) return part;
+                const url = this.rewriteUrl(m[2], base);
+                return url === m[2] ? part : m[1] + url + m[3];
+            }).join(',');
+        } else if (kind === 'css') {
+            out = rewriteCSS(value, base, this.codec);
+        }
 
-        // 3. Atom / RSS Attributes (<link href="...">, <atom:link href="...">)
-        // Matches any tag ending in 'link' with an href attribute
-        xml = xml.replace(/(<[a-zA-Z0-9:]*link[^>]+href=["'])([^"']+)(")/g, (match, prefix, url, suffix) => {
-            return prefix + proxiedURL(url) + suffix;
-        });
+        return out === value ? raw : encodeAttribute(out, quote);
+    }
 
-        // 4. Enclosures & Media (<enclosure url="...">, <media:content url="...">)
-        xml = xml.replace(/(<enclosure[^>]+url=["'])([^"']+)(")/g, (match, prefix, url, suffix) => prefix + proxiedURL(url) + suffix);
-        xml = xml.replace(/(<media:content[^>]+url=["'])([^"']+)(")/g, (match, prefix, url, suffix) => prefix + proxiedURL(url) + suffix);
+    /**
+     * Rewrites the buffered content of a URL-bearing element (plain text or a single CDATA section).
+     * @param {string} raw
+     * @param {URL} base
+     * @param {import('./xmlDialects.mjs').XmlValueKind} [kind='url']
+     * @returns {string}
+     */
+    rewriteTextUrl(raw, base, kind = 'url') {
+        const cdata = CDATA_TEXT.exec(raw);
+        if (cdata) {
+            const m = PADDED.exec(cdata[2]);
+            const url = this.rewriteUrl(m[2], base, kind);
+            if (url === m[2] || url.includes(']]>')) return raw;
+            return `${cdata[1]}<![CDATA[${m[1]}${url}${m[3]}]]>${cdata[3]}`;
+        }
 
-        // 5. Sitemaps (<loc>, <image:loc>)
-        xml = xml.replace(/<loc>([^<]+)<\/loc>/g, (match, url) => `<loc>${proxiedURL(url)}</loc>`);
-        xml = xml.replace(/<image:loc>([^<]+)<\/image:loc>/g, (match, url) => `<image:loc>${proxiedURL(url)}</image:loc>`);
+        // Mixed content (comments, several sections) is left alone.
+        if (raw.includes('<')) return raw;
 
-    } catch (e) {
-        // XML parsing involves loose regex; if something fails, return original
+        const m = PADDED.exec(raw);
+        const value = decodeEntities(m[2]);
+        const url = this.rewriteUrl(value, base, kind);
+        return url === value ? raw : m[1] + encodeText(url) + m[3];
     }
+}
 
-    return xml;
-}
\ No newline at end of file
+/**
+ * Rewrites URLs in a complete XML document.
+ * @param {string} xml - The raw XML content.
+ * @param {URL} baseURL - The base URL for resolving relative paths.
+ * @param {import('../../../url/codec.mjs').UrlCodec} codec - The proxy URL codec.
+ * @returns {string} The rewritten XML content.
+ */
+export function rewriteXML(xml, baseURL, codec) {
+    const rewriter = new XmlRewriter(baseURL, codec);
+    return rewriter.write(xml) + rewriter.end();
+}
@@ -0,0 +1,216 @@
+/**
+ * @file XML Dialect Rules
+ * @description Declarative URL-rewriting rules for the XML dialects the proxy understands.
+ * @version 1.1.0 (MPEG-DASH)
+ *
+ * Each dialect lists, per element local name, which attributes (and '#text' for element content)
+ * hold a URL. '*' applies to every element of the dialect. Value kinds:
+ * - 'url'    : a single URL.
+ * - 'base-url' : a single URL that becomes the base of its parent's later children (DASH BaseURL).
+ *                Of sibling alternatives, the first sets the base.
+ * - 'absolute-url' : a single URL, rewritten only when absolute (values that may not be URLs at all).
+ * - 'srcset' : a comma separated candidate list (`a.png 1x, b.png 2x`).
+ * - 'css'    : CSS (style attributes, <style> content, SVG presentation attributes).
+ *
+ * Dialects are matched by element namespace. Dialects whose documents have no namespace
+ * (RSS 2.0, OPML, legacy sitemaps) are matched by the document's root element instead.
+ */
+
+/**
+ * Well-known namespace URIs.
+ * @type {Record<string, string>}
+ */
+export const XML_NAMESPACES = {
+    XML: 'http://www.w3.org/XML/1998/namespace',
+    XLINK: 'http://www.w3.org/1999/xlink',
+    SVG: 'http://www.w3.org/2000/svg',
+    XHTML: 'http://www.w3.org/1999/xhtml',
+    ATOM: 'http://www.w3.org/2005/Atom',
+    RSS1: 'http://purl.org/rss/1.0/',
+    MEDIA_RSS: 'http://search.yahoo.com/mrss/',
+    ITUNES: 'http://www.itunes.com/dtds/podcast-1.0.dtd',
+    SITEMAP: 'http://www.sitemaps.org/schemas/sitemap/0.9',
+    SITEMAP_IMAGE: 'http://www.google.com/schemas/sitemap-image/1.1',
+    SITEMAP_VIDEO: 'http://www.google.com/schemas/sitemap-video/1.1',
+    XSLT: 'http://www.w3.org/1999/XSL/Transform',
+    DASH: 'urn:mpeg:dash:schema:mpd:2011'
+};
+
+const NS = XML_NAMESPACES;
+
+/**
+ * @typedef {'url'|'base-url'|'absolute-url'|'srcset'|'css'} XmlValueKind
+ */
+
+/**
+ * @typedef {Object} XmlDialect
+ * @property {string} name - Dialect name (for debugging).
+ * @property {string} [namespace] - Namespace URI of the dialect's elements.
+ * @property {string[]} [roots] - Root element names that select this dialect for un-namespaced documents.
+ * @property {Record<string, Record<string, XmlValueKind>>} elements - Rules per element local name ('*' for all).
+ */
+
+/** SVG presentation attributes that may carry `url(#id)` or `url(...)` references. */
+const SVG_PAINT = {
+    style: 'css', fill: 'css', stroke: 'css', filter: 'css', mask: 'css', 'clip-path': 'css',
+    'marker-start': 'css', 'marker-mid': 'css', 'marker-end': 'css', cursor: 'css'
+};
+
+/**
+ * @type {XmlDialect[]}
+ */
+export const XML_DIALECTS = [
+    {
+        name: 'svg',
+        namespace: NS.SVG,
+        elements: {
+            // SVG 2 uses a plain href on <image>, <use>, <a>, <feImage>, <script>, gradients, patterns...
+            '*': { href: 'url', ...SVG_PAINT },
+            style: { '#text': 'css' }
+        }
+    },
+    {
+        name: 'xhtml',
+        namespace: NS.XHTML,
+        elements: {
+            '*': { style: 'css' },
+            html: { manifest: 'url' },
+            a: { href: 'url' },
+            area: { href: 'url' },
+            base: { href: 'url' },
+            link: { href: 'url' },
+            img: { src: 'url', srcset: 'srcset' },
+            source: { src: 'url', srcset: 'srcset' },
+            script: { src: 'url' },
+            iframe: { src: 'url' },
+            frame: { src: 'url' },
+            embed: { src: 'url' },
+            audio: { src: 'url' },
+            video: { src: 'url', poster: 'url' },
+            track: { src: 'url' },
+            input: { src: 'url', formaction: 'url' },
+            button: { formaction: 'url' },
+            form: { action: 'url' },
+            object: { data: 'url' },
+            blockquote: { cite: 'url' },
+            q: { cite: 'url' },
+            ins: { cite: 'url' },
+            del: { cite: 'url' },
+            style: { '#text': 'css' }
+        }
+    },
+    {
+        name: 'atom',
+        namespace: NS.ATOM,
+        elements: {
+            link: { href: 'url' },
+            content: { src: 'url' },
+            icon: { '#text': 'url' },
+            logo: { '#text': 'url' },
+            uri: { '#text': 'url' }
+        }
+    },
+    {
+        name: 'rss',
+        roots: ['rss'],
+        elements: {
+            link: { '#text': 'url' },
+            comments: { '#text': 'url' },
+            docs: { '#text': 'url' },
+            url: { '#text': 'url' },
+            enclosure: { url: 'url' },
+            source: { url: 'url' }
+        }
+    },
+    {
+        name: 'rss1',
+        namespace: NS.RSS1,
+        elements: {
+            link: { '#text': 'url' },
+            url: { '#text': 'url' }
+        }
+    },
+    {
+        name: 'media-rss',
+        namespace: NS.MEDIA_RSS,
+        elements: {
+            content: { url: 'url' },
+            thumbnail: { url: 'url' },
+            player: { url: 'url' }
+        }
+    },
+    {
+        name: 'itunes',
+        namespace: NS.ITUNES,
+        elements: {
+            image: { href: 'url' }
+        }
+    },
+    {
+        name: 'sitemap',
+        namespace: NS.SITEMAP,
+        roots: ['urlset', 'sitemapindex'],
+        elements: {
+            loc: { '#text': 'url' }
+        }
+    },
+    {
+        name: 'sitemap-image',
+        namespace: NS.SITEMAP_IMAGE,
+        elements: {
+            loc: { '#text': 'url' }
+        }
+    },
+    {
+        name: 'sitemap-video',
+        namespace: NS.SITEMAP_VIDEO,
+        elements: {
+            content_loc: { '#text': 'url' },
+            player_loc: { '#text': 'url' },
+            thumbnail_loc: { '#text': 'url' }
+        }
+    },
+    {
+        name: 'opml',
+        roots: ['opml'],
+        elements: {
+            outline: { xmlUrl: 'url', htmlUrl: 'url', url: 'url' },
+            docs: { '#text': 'url' },
+            ownerId: { '#text': 'url' }
+        }
+    },
+    {
+        // MPEG-DASH manifests (.mpd): segment and template URLs, manifest refresh locations
+        name: 'dash',
+        namespace: NS.DASH,
+        elements: {
+            BaseURL: { '#text': 'base-url' },
+            Location: { '#text': 'url' },
+            PatchLocation: { '#text': 'url' },
+            SegmentTemplate: { media: 'url', initialization: 'url', index: 'url', bitstreamSwitching: 'url' },
+            SegmentURL: { media: 'url', index: 'url' },
+            Initialization: { sourceURL: 'url' },
+            RepresentationIndex: { sourceURL: 'url' },
+            BitstreamSwitching: { sourceURL: 'url' },
+            // Also carries xs:dateTime values (urn:mpeg:dash:utc:direct)
+            UTCTiming: { value: 'absolute-url' }
+        }
+    },
+    {
+        name: 'xslt',
+        namespace: NS.XSLT,
+        elements: {
+            import: { href: 'url' },
+            include: { href: 'url' }
+        }
+    }
+];
+
+/**
+ * Namespaced attributes that hold a URL on any element, keyed in Clark notation ({ns}local).
+ * @type {Record<string, XmlValueKind>}
+ */
+export const XML_GLOBAL_ATTRIBUTES = {
+    [`{${NS.XLINK}}href`]: 'url',
+    [`{${NS.XML}}base`]: 'url'
+};
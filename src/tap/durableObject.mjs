@@ -0,0 +1,157 @@
+/**
+ * @file WebSocket Tap Durable Object
+ * @description Bounded store of recorded WebSocket sessions (WS_TAP_MODE = "record" / "replay").
+ * @version 1.0.0
+ *
+ * A single object, addressed by `idFromName(TAP_OBJECT_NAME)`, holds every session. The Worker talks
+ * to it with JSON POSTs (see recorder.mjs):
+ * - { op: 'start', session, maxSessions }     -> { ok }        Opens a session, evicting the oldest beyond `maxSessions`.
+ * - { op: 'append', id, frames, end, maxFrames } -> { ok }     Adds a batch of frames and/or the close.
+ * - { op: 'list' }                              -> { sessions } Session summaries, newest first.
+ * - { op: 'get', id }                           -> { session, frames }
+ * - { op: 'latest', url }                       -> { session, frames } The newest session recorded for `url` (null if none).
+ *
+ * Frames are persisted in the batches the Worker sends, one storage key per batch, so a busy socket
+ * costs one write per batch rather than per frame. Bind it as a SQLite-backed class (values up to 2 MB).
+ */
+
+/** Name of the one object holding all sessions. */
+export const TAP_OBJECT_NAME = 'ws-tap';
+
+/** Storage key prefixes: session summaries and frame batches. */
+const SESSION_PREFIX = 'session:';
+const FRAMES_PREFIX = 'frames:';
+
+const OPS = ['start', 'append', 'list', 'get', 'latest'];
+
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * @param {*} body
+ * @param {number} [status=200]
+ * @returns {Response}
+ */
+function json(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Storage key of a frame batch (zero-padded, so keys list in order).
+ * @param {string} id
+ * @param {number} batch
+ * @returns {string}
+ */
+function batchKey(id, batch) {
+    return `${FRAMES_PREFIX}${id}:${String(batch).padStart(6, '0')}`;
+}
+
+export class WebSocketTapObject {
+    /**
+     * @param {DurableObjectState} state
+     * @param {object} env
+     */
+    constructor(state, env) {
+        this.state = state;
+        this.env = env;
+    }
+
+    /**
+     * @returns {Promise<import('./recorder.mjs').TapSession[]>} Every session, newest first.
+     */
+    async sessions() {
+        const stored = await this.state.storage.list({ prefix: SESSION_PREFIX });
+        return Array.from(stored.values()).sort((a, b) => b.started - a.started);
+    }
+
+    /**
+     * Deletes a session and its frames.
+     * @param {string} id
+     */
+    async remove(id) {
+        const storage = this.state.storage;
+        const batches = await storage.list({ prefix: `${FRAMES_PREFIX}${id}:` });
+        await storage.delete([SESSION_PREFIX + id, ...batches.keys()]);
+    }
+
+    /**
+     * Reads a session with all its frames.
+     * @param {import('./recorder.mjs').TapSession} session
+     * @returns {Promise<{session: import('./recorder.mjs').TapSession, frames: import('./recorder.mjs').TapFrame[]}>}
+     */
+    async read(session) {
+        const batches = await this.state.storage.list({ prefix: `${FRAMES_PREFIX}${session.id}:` });
+        return { session, frames: Array.from(batches.values()).flat() };
+    }
+
+    /**
+     * @param {Request} request
+     * @returns {Promise<Response>}
+     */
+    async fetch(request) {
+        if (request.method !== 'POST') return json({ error: 'Method not allowed' }, 405);
+
+        // 1. Validate
+        let body;
+        try {
+            body = await request.json();
+        } catch (e) {
+            return json({ error: 'Invalid JSON' }, 400);
+        }
+        if (!body || !OPS.includes(body.op)) return json({ error: `Unknown op '${body && body.op}'` }, 400);
+        const storage = this.state.storage;
+
+        // 2. Reads
+        if (body.op === 'list') return json({ sessions: await this.sessions() });
+        if (body.op === 'latest') {
+            const session = (await this.sessions()).find(s => s.url === body.url);
+            return json(session ? await this.read(session) : { session: null, frames: [] });
+        }
+
+        const id = body.op === 'start' ? body.session && body.session.id : body.id;
+        if (!SESSION_ID_PATTERN.test(String(id))) return json({ error: 'Invalid session id' }, 400);
+
+        if (body.op === 'get') {
+            const session = await storage.get(SESSION_PREFIX + id);
+            return session ? json(await this.read(session)) : json({ error: 'Session not found' }, 404);
+        }
+
+        // 3. Writes
+        if (body.op === 'start') {
+            const sessions = await this.sessions();
+            const maxSessions = Number.isInteger(body.maxSessions) && body.maxSessions > 0 ? body.maxSessions : 1;
+            for (const old of sessions.slice(maxSessions - 1)) await this.remove(old.id);
+
+            const { url, protocol = null, started = Date.now() } = body.session;
+            await storage.put(SESSION_PREFIX + id, {
+                id, url: String(url), protocol, started, ended: null,
+                closeCode: null, closeReason: null, closedBy: null, frames: 0, dropped: 0, batches: 0
+            });
+            return json({ ok: true });
+        }
+
+        // append: a session evicted meanwhile just loses the rest of its frames
+        const session = await storage.get(SESSION_PREFIX + id);
+        if (!session) return json({ ok: false });
+
+        const frames = Array.isArray(body.frames) ? body.frames : [];
+        const room = Math.max(0, (Number.isInteger(body.maxFrames) ? body.maxFrames : 0) - session.frames);
+        const kept = frames.slice(0, room);
+        session.dropped += frames.length - kept.length;
+        if (kept.length) {
+            await storage.put(batchKey(id, session.batches), kept);
+            session.batches++;
+            session.frames += kept.length;
+        }
+        if (body.end) {
+            session.ended = body.end.time;
+            session.closeCode = body.end.code;
+            session.closeReason = body.end.reason;
+            session.closedBy = body.end.by;
+        }
+        await storage.put(SESSION_PREFIX + id, session);
+        return json({ ok: true });
+    }
+}
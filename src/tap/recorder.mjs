@@ -0,0 +1,188 @@
+/**
+ * @file WebSocket Tap
+ * @description Records proxied WebSocket frames into the tap store and reads recorded sessions back.
+ * @version 1.0.0
+ *
+ * Frames are recorded as each side sent them, before mods change them. Each keeps its direction,
+ * time, opcode (1 text, 2 binary), size in bytes and the first WS_TAP_MAX_PAYLOAD bytes of its payload
+ * (binary payloads base64-encoded). Frames are buffered and written in batches, in order, through
+ * the Durable Object in durableObject.mjs.
+ */
+
+import { TAP_OBJECT_NAME } from './durableObject.mjs';
+import { errorFields, logEvent } from '../telemetry/log.mjs';
+
+/** Internal URL of Durable Object calls (only the body matters). */
+const TAP_ENDPOINT = 'https://ws-tap.internal/';
+
+/** Frames buffered before a batch is written. */
+const BATCH_FRAMES = 25;
+
+const OPCODE_TEXT = 1;
+const OPCODE_BINARY = 2;
+
+/**
+ * @typedef {Object} TapFrame
+ * @property {'client'|'upstream'} direction - Which side sent the frame.
+ * @property {number} time - Epoch milliseconds.
+ * @property {1|2} opcode - 1 (text) or 2 (binary).
+ * @property {number} size - Payload size in bytes.
+ * @property {string} payload - The kept payload: text, or base64 for binary frames.
+ * @property {boolean} truncated - True if the payload was cut to WS_TAP_MAX_PAYLOAD bytes.
+ */
+
+/**
+ * @typedef {Object} TapSession
+ * @property {string} id
+ * @property {string} url - The upstream URL.
+ * @property {string|null} protocol - The negotiated subprotocol.
+ * @property {number} started - Epoch milliseconds.
+ * @property {number|null} ended - Epoch milliseconds (null while open).
+ * @property {number|null} closeCode
+ * @property {string|null} closeReason
+ * @property {'client'|'upstream'|null} closedBy
+ * @property {number} frames - Frames kept.
+ * @property {number} dropped - Frames beyond WS_TAP_MAX_FRAMES (counted, not kept).
+ * @property {number} batches - Frame batches stored.
+ */
+
+/**
+ * @typedef {Object} TapRecording
+ * @property {TapSession|null} session
+ * @property {TapFrame[]} frames
+ */
+
+/**
+ * @typedef {Object} TapRecorder
+ * @property {string} id - The session id.
+ * @property {function('client'|'upstream', (string|ArrayBuffer)): void} frame - Records a frame.
+ * @property {function(number, string, ('client'|'upstream')): void} close - Records the close and writes what is left.
+ */
+
+/**
+ * @typedef {Object} TapStore
+ * @property {function(): Promise<TapSession[]>} list - Session summaries, newest first.
+ * @property {function(string): Promise<TapRecording|null>} get - A session with its frames (null if unknown).
+ * @property {function(string): Promise<TapRecording>} latest - The newest session recorded for an upstream URL.
+ * @property {function(string, (string|null), function(Promise): void): TapRecorder} record - Starts recording a session.
+ */
+
+/**
+ * Base64 of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(binary);
+}
+
+/**
+ * Builds the record of one frame.
+ * @param {'client'|'upstream'} direction
+ * @param {string|ArrayBuffer|ArrayBufferView} data
+ * @param {number} maxPayload
+ * @returns {TapFrame}
+ */
+export function encodeFrame(direction, data, maxPayload) {
+    const text = typeof data === 'string';
+    const bytes = text ? new TextEncoder().encode(data)
+        : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : new Uint8Array(data);
+    const kept = bytes.subarray(0, maxPayload);
+
+    return {
+        direction,
+        time: Date.now(),
+        opcode: text ? OPCODE_TEXT : OPCODE_BINARY,
+        size: bytes.length,
+        // Streaming decode drops a character cut in half by the limit
+        payload: text ? new TextDecoder().decode(kept, { stream: true }) : toBase64(kept),
+        truncated: kept.length < bytes.length
+    };
+}
+
+/**
+ * The payload of a recorded frame, as it would be sent.
+ * @param {TapFrame} frame
+ * @returns {string|ArrayBuffer}
+ */
+export function decodeFrame(frame) {
+    if (frame.opcode === OPCODE_TEXT) return frame.payload;
+    return Uint8Array.from(atob(frame.payload), c => c.charCodeAt(0)).buffer;
+}
+
+/**
+ * Opens the tap store.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the Durable Object binding).
+ * @returns {TapStore}
+ */
+export function openTap(config, env) {
+    const { binding, maxSessions, maxFrames, maxPayload } = config.tap;
+    const namespace = env[binding];
+    const stub = namespace.get(namespace.idFromName(TAP_OBJECT_NAME));
+
+    /**
+     * @param {object} body
+     * @returns {Promise<object|null>} The object's JSON answer (null on 404).
+     */
+    const call = async (body) => {
+        const response = await stub.fetch(TAP_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`WebSocket tap request failed (${response.status}).`);
+        return response.json();
+    };
+
+    return {
+        async list() {
+            return (await call({ op: 'list' })).sessions;
+        },
+
+        async get(id) {
+            return call({ op: 'get', id });
+        },
+
+        async latest(url) {
+            return call({ op: 'latest', url });
+        },
+
+        record(url, protocol, waitUntil) {
+            const id = crypto.randomUUID();
+            let buffer = [];
+            let ended = false;
+
+            // Writes are chained so batches land in order; a failed write only loses its batch
+            let pending = Promise.resolve();
+            const write = (body) => {
+                pending = pending.catch(() => {}).then(() => call(body));
+                waitUntil(pending.catch(e => logEvent('error', 'tap-write-failed', { session: id, ...errorFields(e) })));
+            };
+            write({ op: 'start', session: { id, url, protocol, started: Date.now() }, maxSessions });
+
+            return {
+                id,
+
+                frame(direction, data) {
+                    if (ended) return;
+                    buffer.push(encodeFrame(direction, data, maxPayload));
+                    if (buffer.length >= BATCH_FRAMES) {
+                        write({ op: 'append', id, maxFrames, frames: buffer });
+                        buffer = [];
+                    }
+                },
+
+                close(code, reason, by) {
+                    if (ended) return;
+                    ended = true;
+                    write({ op: 'append', id, maxFrames, frames: buffer, end: { time: Date.now(), code, reason, by } });
+                    buffer = [];
+                }
+            };
+        }
+    };
+}
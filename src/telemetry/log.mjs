@@ -0,0 +1,24 @@
+/**
+ * @file Structured Logs
+ * @description Writes worker log lines as single-line JSON objects (time, level, event and fields).
+ * @version 1.0.0
+ */
+
+/**
+ * Writes one structured log line.
+ * @param {'info'|'warn'|'error'} level
+ * @param {string} event
+ * @param {Object} fields
+ */
+export function logEvent(level, event, fields) {
+    console[level === 'info' ? 'log' : level](JSON.stringify({ time: new Date().toISOString(), level, event, ...fields }));
+}
+
+/**
+ * Log fields describing a caught error.
+ * @param {*} err
+ * @returns {{error: string, stack: (string|undefined)}}
+ */
+export function errorFields(err) {
+    return { error: err && err.message ? err.message : String(err), stack: err && err.stack };
+}
@@ -0,0 +1,89 @@
+/**
+ * @file Request Metrics
+ * @description Writes request counters to a Workers Analytics Engine dataset (METRICS_BINDING).
+ * @version 1.0.0
+ *
+ * One data point per proxied request or unhandled exception. Counters are sums over the points:
+ * `SUM(_sample_interval * double1)` counts requests, the other doubles add up to totals. Layout:
+ *
+ *   index1   target host (the sampling key)
+ *   blob1    event ('request' or 'exception')
+ *   blob2    method
+ *   blob3    content handler ('html', 'javascript', 'css', ..., 'passthrough'; '' if nothing was rewritten)
+ *   blob4    cache status (HIT, STALE, REVALIDATED, MISS, BYPASS)
+ *   blob5    mods run, comma-separated
+ *   blob6    colo
+ *   double1  1
+ *   double2  status sent to the client
+ *   double3  upstream status (0 if the upstream was not reached)
+ *   double4  bytes in (upstream body)
+ *   double5  bytes out (client body)
+ *   double6  rewrite time (ms)
+ *   double7  total time (ms)
+ *
+ * Without a binding no points are written; logs still are.
+ */
+
+import { errorFields, logEvent } from './log.mjs';
+
+/**
+ * @typedef {Object} RequestMetrics
+ * @property {'request'|'exception'} event
+ * @property {string} target - The target host (the proxy host for exceptions).
+ * @property {string} method
+ * @property {string|null} handler
+ * @property {string|null} cacheStatus
+ * @property {string[]} mods
+ * @property {string|null} colo
+ * @property {number} status
+ * @property {number|null} upstreamStatus
+ * @property {number} bytesIn
+ * @property {number} bytesOut
+ * @property {number|null} rewriteMs
+ * @property {number} durationMs
+ */
+
+/**
+ * The dataset counters are written to.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env - The Worker environment (for the dataset binding).
+ * @returns {{writeDataPoint: function(object): void}|null} Null when METRICS_BINDING is unset.
+ */
+export function getDataset(config, env) {
+    const { metricsBinding } = config.telemetry;
+    return metricsBinding ? env[metricsBinding] : null;
+}
+
+/**
+ * Writes one data point (nothing without a dataset).
+ * @param {{writeDataPoint: function(object): void}|null} dataset
+ * @param {RequestMetrics} metrics
+ */
+export function writeMetrics(dataset, metrics) {
+    if (!dataset) return;
+    try {
+        dataset.writeDataPoint({
+            indexes: [metrics.target],
+            blobs: [
+                metrics.event,
+                metrics.method,
+                metrics.handler || '',
+                metrics.cacheStatus || '',
+                metrics.mods.join(','),
+                metrics.colo || ''
+            ],
+            doubles: [
+                1,
+                metrics.status,
+                metrics.upstreamStatus || 0,
+                metrics.bytesIn,
+                metrics.bytesOut,
+                metrics.rewriteMs || 0,
+                metrics.durationMs
+            ]
+        });
+    } catch (e) {
+        // Metrics never fail a request
+        logEvent('error', 'metrics-write-failed', errorFields(e));
+    }
+}
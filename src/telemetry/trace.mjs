@@ -0,0 +1,107 @@
+/**
+ * @file Request Trace
+ * @description Follows a proxied request through the pipeline and reports it as a structured log line and a metrics data point.
+ * @version 1.0.0
+ *
+ * A trace starts once the target is resolved and ends when the client body is through (or the
+ * client went away). Its record holds:
+ *
+ *   target, method, status, upstreamStatus, cacheStatus, handler, mods,
+ *   rewriteMs, bytesIn, bytesOut, durationMs, colo (and error when the upstream failed)
+ *
+ * Every traced request is counted (see metrics.mjs); LOG_SAMPLE_RATE of them are also logged as one
+ * JSON line. Bytes are counted as they stream: `bytesIn` is the upstream body as read (after the
+ * runtime decoded any Content-Encoding), `bytesOut` the body sent to the client. `rewriteMs` is the
+ * time spent in rewriteResponse: the whole rewrite for buffered types (JavaScript, CSS, JSON,
+ * manifests), only its setup for streamed ones (HTML, XML, HLS).
+ */
+
+import { logEvent } from './log.mjs';
+import { getDataset, writeMetrics } from './metrics.mjs';
+
+/**
+ * @typedef {Object} RequestTrace
+ * @property {function(Object): void} note - Adds fields to the record (handler, mods, cacheStatus, rewriteMs, error).
+ * @property {function(Response): Response} upstream - Records the upstream status; returns the response with its body metered.
+ * @property {function(Response, ExecutionContext): Response} finish - Returns the client response with its body metered; reports once it is through.
+ */
+
+/**
+ * Counts the bytes of a body as it streams.
+ * @param {ReadableStream} body
+ * @param {function(number): void} onBytes
+ * @returns {{body: ReadableStream, done: Promise<void>}} The metered body; `done` settles when it ends or is aborted.
+ */
+function meter(body, onBytes) {
+    const { readable, writable } = new TransformStream({
+        transform(chunk, controller) {
+            onBytes(chunk.byteLength);
+            controller.enqueue(chunk);
+        }
+    });
+    return { body: readable, done: body.pipeTo(writable).catch(() => {}) };
+}
+
+/**
+ * Starts tracing a proxied request.
+ * @param {Request} request - The client request.
+ * @param {URL} targetURL
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @param {object} env
+ * @returns {RequestTrace|null} Null when the request is neither logged nor counted.
+ */
+export function startTrace(request, targetURL, config, env) {
+    const { logSampleRate, metricsBinding } = config.telemetry;
+    const logged = logSampleRate > 0 && Math.random() < logSampleRate;
+    if (!logged && !metricsBinding) return null;
+
+    const started = Date.now();
+    const record = {
+        target: targetURL.hostname,
+        method: request.method,
+        status: 0,
+        upstreamStatus: null,
+        cacheStatus: 'BYPASS',
+        handler: null,
+        mods: [],
+        rewriteMs: null,
+        bytesIn: 0,
+        bytesOut: 0,
+        durationMs: 0,
+        colo: (request.cf && request.cf.colo) || null
+    };
+
+    const report = () => {
+        record.durationMs = Date.now() - started;
+        writeMetrics(getDataset(config, env), { event: 'request', ...record });
+        if (logged) logEvent(record.status >= 500 ? 'error' : 'info', 'request', record);
+    };
+
+    return {
+        note(fields) {
+            Object.assign(record, fields);
+        },
+
+        upstream(response) {
+            record.upstreamStatus = response.status;
+            if (!response.body) return response;
+            const metered = meter(response.body, (n) => { record.bytesIn += n; });
+            return new Response(metered.body, { status: response.status, statusText: response.statusText, headers: response.headers });
+        },
+
+        finish(response, ctx) {
+            record.status = response.status;
+            const cacheStatus = response.headers.get('X-Proxy-Cache');
+            if (cacheStatus) record.cacheStatus = cacheStatus;
+
+            // Upgrades and empty bodies are done now; everything else once the client has the body
+            if (!response.body || response.webSocket) {
+                report();
+                return response;
+            }
+            const metered = meter(response.body, (n) => { record.bytesOut += n; });
+            ctx.waitUntil(metered.done.then(report));
+            return new Response(metered.body, { status: response.status, statusText: response.statusText, headers: response.headers });
+        }
+    };
+}
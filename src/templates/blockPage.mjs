@@ -0,0 +1,56 @@
+/**
+ * @file Block Page Template
+ * @description The HTML page served when the target policy denies a request.
+ * @version 1.0.0
+ *
+ * POLICY_BLOCK_PAGE may replace the default markup. Both use the same placeholders, which are
+ * HTML-escaped before substitution:
+ * - {{host}}   : The upstream hostname.
+ * - {{url}}    : The upstream URL.
+ * - {{reason}} : The rule's `reason`, or a generic message.
+ * - {{rule}}   : The rule name ('default' if no rule matched).
+ */
+
+const DEFAULT_BLOCK_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>Blocked: {{host}}</title>
+<style>
+  body { font: 16px/1.5 system-ui, sans-serif; color: #222; background: #f6f6f6; margin: 0; }
+  main { max-width: 36rem; margin: 15vh auto; padding: 2rem; background: #fff; border-radius: 8px; box-shadow: 0 1px 4px rgba(0,0,0,.1); }
+  h1 { font-size: 1.4rem; margin-top: 0; }
+  code { word-break: break-all; }
+  small { color: #777; }
+</style>
+</head>
+<body>
+<main>
+  <h1>This site is blocked</h1>
+  <p>{{reason}}</p>
+  <p><code>{{url}}</code></p>
+  <small>Rule: {{rule}}</small>
+</main>
+</body>
+</html>`;
+
+/**
+ * Escapes text for HTML element and attribute content.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * Renders the block page.
+ * @param {string|null} template - Custom markup (POLICY_BLOCK_PAGE), or null for the default page.
+ * @param {{host: string, url: string, reason: string, rule: string}} vars
+ * @returns {string} The HTML document.
+ */
+export function getBlockPage(template, vars) {
+    return (template || DEFAULT_BLOCK_PAGE).replace(/\{\{(host|url|reason|rule)\}\}/g, (_, key) => escapeHtml(vars[key]));
+}
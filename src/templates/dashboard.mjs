@@ -0,0 +1,239 @@
+/**
+ * @file Dashboard Template
+ * @description The root domain dashboard, rendered server-side (no scripts, no external assets).
+ * @version 1.0.0
+ *
+ * Every dynamic value is HTML-escaped. Forms post to the dashboard endpoints on the root domain
+ * (see handle/handlers/dashboard.mjs); the URL bar submits to `/?url=`.
+ */
+
+const STYLE = `
+  :root { color-scheme: light dark; --fg: #1d1d1f; --muted: #6e6e73; --bg: #f5f5f7; --card: #fff; --line: #d2d2d7; --accent: #0a66c2; --ok: #1e7d32; --err: #b3261e; }
+  @media (prefers-color-scheme: dark) { :root { --fg: #f5f5f7; --muted: #a1a1a6; --bg: #111; --card: #1c1c1e; --line: #3a3a3c; --accent: #4da3ff; --ok: #6fcf73; --err: #ff8a80; } }
+  * { box-sizing: border-box; }
+  body { font: 15px/1.5 system-ui, sans-serif; color: var(--fg); background: var(--bg); margin: 0; }
+  header, main { max-width: 60rem; margin: 0 auto; padding: 1rem 1.25rem; }
+  header h1 { font-size: 1.3rem; margin: 1rem 0 0; }
+  header p { color: var(--muted); margin: 0; }
+  section { background: var(--card); border: 1px solid var(--line); border-radius: 10px; padding: 1rem 1.25rem; margin: 0 0 1rem; }
+  h2 { font-size: 1.05rem; margin: 0 0 .75rem; }
+  form.bar { display: flex; gap: .5rem; }
+  input[type=text] { flex: 1; min-width: 0; font: inherit; padding: .5rem .65rem; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); }
+  button { font: inherit; padding: .45rem .9rem; border: 1px solid var(--line); border-radius: 6px; background: var(--bg); color: var(--fg); cursor: pointer; }
+  button.primary { background: var(--accent); border-color: var(--accent); color: #fff; }
+  button:disabled { opacity: .5; cursor: default; }
+  ul.history { list-style: none; padding: 0; margin: .75rem 0 0; }
+  ul.history li { padding: .2rem 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  a { color: var(--accent); }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: .35rem .5rem; border-top: 1px solid var(--line); vertical-align: top; }
+  th { color: var(--muted); font-weight: 500; border-top: 0; }
+  td.num { text-align: right; font-variant-numeric: tabular-nums; }
+  label.toggle { display: flex; gap: .5rem; align-items: baseline; padding: .2rem 0; }
+  .muted, small { color: var(--muted); }
+  .notice { padding: .6rem .9rem; border-radius: 6px; margin: 0 0 1rem; border: 1px solid currentColor; }
+  .notice.ok { color: var(--ok); }
+  .notice.error { color: var(--err); }
+  .actions { display: flex; gap: .5rem; flex-wrap: wrap; margin-top: .75rem; align-items: center; }
+  code, pre { font: 13px/1.45 ui-monospace, SFMono-Regular, Menlo, monospace; }
+  code { word-break: break-all; }
+  pre { overflow: auto; max-height: 32rem; background: var(--bg); padding: .75rem; border-radius: 6px; margin: .75rem 0 0; }
+`;
+
+/**
+ * @typedef {Object} DashboardToggle
+ * @property {string} name - Form value (mod id or feature name).
+ * @property {string} label
+ * @property {boolean} enabled - Enabled by the deployment.
+ * @property {boolean} on - On for this session.
+ */
+
+/**
+ * @typedef {Object} DashboardLeakRow
+ * @property {string} origin
+ * @property {string} pattern
+ * @property {number} count
+ * @property {string} traps - e.g. "element-src 3, fetch 1".
+ * @property {string|null} page - A page it leaked from.
+ */
+
+/**
+ * @typedef {Object} DashboardView
+ * @property {string} rootDomain
+ * @property {{type: 'ok'|'error', text: string}|null} notice
+ * @property {boolean} keep - Session settings can be stored (COOKIE_ROOT_PASSTHROUGH covers the cookie).
+ * @property {string} cookie - The settings cookie name.
+ * @property {Array<{url: string, href: string}>|null} history - Recent targets (null when the history is off).
+ * @property {DashboardToggle[]} mods
+ * @property {DashboardToggle[]} features
+ * @property {{enabled: boolean, purge: boolean}} cache
+ * @property {{enabled: false}|{enabled: true, error: string}|{enabled: true, total: number, since: (string|null), rows: DashboardLeakRow[]}} leaks
+ * @property {Array<{label: string, href: string}>} endpoints - Other root domain endpoints that are on.
+ * @property {string} config - The session's effective config, as JSON.
+ */
+
+/**
+ * Escapes text for HTML element and attribute content.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+/**
+ * @param {DashboardToggle} toggle
+ * @param {string} field - Form field name.
+ * @param {boolean} keep
+ * @returns {string}
+ */
+function renderToggle(toggle, field, keep) {
+    const disabled = !keep || !toggle.enabled;
+    const note = toggle.enabled ? '' : ' <small>(off in this deployment)</small>';
+    return `<label class="toggle"><input type="checkbox" name="${field}" value="${escapeHtml(toggle.name)}"${toggle.on ? ' checked' : ''}${disabled ? ' disabled' : ''}> <span>${escapeHtml(toggle.label)}${note}</span></label>`;
+}
+
+/**
+ * @param {DashboardView} view
+ * @returns {string}
+ */
+function renderUrlBar(view) {
+    const options = (view.history || []).map(entry => `<option value="${escapeHtml(entry.url)}">`).join('');
+    let recent = '';
+    if (view.history && view.history.length) {
+        recent = `<ul class="history">${view.history.map(entry => `<li><a href="${escapeHtml(entry.href)}">${escapeHtml(entry.url)}</a></li>`).join('')}</ul>
+      <form method="post" action="/__divortio/session" class="actions"><button name="action" value="clear-history">Clear history</button></form>`;
+    } else if (view.history) {
+        recent = '<p class="muted">Targets you open here are listed for this browser.</p>';
+    }
+    return `<section>
+      <h2>Open a site</h2>
+      <form method="get" action="/" class="bar">
+        <input type="text" name="url" list="history" placeholder="example.com or https://example.com/page" required autofocus aria-label="Target URL">
+        <datalist id="history">${options}</datalist>
+        <button class="primary">Go</button>
+      </form>
+      ${recent}
+    </section>`;
+}
+
+/**
+ * @param {DashboardView} view
+ * @returns {string}
+ */
+function renderSession(view) {
+    const kept = view.keep
+        ? '<p class="muted">Applies to this browser only. Switching something off also bypasses the edge cache for its requests.</p>'
+        : `<p class="muted">Settings cannot be stored: add <code>${escapeHtml(view.cookie)}</code> to <code>COOKIE_ROOT_PASSTHROUGH</code> so the cookie never reaches an upstream.</p>`;
+    const mods = view.mods.length ? view.mods.map(t => renderToggle(t, 'mod', view.keep)).join('') : '<p class="muted">No mods are registered.</p>';
+    return `<section>
+      <h2>Session settings</h2>
+      ${kept}
+      <form method="post" action="/__divortio/session">
+        <h3 class="muted">Mods</h3>
+        ${mods}
+        <h3 class="muted">Features</h3>
+        ${view.features.map(t => renderToggle(t, 'feature', view.keep)).join('')}
+        <div class="actions">
+          <button class="primary" name="action" value="save"${view.keep ? '' : ' disabled'}>Save</button>
+          <button name="action" value="reset"${view.keep ? '' : ' disabled'}>Reset to deployment defaults</button>
+        </div>
+      </form>
+    </section>`;
+}
+
+/**
+ * @param {DashboardView} view
+ * @returns {string}
+ */
+function renderCache(view) {
+    let body;
+    if (!view.cache.purge) {
+        body = `<p class="muted">Purging needs <code>CACHE_PURGE_ZONE_ID</code> and the <code>CACHE_PURGE_TOKEN</code> secret (an API token with Cache Purge permission).</p>`;
+    } else {
+        body = `<form method="post" action="/__divortio/cache" class="bar">
+        <input type="text" name="target" placeholder="example.com or a URL on it" aria-label="Target to purge">
+        <button name="action" value="host">Purge site</button>
+      </form>
+      <form method="post" action="/__divortio/cache" class="actions">
+        <label class="toggle"><input type="checkbox" name="confirm" value="yes" required> <span>Purge every cached response of the zone</span></label>
+        <button name="action" value="everything">Purge everything</button>
+      </form>`;
+    }
+    const state = view.cache.enabled ? 'The edge cache is on.' : 'The edge cache is off (<code>CACHE_ENABLED</code>).';
+    return `<section>
+      <h2>Edge cache</h2>
+      <p class="muted">${state} A site is purged as a whole, in every data center.</p>
+      ${body}
+    </section>`;
+}
+
+/**
+ * @param {DashboardView} view
+ * @returns {string}
+ */
+function renderLeaks(view) {
+    const leaks = view.leaks;
+    let body;
+    if (!leaks.enabled) {
+        body = '<p class="muted">Leak reports are off (<code>LEAK_REPORTS</code>).</p>';
+    } else if (leaks.error) {
+        body = `<p class="notice error">${escapeHtml(leaks.error)}</p>`;
+    } else if (!leaks.rows.length) {
+        body = '<p class="muted">No resource has escaped the proxy so far.</p>';
+    } else {
+        const rows = leaks.rows.map(row => `<tr>
+          <td><code>${escapeHtml(row.origin)}${escapeHtml(row.pattern)}</code>${row.page ? `<br><small>from ${escapeHtml(row.page)}</small>` : ''}</td>
+          <td>${escapeHtml(row.traps)}</td>
+          <td class="num">${row.count}</td>
+        </tr>`).join('');
+        body = `<p class="muted">${leaks.total} leaks${leaks.since ? ` since ${escapeHtml(leaks.since)}` : ''}. <a href="/__divortio/leaks">Full report (JSON)</a></p>
+      <table><thead><tr><th>Pattern</th><th>Expected trap</th><th class="num">Leaks</th></tr></thead><tbody>${rows}</tbody></table>`;
+    }
+    return `<section>
+      <h2>Recent leak reports</h2>
+      ${body}
+    </section>`;
+}
+
+/**
+ * Renders the dashboard.
+ * @param {DashboardView} view
+ * @returns {string} The HTML document.
+ */
+export function getDashboardPage(view) {
+    const notice = view.notice ? `<p class="notice ${view.notice.type}" role="status">${escapeHtml(view.notice.text)}</p>` : '';
+    const endpoints = view.endpoints.length
+        ? `<p class="actions">${view.endpoints.map(e => `<a href="${escapeHtml(e.href)}">${escapeHtml(e.label)}</a>`).join('')}</p>`
+        : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>Divortio Proxio · ${escapeHtml(view.rootDomain)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<header>
+  <h1>Divortio Proxio</h1>
+  <p>${escapeHtml(view.rootDomain)}</p>
+</header>
+<main>
+  ${notice}
+  ${renderUrlBar(view)}
+  ${renderSession(view)}
+  ${renderCache(view)}
+  ${renderLeaks(view)}
+  <section>
+    <h2>Effective configuration</h2>
+    <p class="muted">The deployment's settings with this browser's session settings applied.</p>
+    ${endpoints}
+    <details><summary>Show</summary><pre>${escapeHtml(view.config)}</pre></details>
+  </section>
+</main>
+</body>
+</html>`;
+}
@@ -1,6 +1,6 @@
 /**
  * @file Client-side proxy interceptor script.
- * @version 28.0.0 (Final Hardening)
+ * @version 29.7.0 (Feature Flags)
  * @description
  * The "Stealth" Edition.
  * Includes: Native Code Spoofing, Performance Masking, SVG baseVal traps,
@@ -8,7 +8,18 @@
  * SW Injector, CSS Typed OM traps, and Web Animations API traps.
  */
 
-export function getStealthInterceptorScript(rootDomain) {
+import { getUrlCodecSource } from '../url/codec.mjs';
+import { createCssRewriter } from '../rewrite/rewriters/mimeType/css.mjs';
+import { createCookieTranslator } from '../rewrite/rewriters/headers/cookies.mjs';
+import { getSiteSource } from '../url/site.mjs';
+
+/**
+ * Generates the client-side interceptor script.
+ * @param {import('../config/env.mjs').EnvConfig} config - The app config.
+ * @returns {string} The executable JavaScript code.
+ */
+export function getStealthInterceptorScript(config) {
+    const rootDomain = config.rootDomain;
     return `
       (function() {
         // 1. Environment Safety Check
@@ -18,45 +29,33 @@ export function getStealthInterceptorScript(rootDomain) {
 
         // 2. Configuration
         const PROXY_ROOT_DOMAIN = '${rootDomain}';
+        const PROXY_CODEC = ${getUrlCodecSource(config)};
+        const PROXY_COOKIE_JAR = ${config.cookies.mode === 'jar'};
+        const PROXY_LEAK_REPORTS = ${config.leaks.enabled};
+        const nativeFetch = self.fetch;
+        const nativeSendBeacon = self.navigator && navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null;
         
         // --- CORE UTILITIES ---
         
         const rewriteURL = (url) => {
             if (!url || typeof url !== 'string') return url;
-            // Ignore non-network schemas
-            if (url.startsWith('data:') || url.startsWith('#') || url.startsWith('javascript:') || url.startsWith('blob:')) return url;
-            try {
-                // UPDATED: Handle Blob context where location.href is blob:...
-                // If we are in a blob, relative URLs should be resolved against the origin, not the blob URI.
-                const base = self.location.protocol === 'blob:' ? self.location.origin : self.location.href;
-                const u = new URL(url, base);
-                
-                // If it's not already on our proxy, rewrite it
-                if (!u.hostname.endsWith(PROXY_ROOT_DOMAIN)) {
-                    return 'https://' + u.hostname + '.' + PROXY_ROOT_DOMAIN + u.pathname + u.search;
-                }
-                return u.href;
-            } catch(e) { return url; }
+            // UPDATED: Handle Blob context where location.href is blob:...
+            // If we are in a blob, relative URLs should be resolved against the origin, not the blob URI.
+            const base = self.location.protocol === 'blob:' ? self.location.origin : self.location.href;
+            // Non-network schemas (data:, javascript:, blob:) and #fragments are left untouched by the codec.
+            return PROXY_CODEC.proxify(url, base);
         };
 
-        const unrewriteURL = (url) => {
-            try {
-                const u = new URL(url);
-                // Reverse the proxy logic to show the "real" URL to the scripts
-                if (u.hostname.endsWith('.' + PROXY_ROOT_DOMAIN)) {
-                    const originalHost = u.hostname.slice(0, - (PROXY_ROOT_DOMAIN.length + 1));
-                    return u.protocol + '//' + originalHost + u.pathname + u.search;
-                }
-                return url;
-            } catch(e) { return url; }
-        };
+        // Reverse the proxy logic to show the "real" URL to the scripts
+        const unrewriteURL = (url) => PROXY_CODEC.unproxify(url);
+
+        // Same tokenizer as the server-side stylesheet rewriter (rewriters/mimeType/css.mjs)
+        const createCssRewriter = ${createCssRewriter.toString()};
 
         const rewriteCSS = (css) => {
             if (!css || typeof css !== 'string') return css;
-            return css.replace(/url\\(\\s*(['"]?)(.*?)\\1\\s*\\)/gi, (match, quote, url) => {
-                if (url.startsWith('data:')) return match;
-                return 'url(' + quote + rewriteURL(url) + quote + ')';
-            });
+            const rewriter = createCssRewriter(rewriteURL);
+            return rewriter.write(css) + rewriter.end();
         };
 
         const rewriteHTML = (html) => {
@@ -77,9 +76,16 @@ export function getStealthInterceptorScript(rootDomain) {
             }).join(', ');
         };
         
-        // Expose globally for server-side rewriting (e.g. import())
+        // Expose globally for server-side rewriting (import.meta.url, see rewriters/mimeType/javascript.mjs)
         self.__d_rw = rewriteURL;
 
+        // Dynamic import() specifiers: only absolute URLs are proxified.
+        // Relative specifiers must keep resolving against the module, bare ones against the import map.
+        self.__d_rwi = (spec) => {
+            if (typeof spec !== 'string') return spec;
+            return spec.startsWith('//') || /^[a-z][a-z0-9+.-]*:/i.test(spec) ? rewriteURL(spec) : spec;
+        };
+
 
         // --- 1. NATIVE CODE SPOOFING (Anti-Tamper) ---
         
@@ -169,12 +175,20 @@ export function getStealthInterceptorScript(rootDomain) {
         if (self.Worker) {
             const OriginalWorker = self.Worker;
             
-            const createWorkerBlob = (scriptURL) => {
+            const createWorkerBlob = (scriptURL, isModule) => {
                 const proxyScriptURL = rewriteURL(scriptURL);
                 const interceptorPath = '/__divortio_interceptor.js'; 
                 const interceptorURL = self.location.origin + interceptorPath;
                 
-                const content = \`
+                // Module workers (new Worker(new URL('./w.js', import.meta.url), { type: 'module' }))
+                // have no importScripts, so the bootstrapper uses dynamic import instead.
+                const content = isModule ? \`
+                    /* Divortio Worker Bootstrapper (Module) */
+                    try {
+                        await import('\${interceptorURL}');
+                    } catch(e) { console.error('Failed to inject proxy interceptor into worker', e); }
+                    await import('\${proxyScriptURL}');
+                \` : \`
                     /* Divortio Worker Bootstrapper */
                     try {
                         importScripts('\${interceptorURL}');
@@ -186,12 +200,13 @@ export function getStealthInterceptorScript(rootDomain) {
 
             self.Worker = new Proxy(OriginalWorker, {
                 construct(target, args) {
-                    const [url] = args;
-                    if (typeof url === 'string') {
+                    const [url, options] = args;
+                    if (typeof url === 'string' || url instanceof URL) {
+                        const isModule = !!(options && options.type === 'module');
                         try {
-                            args[0] = createWorkerBlob(url);
+                            args[0] = createWorkerBlob(String(url), isModule);
                         } catch(e) {
-                            args[0] = rewriteURL(url);
+                            args[0] = rewriteURL(String(url));
                         }
                     }
                     return new target(...args);
@@ -410,21 +425,132 @@ export function getStealthInterceptorScript(rootDomain) {
 
         // --- 7. MISC ---
 
+        // Cookies: the server-side Set-Cookie translator (rewriters/headers/cookies.mjs), applied to
+        // script writes so Domain, Path, Secure, SameSite and prefixes map onto the proxy the same way.
+        const PROXY_COOKIES = (${createCookieTranslator.toString()})();
+        const getSite = ${getSiteSource()};
+
+        const cookieScope = () => {
+            const upstream = new URL(unrewriteURL(self.location.href));
+            const path = upstream.pathname;
+            return {
+                host: upstream.hostname.toLowerCase(),
+                secure: upstream.protocol === 'https:',
+                defaultPath: !path.startsWith('/') || path.lastIndexOf('/') === 0 ? '/' : path.slice(0, path.lastIndexOf('/')),
+                proxyHost: self.location.hostname,
+                clientHost: self.location.hostname,
+                toProxyDomain: (domain) => PROXY_CODEC.hosts.encoding === 'raw' ? PROXY_CODEC.hosts.toProxy(domain) : null,
+                isPublicSuffix: (domain) => getSite('x.' + domain) === 'x.' + domain
+            };
+        };
+
+        // CookieStore options -> Set-Cookie value (the API only exists in secure contexts)
+        const cookieOptionsToHeader = (o) => {
+            const parts = [o.name + '=' + (o.value === undefined ? '' : o.value)];
+            if (o.expires !== undefined && o.expires !== null) parts.push('Expires=' + new Date(o.expires).toUTCString());
+            if (o.domain) parts.push('Domain=' + o.domain);
+            parts.push('Path=' + (o.path || '/'));
+            parts.push('Secure');
+            parts.push('SameSite=' + (o.sameSite || 'strict'));
+            if (o.partitioned) parts.push('Partitioned');
+            return parts.join('; ');
+        };
+
+        // Cookie jar mode: upstream cookies live server-side (handle/handlers/cookies.mjs).
+        // Reads come from the snapshot the page was served with; writes update it at once and are
+        // sent to the jar, whose answer (Domain/Path/HttpOnly rules applied) replaces the snapshot.
+        const jarState = { cookie: (self.__DIVORTIO_CONFIG__ && self.__DIVORTIO_CONFIG__.cookies) || '' };
+
+        const applyJarCookie = (header) => {
+            const c = PROXY_COOKIES.parse(header);
+            if (!c || c.httpOnly) return;
+
+            const removed = c.maxAge !== null ? c.maxAge <= 0 : c.expires !== null && Date.parse(c.expires) <= Date.now();
+            const entry = c.name ? c.name + '=' + c.value : c.value;
+            const others = jarState.cookie ? jarState.cookie.split('; ') : [];
+            const at = others.findIndex(o => (o.indexOf('=') === -1 ? '' : o.slice(0, o.indexOf('='))) === c.name);
+
+            if (removed) { if (at !== -1) others.splice(at, 1); }
+            else if (at !== -1) others[at] = entry;
+            else others.push(entry);
+            jarState.cookie = others.join('; ');
+        };
+
+        const syncJar = (cookies) => nativeFetch.call(self, '/__divortio_cookies', {
+            method: 'POST',
+            keepalive: true,
+            credentials: 'same-origin',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: self.location.href, cookies })
+        }).then(r => r.ok ? r.json() : null).then(d => {
+            if (d && typeof d.cookie === 'string') jarState.cookie = d.cookie;
+        }).catch(() => {});
+
+        const writeJarCookie = (header) => {
+            applyJarCookie(header);
+            return syncJar([header]);
+        };
+
         if (self.Document) {
             const d = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
-            if (d && d.set) Object.defineProperty(Document.prototype, 'cookie', {
+            if (d && PROXY_COOKIE_JAR) Object.defineProperty(Document.prototype, 'cookie', {
+                get() { return jarState.cookie; },
+                set(v) { writeJarCookie(String(v)); },
+                enumerable: d.enumerable, configurable: d.configurable
+            });
+            else if (d && d.set) Object.defineProperty(Document.prototype, 'cookie', {
                 get: d.get,
-                set(v) { 
-                    return d.set.call(this, v.replace(/;\\s*Domain=[^;]+/zi, '; Domain=' + PROXY_ROOT_DOMAIN)); 
+                set(v) {
+                    // Non-network documents (about:blank, data:) write to their creator's cookies untouched
+                    if (!/^https?:$/.test(self.location.protocol)) return d.set.call(this, v);
+                    const translated = PROXY_COOKIES.translate(String(v), cookieScope());
+                    if (translated !== null) d.set.call(this, translated);
                 },
                 enumerable: d.enumerable, configurable: d.configurable
             });
         }
 
-        if (self.cookieStore) {
-            safeWrap(cookieStore, 'set', (o) => function(...args) {
-                if (args[0] && typeof args[0] === 'object' && args[0].domain) args[0].domain = PROXY_ROOT_DOMAIN;
-                return o.apply(this, args);
+        if (PROXY_COOKIE_JAR && self.cookieStore) {
+            const list = () => (jarState.cookie ? jarState.cookie.split('; ') : []).map(c => {
+                const eq = c.indexOf('=');
+                return eq === -1 ? { name: '', value: c } : { name: c.slice(0, eq), value: c.slice(eq + 1) };
+            });
+            const query = (a) => typeof a === 'string' ? a : (a && a.name);
+
+            safeWrap(cookieStore, 'set', () => function(a, b) {
+                const options = typeof a === 'string' ? { name: a, value: b } : a;
+                return writeJarCookie(cookieOptionsToHeader(options)).then(() => undefined);
+            });
+            safeWrap(cookieStore, 'delete', () => function(a) {
+                const options = typeof a === 'string' ? { name: a } : a;
+                return writeJarCookie(cookieOptionsToHeader({ ...options, value: '', expires: 0 })).then(() => undefined);
+            });
+            safeWrap(cookieStore, 'get', () => function(a) {
+                const name = query(a);
+                return Promise.resolve(list().find(c => name === undefined || c.name === name) || null);
+            });
+            safeWrap(cookieStore, 'getAll', () => function(a) {
+                const name = query(a);
+                return Promise.resolve(list().filter(c => name === undefined || c.name === name));
+            });
+        } else if (self.cookieStore) {
+            safeWrap(cookieStore, 'set', (o) => function(a, b) {
+                const options = typeof a === 'string' ? { name: a, value: b } : a;
+                const c = options && PROXY_COOKIES.translate(cookieOptionsToHeader(options), cookieScope());
+                if (!c) return Promise.reject(new TypeError("Failed to execute 'set' on 'CookieStore': The cookie was rejected."));
+
+                const translated = PROXY_COOKIES.parse(c);
+                const expires = translated.maxAge !== null ? Date.now() + translated.maxAge * 1000
+                    : translated.expires !== null ? Date.parse(translated.expires) : undefined;
+                return o.call(this, {
+                    name: translated.name,
+                    value: translated.value,
+                    domain: translated.domain || undefined,
+                    path: translated.path,
+                    expires,
+                    sameSite: (translated.sameSite || 'Strict').toLowerCase(),
+                    partitioned: translated.partitioned
+                });
             });
         }
 
@@ -482,10 +608,16 @@ export function getStealthInterceptorScript(rootDomain) {
         // Workers
         if (self.navigator && navigator.serviceWorker) {
             // GAP #2: Service Worker Injector Redirect
+            // The injector lives at the origin root, so the default scope (the script's directory)
+            // is made explicit; an absolute scope is moved onto the proxy like the script itself.
             safeWrap(navigator.serviceWorker, 'register', (o) => function(u, o2) {
-                let scriptUrl = rewriteURL(u);
-                const injectorUrl = '/__divortio_sw_injector.js?target=' + encodeURIComponent(scriptUrl);
-                return o.call(this, injectorUrl, o2);
+                const base = self.location.href;
+                const scriptUrl = new URL(rewriteURL(String(u)), base).href;
+                const opts = Object.assign({}, o2);
+                opts.scope = opts.scope != null ? rewriteURL(String(opts.scope)) : new URL('./', scriptUrl).href;
+                let injectorUrl = '/__divortio_sw_injector.js?target=' + encodeURIComponent(scriptUrl);
+                if (opts.type === 'module') injectorUrl += '&type=module';
+                return o.call(this, injectorUrl, opts);
             });
         }
         if (typeof importScripts === 'function') {
@@ -503,21 +635,79 @@ export function getStealthInterceptorScript(rootDomain) {
         if (self.HTMLLinkElement) Object.defineProperty(HTMLLinkElement.prototype, 'integrity', { get:()=>'', set:()=>{} });
 
         // Leak Monitor
+        // With LEAK_REPORTS on, each leaked URL is reported once per page, with the trap expected to
+        // catch it, in batches to /__divortio/leaks (see handle/handlers/leaks.mjs).
+        const LEAK_TRAPS = {
+            fetch: 'fetch', xmlhttprequest: 'xhr', beacon: 'send-beacon', css: 'css-url', link: 'element-href',
+            img: 'element-src', image: 'element-src', script: 'element-src', iframe: 'element-src', frame: 'element-src',
+            video: 'element-src', audio: 'element-src', track: 'element-src', embed: 'element-src', object: 'element-src', input: 'element-src',
+            use: 'svg-href', other: 'unknown'
+        };
+        const leakQueue = [];
+        const leakSeen = new Set();
+        let leakTimer = null;
+
+        const flushLeaks = () => {
+            clearTimeout(leakTimer);
+            leakTimer = null;
+            if (!leakQueue.length) return;
+            const body = JSON.stringify({ leaks: leakQueue.splice(0, 50) });
+            // text/plain is CORS-safelisted: Chromium's sendBeacon throws on an application/json Blob.
+            let sent = false;
+            try {
+                sent = !!nativeSendBeacon && nativeSendBeacon('/__divortio/leaks', new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+            } catch(x){}
+            if (!sent) {
+                try {
+                    nativeFetch.call(self, '/__divortio/leaks', {
+                        method: 'POST',
+                        keepalive: true,
+                        credentials: 'same-origin',
+                        headers: { 'Content-Type': 'application/json' },
+                        body
+                    }).catch(() => {});
+                } catch(x){}
+            }
+            if (leakQueue.length) leakTimer = setTimeout(flushLeaks, 5000);
+        };
+
+        const reportLeak = (e) => {
+            if (!PROXY_LEAK_REPORTS || leakSeen.has(e.name) || leakSeen.size >= 500) return;
+            leakSeen.add(e.name);
+            const type = /^[a-z][a-z0-9-]{0,31}$/.test(e.initiatorType) ? e.initiatorType : 'other';
+            leakQueue.push({ url: e.name, page: unrewriteURL(self.location.href), initiatorType: type, trap: LEAK_TRAPS[type] || 'element-src' });
+            if (leakQueue.length >= 50) flushLeaks();
+            else if (!leakTimer) leakTimer = setTimeout(flushLeaks, 5000);
+        };
+
         if (self.PerformanceObserver) {
             new PerformanceObserver((l) => {
                 l.getEntries().forEach((e) => {
                     try {
-                        if (e.name.startsWith('http') && !new URL(e.name).hostname.endsWith(PROXY_ROOT_DOMAIN) && new URL(e.name).hostname !== 'localhost') {
+                        if (e.name.startsWith('http') && !PROXY_CODEC.isProxied(e.name) && new URL(e.name).hostname !== 'localhost') {
                             console.error('[Divortio Leak]', e.name);
+                            reportLeak(e);
                         }
                     } catch(x){}
                 });
             }).observe({ entryTypes: ['resource'] });
         }
+        // A page being hidden may never come back: send what is queued
+        if (PROXY_LEAK_REPORTS && self.addEventListener) {
+            self.addEventListener('pagehide', flushLeaks);
+            if (self.document) document.addEventListener('visibilitychange', () => { if (document.visibilityState === 'hidden') flushLeaks(); });
+        }
 
-        // SW Registration
+        // SW Registration (FEATURES_SERVICE_WORKER; switched off, an earlier registration is removed)
         if (self.navigator && navigator.serviceWorker) {
-            navigator.serviceWorker.register('/__divortio_sw.js?rd=' + PROXY_ROOT_DOMAIN, { scope: '/' }).catch(()=>{});
+            if (self.__DIVORTIO_CONFIG__ && self.__DIVORTIO_CONFIG__.serviceWorker === false) {
+                navigator.serviceWorker.getRegistrations().then((rs) => rs.forEach((r) => {
+                    const w = r.active || r.waiting || r.installing;
+                    if (w && new URL(w.scriptURL).pathname === '/__divortio_sw.js') r.unregister();
+                })).catch(()=>{});
+            } else {
+                navigator.serviceWorker.register('/__divortio_sw.js?rd=' + PROXY_ROOT_DOMAIN, { scope: '/' }).catch(()=>{});
+            }
         }
 
       })();
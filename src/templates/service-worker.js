@@ -1,21 +1,25 @@
 /**
  * @file Service Worker Generator
  * @description Generates the Service Worker source code with the configuration baked in.
- * @version 4.0.0 (Functional Generator)
+ * @version 5.0.0 (URL Codec)
  */
 
+import { getUrlCodecSource } from '../url/codec.mjs';
+
 /**
  * Generates the Service Worker script.
- * @param {string} rootDomain - The proxy root domain (e.g. "proxy.com")
+ * @param {import('../config/env.mjs').EnvConfig} config - The app config.
  * @returns {string} The executable JavaScript code.
  */
-export function getServiceWorkerCode(rootDomain) {
+export function getServiceWorkerCode(config) {
+    const rootDomain = config.rootDomain;
     return `
 /**
  * Divortio Service Worker
  * Generated at runtime.
  */
 const PROXY_ROOT_DOMAIN = '${rootDomain}';
+const PROXY_CODEC = ${getUrlCodecSource(config)};
 
 // 1. Install: Skip waiting
 self.addEventListener('install', (event) => {
@@ -33,7 +37,7 @@ self.addEventListener('fetch', (event) => {
     const url = new URL(request.url);
 
     // A. Passthrough: If it's already on the proxy domain
-    if (url.hostname.endsWith(PROXY_ROOT_DOMAIN)) {
+    if (PROXY_CODEC.hosts.isProxy(url.hostname)) {
         return;
     }
 
@@ -42,9 +46,8 @@ self.addEventListener('fetch', (event) => {
         return;
     }
 
-    // C. Rewrite: Map target.com -> target.com.proxy.com
-    const proxyHostname = url.hostname + '.' + PROXY_ROOT_DOMAIN;
-    const newUrl = 'https://' + proxyHostname + url.pathname + url.search;
+    // C. Rewrite: Map target.com -> target.com.proxy.com (or target-com.proxy.com)
+    const newUrl = PROXY_CODEC.proxify(request.url);
 
     const newRequest = new Request(newUrl, {
         method: request.method,
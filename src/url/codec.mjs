@@ -0,0 +1,170 @@
+/**
+ * @file Proxy URL Codec
+ * @description Single source of truth for mapping upstream URLs onto the proxy ("proxify") and back ("unproxify").
+ * @version 1.1.0 (Scheme & Port Allowlist)
+ *
+ * Every server-side rewriter and both client templates (interceptor & service worker) go through
+ * this codec, so scheme, fragment and credential handling is identical everywhere:
+ * - Only http(s) and ws(s) URLs are rewritten. data:, blob:, javascript:, mailto:, about: etc. pass through.
+ * - Fragments (#hash), query strings and credentials (user:pass@) are preserved.
+ * - Protocol-relative (//cdn.com/x) and relative URLs are resolved against the supplied base.
+ * - URLs already on the proxy are returned unchanged (normalized).
+ * - The proxy itself is always served over https/wss on the default port. Upstream plain-http
+ *   and non-default ports are carried in the hostname (see host.mjs). Plain http(s)/ws(s) on the
+ *   default port is upgraded to https when http is not allowlisted. A non-default port the
+ *   allowlist does not permit keeps its qualifier, so `resolveTarget` refuses it instead of
+ *   reaching a different service.
+ */
+
+import { getHostCodec, getHostCodecSource } from './host.mjs';
+
+/**
+ * @typedef {Object} UrlCodec
+ * @property {string} rootDomain - The proxy root domain.
+ * @property {import('./host.mjs').HostCodec} hosts - The underlying hostname codec.
+ * @property {function(string, (string|URL)=): string} proxify - Upstream URL -> proxy URL. Returns the input on failure.
+ * @property {function(string): string} unproxify - Proxy URL -> upstream URL. Returns the input if not proxied.
+ * @property {function(string|URL): (URL|null)} resolveTarget - Proxy URL -> upstream URL object, or null if not proxied.
+ * @property {function(string, (string|URL)=): boolean} isProxied - True if the (resolved) URL is on the proxy.
+ * @property {function(string, string=): boolean} isAllowedOrigin - True if (scheme, port) may be proxied.
+ */
+
+/**
+ * @typedef {Object} UrlCodecOptions
+ * @property {string[]} [schemes=['https']] - Upstream schemes allowed ('http', 'https').
+ * @property {number[]} [ports=[]] - Non-default upstream ports allowed.
+ */
+
+/**
+ * Creates a URL codec on top of a hostname codec.
+ *
+ * NOTE: Like `createHostCodec`, this function is serialized with `toString()` into the
+ * client-side templates. It must stay self-contained and only use its arguments.
+ *
+ * @param {import('./host.mjs').HostCodec} hosts - The hostname codec.
+ * @param {UrlCodecOptions} [options]
+ * @returns {UrlCodec}
+ */
+export function createUrlCodec(hosts, options) {
+    const NETWORK_SCHEMES = ['http:', 'https:', 'ws:', 'wss:'];
+    const SOCKET_SCHEMES = ['ws:', 'wss:'];
+    const INSECURE_SCHEMES = ['http:', 'ws:'];
+    const schemes = (options && options.schemes) || ['https'];
+    const ports = (options && options.ports) || [];
+
+    const isAllowedOrigin = (scheme, port) => {
+        return schemes.includes(scheme) && (!port || ports.includes(Number(port)));
+    };
+
+    const parse = (url, base) => {
+        try {
+            return base ? new URL(url, base) : new URL(url);
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const proxify = (url, base) => {
+        if (!url || typeof url !== 'string') return url;
+
+        const trimmed = url.trim();
+        // Fragment-only references stay within the current document.
+        if (!trimmed || trimmed.startsWith('#')) return url;
+
+        const abs = parse(trimmed, base);
+        if (!abs || !NETWORK_SCHEMES.includes(abs.protocol)) return url;
+        if (hosts.isProxy(abs.hostname)) return abs.href;
+
+        const scheme = INSECURE_SCHEMES.includes(abs.protocol) ? 'http' : 'https';
+        const out = new URL(abs.href);
+        out.protocol = SOCKET_SCHEMES.includes(abs.protocol) ? 'wss:' : 'https:';
+        out.port = '';
+
+        let proxyHost;
+        if (!abs.port && (scheme === 'https' || !isAllowedOrigin(scheme))) {
+            // Plain https, or plain http we may not proxy: upgraded to https like mixed content.
+            proxyHost = hosts.toProxy(abs.hostname);
+        } else {
+            proxyHost = hosts.toProxyOrigin(scheme, abs.hostname, abs.port);
+        }
+        // The URL setter silently ignores an invalid hostname. Never hand back the upstream URL.
+        out.hostname = proxyHost;
+        if (out.hostname !== proxyHost) return 'https://' + hosts.rootDomain + '/';
+        return out.href;
+    };
+
+    const resolveTarget = (url) => {
+        const u = parse(String(url));
+        if (!u || !NETWORK_SCHEMES.includes(u.protocol)) return null;
+
+        const origin = hosts.fromProxyOrigin(u.hostname);
+        if (!origin || !isAllowedOrigin(origin.scheme, origin.port)) return null;
+
+        try {
+            const out = new URL(u.href);
+            if (SOCKET_SCHEMES.includes(u.protocol)) {
+                out.protocol = origin.scheme === 'http' ? 'ws:' : 'wss:';
+            } else {
+                out.protocol = origin.scheme + ':';
+            }
+            out.hostname = origin.hostname;
+            out.port = origin.port;
+            return out;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const unproxify = (url) => {
+        const target = resolveTarget(url);
+        return target ? target.href : url;
+    };
+
+    const isProxied = (url, base) => {
+        const abs = parse(url, base);
+        return !!abs && hosts.isProxy(abs.hostname);
+    };
+
+    return { rootDomain: hosts.rootDomain, hosts, proxify, unproxify, resolveTarget, isProxied, isAllowedOrigin };
+}
+
+/**
+ * Extracts the codec options from the routing config.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {UrlCodecOptions}
+ */
+function getCodecOptions(config) {
+    return {
+        schemes: config.routing.upstreamSchemes,
+        ports: config.routing.upstreamPorts
+    };
+}
+
+/**
+ * Per-config codec cache (one codec per isolate, see `getHostCodec`).
+ * @type {WeakMap<object, UrlCodec>}
+ */
+const codecCache = new WeakMap();
+
+/**
+ * Returns the URL codec for the given app config.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {UrlCodec}
+ */
+export function getUrlCodec(config) {
+    let codec = codecCache.get(config);
+    if (!codec) {
+        codec = createUrlCodec(getHostCodec(config), getCodecOptions(config));
+        codecCache.set(config, codec);
+    }
+    return codec;
+}
+
+/**
+ * Serializes the codec for embedding in generated client scripts.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {string} A JavaScript expression evaluating to a UrlCodec.
+ */
+export function getUrlCodecSource(config) {
+    return `(${createUrlCodec.toString()})(${getHostCodecSource(config)}, ${JSON.stringify(getCodecOptions(config))})`;
+}
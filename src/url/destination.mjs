@@ -0,0 +1,333 @@
+/**
+ * @file Destination Safety
+ * @description Keeps the proxy from reaching loopback, private, link-local and cloud metadata destinations (SSRF).
+ * @version 1.0.0
+ *
+ * Every upstream URL (targets, redirect targets, WebSocket tunnels, Service Worker scripts) goes
+ * through `checkDestination` before it is fetched or handed out:
+ * - IP literals are normalized from every form a URL parser accepts (decimal `2130706433`,
+ *   hex `0x7f.1`, octal `0177.0.0.1`, short `127.1`, bracketed IPv6, IPv4-mapped/NAT64/6to4 IPv6)
+ *   and rejected if they fall into a non-public range.
+ * - Hostnames are rejected if they are single-label, use a local-only suffix (`localhost`,
+ *   `.internal`, `.local`, ...), name a metadata service, or point a wildcard-DNS service
+ *   (`10.0.0.1.nip.io`, `localtest.me`) at a private address.
+ *
+ * Hostnames are not resolved: a public name whose DNS points at a private address is not caught
+ * here. PRIVATE_UPSTREAMS lists the hosts and CIDR ranges deliberately exposed through the proxy.
+ */
+
+/**
+ * @typedef {Object} DestinationVerdict
+ * @property {boolean} allowed
+ * @property {string|null} reason - Why the destination was rejected.
+ */
+
+/**
+ * @typedef {Object} PrivateUpstreams
+ * @property {function(string): boolean} matchesHost - True for allowlisted hostnames.
+ * @property {function(IpAddress): boolean} matchesIp - True for allowlisted addresses.
+ */
+
+/**
+ * @typedef {{version: 4, value: number}|{version: 6, value: number[]}} IpAddress
+ * IPv4 as an unsigned 32-bit integer; IPv6 as eight 16-bit groups.
+ */
+
+/** Non-public IPv4 ranges. */
+const IPV4_BLOCKED = [
+    ['0.0.0.0', 8, 'this-network'],
+    ['10.0.0.0', 8, 'private'],
+    ['100.64.0.0', 10, 'carrier-grade NAT'],
+    ['127.0.0.0', 8, 'loopback'],
+    ['169.254.0.0', 16, 'link-local (cloud metadata)'],
+    ['172.16.0.0', 12, 'private'],
+    ['192.0.0.0', 24, 'IETF protocol assignments'],
+    ['192.0.2.0', 24, 'documentation'],
+    ['192.88.99.0', 24, '6to4 relay'],
+    ['192.168.0.0', 16, 'private'],
+    ['198.18.0.0', 15, 'benchmarking'],
+    ['198.51.100.0', 24, 'documentation'],
+    ['203.0.113.0', 24, 'documentation'],
+    ['224.0.0.0', 4, 'multicast'],
+    ['240.0.0.0', 4, 'reserved / broadcast']
+];
+
+/** Non-public IPv6 ranges (ranges embedding IPv4 are unwrapped first, see EMBEDDED_IPV4). */
+const IPV6_BLOCKED = [
+    ['::', 128, 'unspecified'],
+    ['::1', 128, 'loopback'],
+    ['64:ff9b:1::', 48, 'local NAT64'],
+    ['100::', 64, 'discard'],
+    ['2001::', 32, 'Teredo'],
+    ['2001:db8::', 32, 'documentation'],
+    ['fc00::', 7, 'unique local'],
+    ['fe80::', 10, 'link-local'],
+    ['fec0::', 10, 'site-local'],
+    ['ff00::', 8, 'multicast']
+];
+
+/** IPv6 ranges carrying an IPv4 address: [prefix, bits, index of the first group holding it]. */
+const EMBEDDED_IPV4 = [
+    ['::ffff:0:0', 96, 6],   // IPv4-mapped
+    ['::', 96, 6],           // IPv4-compatible (deprecated)
+    ['64:ff9b::', 96, 6],    // NAT64
+    ['2002::', 16, 1]        // 6to4
+];
+
+/** Suffixes that only resolve inside private networks. */
+const LOCAL_SUFFIXES = [
+    'localhost', 'localdomain', 'local', 'internal', 'intranet', 'lan', 'home', 'corp', 'private',
+    'home.arpa', 'in-addr.arpa', 'ip6.arpa', 'test', 'invalid'
+];
+
+/** Cloud metadata endpoints reachable by name. */
+const METADATA_HOSTS = ['metadata.google.internal', 'metadata.goog', 'instance-data.ec2.internal', 'metadata.azure.com'];
+
+/** Public names that always resolve to loopback. */
+const LOOPBACK_DOMAINS = ['localtest.me', 'lvh.me', 'vcap.me', 'fuf.me', 'localho.st', 'lacolhost.com'];
+
+/** Wildcard-DNS services that resolve the IP address embedded in the name. */
+const IP_ECHO_DOMAINS = ['nip.io', 'sslip.io', 'xip.io', 'traefik.me', 'backname.io'];
+
+/**
+ * True if `host` is `domain` or one of its subdomains.
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function isWithin(host, domain) {
+    return host === domain || host.endsWith('.' + domain);
+}
+
+/**
+ * Parses an IPv4 address in any form the WHATWG URL parser accepts (1-4 parts; decimal,
+ * 0-prefixed octal or 0x-prefixed hex; the last part fills the remaining bytes).
+ * @param {string} host
+ * @returns {number|null} The address as an unsigned 32-bit integer, or null if not IPv4.
+ */
+export function parseIPv4(host) {
+    const parts = host.replace(/\.$/, '').split('.');
+    if (parts.length > 4) return null;
+
+    const numbers = [];
+    for (const part of parts) {
+        let n;
+        if (/^0x[0-9a-f]*$/i.test(part)) n = part.length > 2 ? parseInt(part.slice(2), 16) : 0;
+        else if (/^0[0-7]+$/.test(part)) n = parseInt(part.slice(1), 8);
+        else if (/^(?:0|[1-9][0-9]*)$/.test(part)) n = Number(part);
+        else return null;
+        numbers.push(n);
+    }
+
+    const last = numbers.pop();
+    if (numbers.some(n => n > 255) || last >= 256 ** (4 - numbers.length)) return null;
+
+    let value = last;
+    numbers.forEach((n, i) => { value += n * 256 ** (3 - i); });
+    return value >>> 0;
+}
+
+/**
+ * Parses an IPv6 address (optionally bracketed, with an optional trailing dotted IPv4).
+ * @param {string} host
+ * @returns {number[]|null} Eight 16-bit groups, or null if not IPv6.
+ */
+export function parseIPv6(host) {
+    let text = host.replace(/^\[|\]$/g, '').toLowerCase();
+    if (!text.includes(':') || text.includes('%')) return null;
+
+    // 1. Trailing dotted IPv4 -> two groups
+    const dotted = text.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const v4 = parseIPv4(dotted[2]);
+        if (v4 === null || !/^\d+\.\d+\.\d+\.\d+$/.test(dotted[2])) return null;
+        text = dotted[1] + (v4 >>> 16).toString(16) + ':' + (v4 & 0xffff).toString(16);
+    }
+
+    // 2. '::' expansion
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+    if (!groups.every(g => /^[0-9a-f]{1,4}$/.test(g))) return null;
+    return groups.map(g => parseInt(g, 16));
+}
+
+/**
+ * Parses an IP literal in any accepted form.
+ * @param {string} host
+ * @returns {IpAddress|null}
+ */
+export function parseIp(host) {
+    const v6 = parseIPv6(host);
+    if (v6) return { version: 6, value: v6 };
+    const v4 = parseIPv4(host);
+    return v4 === null ? null : { version: 4, value: v4 };
+}
+
+/**
+ * Tests an address against a CIDR range of the same version.
+ * @param {IpAddress} ip
+ * @param {IpAddress} network
+ * @param {number} bits - Prefix length.
+ * @returns {boolean}
+ */
+function inRange(ip, network, bits) {
+    if (ip.version !== network.version) return false;
+    if (ip.version === 4) {
+        return bits === 0 || (ip.value >>> (32 - bits)) === (network.value >>> (32 - bits));
+    }
+    for (let i = 0; i < 8 && bits > 0; i++, bits -= 16) {
+        const mask = bits >= 16 ? 0xffff : (0xffff << (16 - bits)) & 0xffff;
+        if ((ip.value[i] & mask) !== (network.value[i] & mask)) return false;
+    }
+    return true;
+}
+
+/** @type {Array<[IpAddress, number, string]>} */
+const BLOCKED_RANGES = [
+    ...IPV4_BLOCKED.map(([net, bits, label]) => [{ version: 4, value: parseIPv4(net) }, bits, label]),
+    ...IPV6_BLOCKED.map(([net, bits, label]) => [{ version: 6, value: parseIPv6(net) }, bits, label])
+];
+
+/** @type {Array<[IpAddress, number, number]>} */
+const EMBEDDING_RANGES = EMBEDDED_IPV4.map(([net, bits, at]) => [{ version: 6, value: parseIPv6(net) }, bits, at]);
+
+/**
+ * Returns the non-public range an address falls into.
+ * @param {IpAddress} ip
+ * @returns {string|null} The range label, or null for public addresses.
+ */
+export function getNonPublicRange(ip) {
+    // 1. Unwrap IPv4 carried inside IPv6 (::ffff:127.0.0.1, 64:ff9b::a00:1, 2002:7f00:1::)
+    if (ip.version === 6) {
+        const embedding = EMBEDDING_RANGES.find(([net, bits]) => inRange(ip, net, bits));
+        if (embedding) {
+            const at = embedding[2];
+            const v4 = { version: 4, value: ((ip.value[at] << 16) | ip.value[at + 1]) >>> 0 };
+            // '::' and '::1' are IPv6 addresses in their own right, not IPv4-compatible ones.
+            if (at !== 6 || ip.value.slice(0, 6).some(Boolean) || v4.value > 1) return getNonPublicRange(v4);
+        }
+    }
+
+    // 2. Blocked ranges
+    const range = BLOCKED_RANGES.find(([net, bits]) => inRange(ip, net, bits));
+    return range ? range[2] : null;
+}
+
+/**
+ * Checks a hostname that is not an IP literal.
+ * @param {string} host - Lower-cased, without a trailing dot.
+ * @returns {string|null} The rejection reason, or null if the name looks public.
+ */
+function checkHostname(host) {
+    if (!host.includes('.')) return 'single-label (intranet) hostname';
+    if (METADATA_HOSTS.includes(host)) return 'cloud metadata hostname';
+
+    const suffix = LOCAL_SUFFIXES.find(s => isWithin(host, s));
+    if (suffix) return `local-only suffix '.${suffix}'`;
+
+    if (LOOPBACK_DOMAINS.some(d => isWithin(host, d))) return 'hostname resolves to loopback';
+
+    // Wildcard DNS: check every address embedded in the name (10.0.0.1.nip.io, app-10-0-0-1.sslip.io, 0a000001.nip.io)
+    const echo = IP_ECHO_DOMAINS.find(d => host.endsWith('.' + d));
+    if (echo) {
+        const name = host.slice(0, -(echo.length + 1));
+        const embedded = [
+            ...Array.from(name.matchAll(/(?:^|[.-])(\d{1,3})[.-](\d{1,3})[.-](\d{1,3})[.-](\d{1,3})(?=$|[.-])/g), m => m.slice(1, 5).join('.')),
+            ...Array.from(name.matchAll(/(?:^|[.-])([0-9a-f]{8})(?=$|[.-])/g), m => '0x' + m[1])
+        ];
+        for (const literal of embedded) {
+            const ip = parseIp(literal);
+            const range = ip && getNonPublicRange(ip);
+            if (range) return `wildcard DNS name for a ${range} address`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Compiles the PRIVATE_UPSTREAMS allowlist.
+ * - 'staging.local' / '*.corp.internal' : Hostnames (wildcard matches the domain and its subdomains).
+ * - '10.1.0.0/16' / 'fd00::/8' / '10.1.2.3' : Addresses and CIDR ranges.
+ * @param {string[]} list
+ * @returns {PrivateUpstreams}
+ * @throws {Error} If an entry is neither a hostname pattern nor an address/range.
+ */
+export function compilePrivateUpstreams(list) {
+    const hosts = [];
+    const ranges = [];
+
+    list.forEach((entry, i) => {
+        const value = typeof entry === 'string' ? entry.trim().toLowerCase() : '';
+        const [address, prefix, extra] = value.split('/');
+        const ip = address ? parseIp(address) : null;
+
+        if (ip && extra === undefined) {
+            const max = ip.version === 4 ? 32 : 128;
+            const bits = prefix === undefined ? max : Number(prefix);
+            if (!/^\d*$/.test(prefix || '') || !Number.isInteger(bits) || bits < 0 || bits > max) {
+                throw new Error(`Configuration Error: PRIVATE_UPSTREAMS[${i}] '${entry}' has an invalid prefix length.`);
+            }
+            ranges.push([ip, bits]);
+        } else if (/^(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*$/.test(value)) {
+            hosts.push(value);
+        } else {
+            throw new Error(`Configuration Error: PRIVATE_UPSTREAMS[${i}] '${entry}' is not a hostname, IP address or CIDR range.`);
+        }
+    });
+
+    return {
+        matchesHost: (host) => hosts.some(p => p.startsWith('*.') ? isWithin(host, p.slice(2)) : host === p),
+        matchesIp: (ip) => ranges.some(([net, bits]) => inRange(ip, net, bits))
+    };
+}
+
+/**
+ * Decides whether the proxy may connect to a URL's host.
+ * @param {string|URL} url - The upstream URL (http, https, ws or wss).
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {DestinationVerdict}
+ */
+export function checkDestination(url, config) {
+    let u;
+    try {
+        u = url instanceof URL ? url : new URL(String(url));
+    } catch (e) {
+        return { allowed: false, reason: 'invalid URL' };
+    }
+    if (!['http:', 'https:', 'ws:', 'wss:'].includes(u.protocol)) {
+        return { allowed: false, reason: `unsupported scheme '${u.protocol}'` };
+    }
+
+    const host = u.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    const allowlist = config.routing.privateUpstreams;
+
+    // 1. IP literals (every accepted encoding)
+    const ip = parseIp(host);
+    if (ip) {
+        const range = getNonPublicRange(ip);
+        if (!range || allowlist.matchesIp(ip)) return { allowed: true, reason: null };
+        return { allowed: false, reason: `${range} address` };
+    }
+
+    // 2. Hostnames
+    const reason = checkHostname(host);
+    if (!reason || allowlist.matchesHost(host)) return { allowed: true, reason: null };
+    return { allowed: false, reason };
+}
+
+/**
+ * Shorthand for `checkDestination(url, config).allowed`.
+ * @param {string|URL} url
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {boolean}
+ */
+export function isSafeDestination(url, config) {
+    return checkDestination(url, config).allowed;
+}
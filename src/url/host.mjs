@@ -0,0 +1,252 @@
+/**
+ * @file Proxy Hostname Codec
+ * @description Maps upstream hostnames onto proxy subdomains and back.
+ * @version 1.1.0 (Scheme & Port Qualifiers)
+ *
+ * Two encodings are supported:
+ * - 'raw'   : www.google.com -> www.google.com.proxy.com (needs a multi-level wildcard certificate).
+ * - 'label' : www.google.com -> www-google-com.proxy.com (fits under a single *.proxy.com certificate).
+ *
+ * Label encoding escapes '-' as '--' and '.' as '-'. Hosts that cannot be expressed that way
+ * (IDN/punycode labels, IPv6 literals, labels with leading or trailing hyphens) are encoded as
+ * 'b32--' followed by the lowercase, unpadded Base32 of the hostname. Hosts too long for a single
+ * 63 character label fall back to the raw form, which the decoder also accepts.
+ *
+ * IPv6 literals are not valid in a dotted hostname, so both encodings always carry them as a
+ * 'b32--' label, even past the 63 character limit (the proxy URL must never fall back to the
+ * upstream URL).
+ *
+ * Upstreams that are not plain https on port 443 carry an origin qualifier 'o--<scheme>[-<port>]':
+ * - 'raw'   : http://staging.local:8080 -> o--http-8080.staging.local.proxy.com
+ * - 'label' : http://staging.local:8080 -> o--http-8080--staging-local.proxy.com
+ *
+ * Raw-form hosts whose first label starts with 'o--' are always qualified ('o--https.o--http.example.com'),
+ * so they are never read back as a qualifier.
+ */
+
+/**
+ * Supported values for the HOST_ENCODING environment variable.
+ * @type {string[]}
+ */
+export const HOST_ENCODINGS = ['raw', 'label'];
+
+/**
+ * @typedef {Object} HostCodec
+ * @property {string} rootDomain - The proxy root domain.
+ * @property {string} encoding - The active encoding ('raw' or 'label').
+ * @property {function(string): string} toProxy - Upstream hostname -> proxy hostname.
+ * @property {function(string): (string|null)} fromProxy - Proxy hostname -> upstream hostname (null if not a proxied host).
+ * @property {function(string): boolean} isProxy - True if the hostname belongs to the proxy (root or subdomain).
+ * @property {function(string, string, string=): string} toProxyOrigin - (scheme, hostname, port) -> proxy hostname.
+ * @property {function(string): (ProxyOrigin|null)} fromProxyOrigin - Proxy hostname -> upstream origin parts.
+ */
+
+/**
+ * @typedef {Object} ProxyOrigin
+ * @property {string} scheme - Upstream scheme without colon ('http' or 'https').
+ * @property {string} hostname - Upstream hostname.
+ * @property {string} port - Upstream port, or '' for the scheme default.
+ */
+
+/**
+ * Creates a hostname codec.
+ *
+ * NOTE: This function is serialized with `toString()` into the client-side templates
+ * (interceptor & service worker). It must stay self-contained: no imports, no references
+ * to module scope, only globals available in both Workers and browsers.
+ *
+ * @param {string} rootDomain - The proxy root domain (e.g. "proxy.example.com").
+ * @param {string} [encoding='raw'] - One of HOST_ENCODINGS.
+ * @returns {HostCodec}
+ */
+export function createHostCodec(rootDomain, encoding) {
+    const suffix = '.' + rootDomain;
+    const mode = encoding || 'raw';
+    const B32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+    const B32_PREFIX = 'b32--';
+    const ORIGIN_PREFIX = 'o--';
+    const ORIGIN_LABEL = /^o--(https?)(?:-(\d{1,5}))?$/;
+    const ORIGIN_PACKED = /^o--(https?)(?:-(\d{1,5}))?--(.+)$/;
+    const MAX_LABEL = 63;
+
+    const base32Encode = (str) => {
+        const bytes = new TextEncoder().encode(str);
+        let out = '';
+        let buffer = 0;
+        let bits = 0;
+        for (const byte of bytes) {
+            buffer = (buffer << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                out += B32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        }
+        if (bits > 0) out += B32_ALPHABET[(buffer << (5 - bits)) & 31];
+        return out;
+    };
+
+    const base32Decode = (str) => {
+        const bytes = [];
+        let buffer = 0;
+        let bits = 0;
+        for (const char of str) {
+            const val = B32_ALPHABET.indexOf(char);
+            if (val === -1) return null;
+            buffer = (buffer << 5) | val;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((buffer >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(bytes));
+        } catch (e) {
+            return null;
+        }
+    };
+
+    const dashEncode = (host) => {
+        const labels = host.split('.');
+        for (const label of labels) {
+            if (!/^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(label)) return null;
+        }
+        const encoded = labels.map(l => l.replace(/-/g, '--')).join('-');
+        // Reserved prefixes: punycode ('xn--'), our own Base32 marker and the origin qualifier.
+        if (encoded.startsWith('xn--') || encoded.startsWith(B32_PREFIX) || encoded.startsWith(ORIGIN_PREFIX)) return null;
+        return encoded.length <= MAX_LABEL ? encoded : null;
+    };
+
+    const dashDecode = (label) => {
+        let out = '';
+        for (let i = 0; i < label.length; i++) {
+            if (label[i] !== '-') out += label[i];
+            else if (label[i + 1] === '-') { out += '-'; i++; }
+            else out += '.';
+        }
+        return out;
+    };
+
+    const encodeLabel = (host) => {
+        const dashed = dashEncode(host);
+        if (dashed) return dashed;
+        const b32 = B32_PREFIX + base32Encode(host);
+        return b32.length <= MAX_LABEL ? b32 : null;
+    };
+
+    const decodeLabel = (label) => {
+        if (label.startsWith(B32_PREFIX)) return base32Decode(label.slice(B32_PREFIX.length));
+        return dashDecode(label);
+    };
+
+    // The raw form of a host. IPv6 literals (and dotless hosts that would read as Base32) are Base32 encoded.
+    const rawHost = (host) => {
+        if (host.startsWith('[') || (!host.includes('.') && host.startsWith(B32_PREFIX))) {
+            return B32_PREFIX + base32Encode(host);
+        }
+        return host;
+    };
+
+    const isProxy = (hostname) => {
+        const host = String(hostname).toLowerCase();
+        return host === rootDomain || host.endsWith(suffix);
+    };
+
+    const toProxy = (hostname) => {
+        const host = String(hostname).toLowerCase();
+        if (mode === 'label') {
+            const label = encodeLabel(host);
+            if (label) return label + suffix;
+        }
+        // Escape hosts that would read back as an origin qualifier.
+        if (host.startsWith(ORIGIN_PREFIX)) return ORIGIN_PREFIX + 'https.' + rawHost(host) + suffix;
+        return rawHost(host) + suffix;
+    };
+
+    const toProxyOrigin = (scheme, hostname, port) => {
+        const host = String(hostname).toLowerCase();
+        const qualifier = ORIGIN_PREFIX + scheme + (port ? '-' + port : '');
+        if (mode === 'label') {
+            const label = encodeLabel(host);
+            if (label && qualifier.length + 2 + label.length <= MAX_LABEL) return qualifier + '--' + label + suffix;
+        }
+        return qualifier + '.' + rawHost(host) + suffix;
+    };
+
+    const fromProxyOrigin = (hostname) => {
+        const host = String(hostname).toLowerCase();
+        if (!host.endsWith(suffix)) return null;
+        let sub = host.slice(0, -suffix.length);
+        if (!sub) return null;
+
+        let scheme = 'https';
+        let port = '';
+        let rawRest = false;
+        const dot = sub.indexOf('.');
+        const first = dot === -1 ? sub : sub.slice(0, dot);
+
+        // 1. Origin qualifier as its own label (raw form)
+        const own = first.match(ORIGIN_LABEL);
+        if (own && dot !== -1) {
+            scheme = own[1];
+            port = own[2] || '';
+            sub = sub.slice(dot + 1);
+            rawRest = true;
+        }
+
+        // 2. Origin qualifier packed into a single label (label form)
+        const packed = mode === 'label' && dot === -1 ? sub.match(ORIGIN_PACKED) : null;
+        if (packed) {
+            scheme = packed[1];
+            port = packed[2] || '';
+            sub = packed[3];
+        }
+
+        // Dotted subdomains are always the raw form (legacy links, or hosts too long for a label).
+        // A dotless 'b32--' label is Base32 in either encoding.
+        let decoded = sub;
+        if (!sub.includes('.')) {
+            if (sub.startsWith(B32_PREFIX)) decoded = decodeLabel(sub);
+            else if (mode === 'label' && !rawRest) decoded = dashDecode(sub);
+        }
+        return decoded ? { scheme, hostname: decoded, port } : null;
+    };
+
+    const fromProxy = (hostname) => {
+        const origin = fromProxyOrigin(hostname);
+        return origin ? origin.hostname : null;
+    };
+
+    return { rootDomain, encoding: mode, toProxy, fromProxy, isProxy, toProxyOrigin, fromProxyOrigin };
+}
+
+/**
+ * Per-config codec cache. The config object is an isolate-wide singleton,
+ * so this resolves to a single codec per isolate.
+ * @type {WeakMap<object, HostCodec>}
+ */
+const codecCache = new WeakMap();
+
+/**
+ * Returns the hostname codec for the given app config.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {HostCodec}
+ */
+export function getHostCodec(config) {
+    let codec = codecCache.get(config);
+    if (!codec) {
+        codec = createHostCodec(config.rootDomain, config.routing.hostEncoding);
+        codecCache.set(config, codec);
+    }
+    return codec;
+}
+
+/**
+ * Serializes a codec factory call for embedding in generated client scripts.
+ * @param {import('../config/env.mjs').EnvConfig} config
+ * @returns {string} A JavaScript expression evaluating to a HostCodec.
+ */
+export function getHostCodecSource(config) {
+    return `(${createHostCodec.toString()})(${JSON.stringify(config.rootDomain)}, ${JSON.stringify(config.routing.hostEncoding)})`;
+}
@@ -0,0 +1,83 @@
+/**
+ * @file Registrable Domain (eTLD+1)
+ * @description Derives the "site" of a hostname without shipping the full Public Suffix List.
+ * @version 1.1.0 (Client Source)
+ *
+ * The registrable domain is the public suffix plus one label (www.bbc.co.uk -> bbc.co.uk).
+ * Public suffixes are approximated as:
+ * - A known multi-label suffix from MULTI_LABEL_SUFFIXES (co.uk, github.io, workers.dev, ...).
+ * - A two-letter country TLD under a generic second level (co, com, net, org, gov, edu, ac, ...).
+ * - Otherwise the last label.
+ * IP literals and single-label hosts are their own site.
+ *
+ * `getSiteSource()` embeds the same logic in generated client scripts.
+ */
+
+/** Generic second levels used under two-letter country TLDs (co.uk, com.au, ne.jp, ...). */
+const COUNTRY_SECOND_LEVELS = new Set([
+    'ac', 'co', 'com', 'edu', 'gov', 'go', 'gob', 'ltd', 'me', 'mil', 'ne', 'net', 'or', 'org', 'plc', 'sch'
+]);
+
+/** Multi-label public suffixes that the country heuristic misses, incl. common hosting platforms. */
+const MULTI_LABEL_SUFFIXES = new Set([
+    'appspot.com', 'azurewebsites.net', 'blogspot.com', 'cloudfront.net', 'firebaseapp.com',
+    'github.io', 'gitlab.io', 'herokuapp.com', 'netlify.app', 'pages.dev', 'vercel.app',
+    'web.app', 'workers.dev', 's3.amazonaws.com'
+]);
+
+/**
+ * Creates the eTLD+1 resolver. Self-contained so it can be serialized into client scripts.
+ * @param {Set<string>} countrySecondLevels - See COUNTRY_SECOND_LEVELS.
+ * @param {Set<string>} multiLabelSuffixes - See MULTI_LABEL_SUFFIXES.
+ * @returns {function(string): string}
+ */
+function createSiteResolver(countrySecondLevels, multiLabelSuffixes) {
+    return function getSite(hostname) {
+        const host = hostname.toLowerCase().replace(/\.$/, '');
+
+        // 1. IP literals (IPv6 contains ':', IPv4 ends in a numeric label)
+        if (host.includes(':') || /^\d+$/.test(host.slice(host.lastIndexOf('.') + 1))) return host;
+
+        const labels = host.split('.');
+        if (labels.length <= 2) return host;
+
+        // 2. Known multi-label suffixes (longest first)
+        for (let i = 1; i < labels.length - 1; i++) {
+            if (multiLabelSuffixes.has(labels.slice(i).join('.'))) return labels.slice(i - 1).join('.');
+        }
+
+        // 3. Country TLD with a generic second level
+        const tld = labels[labels.length - 1];
+        const sld = labels[labels.length - 2];
+        const suffixLength = tld.length === 2 && countrySecondLevels.has(sld) ? 2 : 1;
+
+        return labels.slice(-(suffixLength + 1)).join('.');
+    };
+}
+
+/**
+ * Returns the registrable domain (eTLD+1) of a hostname.
+ * @type {function(string): string}
+ * @param {string} hostname
+ * @returns {string} The lower-cased site, or the hostname itself for IPs and single labels.
+ */
+export const getSite = createSiteResolver(COUNTRY_SECOND_LEVELS, MULTI_LABEL_SUFFIXES);
+
+/**
+ * Serializes the resolver for embedding in generated client scripts.
+ * @returns {string} A JavaScript expression evaluating to `getSite`.
+ */
+export function getSiteSource() {
+    const set = (values) => `new Set(${JSON.stringify(Array.from(values))})`;
+    return `(${createSiteResolver.toString()})(${set(COUNTRY_SECOND_LEVELS)}, ${set(MULTI_LABEL_SUFFIXES)})`;
+}
+
+/**
+ * True if two hostnames share a registrable domain.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSameSite(a, b) {
+    return getSite(a) === getSite(b);
+}
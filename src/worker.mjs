@@ -7,6 +7,12 @@
 import { handleRequest } from './handle/request.mjs';
 import { ErrorMiddleware } from './middleware/error-handler.mjs';
 
+// Durable Object classes must be exported by the entry point (cookie jar mode, WebSocket tap, HAR capture & leak reports, see wrangler.toml)
+export { CookieJarObject } from './cookies/durableObject.mjs';
+export { WebSocketTapObject } from './tap/durableObject.mjs';
+export { HarCaptureObject } from './har/durableObject.mjs';
+export { LeakReportObject } from './leaks/durableObject.mjs';
+
 export default {
     async fetch(request, env, ctx) {
         // 1. Global Error Handling
@@ -14,6 +20,6 @@ export default {
             // 2. Hand off to the HTTP Proxy Handler directly
             // (Authentication is now handled by Cloudflare Access at the edge)
             return handleRequest(request, env, ctx);
-        });
+        }, request, env);
     }
 };
\ No newline at end of file